@@ -0,0 +1,71 @@
+#!/usr/bin/env bun
+
+/**
+ * W3C ACT test case conformance
+ *
+ * Runs every rule that lists ACT rule IDs against the stored test cases of
+ * those ACT rules and reports how often the rule agrees with the expected
+ * outcome. A case is consistent when failed cases fail (or can't tell) and
+ * passed or inapplicable cases don't fail; it is exact when the outcomes
+ * match.
+ *
+ * The manifest uses the format of the W3C's testcases.json, so the full
+ * suite can be downloaded and run in place of the local subset. Test case
+ * files are found at relativePath under baseDir.
+ *
+ * Usage: bun act.js [manifest=test/act/testcases.json] [baseDir=manifest's directory]
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { runActTestCases } from './src/core/act.js';
+
+const manifestPath = resolve(process.argv[2] || 'test/act/testcases.json');
+const baseDir = resolve(process.argv[3] || dirname(manifestPath));
+
+const { testcases } = JSON.parse(await readFile(manifestPath, 'utf-8'));
+
+// Test case markup is often deliberately broken, so JSDOM's errors are noise
+const virtualConsole = new VirtualConsole();
+
+const results = await runActTestCases(testcases, {
+  loadDocument: async testcase => {
+    const file = resolve(baseDir, testcase.relativePath);
+    const dom = new JSDOM(await readFile(file, 'utf-8'), {
+      url: pathToFileURL(file).href,
+      pretendToBeVisual: true,
+      virtualConsole
+    });
+    return dom.window.document;
+  },
+  releaseDocument: doc => doc.defaultView.close()
+});
+
+const percent = (count, total) => `${((count / total) * 100).toFixed(0)}%`.padStart(5);
+
+console.log(`${'Rule'.padEnd(24)} ${'ACT rules'.padEnd(16)} ${'Cases'.padStart(5)}  Consistent  Exact`);
+for (const rule of results.rules) {
+  console.log(`${rule.rule.padEnd(24)} ${rule.actRuleIds.join(', ').padEnd(16)} ${String(rule.total).padStart(5)}  ` +
+    `${percent(rule.consistent, rule.total)}       ${percent(rule.exact, rule.total)}`);
+}
+
+if (results.total === 0) {
+  console.log('\nNo test cases matched a rule\'s ACT rule IDs');
+} else {
+  console.log(`\n${results.consistent} of ${results.total} cases consistent (${percent(results.consistent, results.total).trim()}), ` +
+    `${results.exact} exact (${percent(results.exact, results.total).trim()})`);
+}
+
+const inconsistent = results.rules.flatMap(rule => rule.cases
+  .filter(outcome => !outcome.consistent)
+  .map(outcome => ({ rule: rule.rule, ...outcome })));
+
+if (inconsistent.length > 0) {
+  console.log('\nInconsistent cases:');
+  inconsistent.forEach(outcome => {
+    console.log(`  ${outcome.rule} ${outcome.testcaseId}: expected ${outcome.expected}, got ${outcome.actual}` +
+      (outcome.title ? ` (${outcome.title})` : ''));
+  });
+}
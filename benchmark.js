@@ -0,0 +1,113 @@
+#!/usr/bin/env bun
+
+/**
+ * Benchmark for the single-pass execution model
+ *
+ * Builds a large synthetic page and compares the engine's single DOM walk
+ * with memoized styles and names against the previous model, where every
+ * rule ran its own query and recomputed styles and names.
+ *
+ * Usage: bun benchmark.js [nodes=20000] [iterations=1]
+ */
+
+import { JSDOM } from 'jsdom';
+import { createAccessibilityEngine } from './src/index.js';
+import { createRuleContext } from './src/core/rule-context.js';
+import { querySelectorAllDeep, getComputedStyle } from './src/utils/dom.js';
+import { isHidden } from './src/utils/aria.js';
+import { getAccessibleName } from './src/utils/accname.js';
+
+const targetNodes = parseInt(process.argv[2] || '20000', 10);
+const iterations = parseInt(process.argv[3] || '1', 10);
+
+// A section of typical content, roughly 40 elements
+const SECTION = `
+  <section>
+    <h2>Section heading</h2>
+    <p>Some <a href="/more">linked text</a> and <strong>emphasis</strong> in a paragraph.</p>
+    <ul><li><a href="/a">First</a></li><li><a href="/b">Second</a></li><li>Third item</li></ul>
+    <img src="photo.jpg" alt="A photo">
+    <form>
+      <label for="f">Field</label><input id="f" type="text">
+      <input type="checkbox" aria-label="Agree">
+      <button type="submit">Send</button>
+    </form>
+    <table><tr><th>Name</th><th>Value</th></tr><tr><td>One</td><td>1</td></tr></table>
+    <div role="button" tabindex="0">Custom</div>
+    <div><span>Nested</span> <span>text</span> <em>content</em></div>
+  </section>`;
+
+function buildPage(nodes) {
+  const probe = new JSDOM(`<!DOCTYPE html><html><body>${SECTION}</body></html>`);
+  const perSection = probe.window.document.body.querySelectorAll('*').length;
+  probe.window.close();
+
+  const sections = Math.max(1, Math.round(nodes / perSection));
+  return `<!DOCTYPE html><html lang="en"><head><title>Benchmark</title></head><body>
+    <header><nav><a href="#main">Skip to content</a></nav></header>
+    <main id="main"><h1>Benchmark page</h1>${SECTION.repeat(sections)}</main>
+  </body></html>`;
+}
+
+// The previous model: one query per rule and no shared caches
+function matchPerRule(rules, { root, excluded }) {
+  const matches = new Map();
+
+  for (const rule of rules) {
+    if (rule.scope === 'page') {
+      continue;
+    }
+    const elements = rule.selector
+      ? [...(root.matches(rule.selector) ? [root] : []), ...querySelectorAllDeep(root, rule.selector)]
+      : [root];
+    matches.set(rule.id, elements.filter(element => !this._isExcluded(element, excluded)));
+  }
+
+  return matches;
+}
+
+function uncachedRuleContext(root, doc) {
+  return { ...createRuleContext(root, doc), getComputedStyle, isHidden, getAccessibleName };
+}
+
+async function measure(label, html, configure) {
+  const times = [];
+  let violations = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    const dom = new JSDOM(html, { pretendToBeVisual: true });
+    const engine = createAccessibilityEngine({
+      runOnly: ['wcag22a', 'wcag22aa', 'best-practice'],
+      maxElements: Infinity,
+      timeout: 600000,
+      // Let every rule finish so the slower model isn't cut short on large pages
+      ruleTimeout: Infinity,
+      silent: true
+    });
+    configure(engine);
+
+    const start = performance.now();
+    const results = await engine.run(dom.window.document);
+    times.push(performance.now() - start);
+    violations = results.violations.reduce((count, rule) => count + rule.nodes.length, 0);
+
+    dom.window.close();
+  }
+
+  const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+  console.log(`${label.padEnd(28)} ${average.toFixed(0).padStart(8)}ms avg  (${violations} violation nodes)`);
+  return average;
+}
+
+const html = buildPage(targetNodes);
+const nodeCount = new JSDOM(html).window.document.querySelectorAll('*').length;
+
+console.log(`Benchmarking ${nodeCount} elements, ${iterations} iteration(s) each\n`);
+
+const before = await measure('Per-rule queries, no cache', html, engine => {
+  engine._matchRules = matchPerRule;
+  engine._createRuleContext = uncachedRuleContext;
+});
+const after = await measure('Single pass with caches', html, () => {});
+
+console.log(`\nSpeedup: ${(before / after).toFixed(2)}x`);
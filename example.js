@@ -35,14 +35,7 @@ async function runExample() {
     pretendToBeVisual: true
   });
   
-  // Set up globals
-  const window = dom.window;
-  const document = window.document;
-  
-  // Make window methods available globally
-  global.window = window;
-  global.document = document;
-  global.getComputedStyle = window.getComputedStyle.bind(window);
+  const document = dom.window.document;
   
   // Create engine with options
   const engine = createAccessibilityEngine({
@@ -95,11 +88,6 @@ async function runExample() {
     });
   }
   
-  // Clean up globals
-  delete global.window;
-  delete global.document;
-  delete global.getComputedStyle;
-  
   // Close JSDOM
   dom.window.close();
 }
@@ -22,11 +22,6 @@ async function checkHelpTheWeb() {
             pretendToBeVisual: true
         });
         
-        // Set up globals
-        global.window = dom.window;
-        global.document = dom.window.document;
-        global.getComputedStyle = dom.window.getComputedStyle.bind(dom.window);
-        
         // Create engine with best practices
         const engine = createAccessibilityEngine({
             runOnly: ['best-practice'],
@@ -66,9 +61,6 @@ async function checkHelpTheWeb() {
         console.log(`\nTotal best practice violations: ${results.violations.length}`);
         
         // Clean up
-        delete global.window;
-        delete global.document;
-        delete global.getComputedStyle;
         dom.window.close();
         
     } catch (error) {
@@ -5,6 +5,7 @@ import { JSDOM, VirtualConsole } from 'jsdom';
 import fetch from 'node-fetch';
 import createAccessibilityEngine from '../index.js';
 import { getAllRules, getRuleById } from '../rules/index.js';
+import { formatTarget } from '../utils/dom.js';
 
 // Create a testUrl function that mimics the CLI behavior
 async function testUrl(url, options = {}) {
@@ -14,25 +15,33 @@ async function testUrl(url, options = {}) {
     // Fetch the HTML with timeout
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), options.timeout || 30000);
+    // Stop fetching as soon as the caller gives up on the scan. Batch scans
+    // share one signal, so the listener goes once the page is read
+    const abortFetch = () => controller.abort();
+    options.signal?.addEventListener('abort', abortFetch, { once: true });
     
-    console.log(`testUrl: Fetching ${url}...`);
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'HelpTheWeb Accessibility Engine API/1.0'
+    let html;
+    try {
+      console.log(`testUrl: Fetching ${url}...`);
+      const response = await fetch(url, {
+        signal: controller.signal,
+        headers: {
+          'User-Agent': 'HelpTheWeb Accessibility Engine API/1.0'
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to fetch URL: ${response.status} ${response.statusText}`);
       }
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch URL: ${response.status} ${response.statusText}`);
+      
+      console.log(`testUrl: Got response, reading HTML...`);
+      html = await response.text();
+      console.log(`testUrl: HTML length: ${html.length} characters`);
+    } finally {
+      clearTimeout(timeoutId);
+      options.signal?.removeEventListener('abort', abortFetch);
     }
     
-    console.log(`testUrl: Got response, reading HTML...`);
-    const html = await response.text();
-    console.log(`testUrl: HTML length: ${html.length} characters`);
-    
     // Create DOM
     const virtualConsole = new VirtualConsole();
     if (options.silent) {
@@ -54,17 +63,10 @@ async function testUrl(url, options = {}) {
       virtualConsole
     });
     
-    // Set up globals
+    // Each scan uses its own window, so concurrent requests never share state
     const window = dom.window;
     const document = window.document;
     
-    global.window = window;
-    global.document = document;
-    global.navigator = window.navigator;
-    global.getComputedStyle = window.getComputedStyle.bind(window);
-    global.Element = window.Element;
-    global.Node = window.Node;
-    
     try {
       console.log(`testUrl: Waiting for DOM ready...`);
       // Wait for DOM to be ready with timeout
@@ -96,29 +98,32 @@ async function testUrl(url, options = {}) {
         resultTypes: ['violations'],
         maxElements: maxElements,
         timeout: 10000, // Shorter timeout for the engine itself
+        standard: options.standard, // optional standard whose clauses label the findings
         silent: options.silent !== false
       });
       
       console.log(`testUrl: Running accessibility tests...`);
+      // Limit the scan to the requested regions
+      const context = options.include || options.exclude
+        ? { document, include: options.include, exclude: options.exclude }
+        : document;
+      
       // Run tests with timeout
+      let runTimeoutId;
       const results = await Promise.race([
-        engine.run(document),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Accessibility test timeout')), 10000)
-        )
-      ]);
+        engine.run(context, { signal: options.signal }),
+        new Promise((_, reject) => {
+          runTimeoutId = setTimeout(() => reject(new Error('Accessibility test timeout')), 10000);
+        })
+      ]).finally(() => clearTimeout(runTimeoutId));
       
-      console.log(`testUrl: Tests complete, found ${results.violations?.length || 0} violations`);
+      if (results.aborted) {
+        console.log('testUrl: Scan aborted, returning partial results');
+      } else {
+        console.log(`testUrl: Tests complete, found ${results.violations?.length || 0} violations`);
+      }
       return results;
     } finally {
-      // Clean up globals
-      delete global.window;
-      delete global.document;
-      delete global.navigator;
-      delete global.getComputedStyle;
-      delete global.Element;
-      delete global.Node;
-      
       // Close JSDOM
       window.close();
     }
@@ -244,18 +249,35 @@ app.post(`/api/${API_VERSION}/scan`, async (req, res) => {
     });
   }
 
+  // Abort the scan if the client disconnects before the response is sent
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
   try {
     console.log(`Scanning ${url}...`);
     const startTime = Date.now();
     
     const results = await testUrl(url, {
+      signal: controller.signal,
       maxElements: options.maxElements || 1000,
       timeout: options.timeout || 30000,
       silent: true,
       rules: options.rules, // optional rule filtering
-      quickScan: options.quickScan // NEW: option for faster scans on large sites
+      standard: options.standard, // optional standard, e.g. 'wcag21aa', 'section508' or 'en301549'
+      quickScan: options.quickScan, // NEW: option for faster scans on large sites
+      include: options.include, // optional selectors of regions to test
+      exclude: options.exclude // optional selectors of regions to skip
     });
 
+    if (controller.signal.aborted) {
+      console.log(`Scan of ${url} aborted, client disconnected`);
+      return;
+    }
+
     const endTime = Date.now();
     const scanDuration = endTime - startTime;
 
@@ -278,13 +300,26 @@ app.post(`/api/${API_VERSION}/scan`, async (req, res) => {
         impact: v.impact,
         message: v.help,
         explanation: v.description,
-        selector: v.nodes?.[0]?.target?.[0] || 'N/A',
+        selector: formatTarget(v.nodes?.[0]?.target) || 'N/A',
         html: v.nodes?.[0]?.html || 'N/A',
         howToFix: v.nodes?.[0]?.failureSummary || v.help,
+        relatedNodes: (v.nodes?.[0]?.relatedNodes || []).map(node => formatTarget(node.target)),
+        clauses: v.clauses || [],
         tags: v.tags || []
       }))
     });
   } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Scan of ${url} aborted, client disconnected`);
+      return;
+    }
+    // The include and exclude selectors come from the request
+    if (error.type === 'context_error') {
+      return res.status(400).json({ 
+        error: 'Invalid include or exclude',
+        message: error.message 
+      });
+    }
     console.error('Scan error:', error);
     res.status(500).json({ 
       error: 'Failed to scan URL',
@@ -310,13 +345,27 @@ app.post(`/api/${API_VERSION}/scan/batch`, async (req, res) => {
     });
   }
 
+  // Abort the remaining scans if the client disconnects
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
   try {
     const results = [];
     
     for (const url of urls) {
+      if (controller.signal.aborted) {
+        console.log('Batch scan aborted, client disconnected');
+        return;
+      }
+
       console.log(`Batch scanning ${url}...`);
       try {
         const scanResult = await testUrl(url, {
+          signal: controller.signal,
           maxElements: options.maxElements || 1000,
           timeout: options.timeout || 30000,
           silent: true
@@ -336,7 +385,8 @@ app.post(`/api/${API_VERSION}/scan/batch`, async (req, res) => {
             rule: v.id,
             impact: v.impact,
             message: v.help,
-            selector: v.nodes?.[0]?.target?.[0] || 'N/A',
+            selector: formatTarget(v.nodes?.[0]?.target) || 'N/A',
+            relatedNodes: (v.nodes?.[0]?.relatedNodes || []).map(node => formatTarget(node.target)),
             tags: v.tags || []
           }))
         });
@@ -349,6 +399,11 @@ app.post(`/api/${API_VERSION}/scan/batch`, async (req, res) => {
       }
     }
 
+    if (controller.signal.aborted) {
+      console.log('Batch scan aborted, client disconnected');
+      return;
+    }
+
     res.json({
       timestamp: new Date().toISOString(),
       totalUrls: urls.length,
@@ -448,6 +503,7 @@ app.get(`/api/${API_VERSION}/rules/:ruleId`, (req, res) => {
   res.json({
     id: rule.id,
     selector: rule.selector,
+    scope: rule.scope || 'element',
     tags: rule.tags,
     impact: rule.impact,
     explanation: rule.explanation,
@@ -0,0 +1,66 @@
+/**
+ * Config file and plugin loading for the CLI
+ */
+
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { dirname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+// Looked up in the working directory when no --config is given
+const CONFIG_FILES = ['helptheweb.config.js', 'helptheweb.config.mjs', '.helptheweb.json'];
+
+/**
+ * Load a plugin from a module path or package name. Relative paths resolve
+ * against baseDir and packages are looked up from there too. The module's
+ * default export is the plugin; without one its named exports are used.
+ * @param {string|Object} specifier - Module path, package name or plugin object
+ * @param {string} [baseDir] - Directory to resolve from
+ * @returns {Promise<Object>} Plugin
+ */
+export async function loadPlugin(specifier, baseDir = process.cwd()) {
+  if (typeof specifier !== 'string') {
+    return specifier;
+  }
+
+  const isPath = specifier.startsWith('.') || specifier.startsWith('/');
+  const modulePath = isPath
+    ? resolve(baseDir, specifier)
+    : createRequire(join(baseDir, 'package.json')).resolve(specifier);
+
+  const module = await import(pathToFileURL(modulePath).href);
+  return module.default || { ...module };
+}
+
+/**
+ * Load the CLI config file: the given path, or the first of
+ * helptheweb.config.js, helptheweb.config.mjs and .helptheweb.json in the
+ * working directory. Plugins listed by name are loaded relative to the file.
+ * @param {string} [configPath] - Explicit config file
+ * @param {string} [cwd] - Directory to look for a config file in
+ * @returns {Promise<Object>} Engine options from the file, with `plugins` loaded
+ */
+export async function loadConfig(configPath, cwd = process.cwd()) {
+  const path = configPath
+    ? resolve(cwd, configPath)
+    : CONFIG_FILES.map(file => join(cwd, file)).find(file => existsSync(file));
+
+  if (!path) {
+    return { plugins: [] };
+  }
+  if (!existsSync(path)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  let config;
+  if (path.endsWith('.json')) {
+    config = JSON.parse(await readFile(path, 'utf-8'));
+  } else {
+    const module = await import(pathToFileURL(path).href);
+    config = module.default || {};
+  }
+
+  const plugins = await Promise.all((config.plugins || []).map(plugin => loadPlugin(plugin, dirname(path))));
+  return { ...config, plugins };
+}
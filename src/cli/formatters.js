@@ -3,11 +3,18 @@
  */
 
 import chalk from 'chalk';
+import { formatTarget } from '../utils/dom.js';
 
 /**
- * Format report based on options
+ * Format report based on options. Formatters registered by plugins are
+ * passed in `options.formatters` and take precedence over the built-in ones.
  */
 export function formatReport(results, options) {
+  const formatter = options.formatters?.get(options.format);
+  if (formatter) {
+    return formatter(results, options);
+  }
+  
   switch (options.format) {
     case 'json':
       return JSON.stringify(results, null, 2);
@@ -24,6 +31,89 @@ export function formatReport(results, options) {
   }
 }
 
+/**
+ * Format an accessibility tree as an indented outline or JSON
+ */
+export function formatTree(tree, options = {}) {
+  if (options.format === 'json') {
+    return JSON.stringify(tree, null, 2);
+  }
+  
+  if (!tree) {
+    return '(empty tree)';
+  }
+  
+  const useColor = !options.noColor;
+  const output = [];
+  
+  const visit = (node, depth) => {
+    const parts = [];
+    const role = node.role || 'none';
+    parts.push(useColor ? chalk.bold(role) : role);
+    
+    if (node.name) {
+      parts.push(useColor ? chalk.green(`"${node.name}"`) : `"${node.name}"`);
+    }
+    
+    const flags = [
+      ...Object.entries(node.states).map(([key, value]) => value === true ? key : `${key}=${value}`),
+      ...Object.entries(node.properties).map(([key, value]) => `${key}=${value}`)
+    ];
+    if (node.description) {
+      flags.push(`description="${node.description}"`);
+    }
+    if (flags.length > 0) {
+      parts.push(useColor ? chalk.gray(`[${flags.join(', ')}]`) : `[${flags.join(', ')}]`);
+    }
+    
+    if (node.pruned) {
+      parts.push(useColor ? chalk.red(`(pruned: ${node.pruned})`) : `(pruned: ${node.pruned})`);
+    }
+    
+    output.push('  '.repeat(depth) + parts.join(' '));
+    node.children.forEach(child => visit(child, depth + 1));
+  };
+  
+  visit(tree, 0);
+  return output.join('\n');
+}
+
+/**
+ * Format a run profile as a table of the slowest rules
+ */
+export function formatProfile(profile, options = {}) {
+  const useColor = !options.noColor;
+  const limit = options.limit || 10;
+  const rows = [...profile].sort((a, b) => b.time - a.time).slice(0, limit).map(entry => [
+    entry.rule,
+    entry.time.toFixed(1),
+    String(entry.matched),
+    String(entry.evaluated),
+    entry.timePerElement.toFixed(2),
+    [entry.hitMaxElements && 'max elements', entry.timedOut && 'timed out'].filter(Boolean).join(', ')
+  ]);
+  
+  const headers = ['Rule', 'Time (ms)', 'Matched', 'Evaluated', 'ms/element', 'Limits'];
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+  // Names and limits read left to right, numbers line up on the right
+  const formatRow = row => row
+    .map((cell, column) => (column === 0 || column === 5 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+    .join('  ')
+    .trimEnd();
+  
+  const title = `Slowest rules (${rows.length} of ${profile.length})`;
+  const output = [
+    useColor ? chalk.bold(title) : title,
+    useColor ? chalk.gray(formatRow(headers)) : formatRow(headers),
+    ...rows.map(row => {
+      const line = formatRow(row);
+      return useColor && row[5] ? chalk.yellow(line) : line;
+    })
+  ];
+  
+  return output.join('\n');
+}
+
 /**
  * Format as colored text for terminal
  */
@@ -134,6 +224,10 @@ function formatText(results, options) {
       output.push(`   Rule: ${useColor ? chalk.magenta(violation.id) : violation.id}`);
       output.push(`   Impact: ${useColor ? getImpactColor(violation.impact) : violation.impact}`);
       
+      if (violation.clauses?.length) {
+        output.push(`   ${results.standard.name}: ${violation.clauses.join(', ')}`);
+      }
+      
       if (violation.explanation && options.verbose) {
         output.push(`   ${useColor ? chalk.italic('Explanation:') : 'Explanation:'} ${violation.explanation}`);
       }
@@ -142,19 +236,25 @@ function formatText(results, options) {
       
       if (options.verbose) {
         violation.nodes.forEach((node, nodeIndex) => {
-          output.push(`     ${nodeIndex + 1}) ${node.target}`);
+          output.push(`     ${nodeIndex + 1}) ${formatTarget(node.target)}`);
           if (node.message) {
             output.push(`        ${useColor ? chalk.yellow(node.message) : node.message}`);
           }
+          if (node.relatedNodes?.length) {
+            output.push(`        Related: ${formatRelatedNodes(node)}`);
+          }
           output.push(`        ${useColor ? chalk.gray(node.html) : node.html}`);
         });
       } else {
         // Just show first few in non-verbose mode
         violation.nodes.slice(0, 3).forEach((node, nodeIndex) => {
-          output.push(`     ${nodeIndex + 1}) ${node.target}`);
+          output.push(`     ${nodeIndex + 1}) ${formatTarget(node.target)}`);
           if (node.message) {
             output.push(`        ${useColor ? chalk.yellow(node.message) : node.message}`);
           }
+          if (node.relatedNodes?.length) {
+            output.push(`        Related: ${formatRelatedNodes(node)}`);
+          }
         });
         
         if (violation.nodes.length > 3) {
@@ -334,12 +434,14 @@ function formatHTML(results, options) {
             <span class="impact impact-${violation.impact}">${violation.impact.toUpperCase()}</span>
           </h3>
           <p><strong>Rule:</strong> <code>${violation.id}</code></p>
+          ${violation.clauses?.length ? `<p><strong>${escapeHtml(results.standard.name)}:</strong> ${escapeHtml(violation.clauses.join(', '))}</p>` : ''}
           ${violation.explanation ? `<div class="explanation">${violation.explanation}</div>` : ''}
           <p><strong>Elements affected:</strong> ${violation.nodes.length}</p>
           ${violation.nodes.slice(0, options.verbose ? 100 : 3).map((node, nodeIndex) => `
             <div class="node">
-              <strong>${nodeIndex + 1}.</strong> ${node.target}<br>
+              <strong>${nodeIndex + 1}.</strong> ${escapeHtml(formatTarget(node.target))}<br>
               ${node.message ? `<em>${node.message}</em><br>` : ''}
+              ${node.relatedNodes?.length ? `Related: ${escapeHtml(formatRelatedNodes(node))}<br>` : ''}
               <code>${escapeHtml(node.html)}</code>
             </div>
           `).join('')}
@@ -369,7 +471,7 @@ function formatHTML(results, options) {
  */
 function formatCSV(results, options) {
   const rows = [
-    ['Type', 'Rule ID', 'Impact', 'Help', 'Element', 'Message', 'URL']
+    ['Type', 'Rule ID', 'Impact', 'Help', 'Element', 'Message', 'URL', 'Related Elements', 'Clauses']
   ];
   
   // Add violations
@@ -381,9 +483,11 @@ function formatCSV(results, options) {
           violation.id,
           violation.impact,
           violation.help,
-          node.target,
+          formatTarget(node.target),
           node.message || '',
-          violation.helpUrl
+          violation.helpUrl,
+          formatRelatedNodes(node, '; '),
+          (violation.clauses || []).join('; ')
         ]);
       });
     });
@@ -399,7 +503,9 @@ function formatCSV(results, options) {
         pass.help,
         '',
         '',
-        pass.helpUrl
+        pass.helpUrl,
+        '',
+        (pass.clauses || []).join('; ')
       ]);
     });
   }
@@ -415,6 +521,14 @@ function formatCSV(results, options) {
   ).join('\n');
 }
 
+/**
+ * Targets of the elements related to a finding, such as the other
+ * elements sharing a duplicate ID
+ */
+function formatRelatedNodes(node, separator = ', ') {
+  return (node.relatedNodes || []).map(related => formatTarget(related.target)).join(separator);
+}
+
 /**
  * Escape HTML for safe display
  */
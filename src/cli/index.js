@@ -11,8 +11,9 @@ import ora from 'ora';
 import { readFile, writeFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import fetch from 'node-fetch';
-import createAccessibilityEngine from '../index.js';
-import { formatReport } from './formatters.js';
+import createAccessibilityEngine, { buildAccessibilityTree } from '../index.js';
+import { formatReport, formatTree, formatProfile } from './formatters.js';
+import { loadConfig, loadPlugin } from './config.js';
 
 // Suppress JSDOM CSS parsing errors
 const originalConsoleError = console.error;
@@ -27,6 +28,74 @@ console.error = (...args) => {
   originalConsoleError.apply(console, args);
 };
 
+/**
+ * Load a URL or HTML file into a JSDOM instance
+ */
+async function loadSource(source, spinner, options) {
+  // Get HTML content
+  let html;
+  let url = source;
+
+  if (source.startsWith('http://') || source.startsWith('https://')) {
+    spinner.text = 'Fetching URL...';
+    const response = await fetch(source, {
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'HelpTheWeb Accessibility Engine/1.0'
+      }
+    });
+    html = await response.text();
+  } else if (existsSync(source)) {
+    spinner.text = 'Reading file...';
+    html = await readFile(source, 'utf-8');
+    url = `file://${process.cwd()}/${source}`;
+  } else {
+    throw new Error(`Invalid source: ${source}`);
+  }
+
+  // Create DOM with proper configuration
+  spinner.text = 'Creating DOM...';
+
+  // Configure JSDOM to suppress CSS errors
+  const virtualConsole = new (await import('jsdom')).VirtualConsole();
+  if (options.silent) {
+    virtualConsole.on('error', () => {});
+    virtualConsole.on('warn', () => {});
+    virtualConsole.on('info', () => {});
+    virtualConsole.on('dir', () => {});
+  }
+
+  const dom = new JSDOM(html, { 
+    url: url,
+    contentType: 'text/html',
+    includeNodeLocations: true,
+    storageQuota: 10000000,
+    pretendToBeVisual: true,
+    resources: 'usable',
+    virtualConsole
+  });
+
+  // Wait for resources to load
+  await new Promise(resolve => {
+    if (dom.window.document.readyState === 'loading') {
+      dom.window.addEventListener('DOMContentLoaded', resolve, { once: true });
+      // Add timeout to prevent hanging
+      setTimeout(resolve, 5000);
+    } else {
+      resolve();
+    }
+  });
+  
+  return dom;
+}
+
+/**
+ * Collect a repeatable option into an array
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
 const program = new Command();
 
 program
@@ -38,9 +107,9 @@ program
 program
   .command('test <source>')
   .description('Test a URL or HTML file for accessibility issues')
-  .option('-r, --ruleset <ruleset>', 'Ruleset to use (wcag22a, wcag22aa, wcag22aaa, best-practice, wcag22aa-with-best-practices, all)', 'wcag22aa')
+  .option('-r, --ruleset <ruleset>', 'Ruleset or tag expression to use (wcag22a, wcag22aa, wcag22aaa, wcag21aa, wcag20aa, section508, en301549, best-practice, aria, wcag22aa-with-best-practices, all, apca, or e.g. "wcag22aa and not wcag258")', 'wcag22aa')
   .option('-o, --output <file>', 'Save results to file')
-  .option('-f, --format <format>', 'Output format (text, json, html, csv)', 'text')
+  .option('-f, --format <format>', 'Output format (text, json, html, csv, or one added by a plugin)', 'text')
   .option('-t, --types <types>', 'Result types to include (violations,passes,incomplete)', 'violations')
   .option('-q, --quiet', 'Only show summary')
   .option('-v, --verbose', 'Show detailed information')
@@ -49,96 +118,71 @@ program
   .option('--timeout <seconds>', 'Timeout in seconds', '30')
   .option('-s, --silent', 'Suppress all error messages')
   .option('-d, --delay <milliseconds>', 'Delay before running tests (for animations)', '0')
-  .action(async (source, options) => {
+  .option('--include <selector>', 'Only test inside elements matching selector (repeatable)', collect, [])
+  .option('--exclude <selector>', 'Skip elements matching selector and their contents (repeatable)', collect, [])
+  .option('--profile', 'Print the slowest rules with their timings')
+  .option('-c, --config <file>', 'Config file (default: helptheweb.config.js or .helptheweb.json)')
+  .option('-p, --plugin <module>', 'Load rules, rulesets, formatters and locales from a module (repeatable)', collect, [])
+  .option('-l, --locale <locale>', 'Locale for rule descriptions provided by plugins')
+  .option('--standard <standard>', 'Label findings with the clauses of a standard (wcag21aa, section508, en301549, ...; default: the --ruleset when it names one)')
+  .action(async (source, options, command) => {
     const spinner = ora('Loading...').start();
     
     try {
-      // Get HTML content
-      let html;
-      let url = source;
-      
-      if (source.startsWith('http://') || source.startsWith('https://')) {
-        spinner.text = 'Fetching URL...';
-        const response = await fetch(source, {
-          timeout: 30000,
-          headers: {
-            'User-Agent': 'HelpTheWeb Accessibility Engine/1.0'
-          }
-        });
-        html = await response.text();
-      } else if (existsSync(source)) {
-        spinner.text = 'Reading file...';
-        html = await readFile(source, 'utf-8');
-        url = `file://${process.cwd()}/${source}`;
-      } else {
-        throw new Error(`Invalid source: ${source}`);
-      }
-      
-      // Create DOM with proper configuration
-      spinner.text = 'Creating DOM...';
+      const { format: configFormat, plugins: configPlugins, ...config } = await loadConfig(options.config);
+      const plugins = await Promise.all(options.plugin.map(plugin => loadPlugin(plugin)));
       
-      // Configure JSDOM to suppress CSS errors
-      const virtualConsole = new (await import('jsdom')).VirtualConsole();
-      if (options.silent) {
-        virtualConsole.on('error', () => {});
-        virtualConsole.on('warn', () => {});
-        virtualConsole.on('info', () => {});
-        virtualConsole.on('dir', () => {});
-      }
-      
-      const dom = new JSDOM(html, { 
-        url: url,
-        contentType: 'text/html',
-        includeNodeLocations: true,
-        storageQuota: 10000000,
-        pretendToBeVisual: true,
-        resources: 'usable',
-        virtualConsole
-      });
+      const dom = await loadSource(source, spinner, options);
       
-      // Set up globals for the engine
+      // Rules read the document and window from the run context, no globals needed
       const window = dom.window;
       const document = window.document;
       
-      // Make window methods available globally for the duration of the test
-      global.window = window;
-      global.document = document;
-      global.navigator = window.navigator;
-      global.getComputedStyle = window.getComputedStyle.bind(window);
-      global.Element = window.Element;
-      global.Node = window.Node;
-      
-      // Wait for resources to load
-      await new Promise(resolve => {
-        if (document.readyState === 'loading') {
-          window.addEventListener('DOMContentLoaded', resolve, { once: true });
-          // Add timeout to prevent hanging
-          setTimeout(resolve, 5000);
-        } else {
-          resolve();
-        }
-      });
+      // Flags given on the command line win over the config file, which wins over flag defaults
+      const setting = (flag, value, configValue) =>
+        command.getOptionValueSource(flag) === 'cli' || configValue === undefined ? value : configValue;
+      const format = setting('format', options.format, configFormat);
       
       // Configure engine
       const resultTypes = options.types.split(',').map(t => t.trim());
       const engine = createAccessibilityEngine({
-        runOnly: [options.ruleset],
-        resultTypes,
-        maxElements: parseInt(options.maxElements),
-        timeout: parseInt(options.timeout) * 1000,
-        silent: options.silent,
-        delay: parseInt(options.delay)
+        ...config,
+        runOnly: setting('ruleset', [options.ruleset], config.runOnly),
+        resultTypes: setting('types', resultTypes, config.resultTypes),
+        maxElements: setting('maxElements', parseInt(options.maxElements), config.maxElements),
+        timeout: setting('timeout', parseInt(options.timeout) * 1000, config.timeout),
+        silent: options.silent || config.silent,
+        delay: setting('delay', parseInt(options.delay), config.delay),
+        profile: options.profile || config.profile,
+        locale: options.locale || config.locale,
+        standard: options.standard || config.standard,
+        plugins: [...configPlugins, ...plugins]
       });
       
-      // Run tests - pass the document directly
+      // Show live per-rule progress
       spinner.text = 'Running accessibility tests...';
-      const results = await engine.run(document);
+      engine.on('rule:complete', ({ rule, completed, total }) => {
+        spinner.text = `Running accessibility tests... ${completed}/${total} rules (${rule})`;
+        // ora only redraws on its timer; draw now so progress shows mid-run
+        spinner.render();
+      });
+      
+      // Run tests - pass the document directly unless regions were selected
+      const hasRegions = options.include.length > 0 || options.exclude.length > 0;
+      const results = await engine.run(hasRegions
+        ? {
+          document,
+          include: options.include.length > 0 ? options.include : undefined,
+          exclude: options.exclude
+        }
+        : document);
       
       spinner.succeed('Tests completed!');
       
       // Format and display results
       const formatted = formatReport(results, {
-        format: options.format,
+        format,
+        formatters: engine.formatters,
         quiet: options.quiet,
         verbose: options.verbose,
         noColor: options.color === false
@@ -152,13 +196,10 @@ program
         console.log(formatted);
       }
       
-      // Clean up globals
-      delete global.window;
-      delete global.document;
-      delete global.navigator;
-      delete global.getComputedStyle;
-      delete global.Element;
-      delete global.Node;
+      // Keep printed reports in other formats parseable; their profile is in the report
+      if (engine.options.profile && (format === 'text' || options.output)) {
+        console.log('\n' + formatProfile(results.profile, { noColor: options.color === false }));
+      }
       
       // Close JSDOM
       window.close();
@@ -183,24 +224,91 @@ program
     }
   });
 
-// Explain command
+// Tree command
 program
-  .command('explain <ruleId>')
-  .description('Get detailed explanation of a specific rule')
-  .action(async (ruleId) => {
+  .command('tree <source>')
+  .description('Print the computed accessibility tree of a URL or HTML file')
+  .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .option('-o, --output <file>', 'Save tree to file')
+  .option('--selector <selector>', 'Only print the subtree of the first matching element')
+  .option('--include-pruned', 'Include nodes hidden from assistive technology')
+  .option('--include-generic', 'Include unnamed generic and presentational nodes')
+  .option('--no-color', 'Disable colored output')
+  .option('-s, --silent', 'Suppress all error messages')
+  .action(async (source, options) => {
+    const spinner = ora('Loading...').start();
+    
     try {
-      // Create a minimal DOM for the engine
-      const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
-      global.window = dom.window;
-      global.document = dom.window.document;
+      const dom = await loadSource(source, spinner, options);
+      const document = dom.window.document;
+      
+      let root = document;
+      if (options.selector) {
+        root = document.querySelector(options.selector);
+        if (!root) {
+          throw new Error(`No element matches selector: ${options.selector}`);
+        }
+      }
+      
+      spinner.text = 'Building accessibility tree...';
+      const tree = buildAccessibilityTree(root, {
+        includePruned: options.includePruned,
+        includeGeneric: options.includeGeneric
+      });
       
-      const engine = createAccessibilityEngine();
-      const rule = engine.rules.get(ruleId);
+      spinner.succeed('Accessibility tree built!');
+      
+      const formatted = formatTree(tree, {
+        format: options.format,
+        noColor: options.color === false
+      });
+      
+      if (options.output) {
+        await writeFile(options.output, formatted);
+        console.log(chalk.green(`✓ Tree saved to ${options.output}`));
+      } else {
+        console.log(formatted);
+      }
       
-      // Clean up
-      delete global.window;
-      delete global.document;
       dom.window.close();
+      process.exit(0);
+      
+    } catch (error) {
+      spinner.fail('Failed to build accessibility tree');
+      if (!options.silent) {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+/**
+ * Engine with the rules, rulesets and locales of the config file and the
+ * --plugin modules, for the commands that describe rules
+ */
+async function createConfiguredEngine(options) {
+  const { plugins: configPlugins, locale, rules } = await loadConfig(options.config);
+  const plugins = await Promise.all(options.plugin.map(plugin => loadPlugin(plugin)));
+  
+  return createAccessibilityEngine({
+    locale: options.locale || locale,
+    rules,
+    plugins: [...configPlugins, ...plugins]
+  });
+}
+
+// Explain command
+program
+  .command('explain <ruleId>')
+  .description('Get detailed explanation of a specific rule')
+  .option('-c, --config <file>', 'Config file (default: helptheweb.config.js or .helptheweb.json)')
+  .option('-p, --plugin <module>', 'Load rules, rulesets and locales from a module (repeatable)', collect, [])
+  .option('-l, --locale <locale>', 'Locale for rule descriptions provided by plugins')
+  .action(async (ruleId, options) => {
+    try {
+      const engine = await createConfiguredEngine(options);
+      // Locale messages and impact overrides, as a run would report them
+      const rule = engine.getRule(ruleId);
       
       if (!rule) {
         console.error(chalk.red(`Rule '${ruleId}' not found`));
@@ -229,7 +337,22 @@ program
         console.log(chalk.bold('\nPlain English Explanation:'));
         console.log(chalk.italic(rule.explanation));
       }
-      
+
+      const exampleSections = [
+        ['pass', 'Passes', chalk.green],
+        ['fail', 'Fails', chalk.red],
+        ['inapplicable', 'Does not apply to', chalk.gray],
+        ['incomplete', 'Needs review', chalk.yellow]
+      ].filter(([kind]) => rule.examples?.[kind]?.length > 0);
+
+      if (exampleSections.length > 0) {
+        console.log(chalk.bold('\nExamples:'));
+        exampleSections.forEach(([kind, heading, color]) => {
+          console.log(color(`  ${heading}:`));
+          rule.examples[kind].forEach(html => console.log(`    ${html}`));
+        });
+      }
+
       console.log('');
       
     } catch (error) {
@@ -242,28 +365,22 @@ program
 program
   .command('list')
   .description('List all available rules')
-  .option('-r, --ruleset <ruleset>', 'Filter by ruleset')
+  .option('-r, --ruleset <ruleset>', 'Filter by ruleset or tag expression (e.g. "perceivable or best-practice")')
   .option('-i, --impact <impact>', 'Filter by impact level')
   .option('-s, --search <term>', 'Search rules by keyword')
+  .option('-c, --config <file>', 'Config file (default: helptheweb.config.js or .helptheweb.json)')
+  .option('-p, --plugin <module>', 'Load rules, rulesets and locales from a module (repeatable)', collect, [])
+  .option('-l, --locale <locale>', 'Locale for rule descriptions provided by plugins')
   .action(async (options) => {
     try {
-      // Create a minimal DOM for the engine
-      const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
-      global.window = dom.window;
-      global.document = dom.window.document;
-      
-      const engine = createAccessibilityEngine();
-      let rules = Array.from(engine.rules.values());
-      
-      // Clean up
-      delete global.window;
-      delete global.document;
-      dom.window.close();
+      const engine = await createConfiguredEngine(options);
+      let ruleIds = Array.from(engine.rules.keys());
       
       // Apply filters
       if (options.ruleset) {
-        rules = rules.filter(rule => rule.tags.includes(options.ruleset));
+        ruleIds = engine.selectRules(options.ruleset);
       }
+      let rules = ruleIds.map(id => engine.getRule(id));
       
       if (options.impact) {
         rules = rules.filter(rule => rule.impact === options.impact);
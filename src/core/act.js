@@ -0,0 +1,134 @@
+/**
+ * W3C ACT test case conformance: runs the rules that implement an ACT rule
+ * against that rule's test cases and compares the outcomes with the ones
+ * the test cases expect
+ */
+
+import { createAccessibilityEngine } from './factory.js';
+
+const ALL_RESULT_TYPES = ['violations', 'passes', 'incomplete', 'inapplicable'];
+
+// Ruleset holding the one rule under test
+const RULE_UNDER_TEST = 'rule-under-test';
+
+/**
+ * Outcome of a rule on a test case, in ACT terms
+ * @param {Object} report - Report from engine.run with every result type
+ * @param {string} ruleId - Rule to look up
+ * @returns {'passed'|'failed'|'cantTell'|'inapplicable'}
+ */
+export function getActOutcome(report, ruleId) {
+  const has = type => (report[type] || []).some(rule => rule.id === ruleId);
+
+  if (has('violations')) {
+    return 'failed';
+  }
+  if (has('incomplete')) {
+    return 'cantTell';
+  }
+  if (has('passes')) {
+    return 'passed';
+  }
+  // Applicable rules whose evaluations all returned nothing are not reported
+  return 'inapplicable';
+}
+
+/**
+ * Engine that runs only the given rule and reports every result type. The
+ * rule is registered if the engine does not already have it.
+ * @param {Object} rule - Rule to run
+ * @param {Object} [engineOptions] - Options for the engine, such as plugins
+ * @returns {AccessibilityEngine}
+ */
+export function createRuleEngine(rule, engineOptions = {}) {
+  const engine = createAccessibilityEngine({
+    ...engineOptions,
+    runOnly: [RULE_UNDER_TEST],
+    resultTypes: ALL_RESULT_TYPES,
+    silent: true
+  });
+
+  if (engine.rules.get(rule.id) !== rule) {
+    engine.registerRule(rule);
+  }
+  engine.registerRuleset(RULE_UNDER_TEST, [rule.id]);
+  return engine;
+}
+
+/**
+ * Whether an outcome is consistent with the expected one, as ACT
+ * implementation reports define it: failed cases must not pass and other
+ * cases must not fail. Can't tell is consistent with a failure.
+ * @param {string} expected - 'passed', 'failed' or 'inapplicable'
+ * @param {string} actual - Outcome from getActOutcome
+ * @returns {boolean}
+ */
+export function isConsistentOutcome(expected, actual) {
+  if (expected === 'failed') {
+    return actual === 'failed' || actual === 'cantTell';
+  }
+  return actual !== 'failed';
+}
+
+/**
+ * Run every rule with ACT rule IDs against the test cases of those ACT
+ * rules. Test cases use the format of the W3C's testcases.json; only HTML
+ * test cases are run.
+ * @param {Object[]} testcases - Test cases with ruleId, testcaseId, expected and url
+ * @param {Object} options
+ * @param {function(Object): (Document|Promise<Document>)} options.loadDocument - Load a test case's document
+ * @param {function(Object): void} [options.releaseDocument] - Called once a test case's document is tested
+ * @param {Object} [options.engineOptions] - Options for the engines, such as plugins
+ * @returns {Promise<Object>} Per-rule results with the outcome of every case
+ */
+export async function runActTestCases(testcases, { loadDocument, releaseDocument, engineOptions = {} }) {
+  const htmlCases = testcases.filter(testcase => /\.html?$/i.test(testcase.url || testcase.relativePath || ''));
+  const rules = [...createAccessibilityEngine(engineOptions).rules.values()]
+    .filter(rule => rule.actRuleIds?.length > 0);
+  const results = [];
+
+  for (const rule of rules) {
+    const cases = htmlCases.filter(testcase => rule.actRuleIds.includes(testcase.ruleId));
+    if (cases.length === 0) {
+      continue;
+    }
+
+    const engine = createRuleEngine(rule, engineOptions);
+    const outcomes = [];
+
+    for (const testcase of cases) {
+      const doc = await loadDocument(testcase);
+      let actual;
+      try {
+        actual = getActOutcome(await engine.run(doc), rule.id);
+      } finally {
+        releaseDocument?.(doc);
+      }
+
+      outcomes.push({
+        actRuleId: testcase.ruleId,
+        testcaseId: testcase.testcaseId,
+        title: testcase.testcaseTitle,
+        expected: testcase.expected,
+        actual,
+        consistent: isConsistentOutcome(testcase.expected, actual)
+      });
+    }
+
+    results.push({
+      rule: rule.id,
+      actRuleIds: rule.actRuleIds,
+      total: outcomes.length,
+      consistent: outcomes.filter(outcome => outcome.consistent).length,
+      exact: outcomes.filter(outcome => outcome.actual === outcome.expected).length,
+      cases: outcomes
+    });
+  }
+
+  return {
+    rules: results,
+    total: results.reduce((sum, rule) => sum + rule.total, 0),
+    consistent: results.reduce((sum, rule) => sum + rule.consistent, 0),
+    exact: results.reduce((sum, rule) => sum + rule.exact, 0)
+  };
+}
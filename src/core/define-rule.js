@@ -0,0 +1,244 @@
+/**
+ * Rule definition checks, run when a rule is registered
+ */
+
+export const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+const SCOPES = ['element', 'page'];
+
+const REQUIRED_TEXT = ['description', 'help', 'helpUrl'];
+
+const EXAMPLE_KINDS = ['pass', 'fail', 'inapplicable', 'incomplete'];
+
+// Success criterion tags such as wcag111 or wcag1410
+const WCAG_CRITERION_TAG = /^wcag\d{3,4}$/;
+
+// Conformance level tags such as wcag2a, wcag21aa or wcag22aaa
+const WCAG_LEVEL_TAG = /^wcag2\d?a{1,3}$/;
+
+// W3C ACT rule IDs are six lowercase letters or digits, such as 23a2a8
+const ACT_RULE_ID = /^[a-z0-9]{6}$/;
+
+// Document that parses selectors where there is no global one, created the
+// first time a selector is checked; null when JSDOM cannot be loaded
+let selectorDocument;
+
+const getSelectorDocument = () => {
+  if (globalThis.document?.createDocumentFragment) {
+    return globalThis.document;
+  }
+  if (selectorDocument === undefined) {
+    selectorDocument = createJsdomDocument();
+  }
+  return selectorDocument;
+};
+
+/**
+ * A throwaway JSDOM document. JSDOM is optional and rule registration is
+ * synchronous, so it is required through the runtime's module loader, which
+ * needs process.getBuiltinModule (Node 20.16 and later, Bun).
+ */
+function createJsdomDocument() {
+  try {
+    const require = globalThis.process.getBuiltinModule('module').createRequire(import.meta.url);
+    const { JSDOM } = require('jsdom');
+    return new JSDOM('<!DOCTYPE html><div></div>').window.document;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a rule definition and return the problems found, empty when the
+ * rule is valid
+ * @param {Object} rule - Rule definition
+ * @returns {string[]} Problems, one sentence each
+ */
+export function getRuleProblems(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return ['rule must be an object'];
+  }
+
+  const problems = [];
+
+  if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+    problems.push('id must be a non-empty string');
+  }
+
+  if (typeof rule.evaluate !== 'function') {
+    problems.push('evaluate must be a function');
+  }
+
+  if (!IMPACTS.includes(rule.impact)) {
+    problems.push(`impact must be one of ${IMPACTS.join(', ')} (got ${JSON.stringify(rule.impact)})`);
+  }
+
+  if (!Array.isArray(rule.tags) || rule.tags.length === 0) {
+    problems.push('tags must be a non-empty array');
+  } else {
+    rule.tags.forEach(tag => {
+      if (typeof tag !== 'string' || tag.trim() === '') {
+        problems.push(`tags must be non-empty strings (got ${JSON.stringify(tag)})`);
+      } else if (tag.startsWith('wcag') && !WCAG_CRITERION_TAG.test(tag) && !WCAG_LEVEL_TAG.test(tag)) {
+        problems.push(`tag "${tag}" must name a success criterion as wcagNNN (e.g. wcag111) or a level (e.g. wcag22aa)`);
+      }
+    });
+  }
+
+  REQUIRED_TEXT.forEach(field => {
+    if (typeof rule[field] !== 'string' || rule[field].trim() === '') {
+      problems.push(`${field} must be a non-empty string`);
+    }
+  });
+
+  if (typeof rule.helpUrl === 'string' && rule.helpUrl.trim() !== '' && !isAbsoluteUrl(rule.helpUrl)) {
+    problems.push(`helpUrl must be an absolute URL (got "${rule.helpUrl}")`);
+  }
+
+  if (rule.explanation !== undefined && typeof rule.explanation !== 'string') {
+    problems.push('explanation must be a string');
+  }
+
+  if (rule.actRuleIds !== undefined) {
+    if (!Array.isArray(rule.actRuleIds)) {
+      problems.push('actRuleIds must be an array');
+    } else {
+      rule.actRuleIds
+        .filter(actRuleId => typeof actRuleId !== 'string' || !ACT_RULE_ID.test(actRuleId))
+        .forEach(actRuleId => problems.push(`actRuleIds must be W3C ACT rule IDs such as 23a2a8 (got ${JSON.stringify(actRuleId)})`));
+    }
+  }
+
+  if (rule.examples !== undefined) {
+    if (!rule.examples || typeof rule.examples !== 'object' || Array.isArray(rule.examples)) {
+      problems.push(`examples must be an object with ${EXAMPLE_KINDS.join(', ')} lists`);
+    } else {
+      Object.entries(rule.examples).forEach(([kind, examples]) => {
+        if (!EXAMPLE_KINDS.includes(kind)) {
+          problems.push(`examples.${kind} is not one of ${EXAMPLE_KINDS.join(', ')}`);
+        } else if (!Array.isArray(examples) || examples.some(html => typeof html !== 'string' || html.trim() === '')) {
+          problems.push(`examples.${kind} must be an array of HTML strings`);
+        }
+      });
+    }
+  }
+
+  if (rule.scope !== undefined && !SCOPES.includes(rule.scope)) {
+    problems.push(`scope must be one of ${SCOPES.join(', ')} (got ${JSON.stringify(rule.scope)})`);
+  }
+
+  if (rule.scope !== 'page' && rule.selector !== undefined) {
+    if (typeof rule.selector !== 'string' || rule.selector.trim() === '') {
+      problems.push('selector must be a non-empty string');
+    } else if (!isValidSelector(rule.selector)) {
+      problems.push(`selector "${rule.selector}" is not a valid CSS selector`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Throw if a rule definition is invalid. The error names the rule and lists
+ * every problem found.
+ * @param {Object} rule - Rule definition
+ */
+export function validateRule(rule) {
+  const problems = getRuleProblems(rule);
+
+  if (problems.length > 0) {
+    const name = typeof rule?.id === 'string' && rule.id ? `"${rule.id}"` : '(missing id)';
+    throw new Error(`Invalid rule ${name}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Define a rule, checking it straight away so mistakes surface when the
+ * module defining it loads rather than when a page is tested
+ * @param {Object} rule - Rule definition
+ * @returns {Object} The same rule
+ */
+export function defineRule(rule) {
+  validateRule(rule);
+  return rule;
+}
+
+/**
+ * Whether a selector parses, by the DOM's own parser. Where there is no
+ * global document, as in the CLI, the API and plugins loaded in Node, a
+ * throwaway JSDOM document parses it; without JSDOM either, selectors are
+ * left for the run to report.
+ */
+function isValidSelector(selector) {
+  const doc = getSelectorDocument();
+  if (!doc) {
+    return true;
+  }
+
+  try {
+    doc.createDocumentFragment().querySelector(selector);
+    // JSDOM only rejects an unknown pseudo-class once the rest of its compound
+    // matches an element, so each one is matched on its own as well
+    const probe = doc.querySelector('div') || doc.createElement('div');
+    getPseudoClasses(selector).forEach(pseudoClass => probe.matches(`*${pseudoClass}`));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pseudo-classes in a selector with their arguments, such as ':hover' and
+ * ':nth-child(2n + 1)', including those nested in :not() and :is()
+ */
+function getPseudoClasses(selector) {
+  const pseudoClasses = [];
+  let quote = null;
+  let inAttribute = false;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === ']') {
+      inAttribute = char === '[';
+    } else if (char === ':' && !inAttribute) {
+      if (selector[i + 1] === ':') {
+        // Pseudo-elements are checked by the parser
+        i++;
+        continue;
+      }
+
+      const name = selector.slice(i).match(/^:[\w-]+/);
+      if (!name) {
+        continue;
+      }
+
+      let end = i + name[0].length;
+      if (selector[end] === '(') {
+        let depth = 0;
+        do {
+          depth += selector[end] === '(' ? 1 : selector[end] === ')' ? -1 : 0;
+          end++;
+        } while (depth > 0 && end < selector.length);
+      }
+      pseudoClasses.push(selector.slice(i, end));
+    }
+  }
+
+  return pseudoClasses;
+}
+
+function isAbsoluteUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
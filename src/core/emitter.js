@@ -0,0 +1,75 @@
+/**
+ * Minimal event emitter that works in browsers, Node.js and Bun
+ */
+
+export class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Add a listener for an event
+   * @param {string} event - Event name
+   * @param {function(*): void} listener - Called with the event payload
+   * @returns {this}
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} event - Event name
+   * @param {function(*): void} listener - Called with the event payload
+   * @returns {this}
+   */
+  once(event, listener) {
+    const wrapper = payload => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener added with on() or once()
+   * @param {string} event - Event name
+   * @param {function(*): void} listener - Listener to remove
+   * @returns {this}
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (listeners) {
+      const index = listeners.findIndex(l => l === listener || l.listener === listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener for an event. Unlike Node's emitter, an 'error'
+   * event without listeners is ignored.
+   * @param {string} event - Event name
+   * @param {*} payload - Value passed to the listeners
+   * @returns {boolean} Whether the event had listeners
+   */
+  emit(event, payload) {
+    const listeners = this._listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+
+    // Copy so listeners can remove themselves while being called
+    for (const listener of [...listeners]) {
+      listener(payload);
+    }
+    return true;
+  }
+}
@@ -2,37 +2,88 @@
  * Core Accessibility Engine
  */
 
-export class AccessibilityEngine {
+import { querySelectorAllDeep, getComposedParent, formatTarget } from '../utils/dom.js';
+import { createRuleContext } from './rule-context.js';
+import { EventEmitter } from './emitter.js';
+import { validateRule } from './define-rule.js';
+import { parseTagExpression, evaluateTagExpression, getTagExpressionNames } from './tag-expression.js';
+import { STANDARDS, getRuleClauses } from '../utils/standards.js';
+
+// Reported as incomplete when a frame's document cannot be reached
+const FRAME_TESTED = {
+  id: 'frame-tested',
+  description: 'Frames must be tested',
+  help: 'Ensure the content of every frame can be tested',
+  helpUrl: 'https://github.com/helptheweb/engine#frames',
+  impact: 'moderate',
+  tags: ['best-practice', 'frames'],
+  explanation: 'The content of this frame could not be checked, usually because it comes from another origin. Test the framed page on its own.'
+};
+
+// Monotonic clock where available
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Rules hand the event loop back this often (ms), so abort signals and
+// timers fire while synchronous rules run
+const YIELD_INTERVAL = 10;
+
+const yieldToEventLoop = () => new Promise(resolve =>
+  (typeof setImmediate === 'function' ? setImmediate(resolve) : setTimeout(resolve, 0))
+);
+
+let runCounter = 0;
+
+// Per-rule execution state: set `cancelled` when the rule times out so its
+// loop stops at the next element, and count elements and the time spent in
+// evaluate for the profile
+const createExecution = () => ({ cancelled: false, matched: 0, evaluated: 0, limited: false, time: 0 });
+
+// Errors in the regions a run was asked to test carry the type
+// 'context_error', so callers such as the API can report them as bad input
+const createContextError = message => Object.assign(new Error(message), { type: 'context_error' });
+
+/**
+ * Runs rules against documents and reports the results.
+ *
+ * Emits, with a payload that always includes the run's `runId`:
+ * - `run:start` { rules, total } before any rule runs
+ * - `rule:start` { rule } and `rule:complete` { rule, outcome, nodes, time, completed, total }
+ * - `node:violation` { rule, impact, node } for every failing node
+ * - `error` { error } for each error collected in the report
+ * - `run:complete` { report } once the report is ready
+ */
+export class AccessibilityEngine extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = {
       runOnly: options.runOnly || ['wcag22a', 'wcag22aa'],
       resultTypes: options.resultTypes || ['violations'],
       reporter: options.reporter || 'v2',
       maxElements: options.maxElements || 5000,
       timeout: options.timeout || 30000,
+      ruleTimeout: options.ruleTimeout || 5000, // Time a rule may spend evaluating before it is stopped (ms)
       silent: options.silent || false, // Add silent mode
       delay: options.delay || 0, // Add delay before running tests
+      iframes: options.iframes !== false, // Test the content of same-origin frames
+      rules: options.rules || {}, // Per-rule enabled/options/impact overrides
+      profile: options.profile || false, // Add per-rule timings to the report
+      locale: options.locale || null, // Message catalog for rule descriptions and help
+      standard: options.standard || null, // Standard whose clause numbers label the results
       ...options
     };
     
     this.rules = new Map();
     this.rulesets = new Map();
-    this.results = {
-      violations: [],
-      passes: [],
-      incomplete: [],
-      inapplicable: []
-    };
-    this.errors = []; // Collect errors instead of logging
+    this.formatters = new Map();
+    this.locales = new Map();
   }
 
   /**
-   * Register a rule with the engine
+   * Register a rule with the engine. Throws, naming the rule, when its
+   * definition is invalid.
    */
   registerRule(rule) {
-    if (!rule.id || !rule.evaluate) {
-      throw new Error('Rule must have an id and evaluate function');
-    }
+    validateRule(rule);
     this.rules.set(rule.id, rule);
   }
 
@@ -43,87 +94,177 @@ export class AccessibilityEngine {
     this.rulesets.set(name, ruleIds);
   }
 
+  /**
+   * IDs of the registered rules selected by a ruleset name or a tag
+   * expression such as `wcag22aa and not aria`,
+   * `perceivable or best-practice` or `wcag143,wcag1411`. Each name in an
+   * expression matches the rules in the ruleset of that name and the rules
+   * carrying that tag. Throws for syntax errors and unknown names.
+   * @param {string} query - Ruleset name or tag expression
+   * @returns {string[]} Rule IDs
+   */
+  selectRules(query) {
+    if (this.rulesets.has(query)) {
+      return this.rulesets.get(query).filter(id => this.rules.has(id));
+    }
+    
+    const expression = parseTagExpression(query);
+    const rules = Array.from(this.rules.values());
+    const tags = new Set(rules.flatMap(rule => rule.tags || []));
+    const unknown = getTagExpressionNames(expression).filter(name => !tags.has(name) && !this.rulesets.has(name));
+    
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tag or ruleset ${unknown.map(name => `"${name}"`).join(', ')} in "${query}"`);
+    }
+    
+    return rules
+      .filter(rule => evaluateTagExpression(expression, name =>
+        (rule.tags || []).includes(name) || Boolean(this.rulesets.get(name)?.includes(rule.id))
+      ))
+      .map(rule => rule.id);
+  }
+
+  /**
+   * A registered rule as runs report it, with the engine's locale messages
+   * and per-rule impact and options applied
+   * @param {string} id - Rule ID
+   * @returns {Object|undefined} The configured rule, or undefined when no rule has the ID
+   */
+  getRule(id) {
+    const rule = this.rules.get(id);
+    return rule && this._configureRule(rule);
+  }
+
+  /**
+   * Register a report formatter, called with the report and the output options
+   */
+  registerFormatter(name, formatter) {
+    if (typeof formatter !== 'function') {
+      throw new Error(`Formatter ${name} must be a function`);
+    }
+    this.formatters.set(name, formatter);
+  }
+
+  /**
+   * Register a message catalog for a locale, keyed by rule ID. Entries may
+   * override a rule's description, help and explanation; catalogs for the
+   * same locale are merged.
+   */
+  registerLocale(locale, messages) {
+    const catalog = this.locales.get(locale) || {};
+    Object.entries(messages).forEach(([ruleId, ruleMessages]) => {
+      catalog[ruleId] = { ...catalog[ruleId], ...ruleMessages };
+    });
+    this.locales.set(locale, catalog);
+  }
+
+  /**
+   * Register everything a plugin provides. A plugin is an object with any of
+   * `rules` (array or map of rules), `rulesets` (name to rule IDs),
+   * `formatters` (name to function) and `locales` (locale to catalog).
+   */
+  use(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error('Plugin must be an object');
+    }
+    
+    const { rules = [], rulesets = {}, formatters = {}, locales = {} } = plugin;
+    
+    (Array.isArray(rules) ? rules : Object.values(rules)).forEach(rule => this.registerRule(rule));
+    Object.entries(rulesets).forEach(([name, ruleIds]) => this.registerRuleset(name, ruleIds));
+    Object.entries(formatters).forEach(([name, formatter]) => this.registerFormatter(name, formatter));
+    Object.entries(locales).forEach(([locale, messages]) => this.registerLocale(locale, messages));
+    
+    return this;
+  }
+
   /**
    * Run accessibility checks on the document or specific context
+   * @param {Document|Window|Element|Object} [context] - What to test
+   * @param {Object|Function} [runOptions] - { signal } to cancel the run, or the callback
+   * @param {Function} [callback] - Node-style callback receiving the report
    */
-  async run(context, callback) {
+  async run(context, runOptions = {}, callback) {
+    if (typeof runOptions === 'function') {
+      callback = runOptions;
+      runOptions = {};
+    }
+    const { signal } = runOptions || {};
+    
+    // Each run owns its results and errors so concurrent runs stay isolated
+    const state = this._createRunState();
+    const onAbort = () => this._halt(state, 'aborted');
+    
     try {
-      // Reset results and errors
-      this.results = {
-        violations: [],
-        passes: [],
-        incomplete: [],
-        inapplicable: []
-      };
-      this.errors = [];
-
-      // Determine the document context
-      let doc, rootElement;
+      state.standard = this._getStandard();
       
-      if (!context) {
-        // No context provided, use global document if available
-        if (typeof document !== 'undefined') {
-          doc = document;
-          rootElement = document.documentElement;
+      // Determine the document and the regions to test
+      const { doc, roots, excluded } = this._resolveContext(context);
+      
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
         } else {
-          throw new Error('No document context available');
+          signal.addEventListener('abort', onAbort, { once: true });
         }
-      } else if (context.documentElement) {
-        // It's a document
-        doc = context;
-        rootElement = context.documentElement;
-      } else if (context.ownerDocument) {
-        // It's an element
-        doc = context.ownerDocument;
-        rootElement = context;
-      } else if (context.document) {
-        // It's a window
-        doc = context.document;
-        rootElement = doc.documentElement;
-      } else {
-        throw new Error('Invalid context provided');
       }
 
       // Add delay if specified (useful for pages with animations/lazy loading)
-      if (this.options.delay > 0) {
-        await new Promise(resolve => setTimeout(resolve, this.options.delay));
+      if (this.options.delay > 0 && !state.halted) {
+        await Promise.race([
+          new Promise(resolve => state.timers.add(setTimeout(resolve, this.options.delay))),
+          state.haltedPromise
+        ]);
       }
       
-      const startTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+      const startTime = now();
       const rulesToRun = this._getRulesToRun();
       
-      // Set up timeout
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Accessibility test timeout')), this.options.timeout);
-      });
+      // Stop the rule loops once the run takes too long
+      state.timers.add(setTimeout(() => this._halt(state, 'timeout'), this.options.timeout));
       
-      // Run rules in parallel for better performance
-      const rulePromises = [];
+      // Collect the document and any frame documents to test
+      const contexts = [];
+      const unreachableFrames = [];
+      roots.forEach(root => this._collectContexts(root, doc, [], contexts, unreachableFrames, excluded));
       
-      for (const ruleId of rulesToRun) {
-        const rule = this.rules.get(ruleId);
-        if (rule) {
-          rulePromises.push(this._runRule(rule, rootElement, doc));
-        }
+      if (unreachableFrames.length > 0) {
+        state.results.incomplete.push({ ...FRAME_TESTED, nodes: unreachableFrames });
       }
       
-      // Wait for all rules to complete or timeout
-      try {
-        await Promise.race([
-          Promise.all(rulePromises),
-          timeoutPromise
-        ]);
-      } catch (timeoutError) {
-        this.errors.push({
+      const rules = Array.from(rulesToRun)
+        .filter(ruleId => this.rules.has(ruleId))
+        .map(ruleId => this._configureRule(this.rules.get(ruleId)));
+      
+      state.total = rules.length;
+      
+      if (!state.halted) {
+        // Walk each document once and hand every element to the rules whose selector matches
+        contexts.forEach(context => {
+          context.matches = this._matchRules(rules, context, state);
+        });
+        
+        this.emit('run:start', { runId: state.id, rules: rules.map(rule => rule.id), total: rules.length });
+        
+        // Run rules in parallel for better performance, until they finish or the run is halted
+        const rulePromises = rules.map(rule => this._runRule(rule, contexts, state));
+        await Promise.race([Promise.all(rulePromises), state.haltedPromise]);
+      }
+      
+      if (state.halted === 'timeout') {
+        this._addError(state, {
           type: 'timeout',
           message: 'Some accessibility tests timed out'
         });
       }
       
-      const endTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+      // Rules still winding down must not add to the report
+      state.closed = true;
+      
+      const endTime = now();
       
       const report = {
-        ...this._filterResults(),
+        ...this._filterResults(state.results),
         timestamp: new Date().toISOString(),
         url: this._getUrl(doc),
         testEngine: {
@@ -138,11 +279,27 @@ export class AccessibilityEngine {
         time: endTime - startTime
       };
 
+      if (state.standard) {
+        report.standard = { id: state.standard, name: STANDARDS[state.standard].name };
+      }
+
+      // Slowest rules first
+      if (this.options.profile) {
+        report.profile = state.profile.sort((a, b) => b.time - a.time);
+      }
+
+      // Only the rules that finished before the signal fired are reported
+      if (state.halted === 'aborted') {
+        report.aborted = true;
+      }
+
       // Add errors to report if any occurred
-      if (this.errors.length > 0 && !this.options.silent) {
-        report.errors = this.errors;
+      if (state.errors.length > 0 && !this.options.silent) {
+        report.errors = state.errors;
       }
 
+      this.emit('run:complete', { runId: state.id, report });
+
       if (callback) {
         callback(null, report);
       }
@@ -153,7 +310,80 @@ export class AccessibilityEngine {
         callback(error);
       }
       throw error;
+    } finally {
+      state.timers.forEach(timer => clearTimeout(timer));
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Create the result and error collections for a single run
+   */
+  _createRunState() {
+    let resolveHalted;
+    const haltedPromise = new Promise(resolve => {
+      resolveHalted = resolve;
+    });
+    
+    return {
+      id: ++runCounter,
+      total: 0,
+      completed: 0,
+      // Why the run stopped early ('aborted' or 'timeout'), null while it runs
+      halted: null,
+      haltedPromise,
+      resolveHalted,
+      closed: false,
+      // When the run last yielded to the event loop
+      lastYield: now(),
+      timers: new Set(),
+      // Standard whose clauses label the results, if any
+      standard: null,
+      profile: [],
+      results: {
+        violations: [],
+        passes: [],
+        incomplete: [],
+        inapplicable: []
+      },
+      errors: [] // Collect errors instead of logging
+    };
+  }
+
+  /**
+   * Stop a run early; rules stop at their next element
+   */
+  _halt(state, reason) {
+    if (!state.halted) {
+      state.halted = reason;
+      state.resolveHalted();
+    }
+  }
+
+  /**
+   * Record an error for the report and announce it
+   */
+  _addError(state, error) {
+    state.errors.push(error);
+    this.emit('error', { runId: state.id, error });
+  }
+
+  /**
+   * The standard used to label results: the `standard` option, or the
+   * standard named when runOnly selects a single standard's ruleset
+   */
+  _getStandard() {
+    const { standard, runOnly } = this.options;
+    
+    if (standard) {
+      if (!STANDARDS[standard]) {
+        throw new Error(`Unknown standard "${standard}", expected one of ${Object.keys(STANDARDS).join(', ')}`);
+      }
+      return standard;
     }
+    
+    const queries = Array.isArray(runOnly) ? runOnly : [runOnly];
+    return queries.length === 1 && STANDARDS[queries[0]] ? queries[0] : null;
   }
 
   /**
@@ -167,75 +397,237 @@ export class AccessibilityEngine {
         ? this.options.runOnly 
         : [this.options.runOnly];
         
-      rulesets.forEach(rulesetName => {
-        const ruleIds = this.rulesets.get(rulesetName);
-        if (ruleIds) {
-          ruleIds.forEach(id => rulesToRun.add(id));
-        }
+      rulesets.forEach(query => {
+        this.selectRules(query).forEach(id => rulesToRun.add(id));
       });
     } else {
       // Run all rules if no specific ruleset specified
       this.rules.forEach((rule, id) => rulesToRun.add(id));
     }
     
+    // Per-rule configuration can switch rules on or off regardless of rulesets
+    Object.entries(this.options.rules || {}).forEach(([ruleId, config]) => {
+      if (config?.enabled === false) {
+        rulesToRun.delete(ruleId);
+      } else if (config?.enabled === true) {
+        rulesToRun.add(ruleId);
+      }
+    });
+    
     return rulesToRun;
   }
 
   /**
-   * Run a single rule with error handling
+   * Apply per-rule configuration (impact override, merged evaluate options)
    */
-  async _runRule(rule, context, doc) {
-    try {
-      // Add timeout for individual rules
-      const ruleTimeout = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Rule ${rule.id} timed out`)), 5000);
+  _configureRule(rule) {
+    const config = this.options.rules?.[rule.id] || {};
+    const { description, help, explanation } = this.locales.get(this.options.locale)?.[rule.id] || {};
+    
+    return {
+      ...rule,
+      description: description || rule.description,
+      help: help || rule.help,
+      explanation: explanation || rule.explanation,
+      impact: config.impact || rule.impact,
+      options: { ...rule.options, ...config.options }
+    };
+  }
+
+  /**
+   * Resolve a document, window, element or { include, exclude } context
+   * into the document, the root elements to test and the excluded elements
+   */
+  _resolveContext(context) {
+    if (context && (context.include || context.exclude)) {
+      const doc = context.document ||
+        [...(context.include || []), ...(context.exclude || [])].find(item => item?.ownerDocument)?.ownerDocument ||
+        (typeof document !== 'undefined' ? document : null);
+      
+      if (!doc) {
+        throw new Error('No document context available');
+      }
+      
+      const select = selector => {
+        try {
+          return querySelectorAllDeep(doc, selector);
+        } catch (error) {
+          throw createContextError(`Invalid include or exclude selector "${selector}": ${error.message}`);
+        }
+      };
+      const resolve = items => [].concat(items || []).flatMap(item =>
+        typeof item === 'string' ? select(item) : [item]
+      );
+      
+      // A region that is not there would leave a report that looks clean
+      [].concat(context.include || []).forEach(item => {
+        if (typeof item === 'string' && select(item).length === 0) {
+          throw createContextError(`No element matches the include selector "${item}"`);
+        }
       });
       
-      const ruleExecution = this._executeRule(rule, context, doc);
+      const included = context.include ? resolve(context.include) : [doc.documentElement];
+      // Nested include regions are covered by their outermost region
+      const roots = included.filter((root, index) =>
+        included.indexOf(root) === index &&
+        !included.some(other => other !== root && other.contains(root))
+      );
+      
+      return { doc, roots, excluded: new Set(resolve(context.exclude)) };
+    }
+    
+    if (!context) {
+      // No context provided, use global document if available
+      if (typeof document !== 'undefined') {
+        return { doc: document, roots: [document.documentElement], excluded: new Set() };
+      }
+      throw new Error('No document context available');
+    } else if (context.documentElement) {
+      // It's a document
+      return { doc: context, roots: [context.documentElement], excluded: new Set() };
+    } else if (context.ownerDocument) {
+      // It's an element
+      return { doc: context.ownerDocument, roots: [context], excluded: new Set() };
+    } else if (context.document) {
+      // It's a window
+      return { doc: context.document, roots: [context.document.documentElement], excluded: new Set() };
+    }
+    
+    throw new Error('Invalid context provided');
+  }
+
+  /**
+   * Check whether an element is inside an excluded region
+   */
+  _isExcluded(element, excluded) {
+    if (excluded.size === 0) {
+      return false;
+    }
+    
+    for (let current = element; current; current = getComposedParent(current)) {
+      if (excluded.has(current)) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Collect the test context and, recursively, the documents of its frames
+   */
+  _collectContexts(root, doc, framePath, contexts, unreachableFrames, excluded = new Set()) {
+    contexts.push({ root, doc, framePath, excluded, ruleContext: this._createRuleContext(root, doc) });
+    
+    if (!this.options.iframes) {
+      return;
+    }
+    
+    for (const frame of querySelectorAllDeep(root, 'iframe, frame')) {
+      if (this._isExcluded(frame, excluded)) {
+        continue;
+      }
+      
+      const target = this._getTarget(frame, framePath);
+      let frameDoc = null;
+      
+      try {
+        frameDoc = frame.contentDocument;
+      } catch (e) {
+        // Cross-origin frames throw in some environments
+      }
+      
+      if (!frameDoc || !frameDoc.documentElement) {
+        unreachableFrames.push({
+          html: this._getOuterHTML(frame),
+          target,
+          framePath,
+          incomplete: true,
+          message: 'Frame content could not be reached (cross-origin or not loaded)'
+        });
+        continue;
+      }
       
-      await Promise.race([ruleExecution, ruleTimeout]);
+      const childPath = [...framePath, formatTarget(this._getSelector(frame))];
+      this._collectContexts(frameDoc.documentElement, frameDoc, childPath, contexts, unreachableFrames);
+    }
+  }
+
+  /**
+   * Create the context passed to every rule's evaluate for one document
+   */
+  _createRuleContext(root, doc) {
+    return createRuleContext(root, doc);
+  }
+
+  /**
+   * Run a single rule with error handling
+   */
+  async _runRule(rule, contexts, state) {
+    const execution = createExecution();
+    let outcome;
+    let nodes = 0;
+    
+    this.emit('rule:start', { runId: state.id, rule: rule.id });
+    
+    try {
+      ({ outcome, nodes } = await this._executeRule(rule, contexts, state, execution));
     } catch (error) {
-      this.errors.push({
+      if (state.closed) {
+        return;
+      }
+      
+      this._addError(state, {
         type: 'rule_error',
         rule: rule.id,
         message: error.message
       });
       
       // Add rule to incomplete if it errors
-      this.results.incomplete.push({
-        id: rule.id,
-        description: rule.description,
-        help: rule.help,
-        helpUrl: rule.helpUrl,
-        impact: rule.impact,
-        tags: rule.tags,
-        explanation: rule.explanation,
-        nodes: []
+      state.results.incomplete.push(this._createRuleReport(rule, state));
+      outcome = 'incomplete';
+    }
+    
+    // A halted rule stopped part way and has nothing to report
+    if (outcome === undefined || state.closed) {
+      return;
+    }
+    
+    // Rules run interleaved, so only the time inside their own evaluate
+    // calls says how much each one costs
+    const { time } = execution;
+    
+    if (this.options.profile) {
+      state.profile.push({
+        rule: rule.id,
+        time,
+        matched: execution.matched,
+        evaluated: execution.evaluated,
+        timePerElement: execution.evaluated > 0 ? time / execution.evaluated : 0,
+        hitMaxElements: execution.limited,
+        timedOut: execution.cancelled
       });
     }
+    
+    state.completed++;
+    this.emit('rule:complete', {
+      runId: state.id,
+      rule: rule.id,
+      outcome,
+      nodes,
+      time,
+      completed: state.completed,
+      total: state.total
+    });
   }
 
   /**
-   * Execute a single rule
+   * Build the reported entry for a rule, without nodes yet. With a standard
+   * selected, the entry lists the standard's clauses the rule tests.
+   * Rules implementing W3C ACT rules carry their ACT rule IDs.
    */
-  async _executeRule(rule, context, doc) {
-    const elements = this._getElements(rule.selector, context, doc);
-    
-    if (elements.length === 0) {
-      this.results.inapplicable.push({
-        id: rule.id,
-        description: rule.description,
-        help: rule.help,
-        helpUrl: rule.helpUrl,
-        impact: rule.impact,
-        tags: rule.tags,
-        explanation: rule.explanation,
-        nodes: []
-      });
-      return;
-    }
-
-    const ruleResult = {
+  _createRuleReport(rule, state) {
+    const report = {
       id: rule.id,
       description: rule.description,
       help: rule.help,
@@ -245,84 +637,297 @@ export class AccessibilityEngine {
       explanation: rule.explanation,
       nodes: []
     };
+    
+    if (rule.actRuleIds) {
+      report.actRuleIds = rule.actRuleIds;
+    }
+    
+    if (state.standard) {
+      report.clauses = getRuleClauses(rule, state.standard);
+    }
+    
+    return report;
+  }
+
+  /**
+   * Execute a single rule against every context and merge the nodes
+   */
+  async _executeRule(rule, contexts, state, execution = createExecution()) {
+    const ruleResult = this._createRuleReport(rule, state);
+    let applicable = false;
+    
+    for (const context of contexts) {
+      await this._yield(state);
+      if (this._isStopped(state, execution)) {
+        return { outcome: undefined, nodes: 0 };
+      }
+      
+      // Page rules run once per document, element rules once per matching element
+      const findings = rule.scope === 'page'
+        ? await this._evaluatePage(rule, context, execution)
+        : await this._evaluateElements(rule, context, state, execution);
+      
+      if (this._isStopped(state, execution)) {
+        return { outcome: undefined, nodes: 0 };
+      }
+      
+      if (findings === null) {
+        continue;
+      }
+      applicable = true;
+      
+      for (const { element, result } of findings) {
+        ruleResult.nodes.push(this._createNodeResult(element, result, context.framePath));
+      }
+    }
+    
+    if (!applicable) {
+      state.results.inapplicable.push({ ...ruleResult });
+      return { outcome: 'inapplicable', nodes: 0 };
+    }
+
+    // Applicable rules whose evaluations all returned nothing are not reported
+    let outcome = null;
+    
+    if (ruleResult.nodes.length > 0) {
+      const allPassed = ruleResult.nodes.every(n => n.passed);
+      const anyIncomplete = ruleResult.nodes.some(n => n.incomplete);
+      
+      if (anyIncomplete) {
+        outcome = 'incomplete';
+      } else if (allPassed) {
+        outcome = 'passes';
+      } else {
+        outcome = 'violations';
+        ruleResult.nodes
+          .filter(node => !node.passed)
+          .forEach(node => this.emit('node:violation', { runId: state.id, rule: rule.id, impact: rule.impact, node }));
+      }
+      state.results[outcome].push(ruleResult);
+    }
+    
+    return { outcome, nodes: ruleResult.nodes.length };
+  }
+
+  /**
+   * Whether a rule should stop: the run was halted or the rule timed out
+   */
+  _isStopped(state, execution) {
+    return Boolean(state.halted || execution.cancelled);
+  }
+
+  /**
+   * Yield to the event loop once the run has held it for YIELD_INTERVAL ms
+   */
+  async _yield(state) {
+    if (now() - state.lastYield >= YIELD_INTERVAL) {
+      await yieldToEventLoop();
+      state.lastYield = now();
+    }
+  }
+
+  /**
+   * Call a rule's evaluate and add its time to the rule's total. Synchronous
+   * results are not awaited before the clock stops, as the await would let
+   * other rules run inside the timed call.
+   */
+  async _evaluate(rule, node, ruleContext, execution) {
+    const start = now();
+    try {
+      const result = rule.evaluate(node, rule.options, ruleContext);
+      return result && typeof result.then === 'function' ? await result : result;
+    } finally {
+      execution.time += now() - start;
+    }
+  }
+
+  /**
+   * Stop a rule once it has spent the ruleTimeout option evaluating
+   */
+  _checkRuleTimeout(rule, execution) {
+    if (execution.time > this.options.ruleTimeout) {
+      execution.cancelled = true;
+      throw new Error(`Rule ${rule.id} timed out`);
+    }
+  }
 
+  /**
+   * Evaluate a rule against each element matching its selector. Returns null
+   * when no element in the context matches.
+   */
+  async _evaluateElements(rule, { matches, ruleContext }, state, execution) {
+    const elements = matches.get(rule.id) || [];
+    
+    if (elements.length === 0) {
+      return null;
+    }
+    
     // Limit number of elements to check
     const elementsToCheck = elements.slice(0, this.options.maxElements);
+    execution.matched += elements.length;
     
     if (elements.length > this.options.maxElements) {
-      this.errors.push({
+      execution.limited = true;
+      this._addError(state, {
         type: 'element_limit',
         rule: rule.id,
         message: `Checking only first ${this.options.maxElements} of ${elements.length} elements`
       });
     }
-
+    
+    const findings = [];
+    
     for (const element of elementsToCheck) {
+      await this._yield(state);
+      if (this._isStopped(state, execution)) {
+        break;
+      }
+      
+      execution.evaluated++;
       try {
-        const result = await rule.evaluate(element, this.options);
+        const result = await this._evaluate(rule, element, ruleContext, execution);
         
         if (result) {
-          const nodeResult = {
-            html: this._getOuterHTML(element),
-            target: this._getSelector(element),
-            ...result
-          };
-          
-          ruleResult.nodes.push(nodeResult);
+          findings.push({ element, result });
         }
       } catch (elementError) {
         // Silently skip elements that cause errors
-        this.errors.push({
+        this._addError(state, {
           type: 'element_error',
           rule: rule.id,
           message: elementError.message
         });
       }
+      this._checkRuleTimeout(rule, execution);
     }
+    
+    return findings;
+  }
 
-    if (ruleResult.nodes.length > 0) {
-      const allPassed = ruleResult.nodes.every(n => n.passed);
-      const anyIncomplete = ruleResult.nodes.some(n => n.incomplete);
-      
-      if (anyIncomplete) {
-        this.results.incomplete.push(ruleResult);
-      } else if (allPassed) {
-        this.results.passes.push(ruleResult);
-      } else {
-        this.results.violations.push(ruleResult);
+  /**
+   * Evaluate a page rule once for the context's document. The rule returns a
+   * list of findings, each naming its own element; findings outside the
+   * tested regions are dropped. Returns null when the rule does not apply.
+   */
+  async _evaluatePage(rule, { root, doc, excluded, ruleContext }, execution) {
+    execution.matched++;
+    execution.evaluated++;
+    const results = await this._evaluate(rule, doc, ruleContext, execution);
+    this._checkRuleTimeout(rule, execution);
+    
+    if (!results) {
+      return null;
+    }
+    
+    const findings = results
+      .map(({ element, ...result }) => ({ element: element || doc.documentElement, result }))
+      .filter(({ element }) => this._isWithin(element, root) && !this._isExcluded(element, excluded));
+    
+    return findings.length > 0 ? findings : null;
+  }
+
+  /**
+   * Build the reported node for an element and its rule result
+   */
+  _createNodeResult(element, result, framePath) {
+    const { relatedNodes, ...rest } = result;
+    const nodeResult = {
+      html: this._getOuterHTML(element),
+      target: this._getTarget(element, framePath),
+      ...(framePath.length > 0 ? { framePath } : {}),
+      ...rest
+    };
+    
+    if (relatedNodes) {
+      nodeResult.relatedNodes = relatedNodes.map(related => ({
+        html: this._getOuterHTML(related),
+        target: this._getTarget(related, framePath)
+      }));
+    }
+    
+    return nodeResult;
+  }
+
+  /**
+   * Check whether an element is the root or inside it, across shadow boundaries
+   */
+  _isWithin(element, root) {
+    for (let current = element; current; current = getComposedParent(current)) {
+      if (current === root) {
+        return true;
       }
     }
+    
+    return false;
   }
 
   /**
-   * Get elements matching selector with performance optimization
+   * Walk the context once, in document order and through open shadow roots,
+   * and collect the elements each element rule's selector matches. Rules
+   * without a selector test the context root itself.
+   * @returns {Map<string, Element[]>} Matching elements by rule ID
    */
-  _getElements(selector, context, doc) {
-    if (!selector) return [context];
+  _matchRules(rules, { root, excluded }, state) {
+    const matches = new Map();
+    // Rules sharing a selector share one list of elements
+    const bySelector = new Map();
     
-    try {
-      // Special handling for selectors that need document context
-      if (selector === 'html' || selector === 'body') {
-        const element = doc.querySelector(selector);
-        return element ? [element] : [];
+    for (const rule of rules) {
+      if (rule.scope === 'page') {
+        continue;
       }
       
-      // For wildcard selector, limit scope
-      if (selector === '*') {
-        // Only check visible text elements for performance
-        const textSelectors = 'p, span, div, h1, h2, h3, h4, h5, h6, li, td, th, a, button';
-        return Array.from(context.querySelectorAll(textSelectors));
+      if (!rule.selector) {
+        matches.set(rule.id, this._isExcluded(root, excluded) ? [] : [root]);
+        continue;
       }
       
-      return Array.from(context.querySelectorAll(selector));
-    } catch (e) {
-      this.errors.push({
-        type: 'selector_error',
-        selector: selector,
-        message: e.message
-      });
-      return [];
+      if (!bySelector.has(rule.selector)) {
+        // Invalid selectors are reported and their rules are left without elements
+        try {
+          root.matches(rule.selector);
+        } catch (e) {
+          this._addError(state, {
+            type: 'selector_error',
+            selector: rule.selector,
+            message: e.message
+          });
+          continue;
+        }
+        bySelector.set(rule.selector, []);
+      }
+      
+      matches.set(rule.id, bySelector.get(rule.selector));
+    }
+    
+    if (bySelector.size === 0) {
+      return matches;
+    }
+    
+    for (const element of [root, ...querySelectorAllDeep(root, '*')]) {
+      if (this._isExcluded(element, excluded)) {
+        continue;
+      }
+      
+      for (const [selector, elements] of bySelector) {
+        // Some selector engines only reject unknown pseudo-classes once they reach them
+        try {
+          if (element.matches(selector)) {
+            elements.push(element);
+          }
+        } catch (e) {
+          this._addError(state, {
+            type: 'selector_error',
+            selector,
+            message: e.message
+          });
+          elements.length = 0;
+          bySelector.delete(selector);
+        }
+      }
     }
+    
+    return matches;
   }
 
   /**
@@ -340,9 +945,33 @@ export class AccessibilityEngine {
   }
 
   /**
-   * Generate CSS selector for element
+   * Generate the node target, prefixed with the selectors of any frames
+   */
+  _getTarget(element, framePath = []) {
+    const selector = this._getSelector(element);
+    return framePath.length > 0 ? [...framePath, ...[].concat(selector)] : selector;
+  }
+
+  /**
+   * Generate CSS selector for element. Elements inside shadow DOM get an
+   * array with one selector per shadow root, starting from the document.
    */
   _getSelector(element) {
+    const selectors = [];
+    let current = element;
+    
+    while (current) {
+      selectors.unshift(this._getScopedSelector(current));
+      current = current.getRootNode().host || null;
+    }
+    
+    return selectors.length > 1 ? selectors : selectors[0];
+  }
+
+  /**
+   * Generate CSS selector for element within its own document or shadow root
+   */
+  _getScopedSelector(element) {
     const path = [];
     let current = element;
     
@@ -387,17 +1016,17 @@ export class AccessibilityEngine {
   /**
    * Filter results based on options
    */
-  _filterResults() {
+  _filterResults(results) {
     const filtered = {};
     
     if (this.options.resultTypes) {
       this.options.resultTypes.forEach(type => {
-        if (this.results[type]) {
-          filtered[type] = this.results[type];
+        if (results[type]) {
+          filtered[type] = results[type];
         }
       });
     } else {
-      return this.results;
+      return results;
     }
     
     return filtered;
@@ -408,7 +1037,7 @@ export class AccessibilityEngine {
    */
   _getTestEnvironment(doc) {
     try {
-      const win = doc?.defaultView || global.window;
+      const win = doc?.defaultView;
       
       if (win) {
         return {
@@ -5,9 +5,14 @@
 import { AccessibilityEngine } from './engine.js';
 import { WCAG22 } from '../rules/wcag22/index.js';
 import { bestPracticeRules } from '../rules/best-practices/index.js';
+import { ariaRules } from '../rules/aria/index.js';
+import { apcaRules } from '../rules/apca/index.js';
+import { STANDARDS, getRuleClauses } from '../utils/standards.js';
 
 export function createAccessibilityEngine(options = {}) {
-  const engine = new AccessibilityEngine(options);
+  // Plugins are registered below and kept out of the reported tool options
+  const { plugins = [], ...engineOptions } = options;
+  const engine = new AccessibilityEngine(engineOptions);
   
   // Register all WCAG 2.2 rules by default
   Object.values(WCAG22.rules).forEach(rule => {
@@ -19,15 +24,40 @@ export function createAccessibilityEngine(options = {}) {
     engine.registerRule(rule);
   });
   
+  // Register APCA rules; no default ruleset includes them
+  Object.values(apcaRules).forEach(rule => {
+    engine.registerRule(rule);
+  });
+  
   // Register WCAG rulesets
   Object.entries(WCAG22.rulesets).forEach(([name, ruleIds]) => {
     engine.registerRuleset(name, ruleIds);
   });
   
-  // Register best practice ruleset
-  const bestPracticeRuleIds = Object.keys(bestPracticeRules);
+  // Register rulesets for the other standards from the success criteria each rule tests
+  Object.keys(STANDARDS)
+    .filter(standardId => !engine.rulesets.has(standardId))
+    .forEach(standardId => {
+      const ruleIds = Object.values(WCAG22.rules)
+        .filter(rule => getRuleClauses(rule, standardId).length > 0)
+        .map(rule => rule.id);
+      engine.registerRuleset(standardId, ruleIds);
+    });
+  
+  // Register best practice ruleset, with the ARIA rules that are advice
+  // rather than WCAG failures
+  const bestPracticeRuleIds = [
+    ...Object.keys(bestPracticeRules),
+    ...Object.values(ariaRules).filter(rule => rule.tags.includes('best-practice')).map(rule => rule.id)
+  ];
   engine.registerRuleset('best-practice', bestPracticeRuleIds);
   
+  // Register ARIA ruleset (the rules other than best practices are also part of the WCAG rulesets)
+  engine.registerRuleset('aria', Object.keys(ariaRules));
+  
+  // Register APCA ruleset (advisory, alongside the WCAG contrast rules)
+  engine.registerRuleset('apca', Object.keys(apcaRules));
+  
   // Create combined rulesets
   engine.registerRuleset('wcag22aa-with-best-practices', [
     ...WCAG22.rulesets.wcag22aa,
@@ -39,5 +69,8 @@ export function createAccessibilityEngine(options = {}) {
     ...bestPracticeRuleIds
   ]);
   
+  // Plugins come last so they can add to or replace the built-in rules and rulesets
+  plugins.forEach(plugin => engine.use(plugin));
+  
   return engine;
 }
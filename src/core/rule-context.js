@@ -0,0 +1,40 @@
+/**
+ * Per-run context passed to rule evaluate functions
+ */
+
+import { getComputedStyle } from '../utils/dom.js';
+import { isHidden } from '../utils/aria.js';
+import { getAccessibleName } from '../utils/accname.js';
+
+/**
+ * Create the context passed to every rule's evaluate for one document.
+ * Rules read the document and window from here instead of globals, and
+ * share computed values through the cache for the rest of the run. Computed
+ * style, visibility and accessible name are memoized per element, so rules
+ * asking for the same element pay for the computation once.
+ * @param {Element} root - Root element being tested
+ * @param {Document} doc - Document that owns the root
+ * @returns {Object} Rule context
+ */
+export function createRuleContext(root, doc) {
+  const styles = new WeakMap();
+  const hidden = new WeakMap();
+  const names = new WeakMap();
+
+  return {
+    document: doc,
+    window: doc.defaultView || null,
+    root,
+    cache: new Map(),
+    getComputedStyle: element => memoize(styles, element, getComputedStyle),
+    isHidden: element => memoize(hidden, element, isHidden),
+    getAccessibleName: element => memoize(names, element, getAccessibleName)
+  };
+}
+
+function memoize(cache, element, compute) {
+  if (!cache.has(element)) {
+    cache.set(element, compute(element));
+  }
+  return cache.get(element);
+}
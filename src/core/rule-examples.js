@@ -0,0 +1,81 @@
+/**
+ * Rule examples: rules can list HTML they pass, fail, do not apply to and
+ * cannot decide without a manual check. The examples document the rule in
+ * `helptheweb explain` and double as its tests, which testRuleExamples runs.
+ */
+
+import { createRuleEngine, getActOutcome } from './act.js';
+
+// Example kinds and the outcome each expects
+export const EXAMPLE_OUTCOMES = {
+  pass: 'passed',
+  fail: 'failed',
+  inapplicable: 'inapplicable',
+  incomplete: 'cantTell'
+};
+
+/**
+ * Full document for an example. Complete documents are used as they are;
+ * fragments become the body of a page with a language and a title, so
+ * page-level rules do not get in the way.
+ * @param {string} html - Example markup
+ * @returns {string} Document markup
+ */
+export function getExampleDocument(html) {
+  if (/^\s*(<!doctype|<html)/i.test(html)) {
+    return html;
+  }
+  return `<!DOCTYPE html><html lang="en"><head><title>Rule example</title></head><body>${html}</body></html>`;
+}
+
+/**
+ * Render a document with JSDOM for an example
+ * @param {string} html - Document markup
+ * @returns {Promise<Document>} Document whose boxes take their CSS width and height
+ */
+export async function createExampleDocument(html) {
+  const { JSDOM } = await import('jsdom');
+  const { window } = new JSDOM(html, { pretendToBeVisual: true });
+
+  // JSDOM does no layout, so boxes take the width and height set in CSS and
+  // rules that measure elements can still be shown passing and failing
+  window.Element.prototype.getBoundingClientRect = function() {
+    const style = window.getComputedStyle(this);
+    const width = style.display === 'none' ? 0 : parseFloat(style.width) || 0;
+    const height = style.display === 'none' ? 0 : parseFloat(style.height) || 0;
+    return { x: 0, y: 0, top: 0, left: 0, right: width, bottom: height, width, height, toJSON: () => ({}) };
+  };
+
+  return window.document;
+}
+
+/**
+ * Run a rule against each of its examples and compare the outcome with the
+ * one the example expects. Rules that are not registered yet, such as a
+ * plugin's, are tested on their own.
+ * @param {Object} rule - Rule with examples
+ * @param {Object} [options]
+ * @param {function(string): (Document|Promise<Document>)} [options.createDocument] - Render a document; uses JSDOM by default
+ * @param {Object} [options.engineOptions] - Options for the engine, such as plugins
+ * @returns {Promise<Object[]>} One entry per example: kind, html, expected, actual and passed
+ */
+export async function testRuleExamples(rule, { createDocument = createExampleDocument, engineOptions = {} } = {}) {
+  const engine = createRuleEngine(rule, engineOptions);
+  const results = [];
+
+  for (const [kind, expected] of Object.entries(EXAMPLE_OUTCOMES)) {
+    for (const html of rule.examples?.[kind] || []) {
+      const doc = await createDocument(getExampleDocument(html));
+      let actual;
+      try {
+        actual = getActOutcome(await engine.run(doc), rule.id);
+      } finally {
+        doc.defaultView?.close();
+      }
+
+      results.push({ kind, html, expected, actual, passed: actual === expected });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,123 @@
+/**
+ * Boolean tag expressions used to pick rules, such as
+ * `wcag22aa and not experimental` or `wcag143,wcag1411`
+ *
+ * Grammar, loosest binding first:
+ *   or      := and (("or" | ",") and)*
+ *   and     := not ("and" not)*
+ *   not     := "not" not | primary
+ *   primary := name | "(" or ")"
+ */
+
+const KEYWORDS = ['and', 'or', 'not'];
+
+/**
+ * Parse a tag expression into a tree of
+ * { type: 'name', name } | { type: 'not', operand } | { type: 'and'|'or', left, right }
+ * @param {string} expression - Expression to parse
+ * @returns {Object} Expression tree
+ */
+export function parseTagExpression(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const fail = message => {
+    throw new Error(`Invalid tag expression "${expression}": ${message}`);
+  };
+  const peek = () => tokens[position];
+  const describe = token => (token ? `"${token}"` : 'the end');
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() === 'or' || peek() === ',') {
+      position++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() === 'and') {
+      position++;
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() === 'not') {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    const previous = tokens[position - 1];
+
+    if (token === '(') {
+      position++;
+      const node = parseOr();
+      if (peek() !== ')') {
+        fail(`expected ")" but found ${describe(peek())}`);
+      }
+      position++;
+      return node;
+    }
+
+    if (token === undefined || token === ')' || token === ',' || KEYWORDS.includes(token)) {
+      fail(previous ? `expected a tag after "${previous}" but found ${describe(token)}` : `expected a tag but found ${describe(token)}`);
+    }
+
+    position++;
+    return { type: 'name', name: token };
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    fail(`unexpected ${describe(peek())}`);
+  }
+  return tree;
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {Object} node - Tree from parseTagExpression
+ * @param {function(string): boolean} hasName - Whether a name matches
+ * @returns {boolean}
+ */
+export function evaluateTagExpression(node, hasName) {
+  if (node.type === 'name') {
+    return hasName(node.name);
+  }
+  if (node.type === 'not') {
+    return !evaluateTagExpression(node.operand, hasName);
+  }
+  if (node.type === 'and') {
+    return evaluateTagExpression(node.left, hasName) && evaluateTagExpression(node.right, hasName);
+  }
+  return evaluateTagExpression(node.left, hasName) || evaluateTagExpression(node.right, hasName);
+}
+
+/**
+ * Names used in an expression tree, in order of appearance
+ * @param {Object} node - Tree from parseTagExpression
+ * @returns {string[]}
+ */
+export function getTagExpressionNames(node) {
+  if (node.type === 'name') {
+    return [node.name];
+  }
+  if (node.type === 'not') {
+    return getTagExpressionNames(node.operand);
+  }
+  return [...getTagExpressionNames(node.left), ...getTagExpressionNames(node.right)];
+}
+
+// Words, commas and parentheses; keywords are matched case-insensitively
+function tokenize(expression) {
+  return (String(expression).match(/[(),]|[^\s(),]+/g) || [])
+    .map(token => (KEYWORDS.includes(token.toLowerCase()) ? token.toLowerCase() : token));
+}
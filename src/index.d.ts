@@ -6,10 +6,13 @@ export interface Rule {
   /** Unique identifier for the rule */
   id: string;
   
-  /** CSS selector to find elements to test */
-  selector: string;
+  /** CSS selector to find elements to test (element rules only) */
+  selector?: string;
   
-  /** Tags for categorization (e.g., 'wcag22a', 'wcag22aa') */
+  /** 'page' rules run once per document and return a list of findings */
+  scope?: 'element' | 'page';
+  
+  /** Tags for categorization (e.g., 'wcag22a', 'wcag22aa'); WCAG criteria are written as wcagNNN, e.g. 'wcag111' */
   tags: string[];
   
   /** Impact level of violations */
@@ -21,14 +24,52 @@ export interface Rule {
   /** Help text for fixing violations */
   help: string;
   
-  /** URL to detailed documentation */
+  /** Absolute URL to detailed documentation */
   helpUrl: string;
   
   /** Plain English explanation for non-technical users */
   explanation?: string;
   
-  /** Function to evaluate an element against the rule */
-  evaluate: (element: Element, options: EngineOptions) => RuleResult | null;
+  /** IDs of the W3C ACT rules this rule implements, e.g. '23a2a8' */
+  actRuleIds?: string[];
+  
+  /** HTML the rule passes, fails, does not apply to and needs review for; shown by explain and run by testRuleExamples */
+  examples?: RuleExamples;
+  
+  /** Default parameters passed to evaluate, overridable via EngineOptions.rules */
+  options?: Record<string, any>;
+  
+  /** Function to evaluate an element (or, for page rules, the document) against the rule */
+  evaluate: (element: Element | Document, options: Record<string, any>, context: RuleContext) =>
+    RuleResult | PageFinding[] | null | Promise<RuleResult | PageFinding[] | null>;
+}
+
+export interface PageFinding extends RuleResult {
+  /** Element the finding is reported on; defaults to the document element */
+  element?: Element;
+}
+
+export interface RuleContext {
+  /** Document that owns the element being tested */
+  document: Document;
+  
+  /** Window of that document */
+  window: Window | null;
+  
+  /** Root element being tested in that document */
+  root: Element;
+  
+  /** Values shared between rules for the rest of the run */
+  cache: Map<string, any>;
+  
+  /** Computed style, memoized per element for the run */
+  getComputedStyle: (element: Element) => CSSStyleDeclaration;
+  
+  /** Whether the element is hidden from assistive technology, memoized per element */
+  isHidden: (element: Element) => boolean;
+  
+  /** Accessible name, memoized per element */
+  getAccessibleName: (element: Element) => string;
 }
 
 export interface RuleResult {
@@ -43,14 +84,28 @@ export interface RuleResult {
   
   /** Additional data about the result */
   data?: Record<string, any>;
+  
+  /** Other elements involved in the result, such as elements sharing a duplicate ID */
+  relatedNodes?: Element[];
 }
 
-export interface NodeResult {
+export interface RelatedNode {
   /** HTML snippet of the element */
   html: string;
   
   /** CSS selector path to the element */
-  target: string;
+  target: string | string[];
+}
+
+export interface NodeResult {
+  /** HTML snippet of the element */
+  html: string;
+  
+  /** CSS selector path to the element; one selector per shadow root for elements in shadow DOM */
+  target: string | string[];
+  
+  /** Selectors of the frames containing the element, outermost first */
+  framePath?: string[];
   
   /** Whether the element passed */
   passed?: boolean;
@@ -63,6 +118,9 @@ export interface NodeResult {
   
   /** Additional data */
   data?: Record<string, any>;
+  
+  /** Other elements involved in the result */
+  relatedNodes?: RelatedNode[];
 }
 
 export interface RuleReport {
@@ -87,12 +145,42 @@ export interface RuleReport {
   /** Plain English explanation */
   explanation?: string;
   
+  /** IDs of the W3C ACT rules the rule implements */
+  actRuleIds?: string[];
+  
+  /** Clauses of the selected standard the rule tests (only when a standard is selected) */
+  clauses?: string[];
+  
   /** Results for each tested element */
   nodes: NodeResult[];
 }
 
+/** Per-rule configuration */
+export interface RuleConfig {
+  /** Turn the rule off, or on even when no selected ruleset includes it */
+  enabled?: boolean;
+  
+  /** Parameters merged over the rule's default options */
+  options?: Record<string, any>;
+  
+  /** Override the rule's impact */
+  impact?: 'critical' | 'serious' | 'moderate' | 'minor';
+}
+
+/** Regions of a document to test */
+export interface ContextSpec {
+  /** Selectors or elements to test inside (default: the whole document); a selector matching nothing rejects the run with an error whose `type` is 'context_error' */
+  include?: Array<string | Element>;
+  
+  /** Selectors or elements to skip, with their contents */
+  exclude?: Array<string | Element>;
+  
+  /** Document to resolve selectors against (default: the global document) */
+  document?: Document;
+}
+
 export interface EngineOptions {
-  /** Rulesets to run (e.g., ['wcag22a', 'wcag22aa']) */
+  /** Rulesets or tag expressions to run (e.g., ['wcag22a', 'wcag22aa'] or 'wcag22aa and not aria') */
   runOnly?: string[] | string;
   
   /** Result types to include (e.g., ['violations', 'passes']) */
@@ -101,8 +189,56 @@ export interface EngineOptions {
   /** Reporter version */
   reporter?: string;
   
-  /** Rule-specific options */
-  rules?: Record<string, any>;
+  /** Milliseconds a rule may spend in its evaluate calls before it is stopped with a 'timeout' error (default 5000) */
+  ruleTimeout?: number;
+  
+  /** Rule-specific configuration keyed by rule ID */
+  rules?: Record<string, RuleConfig>;
+  
+  /** Test the content of same-origin iframes and frames (default true) */
+  iframes?: boolean;
+  
+  /** Add per-rule timings to the report under `profile` */
+  profile?: boolean;
+  
+  /** Locale of the registered message catalog used for rule descriptions and help */
+  locale?: string;
+  
+  /** Standard whose clause numbers label the results; defaults to the standard named when runOnly selects a single one */
+  standard?: StandardId;
+  
+  /** Plugins registered after the built-in rules (createAccessibilityEngine only) */
+  plugins?: Plugin[];
+}
+
+/** Standards with rulesets and clause labels */
+export type StandardId =
+  | 'wcag20a' | 'wcag20aa' | 'wcag20aaa'
+  | 'wcag21a' | 'wcag21aa' | 'wcag21aaa'
+  | 'wcag22a' | 'wcag22aa' | 'wcag22aaa'
+  | 'section508' | 'en301549';
+
+/** Report formatter, called with the report and the output options */
+export type Formatter = (report: Report, options: Record<string, any>) => string;
+
+/** Rule texts for one locale, keyed by rule ID */
+export type MessageCatalog = Record<string, Partial<Pick<Rule, 'description' | 'help' | 'explanation'>>>;
+
+export interface Plugin {
+  /** Plugin name */
+  name?: string;
+  
+  /** Rules to register, as a list or keyed by ID */
+  rules?: Rule[] | Record<string, Rule>;
+  
+  /** Rulesets to register, keyed by name */
+  rulesets?: Record<string, string[]>;
+  
+  /** Formatters to register, keyed by format name */
+  formatters?: Record<string, Formatter>;
+  
+  /** Message catalogs, keyed by locale */
+  locales?: Record<string, MessageCatalog>;
 }
 
 export interface TestEnvironment {
@@ -159,9 +295,92 @@ export interface Report {
   
   /** Execution time in milliseconds */
   time: number;
+  
+  /** Errors collected during the run (omitted in silent mode) */
+  errors?: EngineError[];
+  
+  /** Set when the run was cancelled; the results only cover the rules that finished */
+  aborted?: boolean;
+  
+  /** Standard the clauses in the results refer to */
+  standard?: { id: StandardId; name: string };
+  
+  /** Per-rule timings, slowest first (only with the `profile` option) */
+  profile?: RuleProfile[];
+}
+
+export interface RuleProfile {
+  /** Rule ID */
+  rule: string;
+  
+  /** Milliseconds spent in the rule's evaluate calls */
+  time: number;
+  
+  /** Elements (or documents, for page rules) the rule applied to */
+  matched: number;
+  
+  /** Elements (or documents) actually evaluated */
+  evaluated: number;
+  
+  /** Time divided by the evaluated count */
+  timePerElement: number;
+  
+  /** Whether more elements matched than `maxElements` allows */
+  hitMaxElements: boolean;
+  
+  /** Whether the rule was stopped after `ruleTimeout` ms of evaluating */
+  timedOut: boolean;
+}
+
+export interface RunOptions {
+  /** Cancels the run; it resolves with the results gathered so far */
+  signal?: AbortSignal;
+}
+
+export interface EngineError {
+  /** Kind of error, e.g. 'rule_error', 'element_error', 'selector_error', 'timeout' */
+  type: string;
+  
+  /** Error message */
+  message: string;
+  
+  /** Rule the error came from */
+  rule?: string;
+  
+  /** Selector that failed to parse */
+  selector?: string;
+}
+
+/** Payloads of the events emitted by the engine, keyed by event name */
+export interface EngineEvents {
+  'run:start': { runId: number; rules: string[]; total: number };
+  'rule:start': { runId: number; rule: string };
+  'rule:complete': {
+    runId: number;
+    rule: string;
+    /** Result list the rule was added to, or null when it produced no nodes */
+    outcome: 'violations' | 'passes' | 'incomplete' | 'inapplicable' | null;
+    nodes: number;
+    /** Milliseconds spent in the rule's evaluate calls */
+    time: number;
+    completed: number;
+    total: number;
+  };
+  'node:violation': { runId: number; rule: string; impact: Rule['impact']; node: NodeResult };
+  'error': { runId: number; error: EngineError };
+  'run:complete': { runId: number; report: Report };
 }
 
 export interface AccessibilityEngine {
+  /** Listen to run lifecycle events */
+  on<E extends keyof EngineEvents>(event: E, listener: (payload: EngineEvents[E]) => void): this;
+  
+  /** Listen to the next occurrence of an event */
+  once<E extends keyof EngineEvents>(event: E, listener: (payload: EngineEvents[E]) => void): this;
+  
+  /** Remove a listener */
+  off<E extends keyof EngineEvents>(event: E, listener: (payload: EngineEvents[E]) => void): this;
+  
   /** Engine options */
   options: EngineOptions;
   
@@ -171,15 +390,37 @@ export interface AccessibilityEngine {
   /** Registered rulesets */
   rulesets: Map<string, string[]>;
   
+  /** Registered formatters */
+  formatters: Map<string, Formatter>;
+  
+  /** Registered message catalogs, keyed by locale */
+  locales: Map<string, MessageCatalog>;
+  
   /** Register a new rule */
   registerRule(rule: Rule): void;
   
   /** Register a ruleset */
   registerRuleset(name: string, ruleIds: string[]): void;
   
+  /** IDs of the rules selected by a ruleset name or a tag expression such as 'wcag22aa and not aria' */
+  selectRules(query: string): string[];
+  
+  /** A registered rule with the engine's locale messages and per-rule impact and options applied, as runs report it */
+  getRule(id: string): Rule | undefined;
+  
+  /** Register a report formatter */
+  registerFormatter(name: string, formatter: Formatter): void;
+  
+  /** Register or extend the message catalog for a locale */
+  registerLocale(locale: string, messages: MessageCatalog): void;
+  
+  /** Register the rules, rulesets, formatters and locales of a plugin */
+  use(plugin: Plugin): this;
+  
   /** Run accessibility tests */
-  run(context?: Document | Element): Promise<Report>;
-  run(context: Document | Element, callback: (error: Error | null, report: Report) => void): void;
+  run(context?: Document | Window | Element | ContextSpec, options?: RunOptions): Promise<Report>;
+  run(context: Document | Window | Element | ContextSpec, callback: (error: Error | null, report: Report) => void): void;
+  run(context: Document | Window | Element | ContextSpec, options: RunOptions, callback: (error: Error | null, report: Report) => void): void;
 }
 
 export interface WCAG22Namespace {
@@ -197,6 +438,78 @@ export interface WCAG22Namespace {
 /** Factory function to create an accessibility engine */
 export function createAccessibilityEngine(options?: EngineOptions): AccessibilityEngine;
 
+/** Check a rule definition, throwing an error that names the rule and lists every problem */
+export function validateRule(rule: Rule): void;
+
+/** Check a rule definition when it is declared and return it unchanged */
+export function defineRule<R extends Rule>(rule: R): R;
+
+/** Outcome of a rule on a W3C ACT test case */
+export type ActOutcome = 'passed' | 'failed' | 'cantTell' | 'inapplicable';
+
+/** Test case in the format of the W3C's ACT testcases.json */
+export interface ActTestCase {
+  testcaseId: string;
+  testcaseTitle?: string;
+  ruleId: string;
+  url: string;
+  relativePath?: string;
+  expected: 'passed' | 'failed' | 'inapplicable';
+}
+
+export interface ActRuleResult {
+  /** Rule tested */
+  rule: string;
+  
+  /** ACT rules it implements */
+  actRuleIds: string[];
+  
+  /** Test cases run, and how many were consistent with or exactly matched the expected outcome */
+  total: number;
+  consistent: number;
+  exact: number;
+  
+  cases: {
+    actRuleId: string;
+    testcaseId: string;
+    title?: string;
+    expected: string;
+    actual: ActOutcome;
+    consistent: boolean;
+  }[];
+}
+
+/** Map a report with every result type to a rule's ACT outcome */
+export function getActOutcome(report: Report, ruleId: string): ActOutcome;
+
+/** Run every rule with ACT rule IDs against the HTML test cases of those ACT rules */
+export function runActTestCases(testcases: ActTestCase[], options: {
+  loadDocument: (testcase: ActTestCase) => Document | Promise<Document>;
+  releaseDocument?: (document: Document) => void;
+  engineOptions?: EngineOptions;
+}): Promise<{ rules: ActRuleResult[]; total: number; consistent: number; exact: number }>;
+
+export interface RuleExamples {
+  pass?: string[];
+  fail?: string[];
+  inapplicable?: string[];
+  incomplete?: string[];
+}
+
+export interface RuleExampleResult {
+  kind: keyof RuleExamples;
+  html: string;
+  expected: ActOutcome;
+  actual: ActOutcome;
+  passed: boolean;
+}
+
+/** Run a rule against each of its examples and compare the outcomes with the expected ones */
+export function testRuleExamples(rule: Rule, options?: {
+  createDocument?: (html: string) => Document | Promise<Document>;
+  engineOptions?: EngineOptions;
+}): Promise<RuleExampleResult[]>;
+
 /** Main engine class */
 export class AccessibilityEngine implements AccessibilityEngine {
   constructor(options?: EngineOptions);
@@ -205,5 +518,44 @@ export class AccessibilityEngine implements AccessibilityEngine {
 /** WCAG 2.2 rules and rulesets */
 export const WCAG22: WCAG22Namespace;
 
+/** Compute the accessible name of an element (W3C AccName 1.2) */
+export function getAccessibleName(element: Element): string;
+
+/** Compute the accessible description of an element (W3C AccName 1.2) */
+export function getAccessibleDescription(element: Element): string;
+
+/** A node of the computed accessibility tree */
+export interface AccessibilityNode {
+  role: string | null;
+  name: string;
+  description?: string;
+  states: Record<string, boolean | string | number>;
+  properties: Record<string, boolean | string | number>;
+  pruned: 'aria-hidden' | 'hidden' | 'display-none' | 'visibility-hidden' | null;
+  tagName?: string;
+  readonly element?: Element;
+  children: AccessibilityNode[];
+}
+
+export interface AccessibilityTreeOptions {
+  /** Keep nodes hidden from assistive technology, marked with `pruned` */
+  includePruned?: boolean;
+  /** Keep unnamed generic and presentational nodes */
+  includeGeneric?: boolean;
+}
+
+/** Build the computed accessibility tree of a document, window or element */
+export function buildAccessibilityTree(
+  context: Document | Window | Element,
+  options?: AccessibilityTreeOptions
+): AccessibilityNode | null;
+
+/** Walk an accessibility tree depth-first */
+export function walkAccessibilityTree(
+  node: AccessibilityNode | null,
+  visitor: (node: AccessibilityNode, depth: number) => void,
+  depth?: number
+): void;
+
 /** Default export */
 export default createAccessibilityEngine;
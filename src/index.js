@@ -5,8 +5,15 @@
 
 export { AccessibilityEngine } from './core/engine.js';
 export { createAccessibilityEngine } from './core/factory.js';
+export { defineRule, validateRule } from './core/define-rule.js';
+export { getActOutcome, runActTestCases } from './core/act.js';
+export { testRuleExamples } from './core/rule-examples.js';
 export { WCAG22 } from './rules/wcag22/index.js';
 export { bestPracticeRules } from './rules/best-practices/index.js';
+export { ariaRules } from './rules/aria/index.js';
+export { apcaRules } from './rules/apca/index.js';
+export { getAccessibleName, getAccessibleDescription } from './utils/accname.js';
+export { buildAccessibilityTree, walkAccessibilityTree } from './utils/accessibility-tree.js';
 export * from './types/index.js';
 
 // Default export for convenience
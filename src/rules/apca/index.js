@@ -0,0 +1,119 @@
+/**
+ * APCA Contrast Rules
+ * Advisory contrast checks with the Accessible Perceptual Contrast Algorithm,
+ * a candidate for WCAG 3. They are not part of any WCAG ruleset; select the
+ * `apca` ruleset or tag to run them next to the normative contrast-minimum.
+ * Text below the advised contrast needs review rather than being a violation.
+ */
+
+import { calculateApcaContrast, getApcaMinimumLc } from '../../utils/color.js';
+import { resolveBackground } from '../../utils/background.js';
+import { getTextSize } from '../../utils/font.js';
+
+export const apcaRules = {
+  'contrast-apca': {
+    id: 'contrast-apca',
+    selector: 'p, span, div, h1, h2, h3, h4, h5, h6, li, td, th, a, button, label',
+    tags: ['apca', 'experimental'],
+    impact: 'moderate',
+    description: 'Text should have the APCA contrast advised for its size and weight',
+    help: 'Raise the contrast, or the font size or weight, to reach the Lc in the APCA font lookup table',
+    helpUrl: 'https://git.apcacontrast.com/documentation/APCA_in_a_Nutshell',
+    explanation: 'APCA measures contrast the way people perceive it, so thin or small text needs more contrast than big, bold text. This check is advice for design teams; WCAG 2 conformance is still decided by the contrast ratio.',
+    examples: {
+      pass: ['<p style="color: #333; background-color: #fff; font-size: 16px; width: 300px; height: 20px">Dark grey body text on white</p>'],
+      inapplicable: [
+        '<p style="display: none">Hidden text</p>',
+        '<p style="color: #888; width: 0; height: 0">Text without a size</p>',
+        '<p aria-disabled="true" style="color: #888; width: 300px; height: 20px">Disabled text</p>'
+      ],
+      incomplete: [
+        '<p style="color: #888; background-color: #fff; font-size: 16px; width: 300px; height: 20px">Mid grey body text on white</p>',
+        '<p style="color: #000; background-color: #fff; font-size: 12px; width: 300px; height: 20px">Text too small for any contrast</p>',
+        '<p style="background-image: url(texture.png); width: 300px; height: 20px">Text over an image</p>'
+      ]
+    },
+    evaluate: (element, options, context) => {
+      const style = context.getComputedStyle(element);
+      if (style.display === 'none' || style.visibility === 'hidden') {
+        return null;
+      }
+
+      // Skip elements without a size, as contrast-minimum does
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) {
+        return null;
+      }
+
+      // Disabled text has no contrast requirement
+      if (element.hasAttribute('disabled') ||
+          element.getAttribute('aria-disabled') === 'true' ||
+          style.cursor === 'not-allowed') {
+        return null;
+      }
+
+      // Only check elements with direct text content
+      const hasDirectText = Array.from(element.childNodes).some(node => {
+        return node.nodeType === 3 && node.textContent.trim().length > 0;
+      });
+
+      if (!hasDirectText) {
+        return null;
+      }
+
+      const resolved = resolveBackground(element, { getStyle: context.getComputedStyle });
+      if (!resolved) {
+        return null;
+      }
+
+      const relatedNodes = resolved.source && resolved.source !== element ? [resolved.source] : undefined;
+      if (resolved.incomplete) {
+        return {
+          passed: true,
+          incomplete: true,
+          message: resolved.reason,
+          relatedNodes
+        };
+      }
+
+      const { foreground, background } = resolved;
+      const lc = calculateApcaContrast(foreground, background);
+      const { fontSize, fontWeight } = getTextSize(element, context.getComputedStyle);
+      const requiredLc = getApcaMinimumLc(fontSize, fontWeight);
+
+      // The WCAG 2 ratio is reported alongside, as the normative result
+      const data = {
+        lc: Math.round(lc * 10) / 10,
+        requiredLc,
+        fontSize,
+        fontWeight,
+        foreground,
+        background,
+        wcagContrast: Math.round(resolved.contrast * 100) / 100
+      };
+
+      // Shortfalls are advice, so they need review instead of failing
+      if (requiredLc === null) {
+        return {
+          passed: true,
+          incomplete: true,
+          message: `Text at ${fontSize}px and weight ${fontWeight} is too small or thin for APCA at any contrast`,
+          data,
+          relatedNodes
+        };
+      }
+
+      if (Math.abs(lc) < requiredLc) {
+        return {
+          passed: true,
+          incomplete: true,
+          message: `APCA contrast Lc ${Math.abs(data.lc)} is below the Lc ${requiredLc} advised for ${fontSize}px text at weight ${fontWeight} (WCAG 2 ratio ${data.wcagContrast}:1)`,
+          data,
+          relatedNodes
+        };
+      }
+
+      return { passed: true, message: null, data, relatedNodes };
+    }
+  }
+};
@@ -0,0 +1,442 @@
+/**
+ * WAI-ARIA 1.2 Rules
+ * Data-driven checks that roles, states and properties are used as the
+ * ARIA specification defines them. All but aria-deprecated-attr map to WCAG
+ * 4.1.2 Name, Role, Value.
+ */
+
+import {
+  ARIA_ATTRIBUTES,
+  GLOBAL_ATTRIBUTES,
+  DEPRECATED_GLOBAL_ATTRIBUTES,
+  ABSTRACT_ROLES,
+  ROLES
+} from '../../utils/aria-data.js';
+import { getReferencedElements } from '../../utils/accname.js';
+import { getRole, getExplicitRole, isHidden } from '../../utils/aria.js';
+import { getComposedParent, getComposedChildren } from '../../utils/dom.js';
+
+// Roles that do not create an owning relationship for context checks
+const TRANSPARENT_ROLES = [null, 'generic', 'none', 'presentation'];
+
+// Required states that native HTML semantics already provide
+const NATIVE_STATES = {
+  'aria-checked': element => element.tagName === 'INPUT' &&
+    ['checkbox', 'radio'].includes((element.getAttribute('type') || '').toLowerCase()),
+  'aria-level': element => /^H[1-6]$/.test(element.tagName),
+  'aria-valuenow': element => ['INPUT', 'METER', 'PROGRESS'].includes(element.tagName),
+  'aria-expanded': element => element.tagName === 'SELECT'
+};
+
+const ATTRIBUTE_SELECTOR = Object.keys(ARIA_ATTRIBUTES).map(name => `[${name}]`).join(', ');
+
+/**
+ * Get all aria-* attributes of an element
+ */
+function getAriaAttributes(element) {
+  return Array.from(element.attributes).filter(attr => attr.name.startsWith('aria-'));
+}
+
+/**
+ * Check whether an attribute value matches its ARIA value type
+ */
+function isValidValue(element, name, value) {
+  const definition = ARIA_ATTRIBUTES[name];
+  const trimmed = value.trim();
+
+  // An empty value is the same as not setting the attribute
+  if (!definition || trimmed === '') {
+    return true;
+  }
+
+  switch (definition.type) {
+  case 'token':
+    return definition.values.includes(trimmed.toLowerCase());
+  case 'tokens':
+    return trimmed.toLowerCase().split(/\s+/).every(token => definition.values.includes(token));
+  case 'idref':
+    return getReferencedElements(element, name).length > 0 && !/\s/.test(trimmed);
+  case 'idrefs':
+    return getReferencedElements(element, name).length > 0;
+  case 'integer':
+    return /^-?\d+$/.test(trimmed);
+  case 'number':
+    return /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed);
+  default:
+    return true;
+  }
+}
+
+/**
+ * Find the element that owns another in the accessibility tree, following
+ * aria-owns first and skipping generic and presentational ancestors
+ */
+function getOwner(element) {
+  if (element.id) {
+    const owner = Array.from(element.getRootNode().querySelectorAll('[aria-owns]'))
+      .find(candidate => getReferencedElements(candidate, 'aria-owns').includes(element));
+    if (owner) {
+      return owner;
+    }
+  }
+
+  let current = getComposedParent(element);
+  while (current && TRANSPARENT_ROLES.includes(getRole(current))) {
+    current = getComposedParent(current);
+  }
+
+  return current;
+}
+
+/**
+ * Get the elements owned by an element in the accessibility tree,
+ * looking through generic and presentational descendants
+ */
+function getOwnedElements(element) {
+  const owned = [];
+
+  const collect = (parent) => {
+    for (const child of getComposedChildren(parent)) {
+      if (child.nodeType !== 1 || isHidden(child)) {
+        continue;
+      }
+      if (TRANSPARENT_ROLES.includes(getRole(child))) {
+        collect(child);
+      } else {
+        owned.push(child);
+      }
+    }
+  };
+
+  collect(element);
+  return [...owned, ...getReferencedElements(element, 'aria-owns')];
+}
+
+export const ariaRules = {
+  'aria-roles': {
+    id: 'aria-roles',
+    selector: '[role]',
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'critical',
+    description: 'ARIA role values must be valid',
+    help: 'Ensure the role attribute contains at least one valid, non-abstract ARIA role',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#role_definitions',
+    actRuleIds: ['674b10'],
+    explanation: 'Assistive technology only understands the roles defined by the ARIA specification. A misspelled or made-up role is ignored, so the element is announced as something it is not.',
+    examples: {
+      pass: ['<div role="button" tabindex="0">Save</div>', '<div role="switch toggle" aria-checked="false" tabindex="0">Dark mode</div>'],
+      fail: ['<div role="buton" tabindex="0">Save</div>', '<div role="widget">Save</div>'],
+      inapplicable: ['<button>Save</button>']
+    },
+    evaluate: (element) => {
+      const tokens = element.getAttribute('role').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+      if (tokens.length === 0) {
+        return null;
+      }
+
+      // Later tokens are fallbacks, so the first valid one wins
+      if (tokens.some(token => ROLES[token])) {
+        return { passed: true, data: { role: tokens.find(token => ROLES[token]) } };
+      }
+
+      const abstract = tokens.filter(token => ABSTRACT_ROLES.includes(token));
+      return {
+        passed: false,
+        message: abstract.length > 0
+          ? `Abstract ARIA role cannot be used: ${abstract.join(', ')}`
+          : `Invalid ARIA role: ${tokens.join(', ')}`
+      };
+    }
+  },
+
+  'aria-valid-attr': {
+    id: 'aria-valid-attr',
+    selector: 'body, body *',
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'critical',
+    description: 'ARIA attributes must be defined by the specification',
+    help: 'Ensure every aria-* attribute name is a valid ARIA state or property',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#state_prop_def',
+    actRuleIds: ['5f99a7'],
+    explanation: 'A misspelled ARIA attribute like aria-lable does nothing. Assistive technology ignores it, so the information it was meant to convey is lost.',
+    examples: {
+      pass: ['<button aria-pressed="false">Bold</button>'],
+      fail: ['<button aria-presed="false">Bold</button>'],
+      inapplicable: ['<button>Bold</button>']
+    },
+    evaluate: (element) => {
+      const attributes = getAriaAttributes(element);
+      if (attributes.length === 0) {
+        return null;
+      }
+
+      const invalid = attributes.filter(attr => !ARIA_ATTRIBUTES[attr.name]).map(attr => attr.name);
+      return {
+        passed: invalid.length === 0,
+        message: invalid.length > 0 ? `Invalid ARIA attribute: ${invalid.join(', ')}` : null
+      };
+    }
+  },
+
+  'aria-valid-attr-value': {
+    id: 'aria-valid-attr-value',
+    selector: ATTRIBUTE_SELECTOR,
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'critical',
+    description: 'ARIA attributes must have valid values',
+    help: 'Ensure ARIA attribute values are allowed tokens, existing IDs or numbers as required',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#propcharacteristic_value',
+    actRuleIds: ['6a7281'],
+    explanation: 'Each ARIA attribute accepts a specific kind of value, such as true/false, a number or the ID of another element. Invalid values, like an ID that does not exist, are ignored by assistive technology.',
+    examples: {
+      pass: ['<button aria-expanded="false">Menu</button>', '<input aria-label="Name" aria-describedby="hint"><p id="hint">As on your passport</p>'],
+      fail: ['<button aria-expanded="yes">Menu</button>', '<input aria-label="Name" aria-describedby="missing-hint">'],
+      inapplicable: ['<button>Menu</button>']
+    },
+    evaluate: (element) => {
+      const issues = getAriaAttributes(element)
+        .filter(attr => !isValidValue(element, attr.name, attr.value))
+        .map(attr => {
+          const type = ARIA_ATTRIBUTES[attr.name].type;
+          return type === 'idref' || type === 'idrefs'
+            ? `${attr.name} references non-existent ID: ${attr.value}`
+            : `Invalid value for ${attr.name}: "${attr.value}"`;
+        });
+
+      return {
+        passed: issues.length === 0,
+        message: issues.length > 0 ? issues.join('; ') : null
+      };
+    }
+  },
+
+  'aria-required-attr': {
+    id: 'aria-required-attr',
+    selector: '[role]',
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'critical',
+    description: 'ARIA roles must have their required states and properties',
+    help: 'Ensure elements with ARIA roles have all required ARIA attributes',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#requiredState',
+    actRuleIds: ['4e8ab6'],
+    explanation: 'Some roles only make sense with certain information. For example, a checkbox must say whether it is checked, and a slider must say its current value.',
+    examples: {
+      pass: ['<div role="checkbox" aria-checked="false" tabindex="0">Subscribe</div>'],
+      fail: ['<div role="checkbox" tabindex="0">Subscribe</div>'],
+      inapplicable: ['<div role="button" tabindex="0">Save</div>']
+    },
+    evaluate: (element) => {
+      const role = getExplicitRole(element);
+      const definition = ROLES[role];
+
+      if (!definition || definition.required.length === 0) {
+        return null;
+      }
+
+      const missing = definition.required.filter(name => {
+        const value = element.getAttribute(name);
+        if (value !== null && value.trim() !== '') {
+          return false;
+        }
+        return !(NATIVE_STATES[name] && NATIVE_STATES[name](element));
+      });
+
+      return {
+        passed: missing.length === 0,
+        message: missing.length > 0 ? `${role} missing required attribute: ${missing.join(', ')}` : null
+      };
+    }
+  },
+
+  'aria-allowed-attr': {
+    id: 'aria-allowed-attr',
+    selector: ATTRIBUTE_SELECTOR,
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'serious',
+    description: 'ARIA attributes must be allowed for the element\'s role',
+    help: 'Ensure ARIA states and properties are supported by the element\'s role',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#states_and_properties',
+    actRuleIds: ['5c01ea'],
+    explanation: 'Each role supports a specific set of ARIA attributes. For example, aria-checked means nothing on a button, so it is ignored or announced in a confusing way.',
+    examples: {
+      pass: ['<button aria-pressed="true">Bold</button>'],
+      fail: ['<button aria-checked="true">Bold</button>'],
+      inapplicable: ['<p>Static text</p>']
+    },
+    evaluate: (element) => {
+      const role = getRole(element);
+
+      // Elements without a role mapping (e.g. password inputs) are not checked
+      if (!role) {
+        return { passed: true };
+      }
+
+      const supported = ROLES[role]?.supported || [];
+      const notAllowed = getAriaAttributes(element)
+        .map(attr => attr.name)
+        .filter(name => ARIA_ATTRIBUTES[name] &&
+          !GLOBAL_ATTRIBUTES.includes(name) &&
+          !DEPRECATED_GLOBAL_ATTRIBUTES.includes(name) &&
+          !supported.includes(name));
+
+      return {
+        passed: notAllowed.length === 0,
+        message: notAllowed.length > 0 ? `ARIA attribute not allowed on role ${role}: ${notAllowed.join(', ')}` : null,
+        data: { role }
+      };
+    }
+  },
+
+  'aria-prohibited-attr': {
+    id: 'aria-prohibited-attr',
+    selector: '[aria-label], [aria-labelledby]',
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'serious',
+    description: 'Elements must not use ARIA attributes prohibited on their role',
+    help: 'Do not name elements whose role prohibits naming, such as generic, paragraph or presentation',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#prohibitedattributes',
+    actRuleIds: ['5c01ea'],
+    explanation: 'Roles like generic (a plain div or span) cannot be named. Screen readers often ignore an aria-label there, so the text never reaches users.',
+    examples: {
+      pass: ['<nav aria-label="Main"><a href="/">Home</a></nav>'],
+      fail: ['<div aria-label="Sidebar">Related links</div>'],
+      inapplicable: ['<div>Related links</div>']
+    },
+    evaluate: (element) => {
+      const role = getRole(element);
+
+      if (!role || ROLES[role]?.nameFrom !== 'prohibited') {
+        return { passed: true };
+      }
+
+      const prohibited = ['aria-label', 'aria-labelledby'].filter(name => element.hasAttribute(name));
+      return {
+        passed: false,
+        message: `${prohibited.join(', ')} cannot be used on role ${role}`,
+        data: { role }
+      };
+    }
+  },
+
+  'aria-required-parent': {
+    id: 'aria-required-parent',
+    selector: '[role]',
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'critical',
+    description: 'ARIA roles must be contained by their required parent roles',
+    help: 'Ensure roles such as listitem, option, tab and row are owned by the correct parent role',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#scope',
+    actRuleIds: ['ff89c9'],
+    explanation: 'Some roles only make sense inside another. A tab must be inside a tablist and an option inside a listbox, otherwise screen readers cannot describe how they relate.',
+    examples: {
+      pass: ['<div role="tablist"><div role="tab" aria-selected="true" tabindex="0">Details</div></div>'],
+      fail: ['<div role="tab" aria-selected="true" tabindex="0">Details</div>'],
+      inapplicable: ['<div role="button" tabindex="0">Save</div>']
+    },
+    evaluate: (element) => {
+      const role = getExplicitRole(element);
+      const definition = ROLES[role];
+
+      if (!definition || definition.context.length === 0) {
+        return null;
+      }
+
+      const owner = getOwner(element);
+      const ownerRole = owner ? getRole(owner) : null;
+
+      if (definition.context.includes(ownerRole)) {
+        return { passed: true };
+      }
+
+      return {
+        passed: false,
+        message: `${role} must be contained by ${definition.context.join(' or ')}${ownerRole ? ` (found ${ownerRole})` : ''}`
+      };
+    }
+  },
+
+  'aria-required-children': {
+    id: 'aria-required-children',
+    selector: '[role]',
+    tags: ['wcag22a', 'wcag412', 'robust', 'aria'],
+    impact: 'critical',
+    description: 'ARIA roles must contain their required child roles',
+    help: 'Ensure roles such as list, listbox, tablist and table own the required child roles',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#mustContain',
+    actRuleIds: ['bc4a75'],
+    explanation: 'Container roles need the right kind of children. A tablist should contain tabs and a menu should contain menu items, so users know what they can interact with.',
+    examples: {
+      pass: ['<div role="tablist"><div role="tab" aria-selected="true" tabindex="0">Details</div></div>'],
+      fail: ['<div role="tablist"><div role="button" tabindex="0">Details</div></div>'],
+      inapplicable: ['<div role="button" tabindex="0">Save</div>'],
+      incomplete: ['<div role="tablist"></div>']
+    },
+    evaluate: (element) => {
+      const role = getExplicitRole(element);
+      const definition = ROLES[role];
+
+      if (!definition || definition.owned.length === 0) {
+        return null;
+      }
+
+      // Content that is still loading may not have its children yet
+      if (element.getAttribute('aria-busy') === 'true') {
+        return { passed: true };
+      }
+
+      const owned = getOwnedElements(element);
+
+      if (owned.length === 0) {
+        return {
+          passed: false,
+          incomplete: true,
+          message: `${role} has no owned elements; expected ${definition.owned.join(', ')}`
+        };
+      }
+
+      const unexpected = [...new Set(owned
+        .map(child => getRole(child))
+        .filter(childRole => !definition.owned.includes(childRole)))];
+
+      return {
+        passed: unexpected.length === 0,
+        message: unexpected.length > 0
+          ? `${role} must only own ${definition.owned.join(', ')} (found ${unexpected.map(r => r || 'element without role').join(', ')})`
+          : null
+      };
+    }
+  },
+
+  // Deprecated attributes still work in ARIA 1.2, so using one is advice
+  // rather than a 4.1.2 failure
+  'aria-deprecated-attr': {
+    id: 'aria-deprecated-attr',
+    selector: ATTRIBUTE_SELECTOR,
+    tags: ['best-practice', 'aria'],
+    impact: 'minor',
+    description: 'Deprecated ARIA attributes should not be used',
+    help: 'Replace deprecated ARIA attributes such as aria-grabbed and aria-dropeffect',
+    helpUrl: 'https://www.w3.org/TR/wai-aria-1.2/#deprecated',
+    explanation: 'Some ARIA attributes have been deprecated and are no longer supported consistently. Using them gives no reliable information to assistive technology.',
+    examples: {
+      pass: ['<button aria-pressed="false">Bold</button>'],
+      fail: ['<div role="listitem" aria-grabbed="false">Card</div>'],
+      inapplicable: ['<p>Static text</p>']
+    },
+    evaluate: (element) => {
+      const role = getRole(element);
+      const supported = ROLES[role]?.supported || [];
+
+      const deprecated = getAriaAttributes(element)
+        .map(attr => attr.name)
+        .filter(name => ARIA_ATTRIBUTES[name]?.deprecated ||
+          (role && DEPRECATED_GLOBAL_ATTRIBUTES.includes(name) && !supported.includes(name)));
+
+      return {
+        passed: deprecated.length === 0,
+        message: deprecated.length > 0 ? `Deprecated ARIA attribute${role ? ` on role ${role}` : ''}: ${deprecated.join(', ')}` : null
+      };
+    }
+  }
+};
@@ -3,33 +3,50 @@
  * These rules go beyond WCAG requirements to ensure proper HTML structure
  */
 
+/**
+ * Findings for a page rule that allows one matching element: the first
+ * passes, every later one fails and points back at the first.
+ * Returns null when nothing matches so the rule is inapplicable.
+ */
+function reportDuplicates(elements, getMessage) {
+  if (elements.length === 0) {
+    return null;
+  }
+
+  const [first, ...rest] = elements;
+  if (rest.length === 0) {
+    return [{ element: first, passed: true }];
+  }
+
+  return rest.map(element => ({
+    element,
+    passed: false,
+    message: getMessage(elements.length),
+    relatedNodes: [first]
+  }));
+}
+
 export const bestPracticeRules = {
   // Landmark uniqueness rules
   'landmark-unique-main': {
     id: 'landmark-unique-main',
-    selector: 'main, [role="main"]',
+    scope: 'page',
     tags: ['best-practice', 'landmarks', 'html5'],
     impact: 'moderate',
     description: 'Page must have only one main landmark',
     help: 'Ensure only one main landmark exists on the page',
     helpUrl: 'https://www.w3.org/WAI/ARIA/apg/practices/landmark-regions/',
     explanation: 'Pages should have exactly one <main> element or element with role="main". Multiple main landmarks confuse screen reader users about where the primary content is located.',
-    evaluate: (element) => {
-      // This runs once per matching element, so we need to check globally
-      const allMains = document.querySelectorAll('main, [role="main"]');
-      
-      if (allMains.length > 1) {
-        // Only report on the second and subsequent main elements
-        const elementIndex = Array.from(allMains).indexOf(element);
-        if (elementIndex > 0) {
-          return {
-            passed: false,
-            message: `Found ${allMains.length} main landmarks on the page. There should be only one.`
-          };
-        }
-      }
-      
-      return { passed: true };
+    examples: {
+      pass: ['<main><h1>Welcome</h1></main>'],
+      fail: ['<main><h1>Welcome</h1></main><main><h2>More</h2></main>'],
+      inapplicable: ['<div><h1>Welcome</h1></div>']
+    },
+    evaluate: (doc) => {
+      return reportDuplicates(
+        Array.from(doc.querySelectorAll('main, [role="main"]')),
+        count => `Found ${count} main landmarks on the page. There should be only one.`
+      );
     }
   },
 
@@ -43,7 +60,12 @@ export const bestPracticeRules = {
     help: 'Ensure only one banner landmark exists at the top level',
     helpUrl: 'https://www.w3.org/WAI/ARIA/apg/practices/landmark-regions/',
     explanation: 'There should be only one banner landmark (header or role="banner") that is a direct child of body. Multiple banners confuse the page structure.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<header><a href="/">Home</a></header>', '<header>Site</header><main><header>Article header</header></main>'],
+      fail: ['<header><a href="/">Home</a></header><header>Second banner</header>'],
+      inapplicable: ['<div>No banner</div>']
+    },
+    evaluate: (element, options, context) => {
       // Check if this is a top-level banner (direct child of body or main)
       let parent = element.parentElement;
       let isTopLevel = false;
@@ -61,7 +83,7 @@ export const bestPracticeRules = {
       }
       
       if (isTopLevel) {
-        const allBanners = document.querySelectorAll('body > header:not([role]), body > [role="banner"]');
+        const allBanners = context.document.querySelectorAll('body > header:not([role]), body > [role="banner"]');
         if (allBanners.length > 1) {
           const elementIndex = Array.from(allBanners).indexOf(element);
           if (elementIndex > 0) {
@@ -87,7 +109,12 @@ export const bestPracticeRules = {
     help: 'Ensure only one contentinfo landmark exists at the top level',
     helpUrl: 'https://www.w3.org/WAI/ARIA/apg/practices/landmark-regions/',
     explanation: 'There should be only one contentinfo landmark (footer or role="contentinfo") that is a direct child of body. Multiple footers confuse the page structure.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<footer>Copyright notice</footer>'],
+      fail: ['<footer>Copyright notice</footer><footer>Second footer</footer>'],
+      inapplicable: ['<div>No footer</div>']
+    },
+    evaluate: (element, options, context) => {
       // Similar logic to banner
       let parent = element.parentElement;
       let isTopLevel = false;
@@ -104,7 +131,7 @@ export const bestPracticeRules = {
       }
       
       if (isTopLevel) {
-        const allFooters = document.querySelectorAll('body > footer:not([role]), body > [role="contentinfo"]');
+        const allFooters = context.document.querySelectorAll('body > footer:not([role]), body > [role="contentinfo"]');
         if (allFooters.length > 1) {
           const elementIndex = Array.from(allFooters).indexOf(element);
           if (elementIndex > 0) {
@@ -130,11 +157,19 @@ export const bestPracticeRules = {
     help: 'Ensure heading levels increase by one',
     helpUrl: 'https://www.w3.org/WAI/tutorials/page-structure/headings/',
     explanation: 'Heading levels should not skip (e.g., from h1 to h3). This helps screen reader users understand the document structure.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<h1>Recipes</h1><h2>Soups</h2><h3>Tomato soup</h3>'],
+      fail: ['<h1>Recipes</h1><h3>Tomato soup</h3>'],
+      inapplicable: ['<p>A page without headings</p>']
+    },
+    evaluate: (element, options, context) => {
       const level = parseInt(element.tagName.charAt(1));
       
-      // Find the previous heading
-      const allHeadings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+      // Find the previous heading, listing the headings once per document
+      if (!context.cache.has('headings')) {
+        context.cache.set('headings', Array.from(context.document.querySelectorAll('h1, h2, h3, h4, h5, h6')));
+      }
+      const allHeadings = context.cache.get('headings');
       const currentIndex = allHeadings.indexOf(element);
       
       if (currentIndex > 0) {
@@ -157,27 +192,23 @@ export const bestPracticeRules = {
   // Single h1
   'single-h1': {
     id: 'single-h1',
-    selector: 'h1',
+    scope: 'page',
     tags: ['best-practice', 'headings', 'structure'],
     impact: 'moderate',
     description: 'Page should have only one h1',
     help: 'Use only one h1 per page',
     helpUrl: 'https://www.w3.org/WAI/tutorials/page-structure/headings/',
     explanation: 'While multiple h1 elements are technically valid in HTML5 with sectioning elements, it\'s best practice to have only one h1 that represents the main topic of the page.',
-    evaluate: (element) => {
-      const allH1s = document.querySelectorAll('h1');
-      
-      if (allH1s.length > 1) {
-        const elementIndex = Array.from(allH1s).indexOf(element);
-        if (elementIndex > 0) {
-          return {
-            passed: false,
-            message: `Found ${allH1s.length} h1 elements on the page. Best practice is to use only one h1.`
-          };
-        }
-      }
-      
-      return { passed: true };
+    examples: {
+      pass: ['<h1>Recipes</h1><h2>Soups</h2>'],
+      fail: ['<h1>Recipes</h1><h1>Soups</h1>'],
+      inapplicable: ['<h2>Soups</h2>']
+    },
+    evaluate: (doc) => {
+      return reportDuplicates(
+        Array.from(doc.querySelectorAll('h1')),
+        count => `Found ${count} h1 elements on the page. Best practice is to use only one h1.`
+      );
     }
   },
 
@@ -190,24 +221,25 @@ export const bestPracticeRules = {
     description: 'Headings must contain text',
     help: 'Ensure headings are not empty',
     helpUrl: 'https://www.w3.org/WAI/tutorials/page-structure/headings/',
+    actRuleIds: ['ffd0e9'],
     explanation: 'Empty headings confuse screen reader users and provide no navigational benefit. Headings should always contain meaningful text.',
-    evaluate: (element) => {
-      const text = element.textContent.trim();
-      const ariaLabel = element.getAttribute('aria-label');
-      const ariaLabelledby = element.getAttribute('aria-labelledby');
-      
-      // Check for images with alt text
-      const img = element.querySelector('img[alt]');
-      const hasImageAlt = img && img.getAttribute('alt').trim();
+    examples: {
+      pass: ['<h2>Opening hours</h2>'],
+      fail: ['<h2></h2>'],
+      inapplicable: ['<p>A page without headings</p>']
+    },
+    evaluate: (element, options, context) => {
+      const accessibleName = context.getAccessibleName(element);
       
-      if (!text && !ariaLabel && !ariaLabelledby && !hasImageAlt) {
+      if (!accessibleName) {
         return {
           passed: false,
-          message: 'Heading is empty and provides no text content'
+          message: 'Heading is empty and provides no text content',
+          data: { accessibleName }
         };
       }
       
-      return { passed: true };
+      return { passed: true, data: { accessibleName } };
     }
   },
 
@@ -221,11 +253,16 @@ export const bestPracticeRules = {
     help: 'Use only one label per form field',
     helpUrl: 'https://www.w3.org/WAI/tutorials/forms/labels/',
     explanation: 'Multiple labels for one form field can confuse screen readers. Use one clear label per field.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<label for="email">Email</label><input id="email" type="email">'],
+      fail: ['<label for="email">Email</label><label for="email">Work email</label><input id="email" type="email">'],
+      inapplicable: ['<p>A page without form fields</p>']
+    },
+    evaluate: (element, options, context) => {
       const id = element.id;
       if (!id) return { passed: true };
       
-      const labels = document.querySelectorAll(`label[for="${id}"]`);
+      const labels = context.document.querySelectorAll(`label[for="${id}"]`);
       
       if (labels.length > 1) {
         return {
@@ -248,6 +285,10 @@ export const bestPracticeRules = {
     help: 'Ensure ul and ol elements only contain li elements',
     helpUrl: 'https://www.w3.org/TR/html52/grouping-content.html#the-ul-element',
     explanation: 'List elements (ul, ol) should only contain list items (li) as direct children. Other content breaks the semantic structure.',
+    examples: {
+      fail: ['<ul><li>First</li><div>Second</div></ul>'],
+      inapplicable: ['<ul><li>First</li><li>Second</li></ul>']
+    },
     evaluate: (element) => {
       return {
         passed: false,
@@ -266,6 +307,11 @@ export const bestPracticeRules = {
     help: 'Ensure dl elements contain dt/dd pairs',
     helpUrl: 'https://www.w3.org/TR/html52/grouping-content.html#the-dl-element',
     explanation: 'Definition lists should contain dt (term) and dd (definition) elements in a logical structure.',
+    examples: {
+      pass: ['<dl><dt>Term</dt><dd>Definition</dd></dl>'],
+      fail: ['<dl><dd>Definition</dd></dl>', '<dl><p>Term</p></dl>'],
+      inapplicable: ['<p>A page without definition lists</p>']
+    },
     evaluate: (element) => {
       const children = Array.from(element.children).filter(child => 
         !['SCRIPT', 'TEMPLATE'].includes(child.tagName)
@@ -313,6 +359,10 @@ export const bestPracticeRules = {
     help: 'Replace deprecated elements with modern alternatives',
     helpUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTML/Element#obsolete_and_deprecated_elements',
     explanation: 'Deprecated HTML elements may not work in modern browsers and often have accessibility issues. Use CSS for styling instead.',
+    examples: {
+      fail: ['<center>Welcome</center>'],
+      inapplicable: ['<p style="text-align: center">Welcome</p>']
+    },
     evaluate: (element) => {
       const alternatives = {
         'MARQUEE': 'CSS animations',
@@ -341,6 +391,11 @@ export const bestPracticeRules = {
     help: 'Use th elements for table headers',
     helpUrl: 'https://www.w3.org/WAI/tutorials/tables/',
     explanation: 'Data tables need header cells (th) to help screen reader users understand the table structure and relationships.',
+    examples: {
+      pass: ['<table><tr><th>Name</th></tr><tr><td>Ada</td></tr></table>', '<table role="presentation"><tr><td>Layout cell</td></tr></table>'],
+      fail: ['<table><tr><td>Name</td></tr><tr><td>Ada</td></tr></table>'],
+      inapplicable: ['<p>A page without tables</p>']
+    },
     evaluate: (element) => {
       // Skip layout tables (those with role="presentation" or role="none")
       const role = element.getAttribute('role');
@@ -3,24 +3,26 @@
  * Better handling of animations and edge cases
  */
 
-import { calculateContrast, safeGetComputedStyle, getBackgroundColor } from '../../../utils/color.js';
+import { resolveBackground } from '../../../utils/background.js';
+import { getTextSize } from '../../../utils/font.js';
 import { isAnimating, hasEntranceAnimation } from '../../../utils/animation.js';
 
 export const contrastMinimumRule = {
   // 1.4.3 Contrast (Minimum) (Level AA) - Enhanced
   'contrast-minimum': {
     id: 'contrast-minimum',
-    selector: '*',
+    selector: 'p, span, div, h1, h2, h3, h4, h5, h6, li, td, th, a, button',
     tags: ['wcag22aa', 'wcag143', 'perceivable'],
     impact: 'serious',
     description: 'Elements must have sufficient color contrast',
     help: 'Text should have a contrast ratio of at least 4.5:1',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html',
     explanation: 'Text needs enough contrast with its background so people with low vision can read it.',
-    evaluate: (element) => {
+    options: { minRatio: 4.5, minRatioLargeText: 3 },
+    evaluate: (element, { minRatio = 4.5, minRatioLargeText = 3 } = {}, context) => {
       try {
         // Skip non-visible elements
-        const style = safeGetComputedStyle(element);
+        const style = context.getComputedStyle(element);
         if (style.display === 'none' || style.visibility === 'hidden') {
           return null;
         }
@@ -50,9 +52,9 @@ export const contrastMinimumRule = {
         const rect = element.getBoundingClientRect();
         if (rect.width === 0 || rect.height === 0) {
           // Double-check it's not just off-screen
-          const isOffScreen = rect.top > window.innerHeight || 
+          const isOffScreen = rect.top > context.window.innerHeight || 
                             rect.bottom < 0 || 
-                            rect.left > window.innerWidth || 
+                            rect.left > context.window.innerWidth || 
                             rect.right < 0;
           
           if (!isOffScreen) {
@@ -94,58 +96,33 @@ export const contrastMinimumRule = {
           return null;
         }
         
-        // Skip if element has complex background
-        const bgImage = style.backgroundImage;
-        const hasGradient = bgImage && bgImage.includes('gradient');
-        const hasImage = bgImage && bgImage !== 'none' && !hasGradient;
+        // Large text is at least 18pt, or 14pt and bold
+        const { fontSize, fontSizePt, fontWeight, isLargeText } = getTextSize(element, context.getComputedStyle);
         
-        if (hasImage) {
-          return {
-            passed: true,
-            incomplete: true,
-            message: 'Element has background image - manual contrast check needed'
-          };
+        // Work out what is painted behind the text, and which element paints it
+        const resolved = resolveBackground(element, { getStyle: context.getComputedStyle });
+        if (!resolved) {
+          return null;
         }
         
-        // Get text properties
-        const fontSize = parseFloat(style.fontSize || '16');
-        const fontWeight = parseInt(style.fontWeight || '400');
-        const isLargeText = fontSize >= 18 || (fontSize >= 14 && fontWeight >= 700);
-        
-        // Get colors
-        const fgColor = style.color;
-        let bgColor = getBackgroundColor(element);
-        
-        // Handle gradients specially
-        if (hasGradient) {
+        const relatedNodes = resolved.source && resolved.source !== element ? [resolved.source] : undefined;
+        if (resolved.incomplete) {
           return {
             passed: true,
             incomplete: true,
-            message: 'Element has gradient background - manual contrast check needed'
+            message: resolved.reason,
+            relatedNodes
           };
         }
         
-        // Skip if we can't determine colors reliably
-        if (!fgColor || fgColor === 'transparent' || 
-            !bgColor || bgColor === 'transparent') {
-          return null;
-        }
-        
-        // Skip if colors are identical (error in detection)
-        if (fgColor === bgColor) {
-          return null;
-        }
-        
-        // Calculate contrast
-        const contrast = calculateContrast(fgColor, bgColor);
-        
         // If contrast is exactly 1, there's an error in calculation
+        const { contrast, foreground, background } = resolved;
         if (contrast === 1) {
           return null;
         }
         
         // Check against WCAG requirements
-        const requiredRatio = isLargeText ? 3 : 4.5;
+        const requiredRatio = isLargeText ? minRatioLargeText : minRatio;
         const passed = contrast >= requiredRatio;
         
         // Special handling for very low contrast that might indicate animation
@@ -153,17 +130,23 @@ export const contrastMinimumRule = {
           return null; // Likely mid-fade animation
         }
         
+        const measured = Math.round(contrast * 100) / 100;
+        
         return {
           passed: passed,
           message: passed ? null : 
-            `Contrast ratio ${contrast.toFixed(2)}:1 is below required ${requiredRatio}:1`,
+            `Contrast ratio ${measured}:1 is below required ${requiredRatio}:1 for ${isLargeText ? 'large' : 'normal'} text (${fontSizePt}pt, weight ${fontWeight})`,
           data: { 
-            contrast: contrast.toFixed(2), 
+            contrast: measured, 
+            requiredRatio,
             fontSize, 
+            fontSizePt,
+            fontWeight,
             isLargeText,
-            foreground: fgColor,
-            background: bgColor
-          }
+            foreground,
+            background
+          },
+          relatedNodes
         };
       } catch (e) {
         // If there's any error, skip rather than false positive
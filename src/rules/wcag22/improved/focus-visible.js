@@ -14,9 +14,9 @@ export const focusVisibleRule = {
     help: 'Ensure focus indicators are visible',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html',
     explanation: 'When users tab through a page, they need to see which element has focus. There should be a visible outline or highlight.',
-    evaluate: (element) => {
+    evaluate: (element, options, context) => {
       // Skip if not visible
-      const style = window.getComputedStyle(element);
+      const style = context.getComputedStyle(element);
       if (style.display === 'none' || style.visibility === 'hidden') {
         return null;
       }
@@ -28,7 +28,7 @@ export const focusVisibleRule = {
       }
       
       // Check for modern :focus-visible support
-      const supportsFocusVisible = CSS.supports && CSS.supports('selector(:focus-visible)');
+      const supportsFocusVisible = Boolean(context.window.CSS?.supports?.('selector(:focus-visible)'));
       
       if (supportsFocusVisible) {
         // Modern pattern: Using :focus-visible is GOOD!
@@ -6,33 +6,37 @@ import { perceivableRules } from './perceivable.js';
 import { operableRules } from './operable.js';
 import { understandableRules } from './understandable.js';
 import { robustRules } from './robust.js';
+import { ariaRules } from '../aria/index.js';
+import { getRuleCriteria, isCriterionInStandard } from '../../utils/standards.js';
 
 // Combine all rules
 export const rules = {
   ...perceivableRules,
   ...operableRules,
   ...understandableRules,
-  ...robustRules
+  ...robustRules,
+  ...ariaRules
 };
 
 // Get all rule IDs
 const allRuleIds = Object.keys(rules);
 
+// A level's ruleset holds the rules testing one of its success criteria, so
+// criteria obsolete in WCAG 2.2, such as 4.1.1 Parsing, are left out
+const rulesForStandard = standardId => allRuleIds.filter(id =>
+  getRuleCriteria(rules[id]).some(criterion => isCriterionInStandard(criterion, standardId))
+);
+
 // Define rulesets for different conformance levels
 export const rulesets = {
   // Level A rules
-  wcag22a: allRuleIds.filter(id => 
-    rules[id].tags.includes('wcag22a')
-  ),
+  wcag22a: rulesForStandard('wcag22a'),
   
   // Level A + AA rules
-  wcag22aa: allRuleIds.filter(id => 
-    rules[id].tags.includes('wcag22a') || 
-    rules[id].tags.includes('wcag22aa')
-  ),
+  wcag22aa: rulesForStandard('wcag22aa'),
   
   // All rules (A + AA + AAA)
-  wcag22aaa: allRuleIds
+  wcag22aaa: rulesForStandard('wcag22aaa')
 };
 
 export const WCAG22 = {
@@ -3,6 +3,9 @@
  * User interface components and navigation must be operable.
  */
 
+import { getAccessibleText } from '../../utils/accname.js';
+import { getRole } from '../../utils/aria.js';
+
 export const operableRules = {
   // 2.1.1 Keyboard (Level A)
   'keyboard-accessible': {
@@ -14,6 +17,11 @@ export const operableRules = {
     help: 'Ensure all interactive elements are keyboard accessible',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/keyboard.html',
     explanation: 'Everything you can do with a mouse should also work with just a keyboard. Some people cannot use a mouse and navigate entirely with keyboards.',
+    examples: {
+      pass: ['<button onclick="save()">Save</button>', '<div role="button" tabindex="0" onclick="save()">Save</div>'],
+      fail: ['<div onclick="save()">Save</div>'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       const hasClickHandler = element.hasAttribute('onclick') || 
                              element.hasAttribute('onmousedown') || 
@@ -47,6 +55,11 @@ export const operableRules = {
     help: 'Users must be able to navigate away from any component using only keyboard',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/no-keyboard-trap.html',
     explanation: 'Users should never get "stuck" in one part of a page when using keyboard navigation. They need to be able to move freely through all content.',
+    examples: {
+      pass: ['<div tabindex="0">Scrollable panel</div>'],
+      fail: ['<a href="/pricing" tabindex="3">Pricing</a>'],
+      inapplicable: ['<a href="/pricing">Pricing</a>']
+    },
     evaluate: (element) => {
       // This is a basic check - comprehensive testing would require interaction testing
       const tabindex = parseInt(element.getAttribute('tabindex'));
@@ -73,9 +86,12 @@ export const operableRules = {
     help: 'Provide a way to turn off or remap single character shortcuts',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/character-key-shortcuts.html',
     explanation: 'Single letter keyboard shortcuts can be triggered accidentally by speech recognition users. Users need a way to turn them off or change them.',
-    evaluate: () => {
+    examples: {
+      incomplete: ['<script>document.addEventListener("keydown", event => { if (event.key === "s") save(); });</script>']
+    },
+    evaluate: (element, options, context) => {
       // Check for single character event listeners
-      const scripts = document.querySelectorAll('script');
+      const scripts = context.document.querySelectorAll('script');
       let hasSingleCharShortcuts = false;
       
       scripts.forEach(script => {
@@ -103,9 +119,13 @@ export const operableRules = {
     help: 'Provide options to turn off, adjust, or extend time limits',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/timing-adjustable.html',
     explanation: 'If your site has time limits (like forms that expire), users need to be able to extend the time. Some people need more time to read or complete tasks.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<p>A page that does not refresh itself</p>'],
+      fail: ['<!DOCTYPE html><html lang="en"><head><title>Rule example</title><meta http-equiv="refresh" content="10"></head><body><p>Example content</p></body></html>']
+    },
+    evaluate: (element, options, context) => {
       // Check for meta refresh
-      const metaRefresh = document.querySelector('meta[http-equiv="refresh"]');
+      const metaRefresh = context.document.querySelector('meta[http-equiv="refresh"]');
       if (metaRefresh) {
         const content = metaRefresh.getAttribute('content');
         const seconds = parseInt(content);
@@ -132,6 +152,11 @@ export const operableRules = {
     help: 'Provide controls for moving, blinking, or scrolling content',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/pause-stop-hide.html',
     explanation: 'Moving or auto-playing content can be distracting and make it hard to read other parts of the page. Users need a way to pause it.',
+    examples: {
+      pass: ['<div class="carousel"><button class="pause">Pause slideshow</button><img src="slide.jpg" alt="Summer sale"></div>'],
+      fail: ['<div class="carousel"><img src="slide.jpg" alt="Summer sale"></div>', '<marquee>Breaking news</marquee>'],
+      inapplicable: ['<div class="gallery"><img src="photo.jpg" alt="Harbour at dusk"></div>']
+    },
     evaluate: (element) => {
       // Check for deprecated marquee element
       if (element.tagName === 'MARQUEE') {
@@ -161,6 +186,11 @@ export const operableRules = {
     help: 'Avoid content that flashes rapidly',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/three-flashes-or-below-threshold.html',
     explanation: 'Flashing content can trigger seizures in people with photosensitive epilepsy. Content should not flash more than 3 times per second.',
+    examples: {
+      pass: ['<video src="intro.mp4" controls></video>'],
+      inapplicable: ['<p>Static text</p>'],
+      incomplete: ['<div class="flash-banner">Sale now on</div>']
+    },
     evaluate: (element) => {
       // This requires manual review - automated testing can only flag potential issues
       const classes = element.className || '';
@@ -177,28 +207,40 @@ export const operableRules = {
   // 2.4.1 Bypass Blocks (Level A)
   'bypass-blocks': {
     id: 'bypass-blocks',
-    selector: 'body',
+    scope: 'page',
     tags: ['wcag22a', 'wcag241', 'operable'],
     impact: 'moderate',
     description: 'Page must have a way to bypass repeated blocks',
     help: 'Provide skip links or landmark regions',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html',
+    actRuleIds: ['cf77f2'],
     explanation: 'Pages need a way to skip repetitive content like navigation menus. This helps keyboard users get to main content quickly without tabbing through everything.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<a href="#main">Skip to content</a><div><a href="/">Home</a></div><div id="main"><h1>Welcome</h1></div>', '<header><a href="/">Home</a></header><main><h1>Welcome</h1></main>'],
+      fail: ['<div><a href="/">Home</a></div><div><h1>Welcome</h1></div>']
+    },
+    evaluate: (doc) => {
+      if (!doc.body) {
+        return null;
+      }
+      
       // Check for skip link
-      const skipLinks = document.querySelectorAll('a[href^="#"]');
-      const hasSkipLink = Array.from(skipLinks).some(link => {
+      const skipLinks = Array.from(doc.querySelectorAll('a[href^="#"]')).filter(link => {
         const text = link.textContent.toLowerCase();
         return text.includes('skip') || text.includes('jump');
       });
       
       // Check for landmark regions
-      const landmarks = document.querySelectorAll('main, [role="main"], nav, [role="navigation"], header, [role="banner"]');
-      
-      return {
-        passed: hasSkipLink || landmarks.length >= 2,
-        message: !hasSkipLink && landmarks.length < 2 ? 'Page lacks skip mechanism or sufficient landmarks' : null
-      };
+      const landmarks = Array.from(doc.querySelectorAll('main, [role="main"], nav, [role="navigation"], header, [role="banner"]'));
+      const passed = skipLinks.length > 0 || landmarks.length >= 2;
+      
+      return [{
+        element: doc.body,
+        passed,
+        message: passed ? null : 'Page lacks skip mechanism or sufficient landmarks',
+        // The mechanisms found, so a passing page shows what it relies on
+        relatedNodes: [...skipLinks, ...landmarks]
+      }];
     }
   },
 
@@ -211,9 +253,14 @@ export const operableRules = {
     description: 'Page must have a descriptive title',
     help: 'Provide a descriptive page title',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/page-titled.html',
+    actRuleIds: ['2779a5'],
     explanation: 'Page titles help users understand where they are. They appear in browser tabs and are announced by screen readers when switching between pages.',
-    evaluate: () => {
-      const title = document.querySelector('title');
+    examples: {
+      pass: ['<!DOCTYPE html><html lang="en"><head><title>Opening hours - City Library</title></head><body><p>Example content</p></body></html>'],
+      fail: ['<!DOCTYPE html><html lang="en"><head></head><body><p>Example content</p></body></html>', '<!DOCTYPE html><html lang="en"><head><title>Untitled</title></head><body><p>Example content</p></body></html>']
+    },
+    evaluate: (element, options, context) => {
+      const title = context.document.querySelector('title');
       const titleText = title?.textContent?.trim();
       
       if (!title || !titleText) {
@@ -246,6 +293,11 @@ export const operableRules = {
     help: 'Ensure tab order follows visual/logical flow',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-order.html',
     explanation: 'When users press Tab to navigate, the focus should move in a logical order that matches how the page is laid out visually.',
+    examples: {
+      pass: ['<div tabindex="0">Scrollable panel</div>'],
+      fail: ['<a href="/pricing" tabindex="2">Pricing</a>'],
+      inapplicable: ['<a href="/pricing">Pricing</a>']
+    },
     evaluate: (element) => {
       const tabindex = parseInt(element.getAttribute('tabindex'));
       
@@ -261,6 +313,42 @@ export const operableRules = {
     }
   },
 
+  // 2.4.4 Link Purpose (In Context) (Level A) and 4.1.2 Name, Role, Value
+  'link-name': {
+    id: 'link-name',
+    selector: 'a[href]',
+    tags: ['wcag22a', 'wcag244', 'wcag412', 'operable'],
+    impact: 'serious',
+    description: 'Links must have an accessible name',
+    help: 'Give every link text or a text alternative',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/link-purpose-in-context.html',
+    actRuleIds: ['c487ae'],
+    explanation: 'A link with no text, such as an image link without alt text, is announced by screen readers as just "link", so users cannot tell where it goes.',
+    examples: {
+      pass: ['<a href="/"><img src="logo.png" alt="Home"></a>'],
+      fail: ['<a href="/"><img src="logo.png"></a>', '<a href="/cart" aria-label=" "></a>'],
+      inapplicable: ['<a>Placeholder without a destination</a>', '<a href="/" role="button">Menu</a>']
+    },
+    evaluate: (element, options, context) => {
+      // Links given another role, or hidden from assistive technology, are not announced as links
+      if (getRole(element) !== 'link' || context.isHidden(element)) {
+        return null;
+      }
+      
+      const accessibleName = context.getAccessibleName(element);
+      
+      if (!accessibleName) {
+        return {
+          passed: false,
+          message: 'Link has no accessible name',
+          data: { accessibleName }
+        };
+      }
+      
+      return { passed: true, data: { accessibleName } };
+    }
+  },
+
   // 2.4.4 Link Purpose (In Context) (Level A)
   'link-purpose': {
     id: 'link-purpose',
@@ -271,14 +359,22 @@ export const operableRules = {
     help: 'Make link text descriptive or provide context',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/link-purpose-in-context.html',
     explanation: 'Link text should describe where the link goes. Avoid vague text like "click here" - instead use descriptive text like "download annual report".',
-    evaluate: (element) => {
-      const linkText = element.textContent.trim();
-      const ariaLabel = element.getAttribute('aria-label');
-      const title = element.getAttribute('title');
+    examples: {
+      pass: ['<a href="/report.pdf">Download the annual report</a>'],
+      fail: ['<a href="/report.pdf">Click here</a>'],
+      inapplicable: ['<a>Placeholder without a destination</a>', '<a href="/"><img src="logo.png"></a>']
+    },
+    evaluate: (element, options, context) => {
+      const accessibleName = context.getAccessibleName(element);
+      
+      // Links without a name are reported by link-name
+      if (!accessibleName) {
+        return null;
+      }
       
       // Check for non-descriptive link text
       const vaguePhrases = ['click here', 'read more', 'more', 'link', 'here'];
-      const text = (ariaLabel || linkText || title || '').toLowerCase();
+      const text = accessibleName.toLowerCase();
       
       if (vaguePhrases.includes(text)) {
         // Check if context provides clarity
@@ -288,12 +384,13 @@ export const operableRules = {
         if (parentText.length < 50) {
           return {
             passed: false,
-            message: 'Link text is not descriptive'
+            message: 'Link text is not descriptive',
+            data: { accessibleName }
           };
         }
       }
       
-      return { passed: true };
+      return { passed: true, data: { accessibleName } };
     }
   },
 
@@ -307,11 +404,15 @@ export const operableRules = {
     help: 'Provide site map, search, or navigation',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/multiple-ways.html',
     explanation: 'Users should have more than one way to find content on your site, like a search box, site map, or navigation menu.',
-    evaluate: () => {
-      const hasSearch = document.querySelector('[type="search"], [role="search"], [class*="search"]');
-      const hasSitemap = document.querySelector('a[href*="sitemap"]');
-      const hasNav = document.querySelector('nav, [role="navigation"]');
-      const hasBreadcrumb = document.querySelector('[aria-label*="breadcrumb"], .breadcrumb');
+    examples: {
+      pass: ['<nav><a href="/">Home</a></nav><form role="search"><input type="search" aria-label="Search the site"></form>'],
+      fail: ['<nav><a href="/">Home</a></nav>']
+    },
+    evaluate: (element, options, context) => {
+      const hasSearch = context.document.querySelector('[type="search"], [role="search"], [class*="search"]');
+      const hasSitemap = context.document.querySelector('a[href*="sitemap"]');
+      const hasNav = context.document.querySelector('nav, [role="navigation"]');
+      const hasBreadcrumb = context.document.querySelector('[aria-label*="breadcrumb"], .breadcrumb');
       
       const waysCount = [hasSearch, hasSitemap, hasNav, hasBreadcrumb].filter(Boolean).length;
       
@@ -332,41 +433,28 @@ export const operableRules = {
     help: 'Use clear and descriptive headings and labels',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/headings-and-labels.html',
     explanation: 'Headings and form labels should clearly describe what follows. Avoid generic text like "Section 1" - use descriptive text like "Contact Information".',
-    evaluate: (element) => {
-      // Check visible text first
-      const text = element.textContent.trim();
-      
-      // Also check for aria-label as alternative
-      const ariaLabel = element.getAttribute('aria-label');
-      const ariaLabelledBy = element.getAttribute('aria-labelledby');
-      
-      // For headings with images (like logos), check if image has alt text
-      const img = element.querySelector('img');
-      const imgAlt = img ? img.getAttribute('alt') : null;
-      
-      // Determine the effective label
-      let effectiveLabel = text;
-      
-      if (!text && ariaLabel) {
-        effectiveLabel = ariaLabel;
-      } else if (!text && ariaLabelledBy) {
-        const labelElement = document.getElementById(ariaLabelledBy);
-        if (labelElement) {
-          effectiveLabel = labelElement.textContent.trim();
-        }
-      } else if (!text && imgAlt) {
-        effectiveLabel = imgAlt;
-      }
+    examples: {
+      pass: ['<h2>Contact information</h2>', '<label for="email">Email address</label><input id="email" type="email">'],
+      fail: ['<h2>Section</h2>', '<h2></h2>'],
+      inapplicable: ['<p>A paragraph of text</p>']
+    },
+    evaluate: (element, options, context) => {
+      // Headings are named from content; labels are measured by their text alternative
+      const effectiveLabel = element.tagName === 'LABEL'
+        ? getAccessibleText(element)
+        : context.getAccessibleName(element);
       
       if (!effectiveLabel) {
         // Special case: heading might contain only decorative image
+        const img = element.querySelector('img');
         if (img && img.getAttribute('alt') === '') {
-          return { passed: true }; // Decorative image is OK
+          return { passed: true, data: { accessibleName: effectiveLabel } }; // Decorative image is OK
         }
         
         return {
           passed: false,
-          message: `${element.tagName} is empty and has no accessible label`
+          message: `${element.tagName} is empty and has no accessible label`,
+          data: { accessibleName: effectiveLabel }
         };
       }
       
@@ -375,11 +463,12 @@ export const operableRules = {
       if (genericText.includes(effectiveLabel.toLowerCase())) {
         return {
           passed: false,
-          message: `${element.tagName} text is not descriptive`
+          message: `${element.tagName} text is not descriptive`,
+          data: { accessibleName: effectiveLabel }
         };
       }
       
-      return { passed: true };
+      return { passed: true, data: { accessibleName: effectiveLabel } };
     }
   },
 
@@ -393,9 +482,14 @@ export const operableRules = {
     help: 'Ensure focus indicators are visible',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html',
     explanation: 'When users tab through a page, they need to see which element has focus. There should be a visible outline or highlight.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<button style="outline-style: solid; outline-width: 2px; outline-color: #1a73e8">Save</button>'],
+      fail: ['<button style="outline: none">Save</button>'],
+      inapplicable: ['<button disabled>Save</button>', '<p>Static text</p>']
+    },
+    evaluate: (element, options, context) => {
       // Skip if not visible
-      const style = window.getComputedStyle(element);
+      const style = context.getComputedStyle(element);
       if (style.display === 'none' || style.visibility === 'hidden') {
         return null;
       }
@@ -406,7 +500,7 @@ export const operableRules = {
       }
       
       // Check for modern :focus-visible support
-      const supportsFocusVisible = CSS.supports && CSS.supports('selector(:focus-visible)');
+      const supportsFocusVisible = Boolean(context.window.CSS?.supports?.('selector(:focus-visible)'));
       
       // If browser supports :focus-visible, this is the modern recommended pattern
       if (supportsFocusVisible) {
@@ -468,9 +562,17 @@ export const operableRules = {
     help: 'Ensure focused elements are at least partially visible',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-not-obscured-minimum.html',
     explanation: 'When an element receives keyboard focus, it should not be completely hidden by other content like sticky headers or popups.',
-    evaluate: (element) => {
-      // Check for fixed/sticky elements that might obscure focus
-      const fixedElements = document.querySelectorAll('[style*="position: fixed"], [style*="position: sticky"]');
+    examples: {
+      pass: ['<button>Save</button>'],
+      inapplicable: ['<p>Static text</p>'],
+      incomplete: ['<header style="position: fixed; top: 0">Site header</header><a href="/pricing">Pricing</a>']
+    },
+    evaluate: (element, options, context) => {
+      // Check for fixed/sticky elements that might obscure focus, once per document
+      if (!context.cache.has('fixed-elements')) {
+        context.cache.set('fixed-elements', context.document.querySelectorAll('[style*="position: fixed"], [style*="position: sticky"]'));
+      }
+      const fixedElements = context.cache.get('fixed-elements');
       
       if (fixedElements.length > 0) {
         return {
@@ -494,6 +596,10 @@ export const operableRules = {
     help: 'Provide alternatives to multi-point or path-based gestures',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/pointer-gestures.html',
     explanation: 'Features that use gestures like pinch-to-zoom or swipe should also work with simple clicks or taps. Not everyone can perform complex gestures.',
+    examples: {
+      inapplicable: ['<div class="gallery"><img src="photo.jpg" alt="Harbour at dusk"></div>'],
+      incomplete: ['<div class="swipe-gallery"><img src="photo.jpg" alt="Harbour at dusk"></div>']
+    },
     evaluate: (element) => {
       const classes = element.className || '';
       const hasGestureClass = /swipe|pinch|drag|gesture/.test(classes);
@@ -516,6 +622,11 @@ export const operableRules = {
     help: 'Use click events instead of mousedown for triggering actions',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/pointer-cancellation.html',
     explanation: 'Actions should happen when users release the mouse button (click), not when they press it down. This lets users cancel by moving away before releasing.',
+    examples: {
+      pass: ['<button onclick="save()">Save</button>'],
+      fail: ['<button onmousedown="save()">Save</button>'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       const hasMousedown = element.hasAttribute('onmousedown');
       const hasPointerdown = element.hasAttribute('onpointerdown');
@@ -541,22 +652,28 @@ export const operableRules = {
     description: 'Accessible name must contain visible label text',
     help: 'Ensure aria-label includes the visible text',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/label-in-name.html',
+    actRuleIds: ['2ee8b8'],
     explanation: 'If a button shows "Submit" but has a different aria-label like "Send form", voice control users cannot activate it by saying "click submit".',
-    evaluate: (element) => {
-      const visibleText = element.textContent.trim().toLowerCase();
-      const ariaLabel = element.getAttribute('aria-label');
-      
-      if (ariaLabel && visibleText) {
-        const ariaLabelLower = ariaLabel.toLowerCase();
-        if (!ariaLabelLower.includes(visibleText)) {
+    examples: {
+      pass: ['<button aria-label="Submit order">Submit</button>', '<a href="/cart">Cart</a>'],
+      fail: ['<button aria-label="Send form">Submit</button>'],
+      inapplicable: ['<input type="submit" value="Submit">']
+    },
+    evaluate: (element, options, context) => {
+      const visibleText = element.textContent.replace(/\s+/g, ' ').trim().toLowerCase();
+      const accessibleName = context.getAccessibleName(element);
+      
+      if (accessibleName && visibleText) {
+        if (!accessibleName.toLowerCase().includes(visibleText)) {
           return {
             passed: false,
-            message: 'Accessible name does not contain visible label text'
+            message: 'Accessible name does not contain visible label text',
+            data: { accessibleName, visibleText }
           };
         }
       }
       
-      return { passed: true };
+      return { passed: true, data: { accessibleName, visibleText } };
     }
   },
 
@@ -570,9 +687,13 @@ export const operableRules = {
     help: 'Provide conventional controls for motion-activated features',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/motion-actuation.html',
     explanation: 'Features that work by shaking or tilting the device need button alternatives. Some people cannot move their devices or have them mounted.',
-    evaluate: () => {
+    examples: {
+      pass: ['<p>A page without motion controls</p>'],
+      incomplete: ['<script>window.addEventListener("devicemotion", shuffle);</script>']
+    },
+    evaluate: (element, options, context) => {
       // Check for device motion listeners
-      const scripts = document.querySelectorAll('script');
+      const scripts = context.document.querySelectorAll('script');
       let hasMotionListeners = false;
       
       scripts.forEach(script => {
@@ -600,6 +721,10 @@ export const operableRules = {
     help: 'Provide click alternatives to drag-and-drop',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/dragging-movements.html',
     explanation: 'Drag-and-drop features need alternatives like arrow buttons or menus. Some people cannot perform dragging motions accurately.',
+    examples: {
+      inapplicable: ['<ul><li>First</li><li>Second</li></ul>'],
+      incomplete: ['<ul class="sortable"><li>First</li><li>Second</li></ul>']
+    },
     evaluate: (element) => {
       const isDraggable = element.getAttribute('draggable') === 'true';
       const classes = element.className || '';
@@ -627,9 +752,15 @@ export const operableRules = {
     help: 'Ensure clickable elements are large enough',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/target-size-minimum.html',
     explanation: 'Buttons and links need to be at least 24x24 pixels so people with motor difficulties can click them easily. Think of it like making buttons finger-friendly.',
-    evaluate: (element) => {
+    options: { minSize: 24 },
+    examples: {
+      pass: ['<button style="width: 44px; height: 44px">+</button>'],
+      fail: ['<button style="width: 16px; height: 16px">+</button>'],
+      inapplicable: ['<button style="display: none">+</button>']
+    },
+    evaluate: (element, { minSize = 24 } = {}, context) => {
       // Skip hidden elements
-      const style = window.getComputedStyle(element);
+      const style = context.getComputedStyle(element);
       if (style.display === 'none' || style.visibility === 'hidden') {
         return null;
       }
@@ -650,7 +781,7 @@ export const operableRules = {
         // Check if parent is hidden
         let parent = element.parentElement;
         while (parent) {
-          const parentStyle = window.getComputedStyle(parent);
+          const parentStyle = context.getComputedStyle(parent);
           if (parentStyle.display === 'none' || parentStyle.visibility === 'hidden') {
             return null;
           }
@@ -672,7 +803,7 @@ export const operableRules = {
       
       // Check for exceptions in WCAG 2.2
       // Exception 1: Inline targets in text
-      if (element.parentElement && window.getComputedStyle(element.parentElement).display === 'inline') {
+      if (element.parentElement && context.getComputedStyle(element.parentElement).display === 'inline') {
         const siblingText = element.previousSibling?.nodeType === 3 || element.nextSibling?.nodeType === 3;
         if (siblingText) {
           return { passed: true };
@@ -685,10 +816,10 @@ export const operableRules = {
         return { passed: true };
       }
       
-      if (width < 24 || height < 24) {
+      if (width < minSize || height < minSize) {
         return {
           passed: false,
-          message: `Target size ${Math.round(width)}x${Math.round(height)}px is below 24x24px minimum`
+          message: `Target size ${Math.round(width)}x${Math.round(height)}px is below ${minSize}x${minSize}px minimum`
         };
       }
       
@@ -3,8 +3,261 @@
  * Information and user interface components must be presentable to users in ways they can perceive.
  */
 
-import { calculateContrast, safeGetComputedStyle, getBackgroundColor } from '../../utils/color.js';
-import { getDocument, querySelector, getComputedStyle as getDOMComputedStyle } from '../../utils/dom.js';
+import { calculateContrast, formatColor, parseColor } from '../../utils/color.js';
+import { getTextShadowHalo, resolveBackground } from '../../utils/background.js';
+import { getTextSize } from '../../utils/font.js';
+import { getPseudoElementStyle, getPseudoElementText } from '../../utils/stylesheets.js';
+import { getComposedParent, querySelector } from '../../utils/dom.js';
+
+// Placeholder color browsers draw when a page sets none (Chromium's)
+const DEFAULT_PLACEHOLDER_COLOR = '#757575';
+
+// Input types that show a placeholder
+const PLACEHOLDER_INPUT_TYPES = ['text', 'search', 'url', 'tel', 'email', 'password', 'number'];
+
+/**
+ * text-shadow of an element. JSDOM does not inherit it, so the nearest
+ * ancestor that sets one is used.
+ */
+function getTextShadow(element, getStyle) {
+  for (let current = element; current; current = getComposedParent(current)) {
+    const textShadow = current.nodeType === 1 ? getStyle(current).textShadow : '';
+    if (textShadow) {
+      return textShadow;
+    }
+  }
+  return 'none';
+}
+
+/**
+ * Text color of a pseudo-element, with its opacity applied
+ */
+function getPseudoElementColor(element, pseudoStyle, fallback, getStyle) {
+  const color = parseColor(pseudoStyle.color || fallback, getStyle(element).color);
+  const opacity = parseFloat(pseudoStyle.opacity);
+  if (!color || isNaN(opacity)) {
+    return color ? formatColor(color) : undefined;
+  }
+  return formatColor({ ...color, a: color.a * Math.min(Math.max(opacity, 0), 1) });
+}
+
+/**
+ * Pieces of text an element draws, each with its own colors: the element's
+ * own text and its ::before and ::after content, or for an empty text field
+ * its placeholder. Pseudo-element styles come from the stylesheets.
+ */
+function getTextParts(element, context) {
+  const getStyle = context.getComputedStyle;
+  const textShadow = getTextShadow(element, getStyle);
+
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    const showsPlaceholder = element.tagName === 'TEXTAREA' || PLACEHOLDER_INPUT_TYPES.includes(type);
+    if (!showsPlaceholder || !element.getAttribute('placeholder')?.trim() || element.value) {
+      return [];
+    }
+
+    const pseudoStyle = getPseudoElementStyle(element, '::placeholder', context.cache);
+    return [{
+      part: '::placeholder',
+      foreground: getPseudoElementColor(element, pseudoStyle, DEFAULT_PLACEHOLDER_COLOR, getStyle),
+      textShadow: pseudoStyle['text-shadow'] || textShadow,
+      pseudoStyle
+    }];
+  }
+
+  const parts = [];
+  const hasDirectText = Array.from(element.childNodes).some(node => {
+    return node.nodeType === 3 && node.textContent.trim().length > 0;
+  });
+  if (hasDirectText) {
+    parts.push({ part: 'text', textShadow });
+  }
+
+  ['::before', '::after'].forEach(pseudo => {
+    const pseudoStyle = getPseudoElementStyle(element, pseudo, context.cache);
+    if (pseudoStyle.display === 'none' || pseudoStyle.visibility === 'hidden' ||
+        !getPseudoElementText(element, pseudoStyle.content).trim()) {
+      return;
+    }
+    parts.push({
+      part: pseudo,
+      foreground: getPseudoElementColor(element, pseudoStyle, undefined, getStyle),
+      innerBackground: pseudoStyle['background-color'],
+      textShadow: pseudoStyle['text-shadow'] || textShadow,
+      pseudoStyle
+    });
+  });
+
+  return parts;
+}
+
+/**
+ * Contrast result for one piece of text. A solid text-shadow around the
+ * glyphs counts as their background when it gives more contrast.
+ */
+function checkTextPart(element, part, { minRatio, minRatioLargeText }, context) {
+  const resolved = resolveBackground(element, {
+    getStyle: context.getComputedStyle,
+    foreground: part.foreground,
+    innerBackground: part.innerBackground
+  });
+  if (!resolved) {
+    return null;
+  }
+
+  const relatedNodes = resolved.source && resolved.source !== element ? [resolved.source] : undefined;
+  const where = part.part === 'text' ? '' : ` in ${part.part}`;
+  if (resolved.incomplete) {
+    return {
+      passed: true,
+      incomplete: true,
+      message: `${resolved.reason}${where}`,
+      relatedNodes
+    };
+  }
+
+  const { foreground, background } = resolved;
+  let { contrast } = resolved;
+  let textShadow;
+  const halo = getTextShadowHalo(part.textShadow, { currentColor: foreground });
+  const haloContrast = halo ? calculateContrast(foreground, halo) : null;
+  if (haloContrast !== null && haloContrast > contrast) {
+    contrast = haloContrast;
+    textShadow = halo;
+  }
+
+  // A contrast of exactly 1 is invisible text, likely an error in detection
+  if (contrast === 1) {
+    return null;
+  }
+
+  // Large text is at least 18pt, or 14pt and bold
+  const { fontSize, fontSizePt, fontWeight, isLargeText } = getTextSize(element, context.getComputedStyle, part.pseudoStyle);
+  const requiredRatio = isLargeText ? minRatioLargeText : minRatio;
+  const measured = Math.round(contrast * 100) / 100;
+
+  return {
+    passed: contrast >= requiredRatio,
+    message: contrast < requiredRatio ?
+      `Contrast ratio ${measured}:1 is below required ${requiredRatio}:1 for ${isLargeText ? 'large' : 'normal'} text (${fontSizePt}pt, weight ${fontWeight})${where}` : null,
+    data: {
+      contrast: measured,
+      requiredRatio,
+      fontSize,
+      fontSizePt,
+      fontWeight,
+      isLargeText,
+      foreground,
+      background,
+      part: part.part,
+      ...(textShadow && { textShadow })
+    },
+    relatedNodes
+  };
+}
+
+/**
+ * Contrast check shared by contrast-minimum and contrast-enhanced: finds the
+ * text's colors and compares their ratio with the one required for its size.
+ * Returns null for elements without visible text of their own, including
+ * ::before and ::after content and text field placeholders.
+ */
+function evaluateTextContrast(element, { minRatio, minRatioLargeText }, context) {
+  try {
+    // Skip non-visible elements
+    const style = context.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden') {
+      return null;
+    }
+    
+    // Check opacity and skip if 0 or very low (likely animating)
+    const opacity = parseFloat(style.opacity || '1');
+    if (opacity === 0 || opacity < 0.1) {
+      return null;
+    }
+    
+    // Skip elements that might be animating
+    const transition = style.transition || '';
+    const animation = style.animation || '';
+    const transform = style.transform || '';
+    
+    // Check for fade animations
+    if ((animation && (animation.includes('fade') || animation.includes('appear'))) ||
+        (transition && transition.includes('opacity'))) {
+      // If opacity is less than 1, it's likely mid-animation
+      if (opacity < 1) {
+        return null;
+      }
+    }
+    
+    // Check for common animation classes
+    const className = element.className || '';
+    if (typeof className === 'string') {
+      const animationClasses = ['fade-in', 'fade-out', 'appearing', 'stagger-in', 'animate'];
+      const hasAnimationClass = animationClasses.some(cls => className.includes(cls));
+      if (hasAnimationClass && opacity < 1) {
+        return null;
+      }
+    }
+    
+    // Skip elements that are likely not visible
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      // Check if it's intentionally hidden or just not rendered
+      const isOffScreen = rect.top > context.window.innerHeight || 
+                        rect.bottom < 0 || 
+                        rect.left > context.window.innerWidth || 
+                        rect.right < 0;
+      
+      if (!isOffScreen) {
+        return null; // Element has no size and isn't off-screen, skip it
+      }
+    }
+    
+    // Skip certain elements
+    const skipTags = [
+      'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE',
+      'BR', 'HR', 'IMG', 'SVG', 'PATH', 'CANVAS',
+      'AUDIO', 'VIDEO', 'IFRAME', 'OBJECT', 'EMBED'
+    ];
+    
+    if (skipTags.includes(element.tagName)) {
+      return null;
+    }
+    
+    // Skip buttons and selects (they have their own contrast requirements);
+    // text fields are checked for their placeholder only
+    if (element.tagName === 'BUTTON' || element.tagName === 'SELECT') {
+      return null;
+    }
+    
+    // Skip if disabled
+    if (element.hasAttribute('disabled') || 
+        element.getAttribute('aria-disabled') === 'true' ||
+        style.cursor === 'not-allowed') {
+      return null;
+    }
+    
+    const parts = getTextParts(element, context);
+    if (parts.length === 0) {
+      return null;
+    }
+    
+    const results = parts
+      .map(part => checkTextPart(element, part, { minRatio, minRatioLargeText }, context))
+      .filter(Boolean);
+    
+    // Report the first failing part, then one that needs review, then the lowest contrast
+    return results.find(result => !result.passed) ||
+      results.find(result => result.incomplete) ||
+      results.sort((a, b) => a.data.contrast - b.data.contrast)[0] ||
+      null;
+  } catch (e) {
+    // If there's any error, skip rather than false positive
+    return null;
+  }
+}
 
 export const perceivableRules = {
   // 1.1.1 Non-text Content (Level A)
@@ -16,20 +269,34 @@ export const perceivableRules = {
     description: 'Images must have alternate text',
     help: 'Images must have an alt attribute',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html',
+    actRuleIds: ['23a2a8'],
     explanation: 'Images need text descriptions so screen reader users know what the image shows. Think of it like describing a photo to someone over the phone.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<img src="logo.png" alt="HelpTheWeb">', '<img src="divider.png" alt="">'],
+      fail: ['<img src="logo.png">', '<img src="logo.png" alt=" ">'],
+      inapplicable: ['<p>A page without images</p>']
+    },
+    evaluate: (element, options, context) => {
       const alt = element.getAttribute('alt');
+      const accessibleName = context.getAccessibleName(element);
       const isDecorative = element.getAttribute('role') === 'presentation' || 
+                         element.getAttribute('role') === 'none' ||
                          element.getAttribute('aria-hidden') === 'true';
       
       if (isDecorative) {
-        return { passed: alt === '' || alt === null };
+        return { passed: alt === '' || alt === null, data: { accessibleName } };
+      }
+      
+      // An empty alt marks the image as decorative
+      if (alt === '') {
+        return { passed: true, data: { accessibleName } };
       }
       
       return {
-        passed: alt !== null && alt !== undefined,
-        message: alt === null ? 'Image missing alt attribute' : 
-                alt === '' ? 'Image has empty alt attribute' : null
+        passed: accessibleName !== '',
+        message: accessibleName !== '' ? null :
+          alt === null ? 'Image missing alt attribute' : 'Image alt attribute is blank',
+        data: { accessibleName }
       };
     }
   },
@@ -44,6 +311,11 @@ export const perceivableRules = {
     help: 'Provide captions for audio content',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/audio-only-and-video-only-prerecorded.html',
     explanation: 'Audio content needs text captions so deaf or hard-of-hearing users can understand what is being said. Like subtitles for a movie.',
+    examples: {
+      pass: ['<audio src="talk.mp3" controls><track kind="captions" src="talk.vtt" srclang="en"></audio>'],
+      fail: ['<audio src="talk.mp3" controls></audio>'],
+      inapplicable: ['<video src="intro.mp4" controls><track kind="captions" src="intro.vtt" srclang="en"></video>']
+    },
     evaluate: (element) => {
       const tracks = element.querySelectorAll('track[kind="captions"]');
       return {
@@ -62,7 +334,13 @@ export const perceivableRules = {
     description: 'Video elements must have captions',
     help: 'Videos must have captions for audio content',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/captions-prerecorded.html',
+    actRuleIds: ['eac66b'],
     explanation: 'Videos need captions for people who cannot hear the audio. This includes dialogue, sound effects, and music descriptions.',
+    examples: {
+      pass: ['<video src="intro.mp4" controls><track kind="captions" src="intro.vtt" srclang="en"></video>', '<video src="intro.mp4" controls><track kind="subtitles" src="intro.fr.vtt" srclang="fr"></video>'],
+      fail: ['<video src="intro.mp4" controls></video>'],
+      inapplicable: ['<audio src="talk.mp3" controls></audio>']
+    },
     evaluate: (element) => {
       const tracks = element.querySelectorAll('track[kind="captions"], track[kind="subtitles"]');
       return {
@@ -82,6 +360,11 @@ export const perceivableRules = {
     help: 'Provide audio description track or text alternative for video content',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/audio-description-or-media-alternative-prerecorded.html',
     explanation: 'Videos need descriptions of important visual information for blind users. This narrates what is happening on screen that is not clear from the dialogue alone.',
+    examples: {
+      pass: ['<video src="intro.mp4" controls><track kind="descriptions" src="intro-descriptions.vtt" srclang="en"></video>', '<video src="intro.mp4" controls aria-describedby="transcript"></video><p id="transcript">Transcript of the introduction</p>'],
+      fail: ['<video src="intro.mp4" controls></video>'],
+      inapplicable: ['<audio src="talk.mp3" controls></audio>']
+    },
     evaluate: (element) => {
       const descriptionTrack = element.querySelector('track[kind="descriptions"]');
       const ariaDescribedby = element.getAttribute('aria-describedby');
@@ -104,6 +387,11 @@ export const perceivableRules = {
     help: 'Provide audio descriptions for video content',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/audio-description-prerecorded.html',
     explanation: 'Important visual details in videos should be described in audio for blind users. This is more comprehensive than basic alternatives.',
+    examples: {
+      pass: ['<video src="intro.mp4" controls><track kind="descriptions" src="intro-descriptions.vtt" srclang="en"></video>'],
+      fail: ['<video src="intro.mp4" controls><track kind="captions" src="intro.vtt" srclang="en"></video>'],
+      inapplicable: ['<audio src="talk.mp3" controls></audio>']
+    },
     evaluate: (element) => {
       const descriptionTrack = element.querySelector('track[kind="descriptions"]');
       return {
@@ -123,6 +411,11 @@ export const perceivableRules = {
     help: 'Use semantic markup to convey information and relationships',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html',
     explanation: 'Use proper HTML tags so screen readers understand how content is organized. For example, use real heading tags instead of just making text look big.',
+    examples: {
+      pass: ['<table><tr><th>Name</th><th>Role</th></tr><tr><td>Ada</td><td>Engineer</td></tr></table>', '<ul><li>First</li><li>Second</li></ul>'],
+      fail: ['<table><tr><td>Name</td><td>Role</td></tr><tr><td>Ada</td><td>Engineer</td></tr></table>', '<ul><li>First</li><p>Second</p></ul>'],
+      inapplicable: ['<p>A paragraph of text</p>']
+    },
     evaluate: (element) => {
       const issues = [];
       
@@ -167,6 +460,10 @@ export const perceivableRules = {
     help: 'DOM order should match visual presentation order',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/meaningful-sequence.html',
     explanation: 'The order of content in the code should match how it appears visually. Screen readers read content in code order, so it needs to make sense.',
+    examples: {
+      pass: ['<a href="/first">First</a> <a href="/second" tabindex="0">Second</a>'],
+      fail: ['<a href="/first">First</a> <a href="/second" tabindex="1">Second</a>']
+    },
     evaluate: (element) => {
       // This is a simplified check - real implementation would need visual analysis
       const tabindexElements = element.querySelectorAll('[tabindex]:not([tabindex="0"]):not([tabindex="-1"])');
@@ -192,6 +489,10 @@ export const perceivableRules = {
     help: 'Do not use only color, shape, size, or location to give instructions',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/sensory-characteristics.html',
     explanation: 'Instructions should not say things like "click the red button" or "see the box on the right" because not everyone can see colors or spatial relationships.',
+    examples: {
+      pass: ['<p>Select Continue to go to the payment step.</p>'],
+      incomplete: ['<p>Click the red button to continue.</p>']
+    },
     evaluate: (element) => {
       const text = element.textContent.toLowerCase();
       const problematicPhrases = [
@@ -225,8 +526,12 @@ export const perceivableRules = {
     help: 'Allow both portrait and landscape orientations',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/orientation.html',
     explanation: 'Websites should work in both portrait and landscape modes. Some people mount their devices in a fixed position and cannot rotate them.',
-    evaluate: (element) => {
-      const doc = getDocument(element);
+    examples: {
+      fail: ['<!DOCTYPE html><html lang="en"><head><title>Rule example</title><meta name="viewport" content="width=device-width, orientation=portrait"></head><body><p>Example content</p></body></html>'],
+      incomplete: ['<p>Stylesheets can still lock the orientation, so this needs a manual check</p>']
+    },
+    evaluate: (element, options, context) => {
+      const doc = context.document;
       const viewport = querySelector('meta[name="viewport"]', doc);
       
       if (viewport) {
@@ -259,6 +564,11 @@ export const perceivableRules = {
     help: 'Use autocomplete attributes for common input fields',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/identify-input-purpose.html',
     explanation: 'Common form fields should use autocomplete so browsers can help fill them out. This helps people with disabilities who have trouble typing.',
+    examples: {
+      pass: ['<label>Email <input type="email" name="email" autocomplete="email"></label>', '<label>Favourite colour <input type="text" name="colour"></label>'],
+      fail: ['<label>Email <input type="email" name="email"></label>'],
+      inapplicable: ['<label>Password <input type="password" name="password"></label>']
+    },
     evaluate: (element) => {
       const type = element.getAttribute('type');
       const autocomplete = element.getAttribute('autocomplete');
@@ -308,10 +618,14 @@ export const perceivableRules = {
     help: 'Ensure links are distinguishable without relying on color',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/use-of-color.html',
     explanation: 'Do not use color alone to show important information. For example, links should be underlined, not just a different color.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<p>Read the <a href="/guide" style="text-decoration: underline">full guide</a>.</p>'],
+      inapplicable: ['<p>Text without links or buttons</p>']
+    },
+    evaluate: (element, options, context) => {
       try {
         // Check if link has underline or other visual indicator
-        const styles = getDOMComputedStyle(element);
+        const styles = context.getComputedStyle(element);
         const textDecoration = styles.textDecoration;
         const hasUnderline = textDecoration && textDecoration.includes('underline');
         const hasBorder = styles.borderBottomStyle !== 'none';
@@ -347,6 +661,11 @@ export const perceivableRules = {
     help: 'Provide controls to pause or stop auto-playing audio',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/audio-control.html',
     explanation: 'Audio that plays automatically can interfere with screen readers and be startling. Users need a way to stop it quickly.',
+    examples: {
+      pass: ['<audio src="theme.mp3" autoplay controls></audio>', '<video src="loop.mp4" autoplay muted></video>'],
+      fail: ['<audio src="theme.mp3" autoplay></audio>'],
+      inapplicable: ['<audio src="theme.mp3" controls></audio>']
+    },
     evaluate: (element) => {
       const hasControls = element.hasAttribute('controls');
       const isMuted = element.hasAttribute('muted');
@@ -362,147 +681,58 @@ export const perceivableRules = {
   // 1.4.3 Contrast (Minimum) (Level AA)
   'contrast-minimum': {
     id: 'contrast-minimum',
-    selector: '*',
+    selector: 'p, span, div, h1, h2, h3, h4, h5, h6, li, td, th, a, button, input[placeholder], textarea[placeholder]',
     tags: ['wcag22aa', 'wcag143', 'perceivable'],
     impact: 'serious',
     description: 'Elements must have sufficient color contrast',
     help: 'Text should have a contrast ratio of at least 4.5:1',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html',
+    actRuleIds: ['afw4f7'],
     explanation: 'Text needs enough contrast with its background so people with low vision can read it. Like black text on white background is easier to read than gray on light gray.',
-    evaluate: (element) => {
-      try {
-        // Skip non-visible elements
-        const style = safeGetComputedStyle(element);
-        if (style.display === 'none' || style.visibility === 'hidden') {
-          return null;
-        }
-        
-        // Check opacity and skip if 0 or very low (likely animating)
-        const opacity = parseFloat(style.opacity || '1');
-        if (opacity === 0 || opacity < 0.1) {
-          return null;
-        }
-        
-        // Skip elements that might be animating
-        const transition = style.transition || '';
-        const animation = style.animation || '';
-        const transform = style.transform || '';
-        
-        // Check for fade animations
-        if ((animation && (animation.includes('fade') || animation.includes('appear'))) ||
-            (transition && transition.includes('opacity'))) {
-          // If opacity is less than 1, it's likely mid-animation
-          if (opacity < 1) {
-            return null;
-          }
-        }
-        
-        // Check for common animation classes
-        const className = element.className || '';
-        if (typeof className === 'string') {
-          const animationClasses = ['fade-in', 'fade-out', 'appearing', 'stagger-in', 'animate'];
-          const hasAnimationClass = animationClasses.some(cls => className.includes(cls));
-          if (hasAnimationClass && opacity < 1) {
-            return null;
-          }
-        }
-        
-        // Skip elements that are likely not visible
-        const rect = element.getBoundingClientRect();
-        if (rect.width === 0 || rect.height === 0) {
-          // Check if it's intentionally hidden or just not rendered
-          const isOffScreen = rect.top > window.innerHeight || 
-                            rect.bottom < 0 || 
-                            rect.left > window.innerWidth || 
-                            rect.right < 0;
-          
-          if (!isOffScreen) {
-            return null; // Element has no size and isn't off-screen, skip it
-          }
-        }
-        
-        // Only check elements with direct text content
-        const hasDirectText = Array.from(element.childNodes).some(node => {
-          return node.nodeType === 3 && node.textContent.trim().length > 0;
-        });
-        
-        if (!hasDirectText) {
-          return null;
-        }
-        
-        // Skip certain elements
-        const skipTags = [
-          'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE',
-          'BR', 'HR', 'IMG', 'SVG', 'PATH', 'CANVAS',
-          'AUDIO', 'VIDEO', 'IFRAME', 'OBJECT', 'EMBED'
-        ];
-        
-        if (skipTags.includes(element.tagName)) {
-          return null;
-        }
-        
-        // Skip form elements (they have their own contrast requirements)
-        const formTags = ['INPUT', 'BUTTON', 'SELECT', 'TEXTAREA'];
-        if (formTags.includes(element.tagName)) {
-          return null;
-        }
-        
-        // Skip if disabled or placeholder
-        if (element.hasAttribute('disabled') || 
-            element.getAttribute('aria-disabled') === 'true' ||
-            element.hasAttribute('placeholder') ||
-            style.cursor === 'not-allowed') {
-          return null;
-        }
-        
-        // Skip if element has complex background
-        const bgImage = style.backgroundImage;
-        if (bgImage && bgImage !== 'none') {
-          return {
-            passed: true,
-            incomplete: true,
-            message: 'Element has background image - manual contrast check needed'
-          };
-        }
-        
-        // Get text properties
-        const fontSize = parseFloat(style.fontSize || '16');
-        const fontWeight = parseInt(style.fontWeight || '400') || 400;
-        const isLargeText = fontSize >= 18 || (fontSize >= 14 && fontWeight >= 700);
-        
-        // Get colors
-        const fgColor = style.color;
-        const bgColor = getBackgroundColor(element);
-        
-        // Skip if we can't determine colors reliably
-        if (!fgColor || fgColor === 'transparent' || 
-            !bgColor || bgColor === 'transparent' ||
-            fgColor === bgColor) {
-          return null;
-        }
-        
-        // Calculate contrast
-        const contrast = calculateContrast(fgColor, bgColor);
-        
-        // If contrast is exactly 1, there's likely an error
-        if (contrast === 1) {
-          return null;
-        }
-        
-        // Check against WCAG requirements
-        const requiredRatio = isLargeText ? 3 : 4.5;
-        
-        return {
-          passed: contrast >= requiredRatio,
-          message: contrast < requiredRatio ? 
-            `Contrast ratio ${contrast.toFixed(2)}:1 is below required ${requiredRatio}:1` : null,
-          data: { contrast, fontSize, isLargeText }
-        };
-      } catch (e) {
-        // If there's any error, skip rather than false positive
-        return null;
-      }
-    }
+    options: { minRatio: 4.5, minRatioLargeText: 3 },
+    examples: {
+      pass: [
+        '<p style="color: #333; background-color: #fff; width: 300px; height: 20px">Dark grey text on white</p>',
+        '<!DOCTYPE html><html lang="en"><head><title>Dark theme</title></head><body style="background-color: #111"><p style="color: #eee; width: 300px; height: 20px">Light text on a dark page</p></body></html>',
+        '<p style="color: #fff; background-color: #999; text-shadow: 0 0 4px #000; width: 300px; height: 20px">White text with a dark glow</p>',
+        '<input placeholder="Email address" style="background-color: #fff; width: 300px; height: 20px">'
+      ],
+      fail: [
+        '<p style="color: #aaa; background-color: #fff; width: 300px; height: 20px">Light grey text on white</p>',
+        '<p style="color: #fff; background-image: linear-gradient(#1a1a1a, #ccc); width: 300px; height: 20px">White text on a gradient that ends light</p>',
+        '<style>input::placeholder { color: #bbb }</style><input placeholder="Email address" style="background-color: #fff; width: 300px; height: 20px">',
+        '<style>.new::after { content: " New"; color: #ccc }</style><p class="new" style="color: #000; background-color: #fff; width: 300px; height: 20px">Release notes</p>'
+      ],
+      inapplicable: ['<p style="display: none">Hidden text</p>'],
+      incomplete: ['<p style="background-image: url(texture.png); width: 300px; height: 20px">Text over an image</p>']
+    },
+    evaluate: (element, { minRatio = 4.5, minRatioLargeText = 3 } = {}, context) =>
+      evaluateTextContrast(element, { minRatio, minRatioLargeText }, context)
+  },
+
+  // 1.4.6 Contrast (Enhanced) (Level AAA)
+  'contrast-enhanced': {
+    id: 'contrast-enhanced',
+    selector: 'p, span, div, h1, h2, h3, h4, h5, h6, li, td, th, a, button, input[placeholder], textarea[placeholder]',
+    tags: ['wcag22aaa', 'wcag146', 'perceivable'],
+    impact: 'moderate',
+    description: 'Elements must have enhanced color contrast',
+    help: 'Text should have a contrast ratio of at least 7:1, or 4.5:1 for large text',
+    helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-enhanced.html',
+    actRuleIds: ['09o5cg'],
+    explanation: 'For the highest level of readability, text needs even more contrast with its background. This helps people with moderately low vision who do not use magnifiers.',
+    options: { minRatio: 7, minRatioLargeText: 4.5 },
+    examples: {
+      pass: [
+        '<p style="color: #333; background-color: #fff; width: 300px; height: 20px">Dark grey text on white</p>',
+        '<h1 style="color: #767676; background-color: #fff; font-size: 24pt; width: 300px; height: 40px">Large grey heading</h1>'
+      ],
+      fail: ['<p style="color: #767676; background-color: #fff; width: 300px; height: 20px">Grey text that only meets AA</p>'],
+      inapplicable: ['<p style="display: none">Hidden text</p>'],
+      incomplete: ['<p style="background-image: url(texture.png); width: 300px; height: 20px">Text over an image</p>']
+    },
+    evaluate: (element, { minRatio = 7, minRatioLargeText = 4.5 } = {}, context) =>
+      evaluateTextContrast(element, { minRatio, minRatioLargeText }, context)
   },
 
   // 1.4.4 Resize Text (Level AA)
@@ -514,10 +744,15 @@ export const perceivableRules = {
     description: 'Text must be resizable up to 200% without loss of functionality',
     help: 'Ensure text can be resized without assistive technology',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/resize-text.html',
+    actRuleIds: ['b4f0c3'],
     explanation: 'Users should be able to zoom in to make text bigger without breaking the website. Some people need larger text to read comfortably.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<!DOCTYPE html><html lang="en"><head><title>Rule example</title><meta name="viewport" content="width=device-width, initial-scale=1"></head><body><p>Example content</p></body></html>'],
+      fail: ['<!DOCTYPE html><html lang="en"><head><title>Rule example</title><meta name="viewport" content="width=device-width, user-scalable=no"></head><body><p>Example content</p></body></html>']
+    },
+    evaluate: (element, options, context) => {
       // Check for viewport meta tag that might prevent zooming
-      const doc = getDocument(element);
+      const doc = context.document;
       const viewport = querySelector('meta[name="viewport"]', doc);
       
       if (viewport) {
@@ -545,6 +780,12 @@ export const perceivableRules = {
     help: 'Use actual text rather than images of text',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/images-of-text.html',
     explanation: 'Use real text instead of pictures of text. Real text can be resized, recolored, and read by screen readers. Images of text cannot.',
+    examples: {
+      pass: ['<img src="team-photo.jpg" alt="The team at the summer meetup">'],
+      fail: ['<img src="sales-infographic.png" alt="Sales grew in every region">'],
+      inapplicable: ['<p>A page without images</p>'],
+      incomplete: ['<img src="slide3.png" alt="Quarterly results">']
+    },
     evaluate: (element) => {
       const alt = element.getAttribute('alt') || '';
       const src = element.getAttribute('src') || '';
@@ -627,9 +868,12 @@ export const perceivableRules = {
     help: 'Content should reflow to fit 320px wide viewport',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html',
     explanation: 'Content should adjust to fit narrow screens without making users scroll sideways. This helps people who need to zoom in or use mobile devices.',
-    evaluate: (element) => {
+    examples: {
+      incomplete: ['<p>Reflow at 320px wide needs checking in a browser</p>']
+    },
+    evaluate: (element, options, context) => {
       // Check for horizontal overflow at 320px
-      const doc = getDocument(element);
+      const doc = context.document;
       const body = doc.body;
       const html = doc.documentElement;
       
@@ -654,9 +898,14 @@ export const perceivableRules = {
     help: 'User interface components need 3:1 contrast ratio',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/non-text-contrast.html',
     explanation: 'Buttons, form fields, and other controls need enough contrast to be visible. People need to see where they can click or type.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<input type="text" aria-label="Search" style="border: 1px solid #767676; background-color: #fff">'],
+      fail: ['<input type="text" aria-label="Search" style="border: 1px solid #ddd; background-color: #fff">'],
+      inapplicable: ['<p>A page without controls</p>']
+    },
+    evaluate: (element, options, context) => {
       try {
-        const styles = safeGetComputedStyle(element);
+        const styles = context.getComputedStyle(element);
         const borderColor = styles.borderColor;
         const backgroundColor = styles.backgroundColor;
         
@@ -666,6 +915,9 @@ export const perceivableRules = {
         }
         
         const contrast = calculateContrast(borderColor, backgroundColor);
+        if (contrast === null) {
+          return null;
+        }
         
         return {
           passed: contrast >= 3,
@@ -693,9 +945,13 @@ export const perceivableRules = {
     help: 'Content should adapt to user text spacing preferences',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/text-spacing.html',
     explanation: 'Users should be able to increase space between lines and letters without breaking the layout. This helps people with dyslexia read more easily.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<p>Text in a box that grows with its content</p>'],
+      inapplicable: ['<h2>Headings are not checked</h2>']
+    },
+    evaluate: (element, options, context) => {
       try {
-        const styles = getDOMComputedStyle(element);
+        const styles = context.getComputedStyle(element);
         
         // Check if element has fixed heights that might break with spacing changes
         const hasFixedHeight = styles.height !== 'auto' && 
@@ -726,6 +982,11 @@ export const perceivableRules = {
     help: 'Tooltips and similar content must be properly implemented',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/content-on-hover-or-focus.html',
     explanation: 'Pop-ups that appear on hover should stay visible when you move your mouse to them, and users should be able to dismiss them easily.',
+    examples: {
+      pass: ['<button data-tooltip="Copies the link to the clipboard">Copy link</button>'],
+      fail: ['<button title="Copies the link to the clipboard">Copy link</button>'],
+      inapplicable: ['<button>Copy link</button>']
+    },
     evaluate: (element) => {
       const hasTitle = element.hasAttribute('title');
       
@@ -3,37 +3,81 @@
  * Content must be robust enough that it can be interpreted by a wide variety of user agents, including assistive technologies.
  */
 
+import { getRole } from '../../utils/aria.js';
+import { querySelectorAllDeep } from '../../utils/dom.js';
+
+// Widget roles that must always have an accessible name
+const NAME_REQUIRED_ROLES = [
+  'button', 'checkbox', 'combobox', 'link', 'listbox', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'searchbox',
+  'slider', 'spinbutton', 'switch', 'tab', 'textbox', 'treeitem'
+];
+
+// Elements that cannot be nested, mapped to the container they cannot appear in
+const INVALID_NESTING = {
+  P: 'p',
+  DIV: 'p',
+  BUTTON: 'button',
+  A: 'a',
+  LABEL: 'label'
+};
+const INVALID_NESTING_SELECTOR = 'p p, p div, button button, a a, label label';
+
 export const robustRules = {
-  // 4.1.1 Parsing (Level A) - Obsolete in WCAG 2.2 but included for completeness
+  // 4.1.1 Parsing (Level A) - Obsolete in WCAG 2.2, so it only carries the
+  // level tags of the WCAG versions that still have it
   'parsing': {
     id: 'parsing',
-    selector: 'html',
-    tags: ['wcag22a', 'wcag411', 'robust'],
+    scope: 'page',
+    tags: ['wcag20a', 'wcag21a', 'wcag411', 'robust'],
     impact: 'serious',
     description: 'Page must have valid markup',
     help: 'Ensure HTML is well-formed',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/parsing.html',
-    evaluate: () => {
-      const issues = [];
+    actRuleIds: ['3ea0c8'],
+    examples: {
+      pass: ['<p id="intro">Introduction</p><p id="details">Details</p>'],
+      fail: ['<p id="intro">Introduction</p><p id="intro">Details</p>']
+    },
+    evaluate: (doc) => {
+      const findings = [];
       
-      // Check for duplicate IDs
-      const allIds = Array.from(document.querySelectorAll('[id]')).map(el => el.id);
-      const duplicateIds = allIds.filter((id, index) => allIds.indexOf(id) !== index);
+      // Check for duplicate IDs, which only need to be unique within their own tree
+      const idsByTree = new Map();
+      for (const element of querySelectorAllDeep(doc, '[id]:not([id=""])')) {
+        const tree = element.getRootNode();
+        if (!idsByTree.has(tree)) {
+          idsByTree.set(tree, new Map());
+        }
+        const ids = idsByTree.get(tree);
+        ids.set(element.id, [...(ids.get(element.id) || []), element]);
+      }
       
-      if (duplicateIds.length > 0) {
-        issues.push(`Duplicate IDs found: ${[...new Set(duplicateIds)].join(', ')}`);
+      for (const ids of idsByTree.values()) {
+        for (const [id, elements] of ids) {
+          if (elements.length > 1) {
+            findings.push({
+              element: elements[0],
+              passed: false,
+              message: `Duplicate ID "${id}" is used by ${elements.length} elements`,
+              relatedNodes: elements.slice(1)
+            });
+          }
+        }
       }
       
       // Check for improperly nested elements
-      const invalidNesting = document.querySelectorAll('p p, p div, button button, a a, label label');
-      if (invalidNesting.length > 0) {
-        issues.push('Invalid element nesting detected');
+      for (const element of doc.querySelectorAll(INVALID_NESTING_SELECTOR)) {
+        const container = element.parentElement.closest(INVALID_NESTING[element.tagName]);
+        findings.push({
+          element,
+          passed: false,
+          message: `<${element.tagName.toLowerCase()}> cannot be nested inside <${container.tagName.toLowerCase()}>`,
+          relatedNodes: [container]
+        });
       }
       
-      return {
-        passed: issues.length === 0,
-        message: issues.length > 0 ? issues.join('; ') : null
-      };
+      return findings.length > 0 ? findings : [{ element: doc.documentElement, passed: true }];
     }
   },
 
@@ -46,88 +90,37 @@ export const robustRules = {
     description: 'UI components must have accessible names and roles',
     help: 'Ensure all UI components have proper name, role, and value',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html',
-    evaluate: (element) => {
+    actRuleIds: ['97a4e1', 'e086e5'],
+    examples: {
+      pass: ['<button>Save</button>', '<label>Email <input type="email"></label>'],
+      fail: ['<button></button>', '<input type="text">'],
+      inapplicable: ['<p>Static text</p>']
+    },
+    evaluate: (element, options, context) => {
       const issues = [];
-      const role = element.getAttribute('role');
-      const ariaLabel = element.getAttribute('aria-label');
-      const ariaLabelledby = element.getAttribute('aria-labelledby');
       
-      // Check ARIA references
-      if (ariaLabelledby) {
-        const ids = ariaLabelledby.split(' ');
-        for (const id of ids) {
-          if (!document.getElementById(id.trim())) {
-            issues.push(`aria-labelledby references non-existent ID: ${id}`);
-          }
-        }
-      }
+      // Roles, states and properties are validated by the aria-* rules
       
-      // Check aria-describedby references
-      const ariaDescribedby = element.getAttribute('aria-describedby');
-      if (ariaDescribedby) {
-        const ids = ariaDescribedby.split(' ');
-        for (const id of ids) {
-          if (!document.getElementById(id.trim())) {
-            issues.push(`aria-describedby references non-existent ID: ${id}`);
-          }
-        }
-      }
+      // Check form controls and widgets have accessible names
+      const accessibleName = context.getAccessibleName(element);
+      const computedRole = getRole(element);
       
-      // Validate ARIA roles
-      if (role) {
-        const validRoles = [
-          'alert', 'alertdialog', 'application', 'article', 'banner', 'button',
-          'checkbox', 'cell', 'columnheader', 'combobox', 'complementary',
-          'contentinfo', 'definition', 'dialog', 'directory', 'document',
-          'feed', 'figure', 'form', 'grid', 'gridcell', 'group', 'heading',
-          'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
-          'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
-          'menuitemradio', 'navigation', 'none', 'note', 'option', 'presentation',
-          'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
-          'rowheader', 'scrollbar', 'search', 'searchbox', 'separator',
-          'slider', 'spinbutton', 'status', 'switch', 'tab', 'table',
-          'tablist', 'tabpanel', 'term', 'textbox', 'timer', 'toolbar',
-          'tooltip', 'tree', 'treegrid', 'treeitem'
-        ];
-        
-        if (!validRoles.includes(role)) {
-          issues.push(`Invalid ARIA role: ${role}`);
-        }
-      }
-      
-      // Check form elements have accessible names
-      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
-        const type = element.getAttribute('type');
-        const isHidden = type === 'hidden';
-        const isButton = type === 'submit' || type === 'button' || type === 'reset';
-        
-        if (!isHidden && !isButton) {
-          const hasAccessibleName = ariaLabel || ariaLabelledby || 
-                                   element.getAttribute('title') ||
-                                   element.labels?.length > 0;
+      if (!context.isHidden(element)) {
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+          const type = element.getAttribute('type');
           
-          if (!hasAccessibleName) {
+          if (type !== 'hidden' && !accessibleName) {
             issues.push('Form control lacks accessible name');
           }
-        }
-      }
-      
-      // Check required ARIA properties
-      if (role === 'checkbox' || role === 'radio') {
-        if (!element.hasAttribute('aria-checked')) {
-          issues.push(`${role} missing required aria-checked attribute`);
-        }
-      }
-      
-      if (role === 'combobox') {
-        if (!element.hasAttribute('aria-expanded')) {
-          issues.push('combobox missing required aria-expanded attribute');
+        } else if (NAME_REQUIRED_ROLES.includes(computedRole) && !accessibleName) {
+          issues.push(`Element with role ${computedRole} lacks accessible name`);
         }
       }
       
       return {
         passed: issues.length === 0,
-        message: issues.length > 0 ? issues.join('; ') : null
+        message: issues.length > 0 ? issues.join('; ') : null,
+        data: { accessibleName, role: computedRole }
       };
     }
   },
@@ -141,6 +134,11 @@ export const robustRules = {
     description: 'Status messages must be programmatically determinable',
     help: 'Use appropriate ARIA live regions for status messages',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/status-messages.html',
+    examples: {
+      pass: ['<div role="status">Your changes were saved</div>', '<div role="alert">Your session is about to expire</div>'],
+      fail: ['<div role="status" aria-live="assertive">Your changes were saved</div>', '<div aria-live="assertive">3 new messages</div>'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       const role = element.getAttribute('role');
       const ariaLive = element.getAttribute('aria-live');
@@ -3,6 +3,8 @@
  * Information and the operation of user interface must be understandable.
  */
 
+import { getReferencedElements } from '../../utils/accname.js';
+
 export const understandableRules = {
   // 3.1.1 Language of Page (Level A)
   'language-of-page': {
@@ -13,7 +15,12 @@ export const understandableRules = {
     description: 'Page must have a language specified',
     help: 'The html element should have a valid lang attribute',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/language-of-page.html',
+    actRuleIds: ['b5c3f8', 'bf051a'],
     explanation: 'Screen readers need to know what language the page is in so they can pronounce words correctly. Like knowing whether to say "Paris" in English or French.',
+    examples: {
+      pass: ['<!DOCTYPE html><html lang="en-GB"><head><title>Rule example</title></head><body><p>Example content</p></body></html>'],
+      fail: ['<!DOCTYPE html><html><head><title>Rule example</title></head><body><p>Example content</p></body></html>', '<!DOCTYPE html><html lang="english"><head><title>Rule example</title></head><body><p>Example content</p></body></html>']
+    },
     evaluate: (element) => {
       const lang = element.getAttribute('lang');
       
@@ -46,7 +53,13 @@ export const understandableRules = {
     description: 'Language changes must be identified',
     help: 'Use lang attribute for content in different languages',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/language-of-parts.html',
+    actRuleIds: ['de46e4'],
     explanation: 'If part of your page is in a different language, mark it so screen readers switch pronunciation. Like a Spanish quote in an English article.',
+    examples: {
+      pass: ['<p>She said <span lang="fr">bonjour</span> to everyone.</p>'],
+      fail: ['<p>She said <span lang="french">bonjour</span> to everyone.</p>'],
+      inapplicable: ['<p>A paragraph in the language of the page</p>']
+    },
     evaluate: (element) => {
       const lang = element.getAttribute('lang');
       
@@ -78,6 +91,11 @@ export const understandableRules = {
     help: 'Provide definitions for jargon, idioms, and technical terms',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/unusual-words.html',
     explanation: 'Technical terms, jargon, or unusual phrases should be explained. Not everyone knows specialized vocabulary or idioms.',
+    examples: {
+      pass: ['<abbr title="World Wide Web Consortium">W3C</abbr>'],
+      fail: ['<abbr>W3C</abbr>'],
+      inapplicable: ['<p>A paragraph of plain words</p>']
+    },
     evaluate: (element) => {
       if (element.tagName === 'ABBR' || element.tagName === 'ACRONYM') {
         const title = element.getAttribute('title');
@@ -103,6 +121,10 @@ export const understandableRules = {
     help: 'Provide expanded forms of abbreviations',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/abbreviations.html',
     explanation: 'The first time you use an abbreviation like "HTML", explain what it means: "HyperText Markup Language (HTML)".',
+    examples: {
+      pass: ['<p>The <abbr title="World Wide Web Consortium">W3C</abbr> publishes the WCAG.</p>'],
+      incomplete: ['<p>The W3C, WAI, ARIA, CSS and WCAG all come up here.</p>']
+    },
     evaluate: (element) => {
       // Look for potential abbreviations (all caps, 2-5 characters)
       const text = element.textContent;
@@ -135,6 +157,10 @@ export const understandableRules = {
     help: 'Write content at an appropriate reading level',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reading-level.html',
     explanation: 'Content should be written simply enough for most people to understand, roughly at a 9th grade reading level.',
+    examples: {
+      inapplicable: ['<p>Text outside the main content</p>'],
+      incomplete: ['<main><p>Reading level needs a manual review.</p></main>']
+    },
     evaluate: (element) => {
       // This would require text analysis algorithms
       // Marking as incomplete for manual review
@@ -156,6 +182,11 @@ export const understandableRules = {
     help: 'Receiving focus should not cause unexpected changes',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/on-focus.html',
     explanation: 'When users tab to an element, it should not automatically submit forms or navigate to new pages. That would be surprising and confusing.',
+    examples: {
+      pass: ['<input aria-label="Name" onfocus="this.select()">'],
+      fail: ['<input aria-label="Name" onfocus="this.form.submit()">'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       // Check for focus handlers that might cause context changes
       const hasFocusHandler = element.hasAttribute('onfocus');
@@ -197,6 +228,11 @@ export const understandableRules = {
     help: 'Form inputs should not automatically submit or navigate',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/on-input.html',
     explanation: 'Changing a form field should not automatically submit the form or go to a new page unless users are warned first.',
+    examples: {
+      pass: ['<select aria-label="Sort by" onchange="sortResults(this.value)"><option>Price</option></select>'],
+      fail: ['<form><select aria-label="Country" onchange="this.form.submit()"><option>Norway</option></select></form>'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       // Check for change handlers that might cause context changes
       const hasChangeHandler = element.hasAttribute('onchange') || 
@@ -251,6 +287,11 @@ export const understandableRules = {
     help: 'Keep navigation mechanisms consistent',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/consistent-navigation.html',
     explanation: 'Navigation menus should be in the same place and order on every page. Users learn where things are and expect them to stay there.',
+    examples: {
+      pass: ['<nav><a href="/">Home</a> <a href="/contact">Contact</a></nav>'],
+      fail: ['<nav></nav>'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       // This is a simplified check - full implementation would need multi-page analysis
       const navItems = element.querySelectorAll('a, button');
@@ -276,22 +317,25 @@ export const understandableRules = {
     help: 'Use consistent labels for components with same function',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/consistent-identification.html',
     explanation: 'If you have multiple "Download" buttons on your site, they should all say "Download", not "Download" on one page and "Get File" on another.',
-    evaluate: (element) => {
+    examples: {
+      pass: ['<button class="btn">Download</button>'],
+      fail: ['<button class="btn"></button>'],
+      inapplicable: ['<button>Download</button>']
+    },
+    evaluate: (element, options, context) => {
       // This is a heuristic check
-      const text = element.textContent.trim();
-      const ariaLabel = element.getAttribute('aria-label');
-      const title = element.getAttribute('title');
+      const accessibleName = context.getAccessibleName(element) ||
+        element.textContent.replace(/\s+/g, ' ').trim();
       
-      const label = text || ariaLabel || title;
-      
-      if (!label) {
+      if (!accessibleName) {
         return {
           passed: false,
-          message: 'Component lacks identifying text or label'
+          message: 'Component lacks identifying text or label',
+          data: { accessibleName }
         };
       }
       
-      return { passed: true };
+      return { passed: true, data: { accessibleName } };
     }
   },
 
@@ -305,6 +349,10 @@ export const understandableRules = {
     help: 'Keep help options in the same place across pages',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/consistent-help.html',
     explanation: 'If you have a help button or contact link, it should be in the same spot on every page so users can find it when they need it.',
+    examples: {
+      inapplicable: ['<p>Static text</p>'],
+      incomplete: ['<a class="help-link" href="/help">Help</a>']
+    },
     evaluate: (element) => {
       // This requires cross-page analysis
       return {
@@ -325,15 +373,19 @@ export const understandableRules = {
     help: 'Clearly identify input errors in text',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/error-identification.html',
     explanation: 'When users make a mistake filling out a form, tell them clearly what went wrong. Do not just use color - add text explaining the error.',
+    examples: {
+      pass: ['<input aria-label="Email" aria-invalid="true" aria-describedby="email-problem"><p id="email-problem">Enter an email address</p>'],
+      fail: ['<input aria-label="Email" aria-invalid="true">'],
+      inapplicable: ['<input aria-label="Email">']
+    },
     evaluate: (element) => {
       const isInvalid = element.getAttribute('aria-invalid') === 'true' ||
                        element.classList.contains('error') ||
                        element.classList.contains('invalid');
       
       if (isInvalid) {
-        // Check for error message
-        const describedby = element.getAttribute('aria-describedby');
-        const errorMessage = describedby ? document.getElementById(describedby) : null;
+        // Check for error message, in the element's own tree
+        const errorMessages = getReferencedElements(element, 'aria-describedby');
         
         // Check for adjacent error text
         const nextElement = element.nextElementSibling;
@@ -341,7 +393,7 @@ export const understandableRules = {
           (nextElement.classList.contains('error') || 
            nextElement.textContent.toLowerCase().includes('error'));
         
-        if (!errorMessage && !hasAdjacentError) {
+        if (errorMessages.length === 0 && !hasAdjacentError) {
           return {
             passed: false,
             message: 'Error is indicated but not described in text'
@@ -363,44 +415,24 @@ export const understandableRules = {
     help: 'Provide labels or instructions for user input',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/labels-or-instructions.html',
     explanation: 'Every form field needs a label telling users what to enter. Do not rely on placeholder text alone - it disappears when users start typing.',
-    evaluate: (element) => {
-      const id = element.id;
-      const ariaLabel = element.getAttribute('aria-label');
-      const ariaLabelledby = element.getAttribute('aria-labelledby');
+    examples: {
+      pass: ['<label>Email address <input type="email"></label>'],
+      fail: ['<input type="email">', '<input type="text" placeholder="Name">'],
+      inapplicable: ['<input type="submit" value="Send">']
+    },
+    evaluate: (element, options, context) => {
+      const accessibleName = context.getAccessibleName(element);
       const placeholder = element.getAttribute('placeholder');
-      const title = element.getAttribute('title');
-      
-      // Check for explicit label
-      if (id) {
-        const label = document.querySelector(`label[for="${id}"]`);
-        if (label && label.textContent.trim()) {
-          return { passed: true };
-        }
-      }
-      
-      // Check for implicit label
-      const parent = element.parentElement;
-      if (parent && parent.tagName === 'LABEL') {
-        return { passed: true };
-      }
-      
-      // Check for ARIA labeling
-      if (ariaLabel || ariaLabelledby) {
-        return { passed: true };
-      }
-      
-      // Check if placeholder or title provide sufficient context
-      if (placeholder && placeholder.length > 5) {
-        return { passed: true };
-      }
       
-      if (title && title.length > 5) {
-        return { passed: true };
+      // A name that only comes from a very short placeholder is not enough
+      if (accessibleName && !(accessibleName === placeholder?.trim() && accessibleName.length <= 5)) {
+        return { passed: true, data: { accessibleName } };
       }
       
       return {
         passed: false,
-        message: 'Form element lacks label or instructions'
+        message: 'Form element lacks label or instructions',
+        data: { accessibleName }
       };
     }
   },
@@ -415,19 +447,25 @@ export const understandableRules = {
     help: 'Provide suggestions for fixing input errors',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/error-suggestion.html',
     explanation: 'Do not just say "Invalid email" - explain how to fix it: "Email must include an @ symbol, like name@example.com".',
+    examples: {
+      pass: ['<input aria-label="Email" aria-invalid="true" aria-describedby="email-problem"><p id="email-problem">Email must include an @, like name@example.com</p>'],
+      fail: ['<input aria-label="Email" aria-invalid="true" aria-describedby="email-problem"><p id="email-problem">Invalid email</p>'],
+      inapplicable: ['<input aria-label="Email">']
+    },
     evaluate: (element) => {
       const isInvalid = element.getAttribute('aria-invalid') === 'true' ||
                        element.classList.contains('error') ||
                        element.classList.contains('invalid');
       
       if (isInvalid) {
-        // Check for error message with suggestions
-        const describedby = element.getAttribute('aria-describedby');
-        const errorElement = describedby ? document.getElementById(describedby) : 
-                           element.nextElementSibling;
+        // Check for error message with suggestions, which may span every
+        // element aria-describedby lists
+        const errorElements = element.hasAttribute('aria-describedby')
+          ? getReferencedElements(element, 'aria-describedby')
+          : [element.nextElementSibling].filter(Boolean);
         
-        if (errorElement) {
-          const errorText = errorElement.textContent.toLowerCase();
+        if (errorElements.length > 0) {
+          const errorText = errorElements.map(errorElement => errorElement.textContent).join(' ').toLowerCase();
           const hasSuggestion = errorText.includes('must') ||
                                errorText.includes('should') ||
                                errorText.includes('example') ||
@@ -459,6 +497,11 @@ export const understandableRules = {
     help: 'Provide review, confirmation, or reversal for important actions',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/error-prevention-legal-financial-data.html',
     explanation: 'For important actions like purchases or deleting data, let users review and confirm before finalizing, or provide a way to undo.',
+    examples: {
+      pass: ['<form><p>Review your order before paying.</p><button>Place order</button></form>', '<form><label>Search <input type="search"></label></form>'],
+      fail: ['<form><button>Buy now</button></form>'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       // Check if form might involve legal, financial, or data transactions
       const formText = element.textContent.toLowerCase();
@@ -505,6 +548,11 @@ export const understandableRules = {
     help: 'Do not ask users to re-enter the same information',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/redundant-entry.html',
     explanation: 'If users already entered their shipping address, do not make them type it again for billing. Offer to copy it or auto-fill.',
+    examples: {
+      pass: ['<form><input type="email" name="email" aria-label="Email"></form>'],
+      fail: ['<form><input type="email" name="email" aria-label="Email"><input type="email" name="email" aria-label="Email again"></form>'],
+      inapplicable: ['<p>Static text</p>']
+    },
     evaluate: (element) => {
       // Check for multiple similar fields
       const emailFields = element.querySelectorAll('input[type="email"]');
@@ -542,6 +590,11 @@ export const understandableRules = {
     help: 'Avoid puzzles, calculations, or memory tests for login',
     helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/accessible-authentication-minimum.html',
     explanation: 'Do not use puzzles or memory tests for login. Allow password managers, email links, or biometrics instead. Some people cannot solve CAPTCHAs.',
+    examples: {
+      pass: ['<label>Password <input type="password" autocomplete="current-password"></label>'],
+      fail: ['<div class="captcha-puzzle">Drag the piece into place</div>', '<input type="password" aria-label="Password" onpaste="return false">'],
+      inapplicable: ['<label>Email <input type="email"></label>']
+    },
     evaluate: (element) => {
       // Check for CAPTCHA or puzzle elements
       const classes = element.className || '';
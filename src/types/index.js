@@ -6,13 +6,28 @@
 /**
  * @typedef {Object} Rule
  * @property {string} id - Unique identifier for the rule
- * @property {string} selector - CSS selector to find elements to test
+ * @property {string} [selector] - CSS selector to find elements to test (element rules only)
+ * @property {'element'|'page'} [scope] - 'page' rules run once per document and return a list of PageFinding
  * @property {string[]} tags - Tags for categorization (e.g., 'wcag22a')
  * @property {'critical'|'serious'|'moderate'|'minor'} impact - Impact level
  * @property {string} description - Brief description of what the rule checks
  * @property {string} help - Help text for fixing violations
  * @property {string} helpUrl - URL to detailed documentation
- * @property {function(Element, Options): RuleResult} evaluate - Function to test an element
+ * @property {string[]} [actRuleIds] - IDs of the W3C ACT rules the rule implements, e.g. '23a2a8'
+ * @property {{pass?: string[], fail?: string[], inapplicable?: string[], incomplete?: string[]}} [examples] - HTML the rule passes, fails, does not apply to and needs review for
+ * @property {Object} [options] - Default parameters passed to evaluate, overridable via EngineOptions.rules
+ * @property {function(Element|Document, Object, RuleContext): (RuleResult|PageFinding[]|null)} evaluate - Function to test an element (or the document, for page rules) with the rule's options and run context
+ */
+
+/**
+ * @typedef {Object} RuleContext
+ * @property {Document} document - Document that owns the element being tested
+ * @property {Window|null} window - Window of that document
+ * @property {Element} root - Root element being tested in that document
+ * @property {Map<string, *>} cache - Values shared between rules for the rest of the run
+ * @property {function(Element): CSSStyleDeclaration} getComputedStyle - Computed style, memoized per element for the run
+ * @property {function(Element): boolean} isHidden - Whether the element is hidden from assistive technology, memoized per element
+ * @property {function(Element): string} getAccessibleName - Accessible name, memoized per element
  */
 
 /**
@@ -21,16 +36,24 @@
  * @property {boolean} [incomplete] - Whether the test was incomplete
  * @property {string} [message] - Error or warning message
  * @property {Object} [data] - Additional data about the result
+ * @property {Element[]} [relatedNodes] - Other elements involved in the result
+ */
+
+/**
+ * @typedef {RuleResult & {element?: Element}} PageFinding
+ * A page rule finding, reported on `element` (the document element by default)
  */
 
 /**
  * @typedef {Object} NodeResult
  * @property {string} html - HTML snippet of the element
- * @property {string} target - CSS selector path to the element
+ * @property {string|string[]} target - CSS selector path to the element; one selector per shadow root for elements in shadow DOM
+ * @property {string[]} [framePath] - Selectors of the frames containing the element, outermost first
  * @property {boolean} [passed] - Whether the element passed
  * @property {boolean} [incomplete] - Whether the test was incomplete
  * @property {string} [message] - Error or warning message
  * @property {Object} [data] - Additional data
+ * @property {{html: string, target: string|string[]}[]} [relatedNodes] - Other elements involved in the result
  */
 
 /**
@@ -41,15 +64,45 @@
  * @property {string} helpUrl - Documentation URL
  * @property {string} impact - Impact level
  * @property {string[]} tags - Rule tags
+ * @property {string[]} [actRuleIds] - IDs of the W3C ACT rules the rule implements
+ * @property {string[]} [clauses] - Clauses of the selected standard the rule tests (only when a standard is selected)
  * @property {NodeResult[]} nodes - Results for each tested element
  */
 
+/**
+ * @typedef {Object} RuleConfig
+ * @property {boolean} [enabled] - Turn the rule off, or on even when no selected ruleset includes it
+ * @property {Object} [options] - Parameters merged over the rule's default options
+ * @property {'critical'|'serious'|'moderate'|'minor'} [impact] - Override the rule's impact
+ */
+
+/**
+ * @typedef {Object} ContextSpec
+ * @property {Array<string|Element>} [include] - Selectors or elements to test inside (default: the whole document)
+ * @property {Array<string|Element>} [exclude] - Selectors or elements to skip, with their contents
+ * @property {Document} [document] - Document to resolve selectors against (default: the global document)
+ */
+
 /**
  * @typedef {Object} EngineOptions
- * @property {string[]|string} [runOnly] - Rulesets to run (e.g., ['wcag22a', 'wcag22aa'])
+ * @property {string[]|string} [runOnly] - Rulesets or tag expressions to run (e.g., ['wcag22a', 'wcag22aa'] or 'wcag22aa and not aria')
  * @property {string[]} [resultTypes] - Result types to include (e.g., ['violations', 'passes'])
  * @property {string} [reporter] - Reporter version
- * @property {Object} [rules] - Rule-specific options
+ * @property {Object<string, RuleConfig>} [rules] - Rule-specific configuration keyed by rule ID
+ * @property {boolean} [iframes=true] - Test the content of same-origin iframes and frames
+ * @property {boolean} [profile=false] - Add per-rule timings to the report under `profile`
+ * @property {string} [standard] - Standard whose clause numbers label the results (e.g. 'wcag21aa', 'section508', 'en301549')
+ * @property {string} [locale] - Locale of the registered message catalog used for rule descriptions and help
+ * @property {Plugin[]} [plugins] - Plugins registered after the built-in rules (createAccessibilityEngine only)
+ */
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} [name] - Plugin name
+ * @property {Rule[]|Object<string, Rule>} [rules] - Rules to register, as a list or keyed by ID
+ * @property {Object<string, string[]>} [rulesets] - Rulesets to register, keyed by name
+ * @property {Object<string, function(Report, Object): string>} [formatters] - Formatters to register, keyed by format name
+ * @property {Object<string, Object<string, {description?: string, help?: string, explanation?: string}>>} [locales] - Message catalogs keyed by locale, then rule ID
  */
 
 /**
@@ -78,6 +131,25 @@
  * @property {Object} testRunner - Runner information
  * @property {EngineOptions} toolOptions - Options used
  * @property {number} time - Execution time in milliseconds
+ * @property {boolean} [aborted] - Set when the run was cancelled; the results only cover the rules that finished
+ * @property {{id: string, name: string}} [standard] - Standard the clauses in the results refer to
+ * @property {RuleProfile[]} [profile] - Per-rule timings, slowest first (only with the `profile` option)
+ */
+
+/**
+ * @typedef {Object} RuleProfile
+ * @property {string} rule - Rule ID
+ * @property {number} time - Wall time in milliseconds, from the rule's start until it finished
+ * @property {number} matched - Elements (or documents, for page rules) the rule applied to
+ * @property {number} evaluated - Elements (or documents) actually evaluated
+ * @property {number} timePerElement - Wall time divided by the evaluated count
+ * @property {boolean} hitMaxElements - Whether more elements matched than `maxElements` allows
+ * @property {boolean} timedOut - Whether the rule was stopped by the 5 second rule timeout
+ */
+
+/**
+ * @typedef {Object} RunOptions
+ * @property {AbortSignal} [signal] - Cancels the run; it resolves with the results gathered so far
  */
 
 export const Types = {
@@ -0,0 +1,262 @@
+/**
+ * Computed accessibility tree builder
+ * Produces a tree of roles, names, states and properties similar to what
+ * browsers expose to assistive technology.
+ */
+
+import { getAccessibleName, getAccessibleDescription } from './accname.js';
+import { getRole, getHiddenReason, isFocusable } from './aria.js';
+import { getComposedChildren } from './dom.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+// Elements that are never rendered and have no accessibility node
+const NON_RENDERED_TAGS = ['HEAD', 'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'META', 'LINK', 'TITLE', 'BASE'];
+
+// Roles that are dropped from the compact tree when they have no name
+const COLLAPSIBLE_ROLES = ['generic', 'none', 'presentation'];
+
+const ARIA_STATES = [
+  'aria-busy', 'aria-checked', 'aria-current', 'aria-disabled', 'aria-expanded',
+  'aria-grabbed', 'aria-invalid', 'aria-pressed', 'aria-selected'
+];
+
+// Attributes already represented by the name and description
+const NAMING_ATTRIBUTES = ['aria-label', 'aria-labelledby', 'aria-describedby', 'aria-description', 'aria-hidden'];
+
+/**
+ * @typedef {Object} AccessibilityNode
+ * @property {string|null} role - Computed role ('text' for text nodes)
+ * @property {string} name - Accessible name
+ * @property {string} [description] - Accessible description
+ * @property {Object} states - States such as checked, expanded or disabled
+ * @property {Object} properties - Properties such as level or haspopup
+ * @property {string|null} pruned - Why the node is hidden ('aria-hidden', 'hidden', 'display-none', 'visibility-hidden') or null
+ * @property {string} [tagName] - Source element tag name
+ * @property {AccessibilityNode[]} children - Child nodes
+ */
+
+/**
+ * Build an accessibility tree from a document, window or element
+ * @param {Document|Window|Element} context - Root of the tree
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.includePruned=false] - Keep hidden nodes, marked with `pruned`
+ * @param {boolean} [options.includeGeneric=false] - Keep unnamed generic/presentational nodes
+ * @returns {AccessibilityNode|null} Root node
+ */
+export function buildAccessibilityTree(context, options = {}) {
+  const settings = {
+    includePruned: options.includePruned || false,
+    includeGeneric: options.includeGeneric || false,
+    root: null
+  };
+
+  let rootElement;
+  if (context?.documentElement) {
+    rootElement = context.documentElement;
+  } else if (context?.document) {
+    rootElement = context.document.documentElement;
+  } else if (context?.nodeType === ELEMENT_NODE) {
+    rootElement = context;
+  } else {
+    throw new Error('Invalid context provided');
+  }
+
+  settings.root = rootElement;
+  const nodes = buildNode(rootElement, settings, null);
+  return nodes[0] || null;
+}
+
+/**
+ * Walk an accessibility tree depth-first
+ * @param {AccessibilityNode} node - Root node
+ * @param {function(AccessibilityNode, number): void} visitor - Called with each node and its depth
+ * @param {number} [depth=0] - Starting depth
+ */
+export function walkAccessibilityTree(node, visitor, depth = 0) {
+  if (!node) {
+    return;
+  }
+
+  visitor(node, depth);
+  node.children.forEach(child => walkAccessibilityTree(child, visitor, depth + 1));
+}
+
+/**
+ * Build nodes for a DOM node. Returns an array because collapsed
+ * generic nodes are replaced by their children.
+ */
+function buildNode(domNode, settings, inheritedPrune) {
+  if (domNode.nodeType === TEXT_NODE) {
+    const text = domNode.textContent.replace(/\s+/g, ' ').trim();
+    if (!text || (inheritedPrune && !settings.includePruned)) {
+      return [];
+    }
+    return [createNode({ role: 'text', name: text, pruned: inheritedPrune })];
+  }
+
+  if (domNode.nodeType !== ELEMENT_NODE || NON_RENDERED_TAGS.includes(domNode.tagName)) {
+    return [];
+  }
+
+  const ownReason = getHiddenReason(domNode);
+  // visibility can be overridden by descendants, the other reasons hide the whole subtree
+  const subtreePrune = inheritedPrune || (ownReason && ownReason !== 'visibility-hidden' ? ownReason : null);
+  const pruned = subtreePrune || ownReason;
+
+  if (subtreePrune && !settings.includePruned) {
+    return [];
+  }
+
+  const children = [];
+  // Shadow roots and slotted content are walked in flat tree order
+  for (const child of getComposedChildren(domNode)) {
+    // Text has no style of its own and takes the visibility of its parent
+    children.push(...buildNode(child, settings, child.nodeType === TEXT_NODE ? pruned : subtreePrune));
+  }
+
+  // The root always gets a node, even when it would otherwise be collapsed
+  const isRoot = domNode === settings.root;
+
+  // Visibility-hidden elements are only represented by their visible descendants
+  if (pruned && !settings.includePruned && !isRoot) {
+    return children;
+  }
+
+  const role = getRole(domNode);
+  const name = domNode.tagName === 'HTML'
+    ? (domNode.ownerDocument.title || '').trim()
+    : getAccessibleName(domNode);
+
+  if (!settings.includeGeneric && !isRoot && (!role || COLLAPSIBLE_ROLES.includes(role)) && !name) {
+    return children;
+  }
+
+  const node = createNode({
+    role,
+    name,
+    description: getAccessibleDescription(domNode),
+    states: getStates(domNode),
+    properties: getProperties(domNode, role),
+    pruned,
+    tagName: domNode.tagName.toLowerCase(),
+    children
+  });
+
+  // Keep the source element reachable without serializing it
+  Object.defineProperty(node, 'element', { value: domNode, enumerable: false });
+
+  return [node];
+}
+
+function createNode({ role, name, description, states = {}, properties = {}, pruned = null, tagName, children = [] }) {
+  const node = { role, name };
+
+  if (description) {
+    node.description = description;
+  }
+
+  node.states = states;
+  node.properties = properties;
+  node.pruned = pruned || null;
+
+  if (tagName) {
+    node.tagName = tagName;
+  }
+
+  node.children = children;
+  return node;
+}
+
+/**
+ * Collect ARIA and native states
+ */
+function getStates(element) {
+  const states = {};
+
+  for (const attr of ARIA_STATES) {
+    const value = element.getAttribute(attr);
+    if (value !== null && value !== '' && value !== 'undefined') {
+      states[attr.slice(5)] = parseValue(value);
+    }
+  }
+
+  const tagName = element.tagName;
+  const type = (element.getAttribute('type') || '').toLowerCase();
+
+  if (tagName === 'INPUT' && (type === 'checkbox' || type === 'radio')) {
+    states.checked = element.indeterminate ? 'mixed' : Boolean(element.checked);
+  }
+
+  if (tagName === 'OPTION') {
+    states.selected = Boolean(element.selected);
+  }
+
+  if (tagName === 'DETAILS') {
+    states.expanded = element.hasAttribute('open');
+  }
+
+  if (element.hasAttribute('disabled') && ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'OPTION', 'FIELDSET'].includes(tagName)) {
+    states.disabled = true;
+  }
+
+  if (element.hasAttribute('required') && ['INPUT', 'SELECT', 'TEXTAREA'].includes(tagName)) {
+    states.required = true;
+  }
+
+  if (element.hasAttribute('readonly') && ['INPUT', 'TEXTAREA'].includes(tagName)) {
+    states.readonly = true;
+  }
+
+  if (isFocusable(element)) {
+    states.focusable = true;
+  }
+
+  return states;
+}
+
+/**
+ * Collect ARIA and native properties
+ */
+function getProperties(element, role) {
+  const properties = {};
+
+  for (const attr of Array.from(element.attributes)) {
+    const attrName = attr.name;
+    if (!attrName.startsWith('aria-') || ARIA_STATES.includes(attrName) || NAMING_ATTRIBUTES.includes(attrName)) {
+      continue;
+    }
+    if (attr.value !== '') {
+      properties[attrName.slice(5)] = parseValue(attr.value);
+    }
+  }
+
+  if (role === 'heading' && properties.level === undefined) {
+    const match = element.tagName.match(/^H([1-6])$/);
+    properties.level = match ? parseInt(match[1], 10) : 2;
+  }
+
+  if (role === 'link' && element.hasAttribute('href')) {
+    properties.url = element.getAttribute('href');
+  }
+
+  if (element.hasAttribute('placeholder') && properties.placeholder === undefined) {
+    properties.placeholder = element.getAttribute('placeholder');
+  }
+
+  if (['slider', 'spinbutton', 'progressbar', 'meter'].includes(role) && element.value !== undefined) {
+    if (properties.valuenow === undefined && element.value !== '') {
+      properties.valuenow = parseValue(String(element.value));
+    }
+  }
+
+  return properties;
+}
+
+function parseValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
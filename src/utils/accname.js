@@ -0,0 +1,413 @@
+/**
+ * Accessible name and description computation
+ * Based on the W3C Accessible Name and Description Computation 1.2 (AccName)
+ * https://www.w3.org/TR/accname-1.2/
+ */
+
+import {
+  getRole,
+  allowsNameFromContent,
+  isEmbeddedControlRole,
+  isHidden
+} from './aria.js';
+import { getComposedChildren } from './dom.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const INLINE_DISPLAYS = ['inline', 'inline-block', 'inline-flex', 'inline-grid', 'contents'];
+
+/**
+ * Compute the accessible name of an element
+ * @param {Element} element - DOM element
+ * @returns {string} Accessible name (empty string if none)
+ */
+export function getAccessibleName(element) {
+  if (!element || element.nodeType !== ELEMENT_NODE) {
+    return '';
+  }
+
+  return normalize(computeTextAlternative(element, createState(element)));
+}
+
+/**
+ * Compute the accessible description of an element
+ * @param {Element} element - DOM element
+ * @returns {string} Accessible description (empty string if none)
+ */
+export function getAccessibleDescription(element) {
+  if (!element || element.nodeType !== ELEMENT_NODE) {
+    return '';
+  }
+
+  const describedby = getReferencedElements(element, 'aria-describedby');
+  if (describedby.length > 0) {
+    const description = describedby
+      .map(ref => computeTextAlternative(ref, createState(ref, {
+        inDescribedBy: true,
+        hiddenRoot: isHidden(ref)
+      })))
+      .join(' ');
+
+    if (normalize(description)) {
+      return normalize(description);
+    }
+  }
+
+  const ariaDescription = element.getAttribute('aria-description');
+  if (ariaDescription && ariaDescription.trim()) {
+    return normalize(ariaDescription);
+  }
+
+  // title is used as a description only when it did not provide the name
+  const title = element.getAttribute('title');
+  if (title && title.trim() && normalize(title) !== getAccessibleName(element)) {
+    return normalize(title);
+  }
+
+  return '';
+}
+
+/**
+ * Compute the text alternative of an element as if it were referenced by
+ * aria-labelledby (e.g. the text of a label or heading)
+ * @param {Element} element - DOM element
+ * @returns {string} Text alternative
+ */
+export function getAccessibleText(element) {
+  if (!element || element.nodeType !== ELEMENT_NODE) {
+    return '';
+  }
+
+  return normalize(computeTextAlternative(element, createState(element, {
+    inLabelledBy: true,
+    hiddenRoot: isHidden(element)
+  })));
+}
+
+/**
+ * Resolve an IDREF list attribute to the elements it references. IDs are
+ * looked up in the element's own tree, so references inside a shadow root
+ * resolve within that shadow root.
+ * @param {Element} element - DOM element
+ * @param {string} attribute - Attribute name (e.g. 'aria-labelledby')
+ * @returns {Element[]} Referenced elements that exist
+ */
+export function getReferencedElements(element, attribute) {
+  const value = element.getAttribute(attribute);
+  if (!value || !value.trim()) {
+    return [];
+  }
+
+  const root = element.getRootNode();
+  const scope = typeof root.getElementById === 'function' ? root : element.ownerDocument;
+  return value.trim().split(/\s+/)
+    .map(id => scope.getElementById(id))
+    .filter(Boolean);
+}
+
+/**
+ * Create traversal state for a computation rooted at an element
+ */
+function createState(root, overrides = {}) {
+  return {
+    root,
+    visited: new Set(),
+    inLabelledBy: false,
+    inDescribedBy: false,
+    inLabel: false,
+    isRecursion: false,
+    hiddenRoot: false,
+    ...overrides
+  };
+}
+
+/**
+ * Main text alternative computation (AccName step 2)
+ */
+function computeTextAlternative(node, state) {
+  if (node.nodeType === TEXT_NODE) {
+    // 2G: text node
+    return node.textContent;
+  }
+
+  if (node.nodeType !== ELEMENT_NODE || state.visited.has(node)) {
+    return '';
+  }
+
+  state.visited.add(node);
+
+  const isRoot = node === state.root;
+  const inTraversal = state.inLabelledBy || state.inDescribedBy || state.inLabel;
+
+  // 2A: hidden nodes are skipped unless part of a traversal whose root was hidden
+  if (!state.hiddenRoot && isHidden(node)) {
+    return '';
+  }
+
+  const role = getRole(node);
+
+  // 2B: aria-labelledby (not followed recursively)
+  if (!state.inLabelledBy && !state.inDescribedBy) {
+    const refs = getReferencedElements(node, 'aria-labelledby');
+    if (refs.length > 0) {
+      const text = refs
+        .map(ref => {
+          // A node referencing itself is named from its own content, skipping 2B
+          if (ref === node) {
+            state.visited.delete(node);
+          }
+          return computeTextAlternative(ref, {
+            ...state,
+            root: ref,
+            visited: state.visited,
+            inLabelledBy: true,
+            isRecursion: false,
+            hiddenRoot: isHidden(ref)
+          });
+        })
+        .join(' ');
+
+      // An empty reference falls back to the remaining steps, like browsers do
+      if (normalize(text)) {
+        return text;
+      }
+    }
+  }
+
+  const isEmbeddedControl = !isRoot && isEmbeddedControlRole(role) &&
+    (state.isRecursion || inTraversal);
+
+  // 2C: aria-label
+  const ariaLabel = node.getAttribute('aria-label');
+  if (ariaLabel && ariaLabel.trim() && !isEmbeddedControl) {
+    return ariaLabel;
+  }
+
+  // 2D: native host language text alternative
+  if (role !== 'presentation' && role !== 'none' && !isEmbeddedControl) {
+    const nativeText = getNativeTextAlternative(node, state);
+    if (nativeText !== null) {
+      return nativeText;
+    }
+  }
+
+  // 2E: embedded control inside another element's name
+  if (isEmbeddedControl) {
+    return getEmbeddedControlValue(node, role);
+  }
+
+  // 2F: name from content
+  if (allowsNameFromContent(role) || inTraversal || state.isRecursion) {
+    const text = getTextFromContent(node, state);
+    if (normalize(text)) {
+      return text;
+    }
+  }
+
+  // 2I: tooltip attribute
+  const title = node.getAttribute('title');
+  if (title && title.trim()) {
+    return title;
+  }
+
+  if (isRoot) {
+    const placeholder = node.getAttribute('placeholder') || node.getAttribute('aria-placeholder');
+    if (placeholder && placeholder.trim() && ['INPUT', 'TEXTAREA'].includes(node.tagName)) {
+      return placeholder;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Native HTML text alternatives (labels, alt, legend, caption, etc.)
+ * Returns null when the element has no native source so that later steps run.
+ */
+function getNativeTextAlternative(node, state) {
+  const tagName = node.tagName;
+  const type = (node.getAttribute('type') || '').toLowerCase();
+
+  if (tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(type)) {
+    const value = node.getAttribute('value');
+    if (value && value.trim()) {
+      return value;
+    }
+    const labelText = getLabelsText(node, state);
+    if (labelText) {
+      return labelText;
+    }
+    if (type === 'submit') return 'Submit';
+    if (type === 'reset') return 'Reset';
+    return null;
+  }
+
+  if (tagName === 'INPUT' && type === 'image') {
+    const alt = node.getAttribute('alt');
+    if (alt && alt.trim()) {
+      return alt;
+    }
+    const value = node.getAttribute('value');
+    if (value && value.trim()) {
+      return value;
+    }
+    return node.getAttribute('title') || 'Submit Query';
+  }
+
+  if (['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'METER', 'OUTPUT', 'PROGRESS'].includes(tagName)) {
+    const labelText = getLabelsText(node, state);
+    if (labelText) {
+      return labelText;
+    }
+    return null;
+  }
+
+  if (tagName === 'IMG' || tagName === 'AREA') {
+    const alt = node.getAttribute('alt');
+    if (alt !== null) {
+      return alt.trim() || (tagName === 'IMG' ? null : '');
+    }
+    return null;
+  }
+
+  if (tagName === 'FIELDSET') {
+    const legend = Array.from(node.children).find(child => child.tagName === 'LEGEND');
+    return legend ? getChildText(legend, state) || null : null;
+  }
+
+  if (tagName === 'TABLE') {
+    const caption = Array.from(node.children).find(child => child.tagName === 'CAPTION');
+    if (caption) {
+      return getChildText(caption, state) || null;
+    }
+    const summary = node.getAttribute('summary');
+    return summary && summary.trim() ? summary : null;
+  }
+
+  if (tagName === 'FIGURE') {
+    const figcaption = Array.from(node.children).find(child => child.tagName === 'FIGCAPTION');
+    return figcaption ? getChildText(figcaption, state) || null : null;
+  }
+
+  if (tagName === 'OPTGROUP') {
+    const label = node.getAttribute('label');
+    return label && label.trim() ? label : null;
+  }
+
+  if (tagName === 'DETAILS') {
+    const summary = Array.from(node.children).find(child => child.tagName === 'SUMMARY');
+    return summary ? getChildText(summary, state) || null : null;
+  }
+
+  if (tagName.toLowerCase() === 'svg') {
+    const title = Array.from(node.children).find(child => child.tagName.toLowerCase() === 'title');
+    return title && title.textContent.trim() ? title.textContent : null;
+  }
+
+  return null;
+}
+
+/**
+ * Combined text of all <label> elements associated with a control
+ */
+function getLabelsText(node, state) {
+  const labels = Array.from(node.labels || []);
+  if (labels.length === 0) {
+    return '';
+  }
+
+  const text = labels
+    .map(label => computeTextAlternative(label, {
+      ...state,
+      inLabel: true,
+      isRecursion: true,
+      hiddenRoot: state.hiddenRoot || isHidden(label)
+    }))
+    .join(' ');
+
+  return normalize(text);
+}
+
+/**
+ * Text of a native text alternative element such as legend or caption
+ */
+function getChildText(element, state) {
+  return normalize(computeTextAlternative(element, {
+    ...state,
+    inLabel: true,
+    isRecursion: true
+  }));
+}
+
+/**
+ * Current value of an embedded control (AccName step 2E)
+ */
+function getEmbeddedControlValue(node, role) {
+  if (role === 'textbox' || role === 'searchbox') {
+    return node.value ?? node.textContent;
+  }
+
+  if (role === 'combobox' || role === 'listbox') {
+    if (node.tagName === 'SELECT') {
+      return Array.from(node.selectedOptions || []).map(option => option.textContent).join(' ');
+    }
+    if (node.tagName === 'INPUT') {
+      return node.value;
+    }
+    const selected = node.querySelectorAll('[aria-selected="true"]');
+    return Array.from(selected).map(option => option.textContent).join(' ');
+  }
+
+  const valueText = node.getAttribute('aria-valuetext');
+  if (valueText) {
+    return valueText;
+  }
+
+  const valueNow = node.getAttribute('aria-valuenow');
+  if (valueNow) {
+    return valueNow;
+  }
+
+  return node.value !== undefined ? String(node.value) : '';
+}
+
+/**
+ * Name from content: concatenated text alternatives of child nodes
+ */
+function getTextFromContent(node, state) {
+  const parts = [];
+
+  for (const child of getComposedChildren(node)) {
+    const childState = { ...state, isRecursion: true };
+    const text = computeTextAlternative(child, childState);
+
+    if (child.nodeType === ELEMENT_NODE && !isInline(child)) {
+      parts.push(` ${text} `);
+    } else {
+      parts.push(text);
+    }
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Check whether an element is rendered inline (no whitespace separation)
+ */
+function isInline(element) {
+  try {
+    const win = element.ownerDocument.defaultView;
+    const display = win?.getComputedStyle(element).display;
+    return !display || INLINE_DISPLAYS.includes(display);
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Collapse whitespace and trim
+ */
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
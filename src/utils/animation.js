@@ -2,17 +2,20 @@
  * Animation detection utilities
  */
 
+import { getWindow } from './dom.js';
+
 /**
  * Check if element is currently animating or transitioning
  * @param {Element} element - DOM element to check
  * @returns {boolean} True if element is animating
  */
 export function isAnimating(element) {
-  if (!element || !window.getComputedStyle) {
+  const win = getWindow(element);
+  if (!element || !win?.getComputedStyle) {
     return false;
   }
   
-  const style = window.getComputedStyle(element);
+  const style = win.getComputedStyle(element);
   
   // Check for CSS animations
   const animation = style.animation || style.webkitAnimation || '';
@@ -51,11 +54,12 @@ export function isAnimating(element) {
  * @returns {boolean} True if element has entrance animation
  */
 export function hasEntranceAnimation(element) {
-  if (!element || !window.getComputedStyle) {
+  const win = getWindow(element);
+  if (!element || !win?.getComputedStyle) {
     return false;
   }
   
-  const style = window.getComputedStyle(element);
+  const style = win.getComputedStyle(element);
   const classes = element.className || '';
   
   // Check for common animation class patterns
@@ -118,8 +122,10 @@ export function waitForAnimations(element, maxWait = 5000) {
  */
 export function isInViewport(element) {
   const rect = element.getBoundingClientRect();
-  const windowHeight = window.innerHeight || document.documentElement.clientHeight;
-  const windowWidth = window.innerWidth || document.documentElement.clientWidth;
+  const win = getWindow(element);
+  const root = element.ownerDocument.documentElement;
+  const windowHeight = win?.innerHeight || root.clientHeight;
+  const windowWidth = win?.innerWidth || root.clientWidth;
   
   return (
     rect.top < windowHeight &&
@@ -0,0 +1,256 @@
+/**
+ * WAI-ARIA 1.2 role and attribute data
+ * https://www.w3.org/TR/wai-aria-1.2/
+ *
+ * Role entries list the attributes each concrete role supports (including
+ * those inherited from its superclass roles, but not globals), the
+ * attributes it requires, the context roles it must be owned by and the
+ * roles it must own.
+ */
+
+const BOOLEAN = ['true', 'false'];
+const TRUE_FALSE_UNDEFINED = ['true', 'false', 'undefined'];
+const TRISTATE = ['true', 'false', 'mixed', 'undefined'];
+
+/**
+ * States and properties with their value types
+ * Types: boolean, token, tokens, idref, idrefs, integer, number, string
+ */
+export const ARIA_ATTRIBUTES = {
+  'aria-activedescendant': { type: 'idref' },
+  'aria-atomic': { type: 'token', values: BOOLEAN },
+  'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+  'aria-busy': { type: 'token', values: BOOLEAN },
+  'aria-checked': { type: 'token', values: TRISTATE },
+  'aria-colcount': { type: 'integer' },
+  'aria-colindex': { type: 'integer' },
+  'aria-colspan': { type: 'integer' },
+  'aria-controls': { type: 'idrefs' },
+  'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+  'aria-describedby': { type: 'idrefs' },
+  'aria-description': { type: 'string' },
+  'aria-details': { type: 'idref' },
+  'aria-disabled': { type: 'token', values: BOOLEAN },
+  'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'], deprecated: true },
+  'aria-errormessage': { type: 'idref' },
+  'aria-expanded': { type: 'token', values: TRUE_FALSE_UNDEFINED },
+  'aria-flowto': { type: 'idrefs' },
+  'aria-grabbed': { type: 'token', values: TRUE_FALSE_UNDEFINED, deprecated: true },
+  'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+  'aria-hidden': { type: 'token', values: TRUE_FALSE_UNDEFINED },
+  'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] },
+  'aria-keyshortcuts': { type: 'string' },
+  'aria-label': { type: 'string' },
+  'aria-labelledby': { type: 'idrefs' },
+  'aria-level': { type: 'integer' },
+  'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'] },
+  'aria-modal': { type: 'token', values: BOOLEAN },
+  'aria-multiline': { type: 'token', values: BOOLEAN },
+  'aria-multiselectable': { type: 'token', values: BOOLEAN },
+  'aria-orientation': { type: 'token', values: ['horizontal', 'vertical', 'undefined'] },
+  'aria-owns': { type: 'idrefs' },
+  'aria-placeholder': { type: 'string' },
+  'aria-posinset': { type: 'integer' },
+  'aria-pressed': { type: 'token', values: TRISTATE },
+  'aria-readonly': { type: 'token', values: BOOLEAN },
+  'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'] },
+  'aria-required': { type: 'token', values: BOOLEAN },
+  'aria-roledescription': { type: 'string' },
+  'aria-rowcount': { type: 'integer' },
+  'aria-rowindex': { type: 'integer' },
+  'aria-rowspan': { type: 'integer' },
+  'aria-selected': { type: 'token', values: TRUE_FALSE_UNDEFINED },
+  'aria-setsize': { type: 'integer' },
+  'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+  'aria-valuemax': { type: 'number' },
+  'aria-valuemin': { type: 'number' },
+  'aria-valuenow': { type: 'number' },
+  'aria-valuetext': { type: 'string' }
+};
+
+/**
+ * Attributes supported on every role
+ */
+export const GLOBAL_ATTRIBUTES = [
+  'aria-atomic', 'aria-busy', 'aria-controls', 'aria-current', 'aria-describedby',
+  'aria-description', 'aria-details', 'aria-dropeffect', 'aria-flowto', 'aria-grabbed',
+  'aria-hidden', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-live',
+  'aria-owns', 'aria-relevant', 'aria-roledescription'
+];
+
+/**
+ * Former globals that ARIA 1.2 deprecates on roles that do not list them
+ */
+export const DEPRECATED_GLOBAL_ATTRIBUTES = [
+  'aria-disabled', 'aria-errormessage', 'aria-haspopup', 'aria-invalid'
+];
+
+/**
+ * Abstract roles are part of the taxonomy but must not be used by authors
+ */
+export const ABSTRACT_ROLES = [
+  'command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section',
+  'sectionhead', 'select', 'structure', 'widget', 'window'
+];
+
+const CELL = ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan'];
+const RANGE = ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'];
+const FORM_FIELD = ['aria-disabled', 'aria-errormessage', 'aria-invalid', 'aria-readonly', 'aria-required'];
+const CHECKABLE = ['aria-checked', 'aria-expanded', ...FORM_FIELD];
+const HEADER_CELL = [...CELL, 'aria-expanded', 'aria-haspopup', 'aria-selected', 'aria-sort', ...FORM_FIELD];
+const GRID = ['aria-activedescendant', 'aria-colcount', 'aria-disabled', 'aria-multiselectable', 'aria-readonly', 'aria-rowcount'];
+const MENU = ['aria-activedescendant', 'aria-disabled', 'aria-orientation'];
+const MENU_ITEM = ['aria-disabled', 'aria-expanded', 'aria-haspopup', 'aria-posinset', 'aria-setsize'];
+const TEXTBOX = ['aria-activedescendant', 'aria-autocomplete', 'aria-haspopup', 'aria-multiline', 'aria-placeholder', ...FORM_FIELD];
+const NAME_PROHIBITED = { nameFrom: 'prohibited' };
+
+/**
+ * Create a role definition with defaults
+ */
+function role(definition = {}) {
+  return {
+    supported: [],
+    required: [],
+    context: [],
+    owned: [],
+    nameFrom: 'author',
+    ...definition
+  };
+}
+
+/**
+ * Concrete WAI-ARIA 1.2 roles
+ */
+export const ROLES = {
+  alert: role(),
+  alertdialog: role({ supported: ['aria-modal'] }),
+  application: role({ supported: ['aria-activedescendant', 'aria-disabled', 'aria-errormessage', 'aria-expanded', 'aria-haspopup', 'aria-invalid'] }),
+  article: role({ supported: ['aria-posinset', 'aria-setsize'] }),
+  banner: role(),
+  blockquote: role(),
+  button: role({ supported: ['aria-disabled', 'aria-expanded', 'aria-haspopup', 'aria-pressed'], nameFrom: 'contents' }),
+  caption: role({ context: ['figure', 'grid', 'table', 'treegrid'], ...NAME_PROHIBITED }),
+  cell: role({ supported: CELL, context: ['row'], nameFrom: 'contents' }),
+  checkbox: role({ supported: CHECKABLE, required: ['aria-checked'], nameFrom: 'contents' }),
+  code: role(NAME_PROHIBITED),
+  columnheader: role({ supported: HEADER_CELL, context: ['row'], nameFrom: 'contents' }),
+  combobox: role({
+    supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-controls', 'aria-expanded', 'aria-haspopup', ...FORM_FIELD],
+    required: ['aria-expanded']
+  }),
+  complementary: role(),
+  contentinfo: role(),
+  definition: role(),
+  deletion: role(NAME_PROHIBITED),
+  dialog: role({ supported: ['aria-modal'] }),
+  directory: role({ owned: ['listitem'], deprecated: true }),
+  document: role({ supported: ['aria-expanded'] }),
+  emphasis: role(NAME_PROHIBITED),
+  feed: role({ owned: ['article'] }),
+  figure: role(),
+  form: role(),
+  generic: role(NAME_PROHIBITED),
+  grid: role({ supported: GRID, owned: ['row', 'rowgroup'] }),
+  gridcell: role({
+    supported: [...CELL, 'aria-expanded', 'aria-haspopup', 'aria-selected', ...FORM_FIELD],
+    context: ['row'],
+    nameFrom: 'contents'
+  }),
+  group: role({ supported: ['aria-activedescendant', 'aria-disabled'] }),
+  heading: role({ supported: ['aria-level'], required: ['aria-level'], nameFrom: 'contents' }),
+  img: role(),
+  insertion: role(NAME_PROHIBITED),
+  link: role({ supported: ['aria-disabled', 'aria-expanded', 'aria-haspopup'], nameFrom: 'contents' }),
+  list: role({ owned: ['listitem'] }),
+  listbox: role({
+    supported: ['aria-activedescendant', 'aria-expanded', 'aria-multiselectable', 'aria-orientation', ...FORM_FIELD],
+    owned: ['group', 'option']
+  }),
+  listitem: role({ supported: ['aria-level', 'aria-posinset', 'aria-setsize'], context: ['directory', 'list'] }),
+  log: role(),
+  main: role(),
+  marquee: role(),
+  math: role(),
+  menu: role({ supported: MENU, owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'] }),
+  menubar: role({ supported: MENU, owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'] }),
+  menuitem: role({ supported: MENU_ITEM, context: ['group', 'menu', 'menubar'], nameFrom: 'contents' }),
+  menuitemcheckbox: role({
+    supported: [...MENU_ITEM, 'aria-checked'],
+    required: ['aria-checked'],
+    context: ['group', 'menu', 'menubar'],
+    nameFrom: 'contents'
+  }),
+  menuitemradio: role({
+    supported: [...MENU_ITEM, 'aria-checked'],
+    required: ['aria-checked'],
+    context: ['group', 'menu', 'menubar'],
+    nameFrom: 'contents'
+  }),
+  meter: role({ supported: RANGE, required: ['aria-valuenow'] }),
+  navigation: role(),
+  none: role(NAME_PROHIBITED),
+  note: role(),
+  option: role({
+    supported: ['aria-checked', 'aria-disabled', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+    context: ['group', 'listbox'],
+    nameFrom: 'contents'
+  }),
+  paragraph: role(NAME_PROHIBITED),
+  presentation: role(NAME_PROHIBITED),
+  progressbar: role({ supported: RANGE }),
+  radio: role({ supported: ['aria-checked', 'aria-disabled', 'aria-posinset', 'aria-setsize'], required: ['aria-checked'], nameFrom: 'contents' }),
+  radiogroup: role({ supported: ['aria-activedescendant', 'aria-orientation', ...FORM_FIELD], owned: ['radio'] }),
+  region: role(),
+  row: role({
+    supported: ['aria-colindex', 'aria-disabled', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-rowindex', 'aria-selected', 'aria-setsize'],
+    context: ['grid', 'rowgroup', 'table', 'treegrid'],
+    owned: ['cell', 'columnheader', 'gridcell', 'rowheader'],
+    nameFrom: 'contents'
+  }),
+  rowgroup: role({ context: ['grid', 'table', 'treegrid'], owned: ['row'] }),
+  rowheader: role({ supported: HEADER_CELL, context: ['row'], nameFrom: 'contents' }),
+  scrollbar: role({
+    supported: ['aria-disabled', 'aria-orientation', ...RANGE],
+    required: ['aria-controls', 'aria-valuenow']
+  }),
+  search: role(),
+  searchbox: role({ supported: TEXTBOX }),
+  separator: role({ supported: ['aria-disabled', 'aria-orientation', ...RANGE] }),
+  slider: role({
+    supported: ['aria-disabled', 'aria-haspopup', 'aria-orientation', ...FORM_FIELD, ...RANGE],
+    required: ['aria-valuenow']
+  }),
+  spinbutton: role({ supported: ['aria-activedescendant', ...FORM_FIELD, ...RANGE] }),
+  status: role(),
+  strong: role(NAME_PROHIBITED),
+  subscript: role(NAME_PROHIBITED),
+  superscript: role(NAME_PROHIBITED),
+  switch: role({ supported: CHECKABLE, required: ['aria-checked'], nameFrom: 'contents' }),
+  tab: role({
+    supported: ['aria-disabled', 'aria-expanded', 'aria-haspopup', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+    context: ['tablist'],
+    nameFrom: 'contents'
+  }),
+  table: role({ supported: ['aria-colcount', 'aria-rowcount'], owned: ['row', 'rowgroup'] }),
+  tablist: role({ supported: ['aria-activedescendant', 'aria-disabled', 'aria-multiselectable', 'aria-orientation'], owned: ['tab'] }),
+  tabpanel: role(),
+  term: role(),
+  textbox: role({ supported: TEXTBOX }),
+  time: role(),
+  timer: role(),
+  toolbar: role({ supported: ['aria-activedescendant', 'aria-disabled', 'aria-orientation'] }),
+  tooltip: role({ nameFrom: 'contents' }),
+  tree: role({
+    supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation', ...FORM_FIELD],
+    owned: ['group', 'treeitem']
+  }),
+  treegrid: role({
+    supported: [...GRID, 'aria-orientation', ...FORM_FIELD],
+    owned: ['row', 'rowgroup']
+  }),
+  treeitem: role({
+    supported: ['aria-checked', 'aria-disabled', 'aria-expanded', 'aria-haspopup', 'aria-level', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+    context: ['group', 'tree'],
+    nameFrom: 'contents'
+  })
+};
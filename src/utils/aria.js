@@ -0,0 +1,301 @@
+/**
+ * ARIA role and visibility utilities
+ */
+
+import { ROLES } from './aria-data.js';
+import { getComposedParent } from './dom.js';
+
+/**
+ * Concrete (non-abstract) WAI-ARIA 1.2 roles
+ */
+export const ARIA_ROLES = new Set(Object.keys(ROLES));
+
+/**
+ * Roles whose accessible name may be computed from their content
+ */
+export const NAME_FROM_CONTENT_ROLES = new Set(
+  Object.keys(ROLES).filter(role => ROLES[role].nameFrom === 'contents')
+);
+
+/**
+ * Roles that are embedded controls when they appear inside a label
+ */
+const EMBEDDED_CONTROL_ROLES = new Set([
+  'textbox', 'searchbox', 'combobox', 'listbox', 'range',
+  'progressbar', 'scrollbar', 'slider', 'spinbutton'
+]);
+
+const INPUT_TYPE_ROLES = {
+  button: 'button',
+  image: 'button',
+  reset: 'button',
+  submit: 'button',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  range: 'slider',
+  number: 'spinbutton',
+  search: 'searchbox',
+  email: 'textbox',
+  tel: 'textbox',
+  text: 'textbox',
+  url: 'textbox',
+  password: null,
+  hidden: null,
+  color: null,
+  date: null,
+  'datetime-local': null,
+  file: null,
+  month: null,
+  time: null,
+  week: null
+};
+
+const TAG_ROLES = {
+  ARTICLE: 'article',
+  ASIDE: 'complementary',
+  BLOCKQUOTE: 'blockquote',
+  BUTTON: 'button',
+  CAPTION: 'caption',
+  CODE: 'code',
+  DATALIST: 'listbox',
+  DD: 'definition',
+  DEL: 'deletion',
+  DETAILS: 'group',
+  DFN: 'term',
+  DIALOG: 'dialog',
+  DT: 'term',
+  EM: 'emphasis',
+  FIELDSET: 'group',
+  FIGURE: 'figure',
+  FORM: 'form',
+  H1: 'heading',
+  H2: 'heading',
+  H3: 'heading',
+  H4: 'heading',
+  H5: 'heading',
+  H6: 'heading',
+  HR: 'separator',
+  HTML: 'document',
+  INS: 'insertion',
+  LI: 'listitem',
+  MAIN: 'main',
+  MATH: 'math',
+  MENU: 'list',
+  METER: 'meter',
+  NAV: 'navigation',
+  OL: 'list',
+  OPTGROUP: 'group',
+  OPTION: 'option',
+  OUTPUT: 'status',
+  P: 'paragraph',
+  PROGRESS: 'progressbar',
+  SEARCH: 'search',
+  STRONG: 'strong',
+  SUB: 'subscript',
+  SUP: 'superscript',
+  TABLE: 'table',
+  TBODY: 'rowgroup',
+  TEXTAREA: 'textbox',
+  TFOOT: 'rowgroup',
+  THEAD: 'rowgroup',
+  TIME: 'time',
+  TR: 'row',
+  UL: 'list',
+  ADDRESS: 'group',
+  HGROUP: 'group',
+  B: 'generic',
+  BDI: 'generic',
+  BDO: 'generic',
+  BODY: 'generic',
+  DATA: 'generic',
+  DIV: 'generic',
+  I: 'generic',
+  PRE: 'generic',
+  Q: 'generic',
+  SAMP: 'generic',
+  SMALL: 'generic',
+  SPAN: 'generic',
+  U: 'generic'
+};
+
+const SECTIONING_ELEMENTS = ['ARTICLE', 'ASIDE', 'MAIN', 'NAV', 'SECTION'];
+
+/**
+ * Get the implicit (native) role of an element
+ * @param {Element} element - DOM element
+ * @returns {string|null} Implicit role or null if the element has none
+ */
+export function getImplicitRole(element) {
+  const tagName = element.tagName;
+
+  switch (tagName) {
+  case 'A':
+  case 'AREA':
+    return element.hasAttribute('href') ? 'link' : 'generic';
+  case 'IMG':
+    return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+  case 'INPUT': {
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    if (element.hasAttribute('list') && ['text', 'search', 'email', 'tel', 'url'].includes(type)) {
+      return 'combobox';
+    }
+    return type in INPUT_TYPE_ROLES ? INPUT_TYPE_ROLES[type] : 'textbox';
+  }
+  case 'SELECT': {
+    const size = parseInt(element.getAttribute('size'), 10);
+    return element.hasAttribute('multiple') || size > 1 ? 'listbox' : 'combobox';
+  }
+  case 'HEADER':
+  case 'FOOTER': {
+    const scoped = element.parentElement?.closest(SECTIONING_ELEMENTS.join(', '));
+    if (scoped) {
+      return 'generic';
+    }
+    return tagName === 'HEADER' ? 'banner' : 'contentinfo';
+  }
+  case 'SECTION':
+    return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby')
+      ? 'region'
+      : 'generic';
+  case 'TD': {
+    const table = element.closest('table');
+    const tableRole = table?.getAttribute('role');
+    return tableRole === 'grid' || tableRole === 'treegrid' ? 'gridcell' : 'cell';
+  }
+  case 'TH':
+    return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+  default:
+    return TAG_ROLES[tagName] || null;
+  }
+}
+
+/**
+ * Get the first valid role token from the role attribute
+ * @param {Element} element - DOM element
+ * @returns {string|null} Explicit role or null
+ */
+export function getExplicitRole(element) {
+  const roleAttr = element.getAttribute('role');
+  if (!roleAttr) {
+    return null;
+  }
+
+  const tokens = roleAttr.trim().toLowerCase().split(/\s+/);
+  return tokens.find(token => ARIA_ROLES.has(token)) || null;
+}
+
+/**
+ * Get the computed role of an element (explicit role first, then implicit)
+ * @param {Element} element - DOM element
+ * @returns {string|null} Computed role
+ */
+export function getRole(element) {
+  const explicitRole = getExplicitRole(element);
+
+  if (explicitRole === 'none' || explicitRole === 'presentation') {
+    // Presentational roles are ignored on focusable elements
+    if (isFocusable(element)) {
+      return getImplicitRole(element);
+    }
+    return explicitRole;
+  }
+
+  return explicitRole || getImplicitRole(element);
+}
+
+/**
+ * Check whether a role may take its name from content
+ * @param {string|null} role - ARIA role
+ * @returns {boolean} True if the role supports name from content
+ */
+export function allowsNameFromContent(role) {
+  return NAME_FROM_CONTENT_ROLES.has(role);
+}
+
+/**
+ * Check whether a role is an embedded control for name computation
+ * @param {string|null} role - ARIA role
+ * @returns {boolean} True if the role is an embedded control
+ */
+export function isEmbeddedControlRole(role) {
+  return EMBEDDED_CONTROL_ROLES.has(role);
+}
+
+/**
+ * Check if element is focusable
+ * @param {Element} element - DOM element
+ * @returns {boolean} True if element can receive focus
+ */
+export function isFocusable(element) {
+  if (element.hasAttribute('disabled')) {
+    return false;
+  }
+
+  if (element.hasAttribute('tabindex')) {
+    return !isNaN(parseInt(element.getAttribute('tabindex'), 10));
+  }
+
+  switch (element.tagName) {
+  case 'A':
+  case 'AREA':
+    return element.hasAttribute('href');
+  case 'INPUT':
+    return (element.getAttribute('type') || '').toLowerCase() !== 'hidden';
+  case 'BUTTON':
+  case 'SELECT':
+  case 'TEXTAREA':
+  case 'IFRAME':
+    return true;
+  default:
+    return element.getAttribute('contenteditable') === 'true' ||
+      element.getAttribute('contenteditable') === '';
+  }
+}
+
+/**
+ * Get the reason an element itself is hidden from assistive technology
+ * @param {Element} element - DOM element
+ * @returns {string|null} 'aria-hidden', 'hidden', 'display-none', 'visibility-hidden' or null
+ */
+export function getHiddenReason(element) {
+  if (element.getAttribute('aria-hidden') === 'true') {
+    return 'aria-hidden';
+  }
+
+  if (element.hasAttribute('hidden')) {
+    return 'hidden';
+  }
+
+  const win = element.ownerDocument?.defaultView;
+  if (win && win.getComputedStyle) {
+    const style = win.getComputedStyle(element);
+    if (style.display === 'none') {
+      return 'display-none';
+    }
+    if (style.visibility === 'hidden' || style.visibility === 'collapse') {
+      return 'visibility-hidden';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if element or any of its ancestors is hidden from assistive technology
+ * @param {Element} element - DOM element
+ * @returns {boolean} True if element is hidden
+ */
+export function isHidden(element) {
+  let current = element;
+
+  while (current && current.nodeType === 1) {
+    const reason = getHiddenReason(current);
+    // visibility is inherited, so only the element itself needs checking
+    if (reason && (reason !== 'visibility-hidden' || current === element)) {
+      return true;
+    }
+    current = getComposedParent(current);
+  }
+
+  return false;
+}
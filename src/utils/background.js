@@ -0,0 +1,266 @@
+/**
+ * Background resolution for contrast checks: works out what is painted
+ * behind an element's text, from its own background down to the canvas
+ */
+
+import { calculateContrast, compositeColors, formatColor, parseColor } from './color.js';
+import { getComposedParent } from './dom.js';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, a: 0 };
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+const GRADIENT = /^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/i;
+
+/**
+ * Split a CSS value on a separator outside parentheses
+ * @param {string} value - Value such as a background-image list
+ * @param {RegExp} separator - Separator matching one character
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value) {
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    }
+
+    if (depth === 0 && separator.test(char)) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Layers of a background-image value: gradients with their color stops,
+ * and anything else (url(), image-set() and so on) as an image
+ * @param {string} backgroundImage - Computed background-image
+ * @returns {Array<{gradient: boolean, stops: Object[]}>}
+ */
+function getImageLayers(backgroundImage) {
+  if (!backgroundImage || backgroundImage === 'none') {
+    return [];
+  }
+
+  return splitTopLevel(backgroundImage, /,/)
+    .filter(layer => layer !== 'none')
+    .map(layer => {
+      const gradient = layer.match(GRADIENT);
+      if (!gradient) {
+        return { gradient: false, stops: [] };
+      }
+
+      // Each argument is a color stop with optional positions, or the
+      // direction or shape, which has no color
+      const stops = splitTopLevel(gradient[3], /,/)
+        .map(argument => splitTopLevel(argument, /\s/)
+          .map(token => parseColor(token))
+          .find(Boolean))
+        .filter(Boolean);
+
+      return { gradient: true, stops };
+    });
+}
+
+/**
+ * Elements painted at the element's position, from the element down. Uses
+ * elementsFromPoint where the browser does layout, so positioned elements
+ * that are not ancestors count; otherwise the element and its ancestors.
+ */
+function getPaintStack(element, ancestors) {
+  const doc = element.ownerDocument;
+  let stack = ancestors;
+
+  if (typeof doc.elementsFromPoint === 'function') {
+    const rect = element.getBoundingClientRect();
+    if (rect.width > 0 && rect.height > 0) {
+      const atPoint = doc.elementsFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+      const index = atPoint.indexOf(element);
+      if (index !== -1) {
+        stack = atPoint.slice(index);
+      }
+    }
+  }
+
+  // The body and root backgrounds paint the whole canvas, even where their
+  // boxes do not reach
+  const canvasElements = [doc.body, doc.documentElement].filter(el => el && !stack.includes(el));
+  return [...stack, ...canvasElements];
+}
+
+function getOpacity(style) {
+  const opacity = parseFloat(style.opacity);
+  return Number.isNaN(opacity) ? 1 : opacity;
+}
+
+/**
+ * Opacity of an element that is not an ancestor, with that of its own
+ * ancestors up to the first one it shares with the element being checked
+ */
+function getStackedOpacity(layer, ancestors, styleOf) {
+  let opacity = 1;
+  for (let current = layer; current && !ancestors.includes(current); current = getComposedParent(current)) {
+    opacity *= getOpacity(styleOf(current));
+  }
+  return opacity;
+}
+
+const withAlpha = (color, factor) => ({ ...color, a: color.a * factor });
+
+/**
+ * Resolve the background behind an element's text, and the text color as it
+ * is painted over it. Translucent backgrounds and the opacity of the element
+ * and its ancestors are composited down to the canvas, which takes the
+ * body or root background or is white. Gradients count as each of their
+ * color stops, and the stop giving the lowest contrast is reported.
+ * Background images cannot be resolved, so they make the result incomplete.
+ * @param {Element} element - Element with text
+ * @param {Object} [options]
+ * @param {function(Element): CSSStyleDeclaration} [options.getStyle] - Style lookup, e.g. a rule context's cached getComputedStyle
+ * @param {string} [options.foreground] - Text color; defaults to the element's computed color
+ * @param {string} [options.innerBackground] - Background between the text and the element's own, such as a pseudo-element's
+ * @returns {Object|null} With incomplete false: foreground, background, contrast, the background colors considered and the source element.
+ *   With incomplete true: a reason and the source element. Null when the text color cannot be parsed.
+ */
+export function resolveBackground(element, { getStyle, foreground, innerBackground } = {}) {
+  const elementWindow = element.ownerDocument.defaultView;
+  const styleOf = getStyle || (el => elementWindow.getComputedStyle(el));
+  const elementStyle = styleOf(element);
+  const textColor = parseColor(foreground || elementStyle.color, elementStyle.color);
+
+  if (!textColor) {
+    return null;
+  }
+
+  const ancestors = [];
+  for (let current = element; current; current = getComposedParent(current)) {
+    ancestors.push(current);
+  }
+
+  // Text and background are composited side by side, once per gradient stop
+  const inner = parseColor(innerBackground, elementStyle.color) || TRANSPARENT;
+  let pairs = [{ foreground: compositeColors(textColor, inner), background: inner }];
+  let source = null;
+
+  for (const layer of getPaintStack(element, ancestors)) {
+    const style = styleOf(layer);
+    const isAncestor = ancestors.includes(layer);
+
+    if (pairs.some(pair => pair.background.a < 1)) {
+      const images = getImageLayers(style.backgroundImage);
+      if (images.some(image => !image.gradient)) {
+        return {
+          incomplete: true,
+          reason: `Text is over a background image on <${layer.localName}>, so its contrast must be checked manually`,
+          source: layer
+        };
+      }
+
+      const color = parseColor(style.backgroundColor, style.color) || TRANSPARENT;
+      const stops = images.flatMap(image => image.stops);
+      // Opacity of elements that are not ancestors applies to their own background only
+      const alpha = isAncestor ? 1 : getStackedOpacity(layer, ancestors, styleOf);
+      const colors = (stops.length > 0 ? stops.map(stop => compositeColors(stop, color)) : [color])
+        .map(option => withAlpha(option, alpha));
+
+      if (!source && colors.some(option => option.a > 0)) {
+        source = layer;
+      }
+
+      pairs = pairs.flatMap(pair => colors.map(option => ({
+        foreground: compositeColors(pair.foreground, option),
+        background: compositeColors(pair.background, option)
+      })));
+    }
+
+    // Opacity fades everything the ancestor paints, text included, into
+    // what is below it
+    const opacity = isAncestor ? getOpacity(style) : 1;
+    if (opacity < 1) {
+      pairs = pairs.map(pair => ({
+        foreground: withAlpha(pair.foreground, opacity),
+        background: withAlpha(pair.background, opacity)
+      }));
+    }
+  }
+
+  const results = pairs.map(pair => {
+    const background = compositeColors(pair.background, WHITE);
+    const text = compositeColors(pair.foreground, WHITE);
+    return { foreground: text, background, contrast: calculateContrast(text, background) };
+  });
+  const worst = results.reduce((lowest, result) => (result.contrast < lowest.contrast ? result : lowest));
+
+  return {
+    incomplete: false,
+    foreground: formatColor(worst.foreground),
+    background: formatColor(worst.background),
+    contrast: worst.contrast,
+    colors: [...new Set(results.map(result => formatColor(result.background)))],
+    source
+  };
+}
+
+/**
+ * Parse a text-shadow value into its shadows
+ * @param {string} textShadow - Computed text-shadow
+ * @param {string} [currentColor] - Text color, for shadows without a color
+ * @returns {Array<{color: Object, x: number, y: number, blur: number}>} Shadows with offsets and blur in px
+ */
+export function parseTextShadow(textShadow, currentColor) {
+  if (!textShadow || textShadow === 'none') {
+    return [];
+  }
+
+  return splitTopLevel(textShadow, /,/).map(shadow => {
+    const tokens = splitTopLevel(shadow, /\s/);
+    const lengths = tokens
+      .filter(token => /^[+-]?(\d+\.?\d*|\.\d+)(px|pt)?$/i.test(token))
+      .map(token => parseFloat(token) * (/pt$/i.test(token) ? 4 / 3 : 1));
+    const color = tokens.map(token => parseColor(token, currentColor)).find(Boolean) || parseColor(currentColor);
+    const [x = 0, y = 0, blur = 0] = lengths;
+    return { color, x, y, blur };
+  }).filter(shadow => shadow.color);
+}
+
+/**
+ * Solid color a text-shadow draws around every glyph, if any, so that it
+ * works as the text's background. That is an opaque shadow either blurred
+ * by at least minBlur px and offset by no more than half its blur, or drawn
+ * unblurred at least 1px out in all four directions, as outline effects do.
+ * @param {string} textShadow - Computed text-shadow
+ * @param {Object} [options]
+ * @param {string} [options.currentColor] - Text color, for shadows without a color
+ * @param {number} [options.minBlur] - Blur radius in px a single shadow needs
+ * @returns {string|null} Halo color, or null when the shadow does not surround the text
+ */
+export function getTextShadowHalo(textShadow, { currentColor, minBlur = 2 } = {}) {
+  const solid = parseTextShadow(textShadow, currentColor).filter(shadow => shadow.color.a >= 1);
+
+  const glow = solid.find(shadow => shadow.blur >= minBlur &&
+    Math.abs(shadow.x) <= shadow.blur / 2 && Math.abs(shadow.y) <= shadow.blur / 2);
+  if (glow) {
+    return formatColor(glow.color);
+  }
+
+  // Outlines: shadows of one color offset left, right, up and down
+  for (const { color } of solid) {
+    const same = solid.filter(shadow => formatColor(shadow.color) === formatColor(color));
+    const covers = test => same.some(test);
+    if (covers(s => s.x >= 1) && covers(s => s.x <= -1) && covers(s => s.y >= 1) && covers(s => s.y <= -1)) {
+      return formatColor(color);
+    }
+  }
+
+  return null;
+}
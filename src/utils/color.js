@@ -2,16 +2,315 @@
  * Color contrast calculation utilities
  */
 
+// CSS named colors (CSS Color Module Level 4)
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+  darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+  firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+  greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+  magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+  orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+  paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+  pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+  sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+  skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+  springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+  whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+// CSS system colors, with the values browsers use for a light color scheme
+const SYSTEM_COLORS = {
+  canvas: 'ffffff', canvastext: '000000', linktext: '0000ee', visitedtext: '551a8b',
+  activetext: 'ff0000', buttonface: 'efefef', buttontext: '000000', buttonborder: '767676',
+  field: 'ffffff', fieldtext: '000000', graytext: '6d6d6d', highlight: '3390ff',
+  highlighttext: 'ffffff', selecteditem: '3390ff', selecteditemtext: 'ffffff', mark: 'ffff00',
+  marktext: '000000', accentcolor: '0075ff', accentcolortext: 'ffffff'
+};
+
+// Matrices from the sample code of CSS Color 4, all converting to or from XYZ with a D65 white
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+const XYZ_D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+const LINEAR_P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976]
+];
+const LINEAR_A98_TO_XYZ = [
+  [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+  [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+  [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+];
+const LINEAR_REC2020_TO_XYZ = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791]
+];
+// ProPhoto RGB has a D50 white, so this gives XYZ D50
+const LINEAR_PROPHOTO_TO_XYZ_D50 = [
+  [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+  [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+  [0, 0, 0.8251046025104601]
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+const multiply = (matrix, [x, y, z]) => matrix.map(([a, b, c]) => a * x + b * y + c * z);
+
+// Transfer functions keep the sign so out-of-range values survive until clipping
+const signed = fn => value => Math.sign(value) * fn(Math.abs(value));
+const srgbToLinear = signed(v => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4)));
+const linearToSrgb = signed(v => (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055));
+const a98ToLinear = signed(v => Math.pow(v, 563 / 256));
+const prophotoToLinear = signed(v => (v <= 16 / 512 ? v / 16 : Math.pow(v, 1.8)));
+const rec2020ToLinear = signed(v => {
+  const alpha = 1.09929682680944;
+  const beta = 0.018053968510807;
+  return v < beta * 4.5 ? v / 4.5 : Math.pow((v + alpha - 1) / alpha, 1 / 0.45);
+});
+
+const xyzD65ToLinearSrgb = xyz => multiply(XYZ_D65_TO_LINEAR_SRGB, xyz);
+const xyzD50ToLinearSrgb = xyz => xyzD65ToLinearSrgb(multiply(XYZ_D50_TO_D65, xyz));
+
+// Linear-light sRGB for each space color() accepts
+const COLOR_SPACES = {
+  'srgb': rgb => rgb.map(srgbToLinear),
+  'srgb-linear': rgb => rgb,
+  'display-p3': rgb => xyzD65ToLinearSrgb(multiply(LINEAR_P3_TO_XYZ, rgb.map(srgbToLinear))),
+  'a98-rgb': rgb => xyzD65ToLinearSrgb(multiply(LINEAR_A98_TO_XYZ, rgb.map(a98ToLinear))),
+  'prophoto-rgb': rgb => xyzD50ToLinearSrgb(multiply(LINEAR_PROPHOTO_TO_XYZ_D50, rgb.map(prophotoToLinear))),
+  'rec2020': rgb => xyzD65ToLinearSrgb(multiply(LINEAR_REC2020_TO_XYZ, rgb.map(rec2020ToLinear))),
+  'xyz': xyzD65ToLinearSrgb,
+  'xyz-d65': xyzD65ToLinearSrgb,
+  'xyz-d50': xyzD50ToLinearSrgb
+};
+
+function labToLinearSrgb([lightness, a, b]) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const f1 = (lightness + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+
+  const xyz = [
+    Math.pow(f0, 3) > epsilon ? Math.pow(f0, 3) : (116 * f0 - 16) / kappa,
+    lightness > kappa * epsilon ? Math.pow(f1, 3) : lightness / kappa,
+    Math.pow(f2, 3) > epsilon ? Math.pow(f2, 3) : (116 * f2 - 16) / kappa
+  ].map((value, i) => value * D50_WHITE[i]);
+
+  return xyzD50ToLinearSrgb(xyz);
+}
+
+function oklabToLinearSrgb([lightness, a, b]) {
+  const l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(lightness - 0.0894841775 * a - 1.291485548 * b, 3);
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s
+  ];
+}
+
+const polarToRectangular = (lightness, chroma, hue) => [
+  lightness,
+  chroma * Math.cos(hue * Math.PI / 180),
+  chroma * Math.sin(hue * Math.PI / 180)
+];
+
+function hslToSrgb(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    return lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+function hwbToSrgb(hue, whiteness, blackness) {
+  if (whiteness + blackness >= 1) {
+    const gray = whiteness / (whiteness + blackness);
+    return [gray, gray, gray];
+  }
+  return hslToSrgb(hue, 1, 0.5).map(value => value * (1 - whiteness - blackness) + whiteness);
+}
+
 /**
- * Calculate contrast ratio between two colors
- * @param {string} fgColor - Foreground color
- * @param {string} bgColor - Background color
- * @returns {number} Contrast ratio
+ * Parse a number or percentage. `none` counts as zero.
+ * @param {string} token - Component such as '50%' or '0.4'
+ * @param {number} percentScale - Value of 100%
+ * @returns {number} Value, NaN when the token is not a number
+ */
+function parseComponent(token, percentScale) {
+  if (token === 'none') {
+    return 0;
+  }
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/.test(token)) {
+    return NaN;
+  }
+  return token.endsWith('%') ? parseFloat(token) * percentScale / 100 : parseFloat(token);
+}
+
+const HUE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+function parseHue(token) {
+  if (token === 'none') {
+    return 0;
+  }
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/);
+  if (!match) {
+    return NaN;
+  }
+  const degrees = parseFloat(match[1]) * HUE_UNITS[match[2] || 'deg'];
+  return ((degrees % 360) + 360) % 360;
+}
+
+function parseAlpha(token) {
+  if (token === undefined) {
+    return 1;
+  }
+  return Math.min(1, Math.max(0, parseComponent(token, 1)));
+}
+
+/**
+ * Split the arguments of a color function into its components and alpha,
+ * in either the comma-separated legacy syntax or the space-separated one
+ * with a slash before alpha
+ */
+function splitArguments(args) {
+  if (args.includes(',')) {
+    const parts = args.split(',').map(part => part.trim());
+    return { components: parts.slice(0, 3), alpha: parts[3], count: parts.length, legacy: true };
+  }
+
+  const [main, alpha, ...rest] = args.split('/').map(part => part.trim());
+  if (rest.length > 0 || alpha === '') {
+    return null;
+  }
+  const components = main.split(/\s+/).filter(Boolean);
+  return { components, alpha, count: components.length + (alpha === undefined ? 0 : 1), legacy: false };
+}
+
+function parseColorFunction(name, args) {
+  const parsed = splitArguments(args);
+  if (!parsed) {
+    return null;
+  }
+  const { legacy } = parsed;
+  let { components, alpha } = parsed;
+
+  let space = null;
+  if (name === 'color') {
+    if (legacy) {
+      return null;
+    }
+    space = COLOR_SPACES[components[0]];
+    components = components.slice(1);
+    if (!space) {
+      return null;
+    }
+  }
+
+  const hasLegacyAlpha = ['rgb', 'rgba', 'hsl', 'hsla'].includes(name);
+  if (components.length !== 3 || (legacy && (!hasLegacyAlpha || parsed.count > 4))) {
+    return null;
+  }
+
+  const [c1, c2, c3] = components;
+  let linear;
+  let srgb;
+
+  if (name === 'rgb' || name === 'rgba') {
+    srgb = [c1, c2, c3].map(token => parseComponent(token, 255) / 255);
+  } else if (name === 'hsl' || name === 'hsla') {
+    srgb = hslToSrgb(parseHue(c1), parseComponent(c2, 100) / 100, parseComponent(c3, 100) / 100);
+  } else if (name === 'hwb') {
+    srgb = hwbToSrgb(parseHue(c1), parseComponent(c2, 100) / 100, parseComponent(c3, 100) / 100);
+  } else if (name === 'lab') {
+    linear = labToLinearSrgb([parseComponent(c1, 100), parseComponent(c2, 125), parseComponent(c3, 125)]);
+  } else if (name === 'lch') {
+    linear = labToLinearSrgb(polarToRectangular(parseComponent(c1, 100), parseComponent(c2, 150), parseHue(c3)));
+  } else if (name === 'oklab') {
+    linear = oklabToLinearSrgb([parseComponent(c1, 1), parseComponent(c2, 0.4), parseComponent(c3, 0.4)]);
+  } else if (name === 'oklch') {
+    linear = oklabToLinearSrgb(polarToRectangular(parseComponent(c1, 1), parseComponent(c2, 0.4), parseHue(c3)));
+  } else if (space) {
+    linear = space([c1, c2, c3].map(token => parseComponent(token, 1)));
+  } else {
+    return null;
+  }
+
+  // Colors outside sRGB are clipped to it, as screens that cannot show them would
+  const channels = (srgb || linear.map(linearToSrgb)).map(value => Math.min(255, Math.max(0, value * 255)));
+  const a = parseAlpha(alpha);
+
+  if (channels.some(Number.isNaN) || Number.isNaN(a)) {
+    return null;
+  }
+
+  return { r: channels[0], g: channels[1], b: channels[2], a };
+}
+
+function parseHex(hex) {
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex.split('').map(digit => digit + digit).join('');
+  }
+
+  return {
+    r: parseInt(hex.substr(0, 2), 16),
+    g: parseInt(hex.substr(2, 2), 16),
+    b: parseInt(hex.substr(4, 2), 16),
+    a: hex.length === 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1
+  };
+}
+
+const toColor = color => (typeof color === 'string' ? parseColor(color) : color);
+
+/**
+ * Calculate contrast ratio between two colors. A translucent background is
+ * shown over a white canvas, and translucent text over the background.
+ * @param {string|object} fgColor - Foreground color
+ * @param {string|object} bgColor - Background color
+ * @returns {number|null} Contrast ratio, or null when a color cannot be parsed
  */
 export function calculateContrast(fgColor, bgColor) {
-  const rgb1 = parseColor(fgColor);
-  const rgb2 = parseColor(bgColor);
-  
+  const background = toColor(bgColor);
+  const foreground = toColor(fgColor);
+
+  if (!background || !foreground) {
+    return null;
+  }
+
+  const rgb2 = compositeColors(background, WHITE);
+  const rgb1 = compositeColors(foreground, rgb2);
+
   const l1 = relativeLuminance(rgb1);
   const l2 = relativeLuminance(rgb2);
   
@@ -22,42 +321,94 @@ export function calculateContrast(fgColor, bgColor) {
 }
 
 /**
- * Parse color string to RGB values
- * @param {string} color - Color string (rgb, rgba, or hex)
- * @returns {object} RGB values
+ * Parse a CSS color. Understands hex with 3, 4, 6 or 8 digits, named and
+ * system colors, transparent, currentColor, and rgb(), hsl(), hwb(), lab(), lch(),
+ * oklab(), oklch() and color() in the legacy and the space-separated syntax.
+ * Colors outside sRGB are clipped to it.
+ * @param {string} color - CSS color
+ * @param {string} [currentColor] - Value of the color property, for currentColor
+ * @returns {{r: number, g: number, b: number, a: number}|null} sRGB channels from 0 to 255 and alpha from 0 to 1, or null when the color cannot be parsed
  */
-export function parseColor(color) {
+export function parseColor(color, currentColor) {
   if (!color || typeof color !== 'string') {
-    return { r: 0, g: 0, b: 0 };
+    return null;
   }
-  
-  // Handle rgb/rgba
-  const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-  if (rgbMatch) {
-    return {
-      r: parseInt(rgbMatch[1]),
-      g: parseInt(rgbMatch[2]),
-      b: parseInt(rgbMatch[3])
-    };
+
+  const value = color.trim().toLowerCase();
+
+  if (value === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
   }
-  
-  // Handle hex colors
-  const hexMatch = color.match(/^#([0-9a-f]{6}|[0-9a-f]{3})$/i);
+  if (value === 'currentcolor') {
+    return currentColor && currentColor.trim().toLowerCase() !== 'currentcolor'
+      ? parseColor(currentColor)
+      : null;
+  }
+  if (NAMED_COLORS[value] || SYSTEM_COLORS[value]) {
+    return parseHex(NAMED_COLORS[value] || SYSTEM_COLORS[value]);
+  }
+
+  const hexMatch = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
   if (hexMatch) {
-    let hex = hexMatch[1];
-    if (hex.length === 3) {
-      hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
-    }
-    
-    return {
-      r: parseInt(hex.substr(0, 2), 16),
-      g: parseInt(hex.substr(2, 2), 16),
-      b: parseInt(hex.substr(4, 2), 16)
-    };
+    return parseHex(hexMatch[1]);
   }
-  
-  // Default to black if unable to parse
-  return { r: 0, g: 0, b: 0 };
+
+  const functionMatch = value.match(/^([a-z]+)\((.*)\)$/);
+  if (functionMatch) {
+    return parseColorFunction(functionMatch[1], functionMatch[2].trim());
+  }
+
+  return null;
+}
+
+/**
+ * Composite a color over another, as CSS paints a translucent color over
+ * what is below it (source-over)
+ * @param {string|object} top - Color painted on top
+ * @param {string|object} bottom - Color below it
+ * @returns {{r: number, g: number, b: number, a: number}|null} Resulting color, or null when a color cannot be parsed
+ */
+export function compositeColors(top, bottom) {
+  const over = toColor(top);
+  const under = toColor(bottom);
+
+  if (!over || !under) {
+    return null;
+  }
+
+  const topAlpha = over.a ?? 1;
+  const bottomAlpha = (under.a ?? 1) * (1 - topAlpha);
+  const a = topAlpha + bottomAlpha;
+
+  if (a === 0) {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  const channel = key => (over[key] * topAlpha + under[key] * bottomAlpha) / a;
+  return { r: channel('r'), g: channel('g'), b: channel('b'), a };
+}
+
+/**
+ * Composite a stack of colors, such as the translucent backgrounds of an
+ * element and its ancestors
+ * @param {Array<string|object>} colors - Colors from the top of the stack down
+ * @returns {{r: number, g: number, b: number, a: number}|null} Resulting color, or null when a color cannot be parsed
+ */
+export function flattenColors(colors) {
+  return colors.reduceRight(
+    (below, color) => below && compositeColors(color, below),
+    { r: 0, g: 0, b: 0, a: 0 }
+  );
+}
+
+/**
+ * Serialize a color as CSS rgb() or, when translucent, rgba()
+ * @param {object} color - Color from parseColor
+ * @returns {string} Color such as 'rgb(255, 0, 0)'
+ */
+export function formatColor({ r, g, b, a = 1 }) {
+  const channels = [r, g, b].map(Math.round).join(', ');
+  return a >= 1 ? `rgb(${channels})` : `rgba(${channels}, ${Number(a.toFixed(3))})`;
 }
 
 /**
@@ -77,32 +428,142 @@ export function relativeLuminance(rgb) {
   return 0.2126 * r + 0.7152 * g + 0.0722 * b;
 }
 
+// APCA 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.072175],
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scaleBoW: 1.14,
+  scaleWoB: 1.14,
+  loBoWoffset: 0.027,
+  loWoBoffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1
+};
+
+// Minimum APCA Lc for fluent text by font size in px (rows) and weight 100
+// to 900 (columns), from the APCA font lookup table. null marks sizes and
+// weights too small or thin for text at any contrast.
+const APCA_FONT_LOOKUP = [
+  [12, [null, null, null, null, null, null, null, null, null]],
+  [14, [null, null, null, 100, 100, 90, 75, null, null]],
+  [15, [null, null, null, 100, 90, 75, 70, null, null]],
+  [16, [null, null, null, 90, 75, 70, 60, 60, null]],
+  [18, [null, null, 100, 75, 70, 60, 55, 55, 55]],
+  [21, [null, null, 90, 70, 60, 55, 50, 50, 50]],
+  [24, [null, null, 75, 60, 55, 50, 45, 45, 45]],
+  [28, [null, 100, 70, 55, 50, 45, 43, 43, 43]],
+  [32, [null, 90, 65, 50, 45, 43, 40, 40, 40]],
+  [36, [null, 75, 60, 45, 43, 40, 38, 38, 38]],
+  [42, [100, 70, 55, 43, 40, 38, 35, 35, 35]],
+  [48, [90, 60, 50, 40, 38, 35, 33, 33, 33]],
+  [60, [75, 55, 45, 38, 35, 33, 30, 30, 30]],
+  [72, [60, 50, 40, 35, 33, 30, 30, 30, 30]],
+  [96, [50, 45, 35, 33, 30, 30, 30, 30, 30]]
+];
+
+/**
+ * Calculate the APCA (Accessible Perceptual Contrast Algorithm) lightness
+ * contrast of text on a background. Translucent colors are composited as
+ * in calculateContrast.
+ * @param {string|object} textColor - Text color
+ * @param {string|object} backgroundColor - Background color
+ * @returns {number|null} Lc from about -108 to 106: positive for dark text on a light background,
+ *   negative for light text on a dark one. Null when a color cannot be parsed.
+ */
+export function calculateApcaContrast(textColor, backgroundColor) {
+  const background = toColor(backgroundColor);
+  const text = toColor(textColor);
+
+  if (!background || !text) {
+    return null;
+  }
+
+  const backgroundRgb = compositeColors(background, WHITE);
+  const textRgb = compositeColors(text, backgroundRgb);
+
+  // Screen luminance, soft-clamped near black
+  const luminance = rgb => {
+    const y = ['r', 'g', 'b'].reduce((sum, key, i) => sum + Math.pow(rgb[key] / 255, APCA.mainTRC) * APCA.coefficients[i], 0);
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+  };
+  const textY = luminance(textRgb);
+  const backgroundY = luminance(backgroundRgb);
+
+  if (Math.abs(backgroundY - textY) < APCA.deltaYmin) {
+    return 0;
+  }
+
+  if (backgroundY > textY) {
+    // Dark text on a light background
+    const contrast = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scaleBoW;
+    return contrast < APCA.loClip ? 0 : (contrast - APCA.loBoWoffset) * 100;
+  }
+
+  // Light text on a dark background
+  const contrast = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scaleWoB;
+  return contrast > -APCA.loClip ? 0 : (contrast + APCA.loWoBoffset) * 100;
+}
+
 /**
- * Get background color considering transparency and inheritance
+ * Minimum APCA Lc for text of a size and weight, from the APCA font lookup
+ * table. Sizes between rows use the row below; weights round down to a
+ * multiple of 100.
+ * @param {number} fontSize - Font size in px
+ * @param {number} fontWeight - Numeric font weight
+ * @returns {number|null} Minimum absolute Lc, or null when the text is too small or thin
+ */
+export function getApcaMinimumLc(fontSize, fontWeight) {
+  const row = [...APCA_FONT_LOOKUP].reverse().find(([size]) => fontSize >= size);
+  if (!row) {
+    return null;
+  }
+
+  const column = Math.min(8, Math.max(0, Math.floor(fontWeight / 100) - 1));
+  return row[1][column];
+}
+
+/**
+ * Get background color considering transparency and inheritance. Translucent
+ * backgrounds of the element and its ancestors, up to the root, are
+ * composited until an opaque one, or white below the root. For contrast
+ * checks, resolveBackground also accounts for images, gradients and opacity.
  * @param {Element} element - DOM element
+ * @param {function(Element): CSSStyleDeclaration} [getStyle] - Style lookup, e.g. a rule context's cached getComputedStyle
  * @returns {string} Computed background color
  */
-export function getBackgroundColor(element) {
+export function getBackgroundColor(element, getStyle) {
   // Get window from element's document
   const elementWindow = element.ownerDocument.defaultView || element.ownerDocument.parentWindow;
   if (!elementWindow) {
     return 'rgb(255, 255, 255)';
   }
   
-  let bgColor = elementWindow.getComputedStyle(element).backgroundColor;
+  const styleOf = getStyle || (el => elementWindow.getComputedStyle(el));
+  const layers = [];
   let currentElement = element;
   
-  // Traverse up the DOM tree to find non-transparent background
-  while (bgColor === 'transparent' || bgColor === 'rgba(0, 0, 0, 0)') {
-    currentElement = currentElement.parentElement;
-    if (!currentElement || currentElement === element.ownerDocument.body) {
-      // Assume white background if we reach body
-      return 'rgb(255, 255, 255)';
+  // Traverse up the DOM tree until an opaque background
+  while (currentElement) {
+    const style = styleOf(currentElement);
+    const color = parseColor(style.backgroundColor, style.color);
+
+    if (color && color.a > 0) {
+      layers.push(color);
+      if (color.a >= 1) {
+        break;
+      }
     }
-    bgColor = elementWindow.getComputedStyle(currentElement).backgroundColor;
+    currentElement = currentElement.parentElement;
   }
-  
-  return bgColor;
+
+  // Assume white canvas below the root
+  return formatColor(flattenColors([...layers, WHITE]));
 }
 
 /**
@@ -126,6 +587,13 @@ export function checkElementContrast(element, minRatio = 4.5) {
   const bgColor = getBackgroundColor(element);
   
   const contrast = calculateContrast(fgColor, bgColor);
+  if (contrast === null) {
+    return {
+      passed: true,
+      incomplete: true,
+      message: `Unable to parse the colors ${fgColor} and ${bgColor}`
+    };
+  }
   
   return {
     passed: contrast >= minRatio,
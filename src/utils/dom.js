@@ -3,17 +3,21 @@
  */
 
 /**
- * Get the window object from an element
+ * Get the window object from an element, preferring the window that owns
+ * the element's document over the global one
  * @param {Element} element - DOM element
  * @returns {Window|null} Window object or null
  */
 export function getWindow(element) {
-  if (typeof window !== 'undefined') {
-    return window;
+  if (element && element.ownerDocument) {
+    const win = element.ownerDocument.defaultView || element.ownerDocument.parentWindow;
+    if (win) {
+      return win;
+    }
   }
   
-  if (element && element.ownerDocument) {
-    return element.ownerDocument.defaultView || element.ownerDocument.parentWindow;
+  if (typeof window !== 'undefined') {
+    return window;
   }
   
   return null;
@@ -106,6 +110,82 @@ export function querySelectorAll(selector, context) {
   }
 }
 
+/**
+ * Query selector all that also searches open shadow roots, in document order
+ * @param {Element|Document|ShadowRoot} root - Root to search within (not matched itself)
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} Matching elements in the light and shadow trees
+ */
+export function querySelectorAllDeep(root, selector) {
+  const results = [];
+  const childrenOf = node => [
+    ...(node.shadowRoot ? Array.from(node.shadowRoot.children) : []),
+    ...Array.from(node.children || [])
+  ];
+  const stack = childrenOf(root).reverse();
+
+  while (stack.length > 0) {
+    const element = stack.pop();
+    if (element.matches(selector)) {
+      results.push(element);
+    }
+    const children = childrenOf(element);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push(children[i]);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get a node's parent in the flat tree, crossing slots and shadow boundaries
+ * @param {Node} node - DOM node
+ * @returns {Element|null} Parent element or null
+ */
+export function getComposedParent(node) {
+  if (node.assignedSlot) {
+    return node.assignedSlot;
+  }
+
+  if (node.parentElement) {
+    return node.parentElement;
+  }
+
+  return node.parentNode?.host || null;
+}
+
+/**
+ * Get a node's children in the flat tree: shadow root content for hosts,
+ * assigned nodes for slots
+ * @param {Node} node - DOM node
+ * @returns {Node[]} Child nodes
+ */
+export function getComposedChildren(node) {
+  if (node.shadowRoot) {
+    return Array.from(node.shadowRoot.childNodes);
+  }
+
+  if (node.tagName === 'SLOT' && typeof node.assignedNodes === 'function') {
+    const assigned = node.assignedNodes();
+    if (assigned.length > 0) {
+      return assigned;
+    }
+  }
+
+  return Array.from(node.childNodes);
+}
+
+/**
+ * Format a node target for display. Targets inside shadow DOM are arrays
+ * with one selector per shadow root.
+ * @param {string|string[]} target - Node target
+ * @returns {string} Readable selector
+ */
+export function formatTarget(target) {
+  return Array.isArray(target) ? target.join(' >>> ') : target;
+}
+
 /**
  * Check if element is visible
  * @param {Element} element - DOM element
@@ -0,0 +1,154 @@
+/**
+ * Font size and weight of text, for contrast thresholds
+ *
+ * Browsers compute font-size to px and font-weight to a number. JSDOM leaves
+ * both as declared and does not inherit them, so relative sizes, keywords
+ * and inherited values are resolved here against the parent element.
+ */
+
+import { getComposedParent } from './dom.js';
+
+const DEFAULT_FONT_SIZE = 16;
+
+// Absolute lengths in px
+const LENGTH_UNITS = { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6 };
+
+// Relative lengths as multiples of the parent's font size
+const RELATIVE_UNITS = { em: 1, ex: 0.5, ch: 0.5, '%': 0.01 };
+
+const SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  'small': 13,
+  'medium': 16,
+  'large': 18,
+  'x-large': 24,
+  'xx-large': 32,
+  'xxx-large': 48
+};
+
+const WEIGHT_KEYWORDS = { normal: 400, bold: 700 };
+
+/**
+ * Font size in px for a declared font-size value
+ * @param {string} declared - font-size value
+ * @param {function(): number} parentSize - Font size of the parent
+ * @param {function(): number} rootSize - Font size of the root element
+ */
+function resolveFontSize(declared, parentSize, rootSize) {
+  const value = String(declared || '').trim().toLowerCase();
+
+  if (!value || value === 'inherit') {
+    return parentSize();
+  }
+  if (SIZE_KEYWORDS[value]) {
+    return SIZE_KEYWORDS[value];
+  }
+  if (value === 'larger') {
+    return parentSize() * 1.2;
+  }
+  if (value === 'smaller') {
+    return parentSize() / 1.2;
+  }
+
+  const match = value.match(/^(\d*\.?\d+)([a-z]+|%)$/);
+  if (match) {
+    const [, number, unit] = match;
+    if (LENGTH_UNITS[unit]) {
+      return parseFloat(number) * LENGTH_UNITS[unit];
+    }
+    if (RELATIVE_UNITS[unit]) {
+      return parseFloat(number) * RELATIVE_UNITS[unit] * parentSize();
+    }
+    if (unit === 'rem') {
+      return parseFloat(number) * rootSize();
+    }
+  }
+
+  // calc() and other values JSDOM cannot compute
+  return parentSize();
+}
+
+/**
+ * Numeric weight for a declared font-weight value
+ * @param {string} declared - font-weight value
+ * @param {function(): number} parentWeight - Weight of the parent
+ */
+function resolveFontWeight(declared, parentWeight) {
+  const value = String(declared || '').trim().toLowerCase();
+
+  if (WEIGHT_KEYWORDS[value]) {
+    return WEIGHT_KEYWORDS[value];
+  }
+  // Relative weights as the CSS Fonts specification maps them
+  if (value === 'bolder') {
+    const weight = parentWeight();
+    return weight < 350 ? 400 : weight < 550 ? 700 : 900;
+  }
+  if (value === 'lighter') {
+    const weight = parentWeight();
+    return weight < 550 ? 100 : weight < 750 ? 400 : 700;
+  }
+
+  return parseFloat(value) || parentWeight();
+}
+
+const getRootFontSize = (element, getStyle) => {
+  const root = element.ownerDocument.documentElement;
+  return element === root ? DEFAULT_FONT_SIZE : getFontSize(root, getStyle);
+};
+
+/**
+ * Font size of an element in px
+ * @param {Element} element - Element with text
+ * @param {function(Element): CSSStyleDeclaration} getStyle - Style lookup
+ * @returns {number} Font size in px
+ */
+export function getFontSize(element, getStyle) {
+  const parent = getComposedParent(element);
+  return resolveFontSize(
+    getStyle(element).fontSize,
+    () => (parent ? getFontSize(parent, getStyle) : DEFAULT_FONT_SIZE),
+    () => getRootFontSize(element, getStyle)
+  );
+}
+
+/**
+ * Numeric font weight of an element
+ * @param {Element} element - Element with text
+ * @param {function(Element): CSSStyleDeclaration} getStyle - Style lookup
+ * @returns {number} Weight from 1 to 1000
+ */
+export function getFontWeight(element, getStyle) {
+  const parent = getComposedParent(element);
+  return resolveFontWeight(
+    getStyle(element).fontWeight,
+    () => (parent ? getFontWeight(parent, getStyle) : WEIGHT_KEYWORDS.normal)
+  );
+}
+
+/**
+ * Size of an element's text and whether WCAG counts it as large: at least
+ * 18pt, or at least 14pt and bold (weight 700 or more)
+ * @param {Element} element - Element with text
+ * @param {function(Element): CSSStyleDeclaration} getStyle - Style lookup, e.g. a rule context's cached getComputedStyle
+ * @param {Object<string, string>} [pseudoStyle] - Declarations of a pseudo-element of the element, whose text to size instead
+ * @returns {{fontSize: number, fontSizePt: number, fontWeight: number, isLargeText: boolean}} Sizes in px and pt, rounded to two decimals
+ */
+export function getTextSize(element, getStyle, pseudoStyle) {
+  const fontSize = pseudoStyle
+    ? resolveFontSize(pseudoStyle['font-size'], () => getFontSize(element, getStyle), () => getRootFontSize(element, getStyle))
+    : getFontSize(element, getStyle);
+  const fontWeight = pseudoStyle
+    ? resolveFontWeight(pseudoStyle['font-weight'], () => getFontWeight(element, getStyle))
+    : getFontWeight(element, getStyle);
+  // Rounded first, so 14pt converted to px and back is still 14pt
+  const fontSizePt = Math.round(fontSize * 0.75 * 100) / 100;
+
+  return {
+    fontSize: Math.round(fontSize * 100) / 100,
+    fontSizePt,
+    fontWeight,
+    isLargeText: fontSizePt >= 18 || (fontSizePt >= 14 && fontWeight >= 700)
+  };
+}
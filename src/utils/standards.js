@@ -0,0 +1,166 @@
+/**
+ * Mapping of WCAG success criteria to the standards built on them:
+ * WCAG 2.0, 2.1 and 2.2, Revised Section 508 and EN 301 549
+ */
+
+// Every WCAG 2.x success criterion with its level and the version that added it.
+// 4.1.1 Parsing was made obsolete in WCAG 2.2, so it only applies to earlier versions.
+export const SUCCESS_CRITERIA = {
+  '1.1.1': { level: 'A', since: '2.0' },
+  '1.2.1': { level: 'A', since: '2.0' },
+  '1.2.2': { level: 'A', since: '2.0' },
+  '1.2.3': { level: 'A', since: '2.0' },
+  '1.2.4': { level: 'AA', since: '2.0' },
+  '1.2.5': { level: 'AA', since: '2.0' },
+  '1.2.6': { level: 'AAA', since: '2.0' },
+  '1.2.7': { level: 'AAA', since: '2.0' },
+  '1.2.8': { level: 'AAA', since: '2.0' },
+  '1.2.9': { level: 'AAA', since: '2.0' },
+  '1.3.1': { level: 'A', since: '2.0' },
+  '1.3.2': { level: 'A', since: '2.0' },
+  '1.3.3': { level: 'A', since: '2.0' },
+  '1.3.4': { level: 'AA', since: '2.1' },
+  '1.3.5': { level: 'AA', since: '2.1' },
+  '1.3.6': { level: 'AAA', since: '2.1' },
+  '1.4.1': { level: 'A', since: '2.0' },
+  '1.4.2': { level: 'A', since: '2.0' },
+  '1.4.3': { level: 'AA', since: '2.0' },
+  '1.4.4': { level: 'AA', since: '2.0' },
+  '1.4.5': { level: 'AA', since: '2.0' },
+  '1.4.6': { level: 'AAA', since: '2.0' },
+  '1.4.7': { level: 'AAA', since: '2.0' },
+  '1.4.8': { level: 'AAA', since: '2.0' },
+  '1.4.9': { level: 'AAA', since: '2.0' },
+  '1.4.10': { level: 'AA', since: '2.1' },
+  '1.4.11': { level: 'AA', since: '2.1' },
+  '1.4.12': { level: 'AA', since: '2.1' },
+  '1.4.13': { level: 'AA', since: '2.1' },
+  '2.1.1': { level: 'A', since: '2.0' },
+  '2.1.2': { level: 'A', since: '2.0' },
+  '2.1.3': { level: 'AAA', since: '2.0' },
+  '2.1.4': { level: 'A', since: '2.1' },
+  '2.2.1': { level: 'A', since: '2.0' },
+  '2.2.2': { level: 'A', since: '2.0' },
+  '2.2.3': { level: 'AAA', since: '2.0' },
+  '2.2.4': { level: 'AAA', since: '2.0' },
+  '2.2.5': { level: 'AAA', since: '2.0' },
+  '2.2.6': { level: 'AAA', since: '2.1' },
+  '2.3.1': { level: 'A', since: '2.0' },
+  '2.3.2': { level: 'AAA', since: '2.0' },
+  '2.3.3': { level: 'AAA', since: '2.1' },
+  '2.4.1': { level: 'A', since: '2.0' },
+  '2.4.2': { level: 'A', since: '2.0' },
+  '2.4.3': { level: 'A', since: '2.0' },
+  '2.4.4': { level: 'A', since: '2.0' },
+  '2.4.5': { level: 'AA', since: '2.0' },
+  '2.4.6': { level: 'AA', since: '2.0' },
+  '2.4.7': { level: 'AA', since: '2.0' },
+  '2.4.8': { level: 'AAA', since: '2.0' },
+  '2.4.9': { level: 'AAA', since: '2.0' },
+  '2.4.10': { level: 'AAA', since: '2.0' },
+  '2.4.11': { level: 'AA', since: '2.2' },
+  '2.4.12': { level: 'AAA', since: '2.2' },
+  '2.4.13': { level: 'AAA', since: '2.2' },
+  '2.5.1': { level: 'A', since: '2.1' },
+  '2.5.2': { level: 'A', since: '2.1' },
+  '2.5.3': { level: 'A', since: '2.1' },
+  '2.5.4': { level: 'A', since: '2.1' },
+  '2.5.5': { level: 'AAA', since: '2.1' },
+  '2.5.6': { level: 'AAA', since: '2.1' },
+  '2.5.7': { level: 'AA', since: '2.2' },
+  '2.5.8': { level: 'AA', since: '2.2' },
+  '3.1.1': { level: 'A', since: '2.0' },
+  '3.1.2': { level: 'AA', since: '2.0' },
+  '3.1.3': { level: 'AAA', since: '2.0' },
+  '3.1.4': { level: 'AAA', since: '2.0' },
+  '3.1.5': { level: 'AAA', since: '2.0' },
+  '3.1.6': { level: 'AAA', since: '2.0' },
+  '3.2.1': { level: 'A', since: '2.0' },
+  '3.2.2': { level: 'A', since: '2.0' },
+  '3.2.3': { level: 'AA', since: '2.0' },
+  '3.2.4': { level: 'AA', since: '2.0' },
+  '3.2.5': { level: 'AAA', since: '2.0' },
+  '3.2.6': { level: 'A', since: '2.2' },
+  '3.3.1': { level: 'A', since: '2.0' },
+  '3.3.2': { level: 'A', since: '2.0' },
+  '3.3.3': { level: 'AA', since: '2.0' },
+  '3.3.4': { level: 'AA', since: '2.0' },
+  '3.3.5': { level: 'AAA', since: '2.0' },
+  '3.3.6': { level: 'AAA', since: '2.0' },
+  '3.3.7': { level: 'A', since: '2.2' },
+  '3.3.8': { level: 'AA', since: '2.2' },
+  '3.3.9': { level: 'AAA', since: '2.2' },
+  '4.1.1': { level: 'A', since: '2.0', obsoleteIn: '2.2' },
+  '4.1.2': { level: 'A', since: '2.0' },
+  '4.1.3': { level: 'AA', since: '2.1' }
+};
+
+const wcagClause = criterion => criterion;
+
+/**
+ * Standards that can be tested and reported against. Each covers the
+ * criteria of one WCAG version up to a level, and names them with its own
+ * clause numbers.
+ */
+export const STANDARDS = {
+  wcag20a: { name: 'WCAG 2.0 Level A', wcag: '2.0', levels: ['A'], clause: wcagClause },
+  wcag20aa: { name: 'WCAG 2.0 Level AA', wcag: '2.0', levels: ['A', 'AA'], clause: wcagClause },
+  wcag20aaa: { name: 'WCAG 2.0 Level AAA', wcag: '2.0', levels: ['A', 'AA', 'AAA'], clause: wcagClause },
+  wcag21a: { name: 'WCAG 2.1 Level A', wcag: '2.1', levels: ['A'], clause: wcagClause },
+  wcag21aa: { name: 'WCAG 2.1 Level AA', wcag: '2.1', levels: ['A', 'AA'], clause: wcagClause },
+  wcag21aaa: { name: 'WCAG 2.1 Level AAA', wcag: '2.1', levels: ['A', 'AA', 'AAA'], clause: wcagClause },
+  wcag22a: { name: 'WCAG 2.2 Level A', wcag: '2.2', levels: ['A'], clause: wcagClause },
+  wcag22aa: { name: 'WCAG 2.2 Level AA', wcag: '2.2', levels: ['A', 'AA'], clause: wcagClause },
+  wcag22aaa: { name: 'WCAG 2.2 Level AAA', wcag: '2.2', levels: ['A', 'AA', 'AAA'], clause: wcagClause },
+  // Web content must meet WCAG 2.0 A and AA (E205.4, 36 CFR 1194)
+  section508: { name: 'Revised Section 508', wcag: '2.0', levels: ['A', 'AA'], clause: criterion => `E205.4 (WCAG 2.0 ${criterion})` },
+  // Clause 9 of V3.2.1 mirrors WCAG 2.1 A and AA, numbered 9 followed by the criterion
+  en301549: { name: 'EN 301 549 V3.2.1', wcag: '2.1', levels: ['A', 'AA'], clause: criterion => `9.${criterion}` }
+};
+
+// Criterion tags such as wcag111 or wcag1410: one digit each for principle and guideline
+const CRITERION_TAG = /^wcag(\d)(\d)(\d{1,2})$/;
+
+/**
+ * Success criteria a rule tests, from its criterion tags
+ * @param {Object} rule - Rule with tags
+ * @returns {string[]} Criteria such as '1.4.3'
+ */
+export function getRuleCriteria(rule) {
+  return (rule.tags || [])
+    .map(tag => tag.match(CRITERION_TAG))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${Number(criterion)}`)
+    .filter(criterion => SUCCESS_CRITERIA[criterion]);
+}
+
+/**
+ * Whether a success criterion is part of a standard
+ * @param {string} criterion - Criterion such as '2.5.8'
+ * @param {string} standardId - Key of STANDARDS
+ * @returns {boolean}
+ */
+export function isCriterionInStandard(criterion, standardId) {
+  const standard = STANDARDS[standardId];
+  const data = SUCCESS_CRITERIA[criterion];
+
+  if (!standard || !data) {
+    return false;
+  }
+
+  return data.since <= standard.wcag &&
+    !(data.obsoleteIn && data.obsoleteIn <= standard.wcag) &&
+    standard.levels.includes(data.level);
+}
+
+/**
+ * Clause numbers of a standard that a rule tests
+ * @param {Object} rule - Rule with tags
+ * @param {string} standardId - Key of STANDARDS
+ * @returns {string[]} Clauses, empty when the rule is outside the standard
+ */
+export function getRuleClauses(rule, standardId) {
+  return getRuleCriteria(rule)
+    .filter(criterion => isCriterionInStandard(criterion, standardId))
+    .map(criterion => STANDARDS[standardId].clause(criterion));
+}
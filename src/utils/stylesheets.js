@@ -0,0 +1,202 @@
+/**
+ * Styles of pseudo-elements, read from the document's stylesheets
+ *
+ * getComputedStyle(element, '::before') is not implemented in JSDOM, so the
+ * declarations for ::before, ::after and ::placeholder are collected from the
+ * CSSOM and cascaded by importance, specificity and order.
+ */
+
+// Pseudo-elements and the selectors that name them, including vendor prefixes
+const PSEUDO_SELECTORS = {
+  '::before': /::?before$/i,
+  '::after': /::?after$/i,
+  '::placeholder': /(::placeholder|::-webkit-input-placeholder|::-moz-placeholder|:-ms-input-placeholder)$/i
+};
+
+const INDEX_KEY = 'pseudo-element-rules';
+
+/**
+ * Split a selector list on commas outside parentheses and brackets
+ */
+function splitSelectorList(selectorText) {
+  const selectors = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of selectorText) {
+    if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    }
+
+    if (char === ',' && depth === 0) {
+      selectors.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  selectors.push(current.trim());
+
+  return selectors.filter(Boolean);
+}
+
+/**
+ * Specificity of a selector as [ids, classes, types]. An approximation:
+ * :is(), :not() and :where() count their contents like plain selectors.
+ */
+function getSpecificity(selector) {
+  const withoutStrings = selector.replace(/"[^"]*"|'[^']*'/g, '');
+  const ids = (withoutStrings.match(/#[\w-]+/g) || []).length;
+  const classes = (withoutStrings.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)(?!where\b|is\b|not\b)[\w-]+/g) || []).length;
+  const types = (withoutStrings.replace(/\[[^\]]*\]|\([^)]*\)/g, '').match(/(^|[\s>+~])[a-z][\w-]*/gi) || []).length;
+  return [ids, classes, types];
+}
+
+const compareSpecificity = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+/**
+ * Style rules of a sheet that apply to the screen, in order, including
+ * those inside @media and @supports
+ */
+function collectStyleRules(rules, view, collected = []) {
+  for (const rule of Array.from(rules || [])) {
+    if (rule.selectorText !== undefined && rule.style) {
+      collected.push(rule);
+    } else if (rule.media) {
+      const mediaText = rule.media.mediaText || '';
+      const applies = typeof view?.matchMedia === 'function'
+        ? view.matchMedia(mediaText || 'all').matches
+        : !/^\s*print\s*$/i.test(mediaText);
+      if (applies) {
+        collectStyleRules(rule.cssRules, view, collected);
+      }
+    } else if (rule.cssRules) {
+      collectStyleRules(rule.cssRules, view, collected);
+    }
+  }
+  return collected;
+}
+
+/**
+ * Rules for each pseudo-element in the document, with the selector that
+ * the element itself must match
+ */
+function indexPseudoElementRules(doc) {
+  const index = { '::before': [], '::after': [], '::placeholder': [] };
+  let order = 0;
+
+  for (const sheet of Array.from(doc.styleSheets || [])) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (error) {
+      // Cross-origin stylesheets cannot be read
+      continue;
+    }
+
+    for (const rule of collectStyleRules(rules, doc.defaultView)) {
+      order++;
+      for (const selector of splitSelectorList(rule.selectorText)) {
+        for (const [pseudo, pattern] of Object.entries(PSEUDO_SELECTORS)) {
+          if (pattern.test(selector)) {
+            const base = selector.replace(pattern, '').trim();
+            index[pseudo].push({
+              selector: !base || /[>+~]$/.test(base) ? `${base}*` : base,
+              specificity: getSpecificity(selector),
+              order,
+              style: rule.style
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Declared style of an element's pseudo-element, after the cascade. Values
+ * are as written in the stylesheet; properties that are not declared are
+ * missing, so inherited values come from the element.
+ * @param {Element} element - Originating element
+ * @param {'::before'|'::after'|'::placeholder'} pseudo - Pseudo-element
+ * @param {Map} [cache] - Cache shared for a run, e.g. a rule context's cache
+ * @returns {Object<string, string>} Values by property name, such as { color: '#999', content: '"New"' }
+ */
+export function getPseudoElementStyle(element, pseudo, cache) {
+  const doc = element.ownerDocument;
+  let index = cache?.get(INDEX_KEY)?.get(doc);
+
+  if (!index) {
+    index = indexPseudoElementRules(doc);
+    if (cache) {
+      if (!cache.has(INDEX_KEY)) {
+        cache.set(INDEX_KEY, new Map());
+      }
+      cache.get(INDEX_KEY).set(doc, index);
+    }
+  }
+
+  const matching = (index[pseudo] || []).filter(({ selector }) => {
+    try {
+      return element.matches(selector);
+    } catch (error) {
+      return false;
+    }
+  });
+
+  // Later entries win: important declarations, then specificity, then order
+  const declarations = [];
+  matching.forEach(({ specificity, order, style }) => {
+    Array.from(style).forEach(property => {
+      declarations.push({
+        property,
+        value: style.getPropertyValue(property),
+        important: style.getPropertyPriority(property) === 'important',
+        specificity,
+        order
+      });
+    });
+  });
+
+  declarations.sort((a, b) => (a.important - b.important) || compareSpecificity(a.specificity, b.specificity) || a.order - b.order);
+
+  const result = {};
+  declarations.forEach(({ property, value }) => {
+    result[property] = value;
+  });
+  return result;
+}
+
+/**
+ * Text a ::before or ::after content value draws. Strings and attr() give
+ * text; counters count as text; images, quotes and none do not.
+ * @param {Element} element - Originating element, for attr()
+ * @param {string} [content] - Declared content value
+ * @returns {string} Text, empty when there is none
+ */
+export function getPseudoElementText(element, content) {
+  if (!content || content === 'none' || content === 'normal') {
+    return '';
+  }
+
+  // Alternative text after a slash is for assistive technology, not drawn
+  const drawn = content.replace(/\/[^"']*("[^"]*"|'[^']*')?\s*$/, '');
+  const parts = drawn.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|attr\([^)]*\)|counters?\([^)]*\)/g) || [];
+
+  return parts.map(part => {
+    if (part.startsWith('attr(')) {
+      return element.getAttribute(part.slice(5, -1).trim().split(/\s+/)[0]) || '';
+    }
+    if (part.startsWith('counter')) {
+      return '1';
+    }
+    // Unescape hex escapes such as \2192 and escaped characters
+    return part.slice(1, -1)
+      .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/\\(.)/g, '$1');
+  }).join('');
+}
@@ -0,0 +1,82 @@
+import { test, expect } from 'bun:test';
+import { JSDOM } from 'jsdom';
+import { buildAccessibilityTree, walkAccessibilityTree } from '../src/utils/accessibility-tree.js';
+
+function render(html) {
+  return new JSDOM(`<!DOCTYPE html><html><head><title>Page</title></head><body>${html}</body></html>`).window.document;
+}
+
+function outline(tree) {
+  const lines = [];
+  walkAccessibilityTree(tree, (node, depth) => {
+    lines.push(`${'  '.repeat(depth)}${node.role}${node.name ? ` "${node.name}"` : ''}`);
+  });
+  return lines;
+}
+
+test('buildAccessibilityTree - implicit and explicit roles with names', () => {
+  const doc = render(`
+    <nav aria-label="Main"><a href="/">Home</a></nav>
+    <div role="button" tabindex="0">Open</div>
+  `);
+  expect(outline(buildAccessibilityTree(doc))).toEqual([
+    'document "Page"',
+    '  navigation "Main"',
+    '    link "Home"',
+    '      text "Home"',
+    '  button "Open"',
+    '    text "Open"'
+  ]);
+});
+
+test('buildAccessibilityTree - states and properties', () => {
+  const doc = render(`
+    <input id="agree" type="checkbox" checked required aria-label="Agree">
+    <button aria-expanded="false" aria-haspopup="menu">Menu</button>
+    <h3>Details</h3>
+  `);
+  const tree = buildAccessibilityTree(doc);
+  const [checkbox, button, heading] = tree.children;
+
+  expect(checkbox.role).toBe('checkbox');
+  expect(checkbox.states).toEqual({ checked: true, required: true, focusable: true });
+  expect(checkbox.element).toBe(doc.getElementById('agree'));
+  expect(button.states.expanded).toBe(false);
+  expect(button.properties.haspopup).toBe('menu');
+  expect(heading.properties.level).toBe(3);
+});
+
+test('buildAccessibilityTree - hidden content is pruned', () => {
+  const doc = render(`
+    <p aria-hidden="true">aria</p>
+    <p hidden>attribute</p>
+    <p style="display:none">display</p>
+    <div style="visibility:hidden">invisible <span style="visibility:visible">shown</span></div>
+  `);
+
+  expect(outline(buildAccessibilityTree(doc))).toEqual([
+    'document "Page"',
+    '  text "shown"'
+  ]);
+
+  const full = buildAccessibilityTree(doc, { includePruned: true });
+  const pruned = full.children.filter(node => node.pruned).map(node => node.pruned);
+  expect(pruned).toEqual(['aria-hidden', 'hidden', 'display-none', 'visibility-hidden']);
+});
+
+test('buildAccessibilityTree - generic nodes are kept on request', () => {
+  const doc = render('<div><span>Text</span></div>');
+  expect(outline(buildAccessibilityTree(doc.body, { includeGeneric: true }))).toEqual([
+    'generic',
+    '  generic',
+    '    generic',
+    '      text "Text"'
+  ]);
+});
+
+test('buildAccessibilityTree - serializes to JSON without DOM references', () => {
+  const doc = render('<button>Save</button>');
+  const json = JSON.parse(JSON.stringify(buildAccessibilityTree(doc.body)));
+  expect(json.children[0].role).toBe('button');
+  expect(json.children[0].element).toBeUndefined();
+});
@@ -0,0 +1,91 @@
+import { test, expect } from 'bun:test';
+import { JSDOM } from 'jsdom';
+import { getAccessibleName, getAccessibleDescription } from '../src/utils/accname.js';
+
+function render(html) {
+  return new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`).window.document;
+}
+
+test('getAccessibleName - aria-labelledby chain', () => {
+  const doc = render(`
+    <span id="a">Billing</span><span id="b" aria-labelledby="c">ignored</span>
+    <span id="c">never followed</span>
+    <input id="field" aria-labelledby="a b">
+  `);
+  expect(getAccessibleName(doc.getElementById('field'))).toBe('Billing ignored');
+});
+
+test('getAccessibleName - aria-labelledby referencing the element itself uses its content', () => {
+  const doc = render('<a id="a" href="/cats" aria-labelledby="a b">Read more</a> <span id="b">about cats</span>');
+  expect(getAccessibleName(doc.getElementById('a'))).toBe('Read more about cats');
+});
+
+test('getAccessibleName - empty aria-labelledby target gives no name', () => {
+  const doc = render('<span id="empty"></span><input id="field" aria-labelledby="empty">');
+  expect(getAccessibleName(doc.getElementById('field'))).toBe('');
+});
+
+test('getAccessibleName - hidden referenced content is included', () => {
+  const doc = render('<span id="hint" hidden>Search the site</span><input id="q" aria-labelledby="hint">');
+  expect(getAccessibleName(doc.getElementById('q'))).toBe('Search the site');
+});
+
+test('getAccessibleName - hidden descendants are skipped', () => {
+  const doc = render('<button id="b">Save <span aria-hidden="true">★</span><span style="display:none">now</span></button>');
+  expect(getAccessibleName(doc.getElementById('b'))).toBe('Save');
+});
+
+test('getAccessibleName - label with embedded control', () => {
+  const doc = render(`
+    <label><input type="checkbox" id="flash"> Flash the screen
+      <select><option>1</option><option selected>3</option></select> times</label>
+    <input type="checkbox" id="cb"><label for="cb">Remember me</label>
+  `);
+  expect(getAccessibleName(doc.getElementById('flash'))).toBe('Flash the screen 3 times');
+  expect(getAccessibleName(doc.getElementById('cb'))).toBe('Remember me');
+});
+
+test('getAccessibleName - native text alternatives', () => {
+  const doc = render(`
+    <img id="img" src="a.png" alt="Company logo">
+    <fieldset id="fs"><legend>Shipping</legend></fieldset>
+    <table id="t"><caption>Prices</caption></table>
+    <input id="submit" type="submit">
+    <input id="titled" title="Postcode">
+  `);
+  expect(getAccessibleName(doc.getElementById('img'))).toBe('Company logo');
+  expect(getAccessibleName(doc.getElementById('fs'))).toBe('Shipping');
+  expect(getAccessibleName(doc.getElementById('t'))).toBe('Prices');
+  expect(getAccessibleName(doc.getElementById('submit'))).toBe('Submit');
+  expect(getAccessibleName(doc.getElementById('titled'))).toBe('Postcode');
+});
+
+test('getAccessibleName - name from content only for allowed roles', () => {
+  const doc = render(`
+    <a id="link" href="/x">Read <img src="r.png" alt="the report"></a>
+    <div id="div">Not a name</div>
+    <div id="btn" role="button">Open menu</div>
+  `);
+  expect(getAccessibleName(doc.getElementById('link'))).toBe('Read the report');
+  expect(getAccessibleName(doc.getElementById('div'))).toBe('');
+  expect(getAccessibleName(doc.getElementById('btn'))).toBe('Open menu');
+});
+
+test('getAccessibleDescription - aria-describedby and title', () => {
+  const doc = render(`
+    <p id="help">Must be 8 characters</p>
+    <input id="pw" aria-label="Password" aria-describedby="help">
+    <button id="b" title="Deletes the item">Delete</button>
+  `);
+  expect(getAccessibleDescription(doc.getElementById('pw'))).toBe('Must be 8 characters');
+  expect(getAccessibleDescription(doc.getElementById('b'))).toBe('Deletes the item');
+});
+
+test('getAccessibleName - references resolve in the shadow root and slotted text is used', () => {
+  const doc = render('<span id="label">Outer</span><my-button id="host">Slotted text</my-button>');
+  const shadow = doc.getElementById('host').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<span id="label">Inner</span><input aria-labelledby="label"><button><slot></slot></button>';
+
+  expect(getAccessibleName(shadow.querySelector('input'))).toBe('Inner');
+  expect(getAccessibleName(shadow.querySelector('button'))).toBe('Slotted text');
+});
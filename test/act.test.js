@@ -0,0 +1,66 @@
+import { test, expect } from 'bun:test';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import { getActOutcome, isConsistentOutcome, runActTestCases } from '../src/core/act.js';
+
+const actDir = join(dirname(fileURLToPath(import.meta.url)), 'act');
+const { testcases } = JSON.parse(readFileSync(join(actDir, 'testcases.json'), 'utf-8'));
+
+// Cases where a rule is known to disagree with the ACT rule. Fixing a rule
+// should remove its cases from this list; anything else here is a regression.
+const KNOWN_INCONSISTENT = [
+  // Only img elements are tested, not role="img"
+  'img-alt 23a2a8-failed-2',
+  // Presentational roles are honoured even on focusable images
+  'img-alt 23a2a8-failed-4',
+  // Images are tested whether or not they are rendered
+  'img-alt 23a2a8-inapplicable-3',
+  // The lang pattern only allows a lower case language and an upper case region
+  'language-of-page bf051a-passed-3',
+  'language-of-page bf051a-passed-4',
+  // Language subtags are not checked against the registry
+  'language-of-page bf051a-failed-2',
+  // Missing and valid lang attributes are one rule here, two ACT rules
+  'language-of-page bf051a-inapplicable-1',
+  'language-of-page bf051a-inapplicable-2'
+];
+
+const loadDocument = testcase => new JSDOM(readFileSync(join(actDir, testcase.relativePath), 'utf-8')).window.document;
+
+test('Reports are mapped to ACT outcomes', () => {
+  const report = {
+    violations: [{ id: 'a' }],
+    incomplete: [{ id: 'b' }],
+    passes: [{ id: 'c' }],
+    inapplicable: [{ id: 'd' }]
+  };
+  expect(getActOutcome(report, 'a')).toBe('failed');
+  expect(getActOutcome(report, 'b')).toBe('cantTell');
+  expect(getActOutcome(report, 'c')).toBe('passed');
+  expect(getActOutcome(report, 'd')).toBe('inapplicable');
+  expect(getActOutcome(report, 'e')).toBe('inapplicable');
+});
+
+test('Consistency allows can\'t tell for failures and passes for inapplicable cases', () => {
+  expect(isConsistentOutcome('failed', 'cantTell')).toBe(true);
+  expect(isConsistentOutcome('failed', 'passed')).toBe(false);
+  expect(isConsistentOutcome('inapplicable', 'passed')).toBe(true);
+  expect(isConsistentOutcome('passed', 'failed')).toBe(false);
+});
+
+test('Rules agree with the stored ACT test cases', async () => {
+  const results = await runActTestCases(testcases, {
+    loadDocument,
+    releaseDocument: doc => doc.defaultView.close()
+  });
+
+  expect(results.rules.map(rule => rule.rule)).toEqual(['img-alt', 'page-title', 'link-name', 'language-of-page']);
+  expect(results.total).toBe(testcases.length);
+
+  const inconsistent = results.rules.flatMap(rule => rule.cases
+    .filter(outcome => !outcome.consistent)
+    .map(outcome => `${rule.rule} ${outcome.testcaseId}`));
+  expect(inconsistent).toEqual(KNOWN_INCONSISTENT);
+});
@@ -0,0 +1,80 @@
+import { test, expect } from 'bun:test';
+import { calculateApcaContrast, getApcaMinimumLc } from '../src/utils/color.js';
+import { runWithLayout } from './helpers.js';
+
+test('calculateApcaContrast - Reference values', () => {
+  expect(calculateApcaContrast('#000', '#fff')).toBeCloseTo(106.04, 2);
+  expect(calculateApcaContrast('#fff', '#000')).toBeCloseTo(-107.88, 2);
+  expect(calculateApcaContrast('#888', '#fff')).toBeCloseTo(63.06, 2);
+  expect(calculateApcaContrast('#fff', '#888')).toBeCloseTo(-68.54, 2);
+});
+
+test('calculateApcaContrast - Low contrast clips to zero', () => {
+  expect(calculateApcaContrast('#fff', '#fff')).toBe(0);
+  expect(calculateApcaContrast('#f8f8f8', '#fff')).toBe(0);
+});
+
+test('calculateApcaContrast - Translucent text and unparseable colors', () => {
+  expect(calculateApcaContrast('rgba(0, 0, 0, 0.5)', '#fff')).toBeCloseTo(calculateApcaContrast('rgb(127.5, 127.5, 127.5)', '#fff'), 5);
+  expect(calculateApcaContrast('var(--text)', '#fff')).toBeNull();
+});
+
+test('getApcaMinimumLc - Font size and weight lookup', () => {
+  expect(getApcaMinimumLc(16, 400)).toBe(90);
+  expect(getApcaMinimumLc(17, 450)).toBe(90);
+  expect(getApcaMinimumLc(24, 700)).toBe(45);
+  expect(getApcaMinimumLc(120, 900)).toBe(30);
+  expect(getApcaMinimumLc(16, 200)).toBeNull();
+  expect(getApcaMinimumLc(10, 400)).toBeNull();
+});
+
+const greyText = '<p style="color: #888; background-color: #fff; font-size: 16px; width: 300px; height: 20px">Grey text</p>';
+
+test('contrast-apca runs only when selected', async () => {
+  const defaults = await runWithLayout(greyText);
+  expect(defaults.incomplete.some(rule => rule.id === 'contrast-apca')).toBe(false);
+
+  const withApca = await runWithLayout(greyText, { runOnly: ['wcag22aa', 'apca'] });
+  expect(withApca.incomplete.map(rule => rule.id)).toContain('contrast-apca');
+});
+
+test('contrast-apca shortfalls need review and are not violations', async () => {
+  const results = await runWithLayout(greyText, { runOnly: ['wcag22aa', 'apca'] });
+
+  expect(results.violations.map(rule => rule.id)).not.toContain('contrast-apca');
+  expect(results.violations.map(rule => rule.id)).toContain('contrast-minimum');
+});
+
+test('contrast-apca reports Lc next to the WCAG 2 ratio', async () => {
+  const results = await runWithLayout(greyText, { runOnly: 'apca' });
+  const [node] = results.incomplete.find(rule => rule.id === 'contrast-apca').nodes;
+
+  expect(node.incomplete).toBe(true);
+  expect(node.data).toEqual({
+    lc: 63.1,
+    requiredLc: 90,
+    fontSize: 16,
+    fontWeight: 400,
+    foreground: 'rgb(136, 136, 136)',
+    background: 'rgb(255, 255, 255)',
+    wcagContrast: 3.54
+  });
+  expect(node.message).toBe('APCA contrast Lc 63.1 is below the Lc 90 advised for 16px text at weight 400 (WCAG 2 ratio 3.54:1)');
+});
+
+test('contrast-apca passes large bold text that needs less contrast', async () => {
+  const results = await runWithLayout('<h1 style="color: #888; background-color: #fff; font-size: 48px; font-weight: bold; width: 300px; height: 60px">Headline</h1>', { runOnly: 'apca' });
+
+  expect(results.passes.map(rule => rule.id)).toContain('contrast-apca');
+  expect(results.incomplete).toEqual([]);
+});
+
+test('contrast-apca skips text without a size and disabled text', async () => {
+  const reported = ({ violations, passes, incomplete }) => [...violations, ...passes, ...incomplete].map(rule => rule.id);
+
+  const unsized = await runWithLayout('<p style="color: #888; font-size: 16px">No size</p>', { runOnly: 'apca' });
+  expect(reported(unsized)).toEqual([]);
+
+  const disabled = await runWithLayout('<p aria-disabled="true" style="color: #888; width: 300px; height: 20px">Disabled</p>', { runOnly: 'apca' });
+  expect(reported(disabled)).toEqual([]);
+});
@@ -0,0 +1,48 @@
+import { test, expect, beforeAll, afterAll } from 'bun:test';
+import { createServer } from 'node:http';
+import { app } from '../src/api/server.js';
+
+const PAGE = '<!DOCTYPE html><html lang="en"><head><title>Shop</title></head><body><main><img src="a.png"></main></body></html>';
+
+let pages;
+let api;
+
+// A local page to scan and the API itself, both on free ports
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+
+const scan = body => fetch(`${urlOf(api)}/api/v1/scan`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+beforeAll(async () => {
+  pages = await listen(createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(PAGE);
+  }));
+  api = await listen(createServer(app));
+});
+
+afterAll(() => {
+  pages.close();
+  api.close();
+});
+
+test('Scans reject include and exclude selectors that cannot be used with 400', async () => {
+  const missing = await scan({ url: urlOf(pages), options: { include: ['main', '#checkout'] } });
+  expect(missing.status).toBe(400);
+  expect(await missing.json()).toEqual({
+    error: 'Invalid include or exclude',
+    message: 'No element matches the include selector "#checkout"'
+  });
+
+  const invalid = await scan({ url: urlOf(pages), options: { exclude: ['main['] } });
+  expect(invalid.status).toBe(400);
+  expect((await invalid.json()).message).toStartWith('Invalid include or exclude selector "main["');
+
+  const scoped = await scan({ url: urlOf(pages), options: { include: ['main'] } });
+  expect(scoped.status).toBe(200);
+  expect((await scoped.json()).violations.map(violation => violation.rule)).toContain('img-alt');
+});
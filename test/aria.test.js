@@ -0,0 +1,100 @@
+import { test, expect } from 'bun:test';
+import { JSDOM } from 'jsdom';
+import { ariaRules } from '../src/rules/aria/index.js';
+import { createAccessibilityEngine } from '../src/index.js';
+
+function render(html) {
+  return new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`).window.document;
+}
+
+function evaluate(ruleId, html, selector = '#target') {
+  const doc = render(html);
+  return ariaRules[ruleId].evaluate(doc.querySelector(selector));
+}
+
+test('aria-roles - fallback roles and abstract roles', () => {
+  expect(evaluate('aria-roles', '<div id="target" role="switch checkbox"></div>').passed).toBe(true);
+  expect(evaluate('aria-roles', '<div id="target" role="buton"></div>').message).toBe('Invalid ARIA role: buton');
+  expect(evaluate('aria-roles', '<div id="target" role="widget"></div>').message).toBe('Abstract ARIA role cannot be used: widget');
+});
+
+test('aria-valid-attr - misspelled attributes', () => {
+  expect(evaluate('aria-valid-attr', '<div id="target" aria-lable="Menu"></div>').passed).toBe(false);
+  expect(evaluate('aria-valid-attr', '<div id="target"></div>')).toBeNull();
+});
+
+test('aria-valid-attr-value - tokens, ID references and numbers', () => {
+  expect(evaluate('aria-valid-attr-value', '<button id="target" aria-expanded="yes">Menu</button>').passed).toBe(false);
+  expect(evaluate('aria-valid-attr-value', '<div id="target" role="heading" aria-level="two">Title</div>').passed).toBe(false);
+  expect(evaluate('aria-valid-attr-value', '<input id="target" aria-describedby="missing">').message)
+    .toBe('aria-describedby references non-existent ID: missing');
+  expect(evaluate('aria-valid-attr-value', '<p id="hint">Hint</p><input id="target" aria-describedby="hint missing">').passed).toBe(true);
+  expect(evaluate('aria-valid-attr-value', '<div id="target" role="slider" aria-valuenow="-2.5"></div>').passed).toBe(true);
+});
+
+test('aria-required-attr - native semantics provide required states', () => {
+  expect(evaluate('aria-required-attr', '<div id="target" role="checkbox">Agree</div>').message)
+    .toBe('checkbox missing required attribute: aria-checked');
+  expect(evaluate('aria-required-attr', '<input id="target" type="checkbox" role="switch">').passed).toBe(true);
+  expect(evaluate('aria-required-attr', '<div id="target" role="combobox" aria-expanded="false"></div>').passed).toBe(true);
+  expect(evaluate('aria-required-attr', '<div id="target" role="button"></div>')).toBeNull();
+});
+
+test('aria-allowed-attr - attributes must be supported by the role', () => {
+  expect(evaluate('aria-allowed-attr', '<button id="target" aria-checked="true">Bold</button>').passed).toBe(false);
+  expect(evaluate('aria-allowed-attr', '<button id="target" aria-pressed="true">Bold</button>').passed).toBe(true);
+  expect(evaluate('aria-allowed-attr', '<input id="target" type="password" aria-required="true">').passed).toBe(true);
+});
+
+test('aria-prohibited-attr - naming generic elements', () => {
+  expect(evaluate('aria-prohibited-attr', '<div id="target" aria-label="Card">Text</div>').message)
+    .toBe('aria-label cannot be used on role generic');
+  expect(evaluate('aria-prohibited-attr', '<nav id="target" aria-label="Main"></nav>').passed).toBe(true);
+});
+
+test('aria-required-parent - context through generic wrappers and aria-owns', () => {
+  expect(evaluate('aria-required-parent', '<div role="tablist"><div><div id="target" role="tab">One</div></div></div>').passed).toBe(true);
+  expect(evaluate('aria-required-parent', '<div role="tablist" aria-owns="target"></div><div id="target" role="tab">One</div>').passed).toBe(true);
+  expect(evaluate('aria-required-parent', '<nav><div id="target" role="tab">One</div></nav>').message)
+    .toBe('tab must be contained by tablist (found navigation)');
+});
+
+test('aria-required-children - owned roles', () => {
+  expect(evaluate('aria-required-children', '<div id="target" role="listbox"><div role="option">A</div></div>').passed).toBe(true);
+  expect(evaluate('aria-required-children', '<div id="target" role="tablist"><button>One</button></div>').passed).toBe(false);
+  expect(evaluate('aria-required-children', '<ul id="target" role="list"></ul>').incomplete).toBe(true);
+  expect(evaluate('aria-required-children', '<ul id="target" role="list" aria-busy="true"></ul>').passed).toBe(true);
+});
+
+test('aria-deprecated-attr - deprecated attributes and globals', () => {
+  expect(evaluate('aria-deprecated-attr', '<div id="target" aria-grabbed="false"></div>').passed).toBe(false);
+  expect(evaluate('aria-deprecated-attr', '<p id="target" aria-disabled="true">Text</p>').passed).toBe(false);
+  expect(evaluate('aria-deprecated-attr', '<button id="target" aria-disabled="true">Save</button>').passed).toBe(true);
+});
+
+test('aria-deprecated-attr is a best practice outside the WCAG rulesets', async () => {
+  const doc = render('<ul><li aria-grabbed="false">Card</li></ul>');
+  const engine = createAccessibilityEngine();
+
+  ['wcag22a', 'wcag22aa', 'wcag22aaa', 'wcag21aa', 'en301549'].forEach(ruleset => {
+    expect(engine.rulesets.get(ruleset)).not.toContain('aria-deprecated-attr');
+  });
+  expect(engine.rulesets.get('best-practice')).toContain('aria-deprecated-attr');
+  expect(engine.selectRules('wcag412')).not.toContain('aria-deprecated-attr');
+
+  expect((await engine.run(doc)).violations.map(rule => rule.id)).not.toContain('aria-deprecated-attr');
+  engine.options.runOnly = ['best-practice'];
+  expect((await engine.run(doc)).violations.map(rule => rule.id)).toContain('aria-deprecated-attr');
+});
+
+test('aria ruleset runs every ARIA rule', async () => {
+  const doc = render('<div role="buton" aria-lable="x">Menu</div><div role="tab">One</div>');
+  const engine = createAccessibilityEngine({ runOnly: ['aria'] });
+  const results = await engine.run(doc);
+
+  expect(engine.rulesets.get('aria')).toEqual(Object.keys(ariaRules));
+  const ids = results.violations.map(rule => rule.id);
+  expect(ids).toContain('aria-roles');
+  expect(ids).toContain('aria-valid-attr');
+  expect(ids).toContain('aria-required-parent');
+});
@@ -0,0 +1,174 @@
+import { test, expect } from 'bun:test';
+import { JSDOM } from 'jsdom';
+import { getTextShadowHalo, parseTextShadow, resolveBackground } from '../src/utils/background.js';
+
+function render(body, { bodyStyle = '' } = {}) {
+  const { window } = new JSDOM(`<!DOCTYPE html><html><body style="${bodyStyle}">${body}</body></html>`);
+  return { window, byId: id => window.document.getElementById(id) };
+}
+
+test('Opaque background of the element itself', () => {
+  const { window, byId } = render('<p id="text" style="color: #000; background-color: #fff">Text</p>');
+  const result = resolveBackground(byId('text'));
+
+  expect(result).toMatchObject({
+    incomplete: false,
+    foreground: 'rgb(0, 0, 0)',
+    background: 'rgb(255, 255, 255)',
+    colors: ['rgb(255, 255, 255)'],
+    source: byId('text')
+  });
+  expect(result.contrast).toBeCloseTo(21, 1);
+  window.close();
+});
+
+test('Dark body background is honored', () => {
+  const { window, byId } = render('<main><p id="text" style="color: #eee">Text</p></main>', { bodyStyle: 'background-color: #111' });
+  const result = resolveBackground(byId('text'));
+
+  expect(result.background).toBe('rgb(17, 17, 17)');
+  expect(result.source).toBe(window.document.body);
+  expect(result.contrast).toBeGreaterThan(15);
+  window.close();
+});
+
+test('Root background paints the canvas', () => {
+  const { window } = new JSDOM('<!DOCTYPE html><html style="background-color: navy"><body><p id="text" style="color: #fff">Text</p></body></html>');
+  const result = resolveBackground(window.document.getElementById('text'));
+
+  expect(result.background).toBe('rgb(0, 0, 128)');
+  expect(result.source).toBe(window.document.documentElement);
+  window.close();
+});
+
+test('White canvas when nothing has a background', () => {
+  const { window, byId } = render('<p id="text">Text</p>');
+  const result = resolveBackground(byId('text'));
+
+  expect(result.background).toBe('rgb(255, 255, 255)');
+  expect(result.source).toBeNull();
+  window.close();
+});
+
+test('Translucent layers are composited', () => {
+  const { window, byId } = render(`
+    <div style="background-color: #000">
+      <div style="background-color: rgba(255, 255, 255, 0.5)">
+        <p id="text" style="color: rgba(255, 255, 255, 0.5); background-color: rgba(255, 255, 255, 0.5)">Text</p>
+      </div>
+    </div>`);
+  const result = resolveBackground(byId('text'));
+
+  // 50% white twice over black is 75% white; half-white text over that is 87.5% white
+  expect(result.background).toBe('rgb(191, 191, 191)');
+  expect(result.foreground).toBe('rgb(223, 223, 223)');
+  expect(result.source).toBe(byId('text'));
+  window.close();
+});
+
+test('Ancestor opacity fades text and background into what is below', () => {
+  const { window, byId } = render(`
+    <div style="opacity: 0.5; background-color: #000">
+      <p id="text" style="color: #fff">Text</p>
+    </div>`, { bodyStyle: 'background-color: #fff' });
+  const result = resolveBackground(byId('text'));
+
+  expect(result.background).toBe('rgb(128, 128, 128)');
+  expect(result.foreground).toBe('rgb(255, 255, 255)');
+  expect(result.contrast).toBeLessThan(4.5);
+  window.close();
+});
+
+test('Gradients count as their worst color stop', () => {
+  const { window, byId } = render('<p id="text" style="color: #fff; background-image: linear-gradient(to right, #000 0%, rgb(204, 204, 204) 100%)">Text</p>');
+  const result = resolveBackground(byId('text'));
+
+  expect(result.colors).toEqual(['rgb(0, 0, 0)', 'rgb(204, 204, 204)']);
+  expect(result.background).toBe('rgb(204, 204, 204)');
+  expect(result.contrast).toBeLessThan(2);
+  window.close();
+});
+
+test('Translucent gradient stops show the background color below them', () => {
+  const { window, byId } = render('<p id="text" style="color: #000; background-color: #000; background-image: linear-gradient(transparent, #fff)">Text</p>');
+  const result = resolveBackground(byId('text'));
+
+  expect(result.colors).toEqual(['rgb(0, 0, 0)', 'rgb(255, 255, 255)']);
+  expect(result.contrast).toBe(1);
+  window.close();
+});
+
+test('Background images make the result incomplete, naming the element', () => {
+  const { window, byId } = render(`
+    <section id="hero" style="background-image: url(hero.jpg)">
+      <h1 id="text" style="color: #fff">Welcome</h1>
+    </section>`);
+  const result = resolveBackground(byId('text'));
+
+  expect(result).toEqual({
+    incomplete: true,
+    reason: 'Text is over a background image on <section>, so its contrast must be checked manually',
+    source: byId('hero')
+  });
+  window.close();
+});
+
+test('Images below an opaque background do not matter', () => {
+  const { window, byId } = render('<p id="text" style="color: #000; background-color: #fff">Text</p>', { bodyStyle: 'background-image: url(noise.png)' });
+  expect(resolveBackground(byId('text')).incomplete).toBe(false);
+  window.close();
+});
+
+test('Positioned elements that are not ancestors are found with elementsFromPoint', () => {
+  const { window, byId } = render(`
+    <div id="banner" style="background-color: rgba(0, 0, 0, 0.8)"></div>
+    <p id="text" style="color: #fff; position: absolute; top: 0">Text</p>`);
+  const doc = window.document;
+  byId('text').getBoundingClientRect = () => ({ top: 0, left: 0, width: 100, height: 20 });
+  doc.elementsFromPoint = () => [byId('text'), byId('banner'), doc.body, doc.documentElement];
+
+  const result = resolveBackground(byId('text'));
+  expect(result.background).toBe('rgb(51, 51, 51)');
+  expect(result.source).toBe(byId('banner'));
+  window.close();
+});
+
+test('Foreground can be given, and unparseable text colors resolve to null', () => {
+  const { window, byId } = render('<p id="text" style="background-color: #000">Text</p>');
+
+  expect(resolveBackground(byId('text'), { foreground: 'white' }).foreground).toBe('rgb(255, 255, 255)');
+  expect(resolveBackground(byId('text'), { foreground: 'var(--text)' })).toBeNull();
+  window.close();
+});
+
+test('Inner background sits between the text and the element', () => {
+  const { window, byId } = render('<p id="text" style="color: #000; background-color: #fff">Text</p>');
+  const result = resolveBackground(byId('text'), { innerBackground: 'rgba(0, 0, 0, 0.5)' });
+
+  expect(result.background).toBe('rgb(128, 128, 128)');
+  expect(result.contrast).toBeLessThan(6);
+  window.close();
+});
+
+test('parseTextShadow - Offsets, blur and colors of each shadow', () => {
+  expect(parseTextShadow('1px 2px 3px #000, red 0 0 6pt', '#fff')).toEqual([
+    { color: { r: 0, g: 0, b: 0, a: 1 }, x: 1, y: 2, blur: 3 },
+    { color: { r: 255, g: 0, b: 0, a: 1 }, x: 0, y: 0, blur: 8 }
+  ]);
+  expect(parseTextShadow('1px 1px', '#00f')[0].color).toEqual({ r: 0, g: 0, b: 255, a: 1 });
+  expect(parseTextShadow('none')).toEqual([]);
+});
+
+test('getTextShadowHalo - Solid glows and outlines surround the text', () => {
+  expect(getTextShadowHalo('0 0 4px #000')).toBe('rgb(0, 0, 0)');
+  expect(getTextShadowHalo('-1px 0 #000, 1px 0 #000, 0 -1px #000, 0 1px #000')).toBe('rgb(0, 0, 0)');
+});
+
+test('getTextShadowHalo - Thin, offset or translucent shadows do not', () => {
+  expect(getTextShadowHalo('0 0 1px #000')).toBeNull();
+  expect(getTextShadowHalo('3px 3px 2px #000')).toBeNull();
+  expect(getTextShadowHalo('0 0 4px rgba(0, 0, 0, 0.5)')).toBeNull();
+  expect(getTextShadowHalo('1px 1px #000, -1px -1px #fff')).toBeNull();
+  expect(getTextShadowHalo('none')).toBeNull();
+  expect(getTextShadowHalo('0 0 1px #000', { minBlur: 1 })).toBe('rgb(0, 0, 0)');
+});
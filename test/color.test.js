@@ -1,24 +1,129 @@
 import { test, expect } from 'bun:test';
-import { calculateContrast, parseColor, relativeLuminance } from '../src/utils/color.js';
+import { JSDOM } from 'jsdom';
+import {
+  calculateContrast,
+  compositeColors,
+  flattenColors,
+  formatColor,
+  getBackgroundColor,
+  parseColor,
+  relativeLuminance
+} from '../src/utils/color.js';
 
 test('parseColor - RGB format', () => {
   const result = parseColor('rgb(255, 0, 0)');
-  expect(result).toEqual({ r: 255, g: 0, b: 0 });
+  expect(result).toEqual({ r: 255, g: 0, b: 0, a: 1 });
 });
 
 test('parseColor - RGBA format', () => {
   const result = parseColor('rgba(0, 255, 0, 0.5)');
-  expect(result).toEqual({ r: 0, g: 255, b: 0 });
+  expect(result).toEqual({ r: 0, g: 255, b: 0, a: 0.5 });
 });
 
 test('parseColor - Hex format', () => {
   const result = parseColor('#0000ff');
-  expect(result).toEqual({ r: 0, g: 0, b: 255 });
+  expect(result).toEqual({ r: 0, g: 0, b: 255, a: 1 });
 });
 
 test('parseColor - Short hex format', () => {
   const result = parseColor('#f0f');
-  expect(result).toEqual({ r: 255, g: 0, b: 255 });
+  expect(result).toEqual({ r: 255, g: 0, b: 255, a: 1 });
+});
+
+// Channels of a parsed color, rounded to whole numbers and alpha to two decimals
+const rounded = color => color && {
+  r: Math.round(color.r),
+  g: Math.round(color.g),
+  b: Math.round(color.b),
+  a: Math.round(color.a * 100) / 100
+};
+
+test('parseColor - Hex with alpha', () => {
+  expect(parseColor('#ff000080')).toEqual({ r: 255, g: 0, b: 0, a: 128 / 255 });
+  expect(parseColor('#0f08')).toEqual({ r: 0, g: 255, b: 0, a: 136 / 255 });
+  expect(parseColor('#12345')).toBeNull();
+});
+
+test('parseColor - Named colors, transparent and currentColor', () => {
+  expect(parseColor('rebeccapurple')).toEqual({ r: 102, g: 51, b: 153, a: 1 });
+  expect(parseColor('White')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+  expect(parseColor('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+  expect(parseColor('currentColor', 'navy')).toEqual({ r: 0, g: 0, b: 128, a: 1 });
+  expect(parseColor('currentColor')).toBeNull();
+});
+
+test('parseColor - System colors as in a light color scheme', () => {
+  expect(parseColor('CanvasText')).toEqual({ r: 0, g: 0, b: 0, a: 1 });
+  expect(parseColor('Canvas')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+  expect(parseColor('LinkText')).toEqual({ r: 0, g: 0, b: 238, a: 1 });
+});
+
+test('parseColor - Space-separated rgb with alpha', () => {
+  expect(parseColor('rgb(0 0 0 / 50%)')).toEqual({ r: 0, g: 0, b: 0, a: 0.5 });
+  expect(parseColor('rgb(100% 50% 0% / 0.25)')).toEqual({ r: 255, g: 127.5, b: 0, a: 0.25 });
+  expect(parseColor('rgba(10.5, 20, 30, 2)')).toEqual({ r: 10.5, g: 20, b: 30, a: 1 });
+  expect(parseColor('rgb(0 0 0, 1)')).toBeNull();
+});
+
+test('parseColor - hsl and hwb', () => {
+  expect(rounded(parseColor('hsl(120, 100%, 25%)'))).toEqual({ r: 0, g: 128, b: 0, a: 1 });
+  expect(rounded(parseColor('hsla(0.5turn 100% 50% / 0.3)'))).toEqual({ r: 0, g: 255, b: 255, a: 0.3 });
+  expect(rounded(parseColor('hsl(-120deg 100% 50%)'))).toEqual({ r: 0, g: 0, b: 255, a: 1 });
+  expect(rounded(parseColor('hwb(0 0% 0%)'))).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  expect(rounded(parseColor('hwb(200 60% 60%)'))).toEqual({ r: 128, g: 128, b: 128, a: 1 });
+});
+
+test('parseColor - lab, lch, oklab and oklch', () => {
+  expect(rounded(parseColor('lab(50 0 0)'))).toEqual({ r: 119, g: 119, b: 119, a: 1 });
+  expect(rounded(parseColor('lab(100% 0 0 / 0.5)'))).toEqual({ r: 255, g: 255, b: 255, a: 0.5 });
+  expect(rounded(parseColor('lch(54.29 106.84 40.86)'))).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  expect(rounded(parseColor('oklab(0.628 0.225 0.126)'))).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  expect(rounded(parseColor('oklch(45.2% 0.313 264.05)'))).toEqual({ r: 0, g: 0, b: 255, a: 1 });
+  expect(rounded(parseColor('oklch(0 0 none)'))).toEqual({ r: 0, g: 0, b: 0, a: 1 });
+});
+
+test('parseColor - color() spaces', () => {
+  expect(rounded(parseColor('color(srgb 1 0.5 0)'))).toEqual({ r: 255, g: 128, b: 0, a: 1 });
+  expect(rounded(parseColor('color(srgb-linear 0.2159 0.2159 0.2159)'))).toEqual({ r: 128, g: 128, b: 128, a: 1 });
+  expect(rounded(parseColor('color(display-p3 0.5 0.5 0.5 / 40%)'))).toEqual({ r: 128, g: 128, b: 128, a: 0.4 });
+  expect(rounded(parseColor('color(xyz-d65 0.9505 1 1.089)'))).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+  expect(rounded(parseColor('color(xyz-d50 0.9642 1 0.8251)'))).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+  ['a98-rgb', 'prophoto-rgb', 'rec2020'].forEach(space => {
+    expect(rounded(parseColor(`color(${space} 1 1 1)`))).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+  });
+});
+
+test('parseColor - Colors outside sRGB are clipped', () => {
+  expect(rounded(parseColor('color(display-p3 1 0 0)'))).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  expect(rounded(parseColor('oklch(0.9 0.4 145)'))).toEqual(expect.objectContaining({ g: 255 }));
+});
+
+test('parseColor - Unparseable colors are null, not black', () => {
+  ['', 'notacolor', 'rgb(a, b, c)', 'hsl(1 2 3 4)', 'color(cmyk 0 0 0)', 'lab(50, 0, 0)', 'var(--text)', null].forEach(color => {
+    expect(parseColor(color)).toBeNull();
+  });
+});
+
+test('compositeColors - Translucent colors over opaque ones', () => {
+  expect(compositeColors('rgba(0, 0, 0, 0.5)', '#fff')).toEqual({ r: 127.5, g: 127.5, b: 127.5, a: 1 });
+  expect(compositeColors('#000', '#fff')).toEqual({ r: 0, g: 0, b: 0, a: 1 });
+  expect(compositeColors('transparent', 'red')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  expect(compositeColors('bogus', 'red')).toBeNull();
+});
+
+test('compositeColors - Translucent colors over translucent ones', () => {
+  const result = compositeColors('rgba(255, 0, 0, 0.5)', 'rgba(0, 0, 255, 0.5)');
+  expect(rounded(result)).toEqual({ r: 170, g: 0, b: 85, a: 0.75 });
+});
+
+test('flattenColors - Stacked backgrounds from the top down', () => {
+  expect(flattenColors(['rgba(0, 0, 0, 0.5)', 'rgba(0, 0, 0, 0.5)', '#fff'])).toEqual({ r: 63.75, g: 63.75, b: 63.75, a: 1 });
+  expect(flattenColors([])).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+});
+
+test('formatColor - rgb and rgba', () => {
+  expect(formatColor({ r: 127.5, g: 0, b: 255, a: 1 })).toBe('rgb(128, 0, 255)');
+  expect(formatColor({ r: 0, g: 0, b: 0, a: 0.5 })).toBe('rgba(0, 0, 0, 0.5)');
 });
 
 test('relativeLuminance - White', () => {
@@ -51,3 +156,44 @@ test('calculateContrast - Same colors', () => {
   const contrast = calculateContrast('#ff0000', '#ff0000');
   expect(contrast).toBeCloseTo(1, 1);
 });
+
+test('calculateContrast - Modern color syntaxes', () => {
+  expect(calculateContrast('hsl(0 0% 0%)', 'oklch(1 0 0)')).toBeCloseTo(21, 1);
+  expect(calculateContrast('black', 'white')).toBeCloseTo(21, 1);
+});
+
+test('calculateContrast - Translucent text is composited over the background', () => {
+  // 50% black on white is the mid gray rgb(127.5, 127.5, 127.5)
+  expect(calculateContrast('rgba(0, 0, 0, 0.5)', '#fff')).toBeCloseTo(calculateContrast('rgb(127.5, 127.5, 127.5)', '#fff'), 5);
+  expect(calculateContrast('rgb(0 0 0 / 0.5)', '#fff')).toBeLessThan(4.5);
+  expect(calculateContrast('transparent', '#fff')).toBe(1);
+});
+
+test('calculateContrast - Translucent backgrounds are composited over white', () => {
+  expect(calculateContrast('#fff', 'rgba(0, 0, 0, 0)')).toBe(1);
+  expect(calculateContrast('#000', 'rgba(0, 0, 0, 0.5)')).toBeCloseTo(calculateContrast('#000', 'rgb(127.5, 127.5, 127.5)'), 5);
+});
+
+test('calculateContrast - Null for colors that cannot be parsed', () => {
+  expect(calculateContrast('var(--text)', '#fff')).toBeNull();
+  expect(calculateContrast('#000', 'nope')).toBeNull();
+});
+
+test('getBackgroundColor - Composites translucent ancestor backgrounds', () => {
+  const { window } = new JSDOM(`<body>
+    <div style="background-color: #000">
+      <div style="background-color: rgba(255, 255, 255, 0.5)">
+        <p id="text" style="background-color: rgba(255, 255, 255, 0.5)">Text</p>
+      </div>
+    </div>
+    <div style="background-color: rgba(0, 0, 0, 0.5)"><p id="over-body">Text</p></div>
+    <p id="current" style="color: navy; background-color: currentColor">Text</p>
+  </body>`);
+  const byId = id => window.document.getElementById(id);
+
+  // 50% white over 50% white over black is 75% white
+  expect(getBackgroundColor(byId('text'))).toBe('rgb(191, 191, 191)');
+  expect(getBackgroundColor(byId('over-body'))).toBe('rgb(128, 128, 128)');
+  expect(getBackgroundColor(byId('current'))).toBe('rgb(0, 0, 128)');
+  window.close();
+});
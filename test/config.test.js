@@ -0,0 +1,44 @@
+import { test, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig, loadPlugin } from '../src/cli/config.js';
+
+let dir;
+
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), 'helptheweb-config-'));
+  mkdirSync(join(dir, 'rules'));
+  writeFileSync(join(dir, 'rules', 'local.js'), "export default { rulesets: { local: ['img-alt'] } };");
+  writeFileSync(join(dir, 'rules', 'named.js'), "export const rulesets = { named: ['img-alt'] };");
+  mkdirSync(join(dir, 'node_modules', 'acme-rules'), { recursive: true });
+  writeFileSync(join(dir, 'node_modules', 'acme-rules', 'package.json'), '{ "name": "acme-rules", "main": "index.js", "type": "module" }');
+  writeFileSync(join(dir, 'node_modules', 'acme-rules', 'index.js'), "export default { rulesets: { acme: ['img-alt'] } };");
+});
+
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('loadPlugin loads paths and packages relative to a directory', async () => {
+  expect(await loadPlugin('./rules/local.js', dir)).toEqual({ rulesets: { local: ['img-alt'] } });
+  expect(await loadPlugin('acme-rules', dir)).toEqual({ rulesets: { acme: ['img-alt'] } });
+  // Without a default export the named exports are the plugin
+  expect(await loadPlugin('./rules/named.js', dir)).toEqual({ rulesets: { named: ['img-alt'] } });
+  
+  const plugin = { rules: [] };
+  expect(await loadPlugin(plugin, dir)).toBe(plugin);
+});
+
+test('loadConfig finds the config file and loads its plugins', async () => {
+  expect(await loadConfig(undefined, dir)).toEqual({ plugins: [] });
+  
+  writeFileSync(join(dir, '.helptheweb.json'), JSON.stringify({ runOnly: ['local'], plugins: ['./rules/local.js', 'acme-rules'] }));
+  const config = await loadConfig(undefined, dir);
+  expect(config.runOnly).toEqual(['local']);
+  expect(config.plugins.map(plugin => Object.keys(plugin.rulesets)[0])).toEqual(['local', 'acme']);
+  
+  writeFileSync(join(dir, 'custom.config.js'), "export default { format: 'json' };");
+  expect(await loadConfig('custom.config.js', dir)).toEqual({ format: 'json', plugins: [] });
+  await expect(loadConfig('missing.json', dir)).rejects.toThrow('Config file not found: missing.json');
+});
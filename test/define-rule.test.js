@@ -0,0 +1,100 @@
+import { test, expect } from 'bun:test';
+import { createAccessibilityEngine, defineRule } from '../src/index.js';
+import { getRuleProblems } from '../src/core/define-rule.js';
+
+const validRule = {
+  id: 'acme-button-size',
+  selector: 'button, [role="button"]',
+  tags: ['wcag22aa', 'wcag258', 'acme'],
+  impact: 'serious',
+  description: 'Buttons must be large enough to tap',
+  help: 'Make buttons at least 24 by 24 pixels',
+  helpUrl: 'https://example.com/rules/button-size',
+  evaluate: () => ({ passed: true })
+};
+
+test('defineRule returns valid rules unchanged', () => {
+  expect(defineRule(validRule)).toBe(validRule);
+  expect(defineRule({ ...validRule, id: 'acme-page', selector: undefined, scope: 'page' }).scope).toBe('page');
+});
+
+test('defineRule names the rule and every problem', () => {
+  expect(() => defineRule({ ...validRule, impact: 'severe', helpUrl: undefined })).toThrow(
+    'Invalid rule "acme-button-size": impact must be one of critical, serious, moderate, minor (got "severe"); helpUrl must be a non-empty string'
+  );
+  expect(() => defineRule({ evaluate: validRule.evaluate })).toThrow(/^Invalid rule \(missing id\): id must be a non-empty string;/);
+});
+
+test('Rule tags must be non-empty and use the WCAG tag formats', () => {
+  expect(getRuleProblems({ ...validRule, tags: [] })).toEqual(['tags must be a non-empty array']);
+  expect(getRuleProblems({ ...validRule, tags: 'wcag22a' })).toEqual(['tags must be a non-empty array']);
+  expect(getRuleProblems({ ...validRule, tags: ['wcag2.5.8', ''] })).toEqual([
+    'tag "wcag2.5.8" must name a success criterion as wcagNNN (e.g. wcag111) or a level (e.g. wcag22aa)',
+    'tags must be non-empty strings (got "")'
+  ]);
+  expect(getRuleProblems({ ...validRule, tags: ['wcag2a', 'wcag21aa', 'wcag22aaa', 'wcag111', 'wcag1410'] })).toEqual([]);
+});
+
+test('Selectors are parsed by a real CSS parser without a global document', () => {
+  expect(globalThis.document).toBeUndefined();
+  expect(getRuleProblems({ ...validRule, selector: 'p:not-a-pseudo-class' })).toEqual(['selector "p:not-a-pseudo-class" is not a valid CSS selector']);
+  expect(getRuleProblems({ ...validRule, selector: 'input::placeholder-text' })).toEqual(['selector "input::placeholder-text" is not a valid CSS selector']);
+  expect(getRuleProblems({ ...validRule, selector: 'a:not(p:bogus)' })).toEqual(['selector "a:not(p:bogus)" is not a valid CSS selector']);
+  expect(getRuleProblems({ ...validRule, selector: 'li:nth-child(2n + 1), a:not([href])' })).toEqual([]);
+});
+
+test('JSDOM is only loaded once a selector is checked', () => {
+  // A fresh process, as this one has loaded JSDOM for the other tests
+  const script = `
+    import { createRequire } from 'node:module';
+    const { cache } = createRequire(import.meta.url);
+    const loaded = () => Object.keys(cache).some(key => key.includes('/node_modules/jsdom/'));
+    const { getRuleProblems } = await import(${JSON.stringify(new URL('../src/core/define-rule.js', import.meta.url).href)});
+    const imported = loaded();
+    const problems = getRuleProblems(${JSON.stringify({ ...validRule, evaluate: undefined })});
+    console.log(JSON.stringify({ imported, checked: loaded(), problems }));
+  `;
+  const { stdout } = Bun.spawnSync([process.execPath, '--eval', script]);
+
+  expect(JSON.parse(stdout.toString())).toEqual({ imported: false, checked: true, problems: ['evaluate must be a function'] });
+});
+
+test('Rule selectors, scopes and text fields are checked', () => {
+  expect(getRuleProblems({ ...validRule, selector: 'button[' })).toEqual(['selector "button[" is not a valid CSS selector']);
+  expect(getRuleProblems({ ...validRule, selector: 'nav >' })).toEqual(['selector "nav >" is not a valid CSS selector']);
+  expect(getRuleProblems({ ...validRule, selector: 'a,, b' })).toEqual(['selector "a,, b" is not a valid CSS selector']);
+  expect(getRuleProblems({ ...validRule, selector: '[data-list="a,b"], :is(h1, h2) > a' })).toEqual([]);
+  expect(getRuleProblems({ ...validRule, scope: 'document' })).toEqual(['scope must be one of element, page (got "document")']);
+  expect(getRuleProblems({ ...validRule, helpUrl: 'docs/rules' })).toEqual(['helpUrl must be an absolute URL (got "docs/rules")']);
+  expect(getRuleProblems({ ...validRule, description: ' ', explanation: 42 })).toEqual([
+    'description must be a non-empty string',
+    'explanation must be a string'
+  ]);
+});
+
+test('ACT rule IDs must be six letters or digits', () => {
+  expect(getRuleProblems({ ...validRule, actRuleIds: ['23a2a8', 'afw4f7'] })).toEqual([]);
+  expect(getRuleProblems({ ...validRule, actRuleIds: '23a2a8' })).toEqual(['actRuleIds must be an array']);
+  expect(getRuleProblems({ ...validRule, actRuleIds: ['23A2A8', 'act-23a2a8'] })).toEqual([
+    'actRuleIds must be W3C ACT rule IDs such as 23a2a8 (got "23A2A8")',
+    'actRuleIds must be W3C ACT rule IDs such as 23a2a8 (got "act-23a2a8")'
+  ]);
+});
+
+test('Examples are lists of HTML by outcome', () => {
+  expect(getRuleProblems({ ...validRule, examples: { pass: ['<button>OK</button>'], incomplete: ['<button>?</button>'] } })).toEqual([]);
+  expect(getRuleProblems({ ...validRule, examples: ['<button>OK</button>'] })).toEqual(['examples must be an object with pass, fail, inapplicable, incomplete lists']);
+  expect(getRuleProblems({ ...validRule, examples: { passes: [], fail: '<button></button>' } })).toEqual([
+    'examples.passes is not one of pass, fail, inapplicable, incomplete',
+    'examples.fail must be an array of HTML strings'
+  ]);
+});
+
+test('registerRule rejects invalid rules and accepts every built-in rule', () => {
+  const engine = createAccessibilityEngine();
+  expect(engine.rules.size).toBeGreaterThan(0);
+  
+  expect(() => engine.registerRule({ ...validRule, impact: 'high' })).toThrow('Invalid rule "acme-button-size"');
+  expect(engine.rules.has('acme-button-size')).toBe(false);
+  expect(() => engine.use({ rules: [{ ...validRule, tags: [] }] })).toThrow('Invalid rule "acme-button-size": tags must be a non-empty array');
+});
@@ -1,5 +1,26 @@
 import { test, expect } from 'bun:test';
+import { JSDOM } from 'jsdom';
 import { createAccessibilityEngine } from '../src/index.js';
+import { formatReport, formatProfile } from '../src/cli/formatters.js';
+
+// Fills in the fields every registered rule needs, so tests only spell out what they check
+function testRule(rule) {
+  return {
+    tags: ['test'],
+    impact: 'moderate',
+    description: `Test rule ${rule.id}`,
+    help: 'Test rule help',
+    helpUrl: 'https://example.com/rules',
+    ...rule
+  };
+}
+
+function renderWithShadow() {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><main><my-card id="card"><span slot="title">Slotted</span></my-card></main></body></html>').window.document;
+  const shadow = doc.getElementById('card').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<span id="label">Save card</span><div><button aria-labelledby="label"></button></div><slot name="title"></slot>';
+  return doc;
+}
 
 test('Engine creation', () => {
   const engine = createAccessibilityEngine();
@@ -28,7 +49,7 @@ test('Rule registration', () => {
     evaluate: () => ({ passed: true })
   };
   
-  engine.registerRule(customRule);
+  engine.registerRule(testRule(customRule));
   expect(engine.rules.has('test-rule')).toBe(true);
 });
 
@@ -39,3 +60,689 @@ test('Ruleset registration', () => {
   expect(engine.rulesets.has('test-ruleset')).toBe(true);
   expect(engine.rulesets.get('test-ruleset')).toEqual(['rule-1', 'rule-2']);
 });
+
+test('Run walks open shadow roots and reports per-boundary targets', async () => {
+  const doc = renderWithShadow();
+  const engine = createAccessibilityEngine({ runOnly: ['shadow'], resultTypes: ['passes'] });
+  
+  engine.registerRule(testRule({
+    id: 'shadow-test',
+    selector: 'button, span',
+    evaluate: () => ({ passed: true })
+  }));
+  engine.registerRuleset('shadow', ['shadow-test']);
+  
+  const results = await engine.run(doc);
+  const targets = results.passes[0].nodes.map(node => node.target);
+  
+  expect(targets).toEqual([
+    ['#card', '#label'],
+    ['#card', 'div > button'],
+    '#card > span'
+  ]);
+});
+
+test('ID references resolve within the shadow root', async () => {
+  const doc = renderWithShadow();
+  const engine = createAccessibilityEngine({ runOnly: ['aria'], resultTypes: ['violations', 'passes'] });
+  
+  const results = await engine.run(doc);
+  const valueRule = results.passes.find(rule => rule.id === 'aria-valid-attr-value');
+  
+  expect(results.violations.find(rule => rule.id === 'aria-valid-attr-value')).toBeUndefined();
+  expect(valueRule.nodes[0].target).toEqual(['#card', 'div > button']);
+});
+
+test('Error messages resolve every aria-describedby ID within the shadow root', async () => {
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>
+    <input id="email" aria-label="Email" aria-invalid="true" aria-describedby="email-hint email-error">
+    <p id="email-hint">We never share your address</p>
+    <p id="email-error">Email must include an @, like name@example.com</p>
+    <my-field id="field"></my-field>
+  </body></html>`).window.document;
+  const shadow = doc.getElementById('field').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<input aria-label="Phone" aria-invalid="true" aria-describedby="phone-error"><p id="phone-error">Phone must have 10 digits</p>';
+
+  const engine = createAccessibilityEngine({ runOnly: 'wcag331,wcag333', resultTypes: ['violations', 'passes'] });
+  const results = await engine.run(doc);
+
+  expect(results.violations).toEqual([]);
+  expect(results.passes.map(rule => [rule.id, rule.nodes.map(node => node.target)])).toEqual([
+    ['error-identification', ['#email', ['#field', 'input']]],
+    ['error-suggestion', ['#email', ['#field', 'input']]]
+  ]);
+});
+
+test('Run merges results from frame documents with frame paths', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><button>Top</button><iframe id="checkout"></iframe><iframe id="remote"></iframe></body></html>').window.document;
+  const checkout = doc.getElementById('checkout');
+  checkout.contentDocument.body.innerHTML = '<form><button>Pay</button></form>';
+  Object.defineProperty(doc.getElementById('remote'), 'contentDocument', {
+    get() {
+      throw new Error('Blocked a frame with origin');
+    }
+  });
+  
+  const engine = createAccessibilityEngine({ runOnly: ['frames'], resultTypes: ['passes', 'incomplete'] });
+  engine.registerRule(testRule({
+    id: 'frame-test',
+    selector: 'button',
+    evaluate: () => ({ passed: true })
+  }));
+  engine.registerRuleset('frames', ['frame-test']);
+  
+  const results = await engine.run(doc);
+  const nodes = results.passes[0].nodes;
+  
+  expect(results.passes).toHaveLength(1);
+  expect(nodes.map(node => node.target)).toEqual(['html > body > button', ['#checkout', 'html > body > form > button']]);
+  expect(nodes[1].framePath).toEqual(['#checkout']);
+  
+  const frameTested = results.incomplete.find(rule => rule.id === 'frame-tested');
+  expect(frameTested.nodes.map(node => node.target)).toEqual(['#remote']);
+  expect(frameTested.helpUrl).toBe('https://github.com/helptheweb/engine#frames');
+});
+
+test('Frames are skipped when iframes is false', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><iframe></iframe></body></html>').window.document;
+  doc.querySelector('iframe').contentDocument.body.innerHTML = '<button>Inside</button>';
+  
+  const engine = createAccessibilityEngine({ runOnly: ['frames'], resultTypes: ['passes', 'inapplicable'], iframes: false });
+  engine.registerRule(testRule({
+    id: 'frame-test',
+    selector: 'button',
+    evaluate: () => ({ passed: true })
+  }));
+  engine.registerRuleset('frames', ['frame-test']);
+  
+  const results = await engine.run(doc);
+  expect(results.inapplicable.map(rule => rule.id)).toEqual(['frame-test']);
+});
+
+test('Run only tests included regions outside excluded ones', async () => {
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>
+    <header><button>Menu</button></header>
+    <main><button>Buy</button><div class="ads"><button>Ad</button><iframe></iframe></div></main>
+    <aside id="help"><button>Help</button></aside>
+  </body></html>`).window.document;
+  doc.querySelector('iframe').contentDocument.body.innerHTML = '<button>Ad frame</button>';
+  
+  const engine = createAccessibilityEngine({ runOnly: ['regions'], resultTypes: ['passes', 'inapplicable'] });
+  engine.registerRule(testRule({
+    id: 'region-test',
+    selector: 'button, main',
+    evaluate: (element) => ({ passed: true, data: { text: element.tagName === 'MAIN' ? 'main' : element.textContent } })
+  }));
+  engine.registerRule(testRule({
+    id: 'region-html-test',
+    selector: 'html',
+    evaluate: () => ({ passed: true })
+  }));
+  engine.registerRuleset('regions', ['region-test', 'region-html-test']);
+  
+  const results = await engine.run({
+    document: doc,
+    include: ['main', '#help', 'main button'],
+    exclude: ['.ads']
+  });
+  
+  expect(results.passes[0].nodes.map(node => node.data.text)).toEqual(['main', 'Buy', 'Help']);
+  expect(results.inapplicable.map(rule => rule.id)).toEqual(['region-html-test']);
+});
+
+test('An include selector that matches nothing fails the run', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><main><img src="a.png"></main></body></html>').window.document;
+  const engine = createAccessibilityEngine();
+  
+  await expect(engine.run({ document: doc, include: ['main', '#checkout'] }))
+    .rejects.toMatchObject({ type: 'context_error', message: 'No element matches the include selector "#checkout"' });
+  
+  const results = await engine.run({ document: doc, include: ['main'], exclude: ['#cookie-banner'] });
+  expect(results.violations.map(rule => rule.id)).toContain('img-alt');
+});
+
+test('Rule configuration enables, disables, parameterizes and re-rates rules', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><p>Text</p></body></html>').window.document;
+  const received = [];
+  
+  const engine = createAccessibilityEngine({
+    runOnly: ['configured'],
+    resultTypes: ['violations', 'passes'],
+    rules: {
+      'config-off': { enabled: false },
+      'config-extra': { enabled: true, impact: 'minor' },
+      'config-params': { options: { threshold: 7 } }
+    }
+  });
+  
+  const makeRule = (id, options) => ({
+    id,
+    selector: 'p',
+    impact: 'serious',
+    options,
+    evaluate: (element, ruleOptions) => {
+      received.push([id, ruleOptions]);
+      return { passed: id !== 'config-extra' };
+    }
+  });
+  
+  engine.registerRule(testRule(makeRule('config-off')));
+  engine.registerRule(testRule(makeRule('config-params', { threshold: 4.5, large: 3 })));
+  engine.registerRule(testRule(makeRule('config-extra')));
+  engine.registerRuleset('configured', ['config-off', 'config-params']);
+  
+  const results = await engine.run(doc);
+  
+  expect(received).toEqual([
+    ['config-params', { threshold: 7, large: 3 }],
+    ['config-extra', {}]
+  ]);
+  expect(results.passes.map(rule => rule.id)).toEqual(['config-params']);
+  expect(results.violations[0].id).toBe('config-extra');
+  expect(results.violations[0].impact).toBe('minor');
+});
+
+test('Concurrent runs on one engine keep their results isolated', async () => {
+  const render = (count, label) => new JSDOM(`<!DOCTYPE html><html><body>${
+    Array.from({ length: count }, (_, i) => `<p data-doc="${label}">${label}${i}</p>`).join('')
+  }</body></html>`).window.document;
+  const documents = [render(3, 'a'), render(5, 'b'), render(1, 'c')];
+  
+  const engine = createAccessibilityEngine({ runOnly: ['concurrent'], resultTypes: ['violations', 'passes'] });
+  engine.registerRule(testRule({
+    id: 'concurrent-test',
+    selector: 'p',
+    evaluate: async (element) => {
+      // Yield so that the runs interleave
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return { passed: element.dataset.doc !== 'b', data: { doc: element.dataset.doc } };
+    }
+  }));
+  engine.registerRuleset('concurrent', ['concurrent-test']);
+  
+  const [a, b, c] = await Promise.all(documents.map(doc => engine.run(doc)));
+  
+  expect(a.passes[0].nodes.map(node => node.data.doc)).toEqual(['a', 'a', 'a']);
+  expect(a.violations).toEqual([]);
+  expect(b.violations[0].nodes.map(node => node.data.doc)).toEqual(['b', 'b', 'b', 'b', 'b']);
+  expect(b.passes).toEqual([]);
+  expect(c.passes[0].nodes).toHaveLength(1);
+});
+
+test('Concurrent runs keep their errors isolated', async () => {
+  const docs = ['ok', 'broken'].map(kind =>
+    new JSDOM(`<!DOCTYPE html><html><body><p class="${kind}">Text</p></body></html>`).window.document
+  );
+  
+  const engine = createAccessibilityEngine({ runOnly: ['concurrent'], resultTypes: ['passes'] });
+  engine.registerRule(testRule({
+    id: 'concurrent-errors',
+    selector: 'p',
+    evaluate: async (element) => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      if (element.className === 'broken') {
+        throw new Error('Evaluation failed');
+      }
+      return { passed: true };
+    }
+  }));
+  engine.registerRuleset('concurrent', ['concurrent-errors']);
+  
+  const [ok, broken] = await Promise.all(docs.map(doc => engine.run(doc)));
+  
+  expect(ok.errors).toBeUndefined();
+  expect(ok.passes[0].nodes).toHaveLength(1);
+  expect(broken.errors).toEqual([{ type: 'element_error', rule: 'concurrent-errors', message: 'Evaluation failed' }]);
+});
+
+test('Rules receive the run context of the document they test', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><p>One</p><p>Two</p><iframe></iframe></body></html>').window.document;
+  doc.querySelector('iframe').contentDocument.body.innerHTML = '<p>Framed</p>';
+  
+  const seen = [];
+  const engine = createAccessibilityEngine({ runOnly: ['context'], resultTypes: ['passes'] });
+  engine.registerRule(testRule({
+    id: 'context-test',
+    selector: 'p',
+    evaluate: (element, options, context) => {
+      context.cache.set('count', (context.cache.get('count') || 0) + 1);
+      seen.push({
+        ownDocument: context.document === element.ownerDocument,
+        ownWindow: context.window === element.ownerDocument.defaultView,
+        root: context.root === context.document.documentElement,
+        count: context.cache.get('count')
+      });
+      return { passed: true };
+    }
+  }));
+  engine.registerRuleset('context', ['context-test']);
+  
+  await engine.run(doc);
+  
+  expect(typeof globalThis.document).toBe('undefined');
+  expect(seen).toEqual([
+    { ownDocument: true, ownWindow: true, root: true, count: 1 },
+    { ownDocument: true, ownWindow: true, root: true, count: 2 },
+    { ownDocument: true, ownWindow: true, root: true, count: 1 }
+  ]);
+});
+
+test('Document-wide rules check the document being tested without globals', async () => {
+  const docs = [
+    '<h1>Title</h1><h2>Section</h2>',
+    '<h1>Title</h1><h4>Skipped</h4><h1>Second</h1>'
+  ].map(body => new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`).window.document);
+  
+  const engine = createAccessibilityEngine({ runOnly: ['best-practice'], resultTypes: ['violations'] });
+  const [valid, invalid] = await Promise.all(docs.map(doc => engine.run(doc)));
+  const violated = report => report.violations.map(violation => violation.id).filter(id => ['heading-order', 'single-h1'].includes(id));
+  
+  expect(violated(valid)).toEqual([]);
+  expect(violated(invalid).sort()).toEqual(['heading-order', 'single-h1']);
+});
+
+test('Page rules report one finding per problem with related nodes', async () => {
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>
+    <h1 id="title">Title</h1>
+    <p id="dup">One</p><p id="dup">Two</p><span id="dup">Three</span>
+    <main id="first"></main><main id="second"></main>
+  </body></html>`).window.document;
+  
+  const engine = createAccessibilityEngine({ runOnly: ['wcag21a', 'best-practice'], resultTypes: ['violations', 'passes'] });
+  const results = await engine.run(doc);
+  const find = (type, id) => results[type].find(rule => rule.id === id);
+  
+  const parsing = find('violations', 'parsing');
+  expect(parsing.nodes).toHaveLength(1);
+  expect(parsing.nodes[0].message).toBe('Duplicate ID "dup" is used by 3 elements');
+  expect(parsing.nodes[0].relatedNodes.map(node => node.html)).toEqual(['<p id="dup"></p>', '<span id="dup"></span>']);
+  
+  const main = find('violations', 'landmark-unique-main');
+  expect(main.nodes.map(node => node.target)).toEqual(['#second']);
+  expect(main.nodes[0].relatedNodes.map(node => node.target)).toEqual(['#first']);
+  
+  expect(find('passes', 'single-h1').nodes.map(node => node.target)).toEqual(['#title']);
+  
+  const text = formatReport({ violations: [parsing], passes: [], incomplete: [] }, { format: 'text', verbose: true, noColor: true });
+  expect(text).toContain('Related: #dup, #dup');
+});
+
+test('Page rule findings outside the tested regions are dropped', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><h1>One</h1><div id="region"><h1 id="extra">Two</h1></div><h1>Three</h1></body></html>').window.document;
+  const engine = createAccessibilityEngine({ runOnly: ['best-practice'], resultTypes: ['violations'] });
+  
+  const results = await engine.run({ document: doc, include: ['#region'] });
+  const singleH1 = results.violations.find(rule => rule.id === 'single-h1');
+  
+  expect(singleH1.nodes.map(node => node.target)).toEqual(['#extra']);
+  expect(singleH1.nodes[0].message).toBe('Found 3 h1 elements on the page. Best practice is to use only one h1.');
+});
+
+test('Rules share one DOM walk and per-run caches', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><p>One</p><div><p>Two</p></div><span>Three</span></body></html>').window.document;
+  const styles = new Map();
+  const matched = {};
+  const record = id => (element, options, context) => {
+    matched[id] = [...(matched[id] || []), element.textContent];
+    styles.set(element, new Set([...(styles.get(element) || []), context.getComputedStyle(element)]));
+    return { passed: true };
+  };
+  
+  const engine = createAccessibilityEngine({ runOnly: ['walk'], resultTypes: ['passes', 'inapplicable'] });
+  engine.registerRule(testRule({ id: 'walk-a', selector: 'p', evaluate: record('walk-a') }));
+  engine.registerRule(testRule({ id: 'walk-b', selector: 'p', evaluate: record('walk-b') }));
+  engine.registerRule(testRule({ id: 'walk-c', selector: 'div > p, span', evaluate: record('walk-c') }));
+  // Registration rejects bad selectors, so this one is set directly to reach the run's own check
+  engine.rules.set('walk-bad', testRule({ id: 'walk-bad', selector: 'p:not-a-pseudo-class', evaluate: record('walk-bad') }));
+  engine.registerRuleset('walk', ['walk-a', 'walk-b', 'walk-c', 'walk-bad']);
+  
+  const querySelectorAll = doc.querySelectorAll;
+  let queries = 0;
+  doc.querySelectorAll = function(...args) {
+    queries++;
+    return querySelectorAll.apply(this, args);
+  };
+  
+  const results = await engine.run(doc);
+  
+  expect(queries).toBe(0);
+  expect(matched).toEqual({ 'walk-a': ['One', 'Two'], 'walk-b': ['One', 'Two'], 'walk-c': ['Two', 'Three'] });
+  expect(results.inapplicable.map(rule => rule.id)).toEqual(['walk-bad']);
+  expect(results.errors[0]).toMatchObject({ type: 'selector_error', selector: 'p:not-a-pseudo-class' });
+  // Every rule sees the same cached style object for an element
+  expect([...styles.values()].map(set => set.size)).toEqual([1, 1, 1]);
+});
+
+test('Engine emits run lifecycle events', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><img src="a.png"><img src="b.png" alt="B"></body></html>').window.document;
+  const engine = createAccessibilityEngine({ runOnly: ['events'] });
+  engine.registerRule(testRule({ id: 'events-img', selector: 'img', impact: 'critical', evaluate: element => ({ passed: element.hasAttribute('alt') }) }));
+  engine.registerRule(testRule({ id: 'events-video', selector: 'video', evaluate: () => ({ passed: true }) }));
+  engine.rules.set('events-bad', testRule({ id: 'events-bad', selector: 'img:not-a-pseudo-class', evaluate: () => ({ passed: true }) }));
+  engine.registerRuleset('events', ['events-img', 'events-video', 'events-bad']);
+  
+  const events = [];
+  for (const name of ['run:start', 'rule:start', 'rule:complete', 'node:violation', 'error', 'run:complete']) {
+    engine.on(name, payload => events.push({ name, payload }));
+  }
+  
+  const report = await engine.run(doc);
+  const names = events.map(event => event.name);
+  const payloads = name => events.filter(event => event.name === name).map(event => event.payload);
+  
+  expect(names[0]).toBe('error');
+  expect(names[1]).toBe('run:start');
+  expect(names[names.length - 1]).toBe('run:complete');
+  expect(new Set(events.map(event => event.payload.runId)).size).toBe(1);
+  
+  expect(payloads('run:start')[0]).toMatchObject({ rules: ['events-img', 'events-video', 'events-bad'], total: 3 });
+  expect(payloads('rule:start').map(payload => payload.rule)).toEqual(['events-img', 'events-video', 'events-bad']);
+  const completions = payloads('rule:complete');
+  expect(completions.map(({ completed, total }) => `${completed}/${total}`)).toEqual(['1/3', '2/3', '3/3']);
+  expect(completions.map(({ rule, outcome, nodes }) => ({ rule, outcome, nodes })).sort((a, b) => a.rule.localeCompare(b.rule))).toEqual([
+    { rule: 'events-bad', outcome: 'inapplicable', nodes: 0 },
+    { rule: 'events-img', outcome: 'violations', nodes: 2 },
+    { rule: 'events-video', outcome: 'inapplicable', nodes: 0 }
+  ]);
+  expect(payloads('rule:complete').every(payload => payload.time >= 0)).toBe(true);
+  expect(payloads('node:violation').map(({ rule, impact, node }) => ({ rule, impact, html: node.html }))).toEqual([
+    { rule: 'events-img', impact: 'critical', html: '<img src="a.png">' }
+  ]);
+  expect(payloads('error')[0].error).toMatchObject({ type: 'selector_error', selector: 'img:not-a-pseudo-class' });
+  expect(payloads('run:complete')[0].report).toBe(report);
+});
+
+test('Aborting a run resolves with the rules that finished', async () => {
+  const paragraphs = Array.from({ length: 10 }, (_, i) => `<p>${i}</p>`).join('');
+  const doc = new JSDOM(`<!DOCTYPE html><html><body><h1>Title</h1>${paragraphs}</body></html>`).window.document;
+  const controller = new AbortController();
+  let evaluated = 0;
+  
+  const engine = createAccessibilityEngine({ runOnly: ['abort'], resultTypes: ['passes'] });
+  engine.registerRule(testRule({ id: 'abort-fast', selector: 'h1', evaluate: () => ({ passed: true }) }));
+  engine.registerRule(testRule({
+    id: 'abort-slow',
+    selector: 'p',
+    evaluate: () => {
+      if (++evaluated === 5) {
+        controller.abort();
+      }
+      return { passed: true };
+    }
+  }));
+  engine.registerRuleset('abort', ['abort-fast', 'abort-slow']);
+  
+  const completed = [];
+  engine.on('rule:complete', ({ rule }) => completed.push(rule));
+  
+  const results = await engine.run(doc, { signal: controller.signal });
+  
+  expect(results.aborted).toBe(true);
+  expect(evaluated).toBe(5);
+  expect(results.passes.map(rule => rule.id)).toEqual(['abort-fast']);
+  expect(completed).toEqual(['abort-fast']);
+  
+  // An already aborted signal runs no rules at all
+  const skipped = await engine.run(doc, { signal: controller.signal });
+  expect(skipped.aborted).toBe(true);
+  expect(skipped.passes).toEqual([]);
+  expect(evaluated).toBe(5);
+  
+  // Without a signal the report is not marked
+  const full = await engine.run(doc, (error, report) => expect(report.aborted).toBeUndefined());
+  expect(full.passes.map(rule => rule.id).sort()).toEqual(['abort-fast', 'abort-slow']);
+});
+
+test('The run timeout stops rules at their next element', async () => {
+  const paragraphs = Array.from({ length: 50 }, (_, i) => `<p>${i}</p>`).join('');
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>${paragraphs}</body></html>`).window.document;
+  let evaluated = 0;
+  
+  const engine = createAccessibilityEngine({ runOnly: ['slow'], resultTypes: ['passes'], timeout: 30 });
+  engine.registerRule(testRule({
+    id: 'slow-rule',
+    selector: 'p',
+    evaluate: async () => {
+      evaluated++;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { passed: true };
+    }
+  }));
+  engine.registerRuleset('slow', ['slow-rule']);
+  
+  const results = await engine.run(doc);
+  const evaluatedAtReport = evaluated;
+  await new Promise(resolve => setTimeout(resolve, 50));
+  
+  expect(evaluatedAtReport).toBeLessThan(50);
+  expect(evaluated).toBe(evaluatedAtReport);
+  expect(results.aborted).toBeUndefined();
+  expect(results.passes).toEqual([]);
+  expect(results.errors).toEqual([{ type: 'timeout', message: 'Some accessibility tests timed out' }]);
+});
+
+test('Timers abort and time out runs of synchronous rules', async () => {
+  const paragraphs = Array.from({ length: 200 }, (_, i) => `<p>${i}</p>`).join('');
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>${paragraphs}</body></html>`).window.document;
+  let evaluated = 0;
+  const busy = () => {
+    evaluated++;
+    const end = Date.now() + 5;
+    while (Date.now() < end) {
+      // Busy work that never hands back the event loop
+    }
+    return { passed: true };
+  };
+  
+  const createEngine = options => {
+    const engine = createAccessibilityEngine({ runOnly: ['busy'], resultTypes: ['passes'], ...options });
+    engine.registerRule(testRule({ id: 'busy-one', selector: 'p', evaluate: busy }));
+    engine.registerRule(testRule({ id: 'busy-two', selector: 'p', evaluate: busy }));
+    engine.registerRuleset('busy', ['busy-one', 'busy-two']);
+    return engine;
+  };
+  
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+  let start = Date.now();
+  const aborted = await createEngine().run(doc, { signal: controller.signal });
+  
+  expect(aborted.aborted).toBe(true);
+  expect(evaluated).toBeLessThan(100);
+  expect(Date.now() - start).toBeLessThan(1000);
+  
+  evaluated = 0;
+  start = Date.now();
+  const timedOut = await createEngine({ timeout: 100 }).run(doc);
+  
+  expect(timedOut.errors).toEqual([{ type: 'timeout', message: 'Some accessibility tests timed out' }]);
+  expect(evaluated).toBeLessThan(100);
+  expect(Date.now() - start).toBeLessThan(1000);
+});
+
+test('The ruleTimeout option sets how long a rule may evaluate', async () => {
+  const paragraphs = Array.from({ length: 50 }, (_, i) => `<p>${i}</p>`).join('');
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>${paragraphs}</body></html>`).window.document;
+  const busy = () => {
+    const end = Date.now() + 2;
+    while (Date.now() < end) {
+      // Busy work counted against the rule
+    }
+    return { passed: true };
+  };
+
+  const createEngine = options => {
+    const engine = createAccessibilityEngine({ runOnly: ['slow'], profile: true, ...options });
+    engine.registerRule(testRule({ id: 'busy-rule', selector: 'p', evaluate: busy }));
+    engine.registerRuleset('slow', ['busy-rule']);
+    return engine;
+  };
+
+  const stopped = await createEngine({ ruleTimeout: 20 }).run(doc);
+  expect(stopped.errors).toEqual([{ type: 'rule_error', rule: 'busy-rule', message: 'Rule busy-rule timed out' }]);
+  expect(stopped.profile[0].timedOut).toBe(true);
+  expect(stopped.profile[0].evaluated).toBeLessThan(50);
+
+  const unlimited = await createEngine({ ruleTimeout: Infinity }).run(doc);
+  expect(unlimited.errors).toBeUndefined();
+  expect(unlimited.profile[0]).toMatchObject({ evaluated: 50, timedOut: false });
+});
+
+test('Profiling reports per-rule timings and limits', async () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `<p>${i}</p>`).join('');
+  const doc = new JSDOM(`<!DOCTYPE html><html><body><h1>Title</h1>${paragraphs}</body></html>`).window.document;
+  
+  const engine = createAccessibilityEngine({ runOnly: ['profiled'], maxElements: 4, profile: true });
+  engine.registerRule(testRule({ id: 'profile-heading', selector: 'h1', evaluate: () => ({ passed: true }) }));
+  engine.registerRule(testRule({ id: 'profile-paragraph', selector: 'p', evaluate: () => ({ passed: true }) }));
+  engine.registerRule(testRule({ id: 'profile-page', scope: 'page', evaluate: () => [{ passed: true }] }));
+  engine.registerRuleset('profiled', ['profile-heading', 'profile-paragraph', 'profile-page']);
+  
+  const results = await engine.run(doc);
+  const byRule = Object.fromEntries(results.profile.map(({ rule, ...entry }) => [rule, entry]));
+  
+  expect(byRule['profile-paragraph']).toMatchObject({ matched: 6, evaluated: 4, hitMaxElements: true, timedOut: false });
+  expect(byRule['profile-heading']).toMatchObject({ matched: 1, evaluated: 1, hitMaxElements: false });
+  expect(byRule['profile-page']).toMatchObject({ matched: 1, evaluated: 1 });
+  expect(results.profile.map(entry => entry.time)).toEqual(results.profile.map(entry => entry.time).sort((a, b) => b - a));
+  
+  const table = formatProfile(results.profile, { noColor: true, limit: 2 }).split('\n');
+  expect(table[0]).toBe('Slowest rules (2 of 3)');
+  expect(table[1]).toMatch(/^Rule\s+Time \(ms\)\s+Matched\s+Evaluated\s+ms\/element\s+Limits$/);
+  expect(table).toHaveLength(4);
+  
+  const unprofiled = await createAccessibilityEngine({ runOnly: ['wcag22a'] }).run(doc);
+  expect(unprofiled.profile).toBeUndefined();
+});
+
+test('Profile times count only each rule\'s own evaluate calls', async () => {
+  const paragraphs = Array.from({ length: 20 }, (_, i) => `<p>${i}</p>`).join('');
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>${paragraphs}</body></html>`).window.document;
+  
+  const engine = createAccessibilityEngine({ runOnly: ['timed'], profile: true });
+  engine.registerRule(testRule({ id: 'timed-fast', selector: 'p', evaluate: () => ({ passed: true }) }));
+  engine.registerRule(testRule({
+    id: 'timed-slow',
+    selector: 'p',
+    evaluate: () => {
+      const end = Date.now() + 3;
+      while (Date.now() < end) {
+        // Busy work
+      }
+      return { passed: true };
+    }
+  }));
+  engine.registerRuleset('timed', ['timed-fast', 'timed-slow']);
+  
+  const times = {};
+  engine.on('rule:complete', ({ rule, time }) => {
+    times[rule] = time;
+  });
+  const results = await engine.run(doc);
+  const [slow, fast] = results.profile;
+  
+  expect(slow).toMatchObject({ rule: 'timed-slow', evaluated: 20 });
+  expect(fast).toMatchObject({ rule: 'timed-fast', evaluated: 20 });
+  expect(slow.time).toBeGreaterThanOrEqual(50);
+  expect(fast.time).toBeLessThan(slow.time / 10);
+  expect(times).toEqual({ 'timed-fast': fast.time, 'timed-slow': slow.time });
+});
+
+test('Plugins register rules, rulesets, formatters and locales', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><b>Bold</b><img src="a.png"></body></html>').window.document;
+  const plugin = {
+    name: 'acme',
+    rules: { 'acme-no-b': testRule({ id: 'acme-no-b', selector: 'b', impact: 'minor', help: 'Use strong', evaluate: () => ({ passed: false }) }) },
+    rulesets: { acme: ['acme-no-b', 'img-alt'] },
+    formatters: { count: results => `violations=${results.violations.length}` },
+    locales: { fr: { 'img-alt': { help: 'Les images doivent avoir un texte alternatif' } } }
+  };
+  
+  const engine = createAccessibilityEngine({ plugins: [plugin], runOnly: ['acme'], locale: 'fr' });
+  const results = await engine.run(doc);
+  
+  expect(results.violations.map(rule => [rule.id, rule.help])).toEqual([
+    ['acme-no-b', 'Use strong'],
+    ['img-alt', 'Les images doivent avoir un texte alternatif']
+  ]);
+  expect(results.toolOptions.plugins).toBeUndefined();
+  expect(formatReport(results, { format: 'count', formatters: engine.formatters })).toBe('violations=2');
+  
+  // Catalogs for the same locale merge, and other locales keep the rule's own text
+  engine.use({ locales: { fr: { 'acme-no-b': { help: 'Utilisez strong' } } } });
+  expect((await engine.run(doc)).violations.map(rule => rule.help)).toEqual(['Utilisez strong', 'Les images doivent avoir un texte alternatif']);
+  engine.options.locale = 'de';
+  expect((await engine.run(doc)).violations.map(rule => rule.help)).toEqual(['Use strong', 'Images must have an alt attribute']);
+  
+  expect(() => engine.use(null)).toThrow('Plugin must be an object');
+  expect(() => engine.registerFormatter('broken', 'text')).toThrow('Formatter broken must be a function');
+});
+
+test('getRule returns a rule with the locale and rule configuration applied', () => {
+  const engine = createAccessibilityEngine({
+    locale: 'fr',
+    rules: { 'img-alt': { impact: 'minor', options: { strict: true } } },
+    plugins: [{ locales: { fr: { 'img-alt': { help: 'Les images doivent avoir un texte alternatif' } } } }]
+  });
+
+  expect(engine.getRule('img-alt')).toMatchObject({
+    id: 'img-alt',
+    help: 'Les images doivent avoir un texte alternatif',
+    impact: 'minor',
+    options: { strict: true }
+  });
+  expect(engine.rules.get('img-alt').impact).toBe('critical');
+  expect(engine.getRule('no-such-rule')).toBeUndefined();
+});
+
+test('runOnly accepts tag expressions matched against rule tags and rulesets', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html><body><p>Text</p></body></html>').window.document;
+  const engine = createAccessibilityEngine({ resultTypes: ['passes'] });
+  engine.registerRule(testRule({ id: 'query-stable', selector: 'p', tags: ['wcag22a', 'query', 'query-core'], evaluate: () => ({ passed: true }) }));
+  engine.registerRule(testRule({ id: 'query-beta', selector: 'p', tags: ['wcag22aa', 'query', 'experimental'], evaluate: () => ({ passed: true }) }));
+  engine.registerRuleset('query-set', ['query-beta']);
+  
+  expect(engine.selectRules('query and not experimental')).toEqual(['query-stable']);
+  expect(engine.selectRules('query-core, query-set')).toEqual(['query-stable', 'query-beta']);
+  // A ruleset name on its own keeps selecting exactly that ruleset
+  expect(engine.selectRules('query-set')).toEqual(['query-beta']);
+  
+  engine.options.runOnly = ['query and (experimental or query-core)'];
+  expect((await engine.run(doc)).passes.map(rule => rule.id)).toEqual(['query-stable', 'query-beta']);
+  
+  engine.options.runOnly = 'query and not experimentl';
+  await expect(engine.run(doc)).rejects.toThrow('Unknown tag or ruleset "experimentl" in "query and not experimentl"');
+});
+
+test('Standard rulesets follow their WCAG version and label findings with clauses', async () => {
+  const doc = new JSDOM('<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><img src="a.png"></body></html>').window.document;
+  const engine = createAccessibilityEngine({ runOnly: ['en301549'] });
+  
+  expect(engine.rulesets.get('wcag21aa')).toContain('reflow');
+  expect(engine.rulesets.get('wcag21aa')).toContain('parsing');
+  expect(engine.rulesets.get('wcag22aa')).not.toContain('parsing');
+  expect(engine.rulesets.get('wcag22aaa')).not.toContain('parsing');
+  expect(engine.rulesets.get('all')).not.toContain('parsing');
+  expect(engine.selectRules('wcag22a,wcag22aa')).not.toContain('parsing');
+  expect(engine.selectRules('wcag22a and not experimental')).not.toContain('parsing');
+  expect(engine.selectRules('wcag411')).toContain('parsing');
+  expect(engine.selectRules('wcag21a and robust')).toContain('parsing');
+  expect(engine.rulesets.get('wcag21aa')).not.toContain('target-size');
+  expect(engine.rulesets.get('section508')).not.toContain('reflow');
+  expect(engine.rulesets.get('en301549')).not.toContain('accessible-authentication');
+  
+  const results = await engine.run(doc);
+  expect(results.standard).toEqual({ id: 'en301549', name: 'EN 301 549 V3.2.1' });
+  expect(results.violations.find(rule => rule.id === 'img-alt').clauses).toEqual(['9.1.1.1']);
+  
+  const text = formatReport(results, { format: 'text', noColor: true });
+  expect(text).toContain('EN 301 549 V3.2.1: 9.1.1.1');
+  expect(formatReport(results, { format: 'csv' }).split('\n')[0].endsWith(',Clauses')).toBe(true);
+  
+  // Without a single standard selected the results carry no clauses
+  const unlabelled = await createAccessibilityEngine({ runOnly: ['wcag21aa', 'best-practice'] }).run(doc);
+  expect(unlabelled.standard).toBeUndefined();
+  expect(unlabelled.violations[0].clauses).toBeUndefined();
+  
+  await expect(createAccessibilityEngine({ standard: 'wcag3' }).run(doc)).rejects.toThrow('Unknown standard "wcag3"');
+});
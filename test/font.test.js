@@ -0,0 +1,91 @@
+import { test, expect } from 'bun:test';
+import { JSDOM } from 'jsdom';
+import { getTextSize } from '../src/utils/font.js';
+import { createAccessibilityEngine } from '../src/index.js';
+import { runWithLayout } from './helpers.js';
+
+function render(html) {
+  return new JSDOM(`<!DOCTYPE html><html lang="en"><head><title>Fonts</title></head><body>${html}</body></html>`).window.document;
+}
+
+function textSize(html) {
+  const doc = render(html);
+  return getTextSize(doc.getElementById('target'), el => doc.defaultView.getComputedStyle(el));
+}
+
+test('getTextSize - Absolute units in px and pt', () => {
+  expect(textSize('<p id="target" style="font-size: 24px">Text</p>')).toEqual({ fontSize: 24, fontSizePt: 18, fontWeight: 400, isLargeText: true });
+  expect(textSize('<p id="target" style="font-size: 18pt">Text</p>')).toEqual({ fontSize: 24, fontSizePt: 18, fontWeight: 400, isLargeText: true });
+  expect(textSize('<p id="target" style="font-size: 18px">Text</p>').isLargeText).toBe(false);
+  expect(textSize('<p id="target">Text</p>')).toEqual({ fontSize: 16, fontSizePt: 12, fontWeight: 400, isLargeText: false });
+});
+
+test('getTextSize - 14pt bold counts as large', () => {
+  expect(textSize('<p id="target" style="font-size: 14pt; font-weight: bold">Text</p>').isLargeText).toBe(true);
+  expect(textSize('<p id="target" style="font-size: 14pt; font-weight: 700">Text</p>').isLargeText).toBe(true);
+  expect(textSize('<p id="target" style="font-size: 14pt; font-weight: 600">Text</p>').isLargeText).toBe(false);
+  expect(textSize('<p id="target" style="font-size: 13pt; font-weight: 900">Text</p>').isLargeText).toBe(false);
+});
+
+test('getTextSize - Relative sizes and keywords resolve against the parent', () => {
+  expect(textSize('<div style="font-size: 20px"><p id="target" style="font-size: 1.5em">Text</p></div>').fontSize).toBe(30);
+  expect(textSize('<div style="font-size: 20px"><p id="target" style="font-size: 150%">Text</p></div>').fontSize).toBe(30);
+  expect(textSize('<div style="font-size: 20px"><p id="target">Text</p></div>').fontSize).toBe(20);
+  expect(textSize('<p id="target" style="font-size: x-large">Text</p>').fontSize).toBe(24);
+  expect(textSize('<h1 id="target">Heading</h1>')).toEqual({ fontSize: 32, fontSizePt: 24, fontWeight: 700, isLargeText: true });
+});
+
+test('getTextSize - rem uses the root font size', () => {
+  const doc = new JSDOM('<html style="font-size: 20px"><body><div style="font-size: 10px"><p id="target" style="font-size: 1.2rem">Text</p></div></body></html>').window.document;
+  expect(getTextSize(doc.getElementById('target'), el => doc.defaultView.getComputedStyle(el)).fontSize).toBe(24);
+});
+
+test('getTextSize - Inherited and relative weights', () => {
+  expect(textSize('<div style="font-weight: bold"><span id="target">Text</span></div>').fontWeight).toBe(700);
+  expect(textSize('<div style="font-weight: 400"><span id="target" style="font-weight: bolder">Text</span></div>').fontWeight).toBe(700);
+  expect(textSize('<div style="font-weight: 700"><span id="target" style="font-weight: lighter">Text</span></div>').fontWeight).toBe(400);
+});
+
+const contrastResults = (ruleset, html) => runWithLayout(html, { runOnly: ruleset });
+
+// #949494 on white is 3.03:1 and #767676 is 4.54:1
+const box = 'background-color: #fff; width: 300px; height: 40px';
+
+test('contrast-minimum - 3:1 is enough for large text only', async () => {
+  const large = await contrastResults('wcag143', `<p style="color: #949494; font-size: 24px; ${box}">Headline</p>`);
+  expect(large.passes.map(rule => rule.id)).toContain('contrast-minimum');
+
+  const boldLarge = await contrastResults('wcag143', `<p style="color: #949494; font-size: 14pt; font-weight: bold; ${box}">Headline</p>`);
+  expect(boldLarge.passes.map(rule => rule.id)).toContain('contrast-minimum');
+
+  const normal = await contrastResults('wcag143', `<p style="color: #949494; font-size: 18px; ${box}">Body text</p>`);
+  const [node] = normal.violations.find(rule => rule.id === 'contrast-minimum').nodes;
+  expect(node.data).toEqual({
+    contrast: 3.03,
+    requiredRatio: 4.5,
+    fontSize: 18,
+    fontSizePt: 13.5,
+    fontWeight: 400,
+    isLargeText: false,
+    foreground: 'rgb(148, 148, 148)',
+    background: 'rgb(255, 255, 255)',
+    part: 'text'
+  });
+  expect(node.message).toBe('Contrast ratio 3.03:1 is below required 4.5:1 for normal text (13.5pt, weight 400)');
+});
+
+test('contrast-enhanced - 7:1, or 4.5:1 for large text', async () => {
+  const normal = await contrastResults('wcag146', `<p style="color: #767676; ${box}">Body text</p>`);
+  const [node] = normal.violations.find(rule => rule.id === 'contrast-enhanced').nodes;
+  expect(node.data).toMatchObject({ contrast: 4.54, requiredRatio: 7, isLargeText: false });
+
+  const large = await contrastResults('wcag146', `<h2 style="color: #767676; font-size: 18pt; ${box}">Headline</h2>`);
+  expect(large.passes.map(rule => rule.id)).toContain('contrast-enhanced');
+});
+
+test('contrast-enhanced is only part of the AAA rulesets', () => {
+  const engine = createAccessibilityEngine();
+  expect(engine.rulesets.get('wcag22aaa')).toContain('contrast-enhanced');
+  expect(engine.rulesets.get('wcag22aa')).not.toContain('contrast-enhanced');
+  expect(engine.rulesets.get('wcag21aaa')).toContain('contrast-enhanced');
+});
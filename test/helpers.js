@@ -0,0 +1,18 @@
+import { createExampleDocument, getExampleDocument } from '../src/core/rule-examples.js';
+import { createAccessibilityEngine } from '../src/index.js';
+
+/**
+ * Run the engine on markup rendered the way rule examples are, so boxes take
+ * the width and height set in CSS and rules that measure elements apply
+ * @param {string} html - Fragment or full document
+ * @param {Object} [options] - Engine options
+ */
+export async function runWithLayout(html, options = {}) {
+  const doc = await createExampleDocument(getExampleDocument(html));
+  try {
+    const engine = createAccessibilityEngine({ resultTypes: ['violations', 'passes', 'incomplete'], silent: true, ...options });
+    return await engine.run(doc);
+  } finally {
+    doc.defaultView.close();
+  }
+}
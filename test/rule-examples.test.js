@@ -0,0 +1,55 @@
+import { test, expect } from 'bun:test';
+import { createAccessibilityEngine, defineRule, testRuleExamples } from '../src/index.js';
+import { getExampleDocument } from '../src/core/rule-examples.js';
+
+const engine = createAccessibilityEngine();
+
+test('Every rule has examples', () => {
+  const withoutExamples = [...engine.rules.values()]
+    .filter(rule => Object.values(rule.examples || {}).flat().length === 0)
+    .map(rule => rule.id);
+  expect(withoutExamples).toEqual([]);
+});
+
+// One test per rule, so a failure names the rule and the example
+for (const rule of engine.rules.values()) {
+  test(`${rule.id} examples have their expected outcomes`, async () => {
+    const results = await testRuleExamples(rule);
+    const wrong = results
+      .filter(result => !result.passed)
+      .map(({ kind, html, actual }) => ({ kind, html, actual }));
+    expect(wrong).toEqual([]);
+  });
+}
+
+test('Fragments are placed in a complete page', () => {
+  expect(getExampleDocument('<img src="a.png" alt="">')).toContain('<html lang="en"><head><title>Rule example</title></head><body><img src="a.png" alt=""></body>');
+  const page = '<!DOCTYPE html><html><head></head><body></body></html>';
+  expect(getExampleDocument(page)).toBe(page);
+});
+
+test('Rules that are not registered are tested on their own', async () => {
+  const rule = defineRule({
+    id: 'acme-no-blink',
+    selector: '.blink',
+    tags: ['acme'],
+    impact: 'minor',
+    description: 'Text must not blink',
+    help: 'Remove the blink class',
+    helpUrl: 'https://example.com/rules/no-blink',
+    examples: {
+      pass: ['<p class="blink" data-static>Sale</p>'],
+      fail: ['<p class="blink">Sale</p>'],
+      inapplicable: ['<p>Sale</p>']
+    },
+    evaluate: element => ({ passed: element.hasAttribute('data-static') })
+  });
+
+  const results = await testRuleExamples(rule);
+  expect(results.map(result => [result.kind, result.actual])).toEqual([
+    ['pass', 'passed'],
+    ['fail', 'failed'],
+    ['inapplicable', 'inapplicable']
+  ]);
+  expect(engine.rules.has('acme-no-blink')).toBe(false);
+});
@@ -0,0 +1,31 @@
+import { test, expect } from 'bun:test';
+import { getRuleCriteria, getRuleClauses, isCriterionInStandard } from '../src/utils/standards.js';
+
+test('Criterion tags map to success criteria', () => {
+  expect(getRuleCriteria({ tags: ['wcag22aa', 'wcag1410', 'wcag111', 'best-practice'] })).toEqual(['1.4.10', '1.1.1']);
+  expect(getRuleCriteria({ tags: ['wcag999', 'wcag22a'] })).toEqual([]);
+});
+
+test('Standards include criteria by WCAG version and level', () => {
+  // New in WCAG 2.2
+  expect(isCriterionInStandard('2.5.8', 'wcag22aa')).toBe(true);
+  expect(isCriterionInStandard('2.5.8', 'wcag21aa')).toBe(false);
+  expect(isCriterionInStandard('3.3.8', 'en301549')).toBe(false);
+  // New in WCAG 2.1, outside the WCAG 2.0 based Section 508
+  expect(isCriterionInStandard('1.4.10', 'en301549')).toBe(true);
+  expect(isCriterionInStandard('1.4.10', 'section508')).toBe(false);
+  // Parsing is obsolete in WCAG 2.2 only
+  expect(isCriterionInStandard('4.1.1', 'wcag21a')).toBe(true);
+  expect(isCriterionInStandard('4.1.1', 'wcag22a')).toBe(false);
+  // Levels
+  expect(isCriterionInStandard('1.4.3', 'wcag20a')).toBe(false);
+  expect(isCriterionInStandard('1.4.3', 'wcag20aa')).toBe(true);
+});
+
+test('Clauses use the numbering of the standard', () => {
+  const rule = { tags: ['wcag22aa', 'wcag143'] };
+  expect(getRuleClauses(rule, 'wcag21aa')).toEqual(['1.4.3']);
+  expect(getRuleClauses(rule, 'en301549')).toEqual(['9.1.4.3']);
+  expect(getRuleClauses(rule, 'section508')).toEqual(['E205.4 (WCAG 2.0 1.4.3)']);
+  expect(getRuleClauses(rule, 'wcag21a')).toEqual([]);
+});
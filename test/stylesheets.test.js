@@ -0,0 +1,120 @@
+import { test, expect } from 'bun:test';
+import { JSDOM } from 'jsdom';
+import { getPseudoElementStyle, getPseudoElementText } from '../src/utils/stylesheets.js';
+import { runWithLayout } from './helpers.js';
+
+function render(html, css = '') {
+  return new JSDOM(`<!DOCTYPE html><html lang="en"><head><title>Styles</title><style>${css}</style></head><body>${html}</body></html>`).window.document;
+}
+
+test('getPseudoElementStyle - Declarations of matching rules', () => {
+  const doc = render('<p id="target" class="note">Text</p>', `
+    p::before { content: "Note: "; color: #333 }
+    .other::before { color: red }
+    p::after { content: "!" }`);
+  const target = doc.getElementById('target');
+
+  expect(getPseudoElementStyle(target, '::before')).toEqual({ content: '"Note: "', color: '#333' });
+  expect(getPseudoElementStyle(target, '::after')).toEqual({ content: '"!"' });
+  expect(getPseudoElementStyle(target, '::placeholder')).toEqual({});
+});
+
+test('getPseudoElementStyle - Cascade by importance, specificity and order', () => {
+  const doc = render('<p id="target" class="note">Text</p>', `
+    #target::before { color: blue }
+    .note::before { color: red }
+    p::before { color: green !important }
+    p::after { color: red }
+    p::after { color: blue }`);
+  const target = doc.getElementById('target');
+
+  expect(getPseudoElementStyle(target, '::before').color).toBe('green');
+  expect(getPseudoElementStyle(target, '::after').color).toBe('blue');
+});
+
+test('getPseudoElementStyle - Placeholders, vendor prefixes, media and selector lists', () => {
+  const doc = render('<input id="target" placeholder="Search">', `
+    input::-webkit-input-placeholder, textarea::-webkit-input-placeholder { color: #999 }
+    @media print { ::placeholder { color: #000 } }
+    @media screen { .missing::placeholder, input::placeholder { opacity: 0.5 } }`);
+  const target = doc.getElementById('target');
+
+  expect(getPseudoElementStyle(target, '::placeholder')).toEqual({ color: '#999', opacity: '0.5' });
+});
+
+test('getPseudoElementStyle - The index is kept in the cache', () => {
+  const doc = render('<p id="target">Text</p>', 'p::before { content: "A" }');
+  const cache = new Map();
+  const target = doc.getElementById('target');
+
+  expect(getPseudoElementStyle(target, '::before', cache).content).toBe('"A"');
+  doc.styleSheets[0].insertRule('p::before { content: "B" }', 1);
+  expect(getPseudoElementStyle(target, '::before', cache).content).toBe('"A"');
+  expect(getPseudoElementStyle(target, '::before').content).toBe('"B"');
+});
+
+test('getPseudoElementText - Strings, attributes and counters', () => {
+  const doc = render('<a id="target" href="/docs" title="Docs">Link</a>');
+  const target = doc.getElementById('target');
+
+  expect(getPseudoElementText(target, '"Read " attr(title)')).toBe('Read Docs');
+  expect(getPseudoElementText(target, '"\\2192"')).toBe('\u2192');
+  expect(getPseudoElementText(target, 'counter(item) ". "')).toBe('1. ');
+  expect(getPseudoElementText(target, '"\\2605" / "Favorite"')).toBe('\u2605');
+  expect(getPseudoElementText(target, 'url(icon.svg)')).toBe('');
+  expect(getPseudoElementText(target, 'none')).toBe('');
+  expect(getPseudoElementText(target, undefined)).toBe('');
+});
+
+async function contrastResults(html, css = '') {
+  const results = await runWithLayout(`<style>${css}</style>${html}`, { runOnly: 'wcag143' });
+  const rule = [...results.violations, ...results.passes].find(result => result.id === 'contrast-minimum');
+  return rule ? rule.nodes : [];
+}
+
+const box = 'background-color: #fff; width: 300px; height: 40px';
+
+test('contrast-minimum - Grey placeholders are reported', async () => {
+  const [node] = await contrastResults(`<input placeholder="Email address" style="${box}">`, 'input::placeholder { color: #bbb }');
+
+  expect(node.message).toBe('Contrast ratio 1.92:1 is below required 4.5:1 for normal text (12pt, weight 400) in ::placeholder');
+  expect(node.data).toMatchObject({ part: '::placeholder', foreground: 'rgb(187, 187, 187)' });
+});
+
+test('contrast-minimum - Placeholders use the default color and their opacity', async () => {
+  const [standard] = await contrastResults(`<input placeholder="Email address" style="${box}">`);
+  expect(standard.data).toMatchObject({ foreground: 'rgb(117, 117, 117)' });
+  expect(standard.data.contrast).toBeGreaterThanOrEqual(4.5);
+
+  const [faded] = await contrastResults(`<textarea placeholder="Message" style="${box}"></textarea>`, 'textarea::placeholder { color: #000; opacity: 0.4 }');
+  expect(faded.data.contrast).toBeLessThan(4.5);
+});
+
+test('contrast-minimum - Placeholders are not checked once a value is entered, or without a size', async () => {
+  expect(await contrastResults(`<input placeholder="Email" value="me@example.com" style="${box}">`, '::placeholder { color: #eee }')).toEqual([]);
+  expect(await contrastResults(`<input type="checkbox" placeholder="Email" style="${box}">`, '::placeholder { color: #eee }')).toEqual([]);
+  expect(await contrastResults('<input placeholder="Email" style="width: 0; height: 0">', '::placeholder { color: #eee }')).toEqual([]);
+});
+
+test('contrast-minimum - Pseudo-element text is checked with its own colors', async () => {
+  const [node] = await contrastResults(`<p class="new" style="color: #000; ${box}">Release notes</p>`, '.new::after { content: " New"; color: #ccc }');
+  expect(node.message).toContain('in ::after');
+
+  const [onBadge] = await contrastResults(`<p class="new" style="color: #000; ${box}">Release notes</p>`, '.new::after { content: " New"; color: #ccc; background-color: #000 }');
+  expect(onBadge.data).toMatchObject({ part: '::after', background: 'rgb(0, 0, 0)', contrast: 13.08 });
+
+  const [iconOnly] = await contrastResults(`<span class="icon" style="${box}"></span>`, '.icon::before { content: "\\2605"; color: #eee }');
+  expect(iconOnly.data.part).toBe('::before');
+});
+
+test('contrast-minimum - A solid text-shadow counts as the background', async () => {
+  const [glow] = await contrastResults(`<p style="color: #fff; background-color: #999; text-shadow: 0 0 4px #000; width: 300px; height: 40px">Caption</p>`);
+  expect(glow.data).toMatchObject({ contrast: 21, textShadow: 'rgb(0, 0, 0)', background: 'rgb(153, 153, 153)' });
+
+  const [inherited] = await contrastResults(`<div style="text-shadow: 0 0 4px #000"><p style="color: #fff; background-color: #999; width: 300px; height: 40px">Caption</p></div>`);
+  expect(inherited.data.textShadow).toBe('rgb(0, 0, 0)');
+
+  const [thin] = await contrastResults(`<p style="color: #fff; background-color: #999; text-shadow: 2px 2px 1px #000; width: 300px; height: 40px">Caption</p>`);
+  expect(thin.data.textShadow).toBeUndefined();
+  expect(thin.data.contrast).toBeLessThan(4.5);
+});
@@ -0,0 +1,32 @@
+import { test, expect } from 'bun:test';
+import { parseTagExpression, evaluateTagExpression, getTagExpressionNames } from '../src/core/tag-expression.js';
+
+const matches = (expression, tags) => evaluateTagExpression(parseTagExpression(expression), tag => tags.includes(tag));
+
+test('Tag expressions combine tags with and, or, not and commas', () => {
+  expect(matches('wcag22aa and not experimental', ['wcag22aa'])).toBe(true);
+  expect(matches('wcag22aa and not experimental', ['wcag22aa', 'experimental'])).toBe(false);
+  expect(matches('perceivable or best-practice', ['best-practice'])).toBe(true);
+  expect(matches('wcag143,wcag1411', ['wcag1411'])).toBe(true);
+  expect(matches('wcag143, wcag1411', ['wcag111'])).toBe(false);
+  expect(matches('NOT not aria', ['aria'])).toBe(true);
+});
+
+test('and binds tighter than or, and parentheses group', () => {
+  expect(parseTagExpression('a or b and c')).toEqual({
+    type: 'or',
+    left: { type: 'name', name: 'a' },
+    right: { type: 'and', left: { type: 'name', name: 'b' }, right: { type: 'name', name: 'c' } }
+  });
+  expect(matches('(a or b) and c', ['a'])).toBe(false);
+  expect(matches('a or b and c', ['a'])).toBe(true);
+  expect(getTagExpressionNames(parseTagExpression('not (a, b) and c'))).toEqual(['a', 'b', 'c']);
+});
+
+test('Malformed tag expressions throw with the expression and the problem', () => {
+  expect(() => parseTagExpression('wcag22aa and')).toThrow('Invalid tag expression "wcag22aa and": expected a tag after "and" but found the end');
+  expect(() => parseTagExpression('(a or b')).toThrow('expected ")" but found the end');
+  expect(() => parseTagExpression('a b')).toThrow('unexpected "b"');
+  expect(() => parseTagExpression(',a')).toThrow('expected a tag but found ","');
+  expect(() => parseTagExpression('')).toThrow('expected a tag but found the end');
+});